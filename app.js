@@ -4,7 +4,7 @@
  * This single JavaScript file implements the core application logic for
  * managing tabletop RPG campaigns for Spire. The app is designed to run
  * entirely on the client with no backend and persists data via
- * localStorage. Entities (PCs, NPCs, and Organisations) are stored in
+ * IndexedDB (campaign-store.js). Entities (PCs, NPCs, and Organisations) are stored in
  * campaigns, each with a set of relationships forming a conspiracy web.
  * A force-directed graph is rendered with Cytoscape.js to visualise
  * relationships. GM and Player modes control the visibility of secret
@@ -13,8 +13,9 @@
  */
 
 (() => {
-  // Schema version to facilitate future migrations
-  const SCHEMA_VERSION = 1;
+  // Schema version of stored campaigns. Bump it together with a new entry in
+  // CAMPAIGN_MIGRATIONS whenever the stored shape changes.
+  const SCHEMA_VERSION = 4;
 
   // Default relationship types. Users can add custom types in settings.
   const DEFAULT_REL_TYPES = [
@@ -92,6 +93,10 @@
     }
   };
 
+  const FALLOUT_MODIFIER_HELP = 'Modifiers apply while the fallout is unhealed, separated by ";": '
+    + '"-1 die to Fight", "Blood track max slots -2", "-1 Mind resistance", '
+    + '"cannot use Sneak", "cannot use domain High Society".';
+
   const NPC_TEMPLATES = {
     none: { label: 'No template' },
     guard: {
@@ -177,6 +182,45 @@
     return JSON.parse(JSON.stringify(NPC_TEMPLATES));
   }
 
+  /**
+   * Clean a class definition from a content pack so it has every field
+   * applyClassEffects and the sheet read. Advances may be names or advance
+   * objects. Returns null when the class grants nothing.
+   */
+  function normalizeClassDefinition(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const list = (v) => (Array.isArray(v) ? v.map(String).map((s) => s.trim()).filter(Boolean) : []);
+    const advList = (v) => (Array.isArray(v) ? v : [])
+      .filter((a) => (typeof a === 'string' ? a.trim() : a && typeof a === 'object' && String(a.name || '').trim()))
+      .map((a) => (typeof a === 'string' ? a.trim() : JSON.parse(JSON.stringify(a))));
+    const adv = (raw.advances && typeof raw.advances === 'object') ? raw.advances : {};
+    const clean = {
+      resistances: (Array.isArray(raw.resistances) ? raw.resistances : [])
+        .filter((r) => r && String(r.name || '').trim() && Number.isFinite(Number(r.value)))
+        .map((r) => ({ name: String(r.name).trim(), value: Number(r.value) })),
+      skills: list(raw.skills),
+      domains: list(raw.domains),
+      refresh: String(raw.refresh || '').trim(),
+      bondPrompts: list(raw.bondPrompts),
+      inventoryOptions: (Array.isArray(raw.inventoryOptions) ? raw.inventoryOptions : [])
+        .filter((opt) => opt && String(opt.label || '').trim() && Array.isArray(opt.items))
+        .map((opt) => JSON.parse(JSON.stringify(opt))),
+      coreAbilities: list(raw.coreAbilities),
+      advances: { low: advList(adv.low), medium: advList(adv.medium), high: advList(adv.high) }
+    };
+    const grantsSomething = clean.resistances.length || clean.skills.length || clean.domains.length ||
+      clean.coreAbilities.length || clean.inventoryOptions.length ||
+      clean.advances.low.length || clean.advances.medium.length || clean.advances.high.length;
+    return grantsSomething ? clean : null;
+  }
+
+  /**
+   * Normalize an imported pack. Besides scene prompts and NPC templates a
+   * pack may carry classes, durances, extra advances for existing classes,
+   * equipment and fallout guidance. `version` lets a newer copy of the same
+   * pack replace an older one; `sourcebook` gates the whole pack through
+   * isSourceEnabled.
+   */
   function normalizeScenarioPack(raw) {
     if (!raw || typeof raw !== 'object') return null;
     const id = String(raw.id || '').trim() || generateId('pack');
@@ -185,35 +229,239 @@
     const enabled = raw.enabled !== false;
     const prompts = raw.scenePrompts || {};
     const npcTemplates = (raw.npcTemplates && typeof raw.npcTemplates === 'object') ? raw.npcTemplates : {};
+    const isMap = (v) => !!v && typeof v === 'object' && !Array.isArray(v);
     const clean = {
       id,
       cloudCampaignId: '',
       name,
+      version: String(raw.version || '').trim() || '1.0.0',
       source,
+      sourcebook: normalizeSourceLabel(raw.sourcebook),
       enabled,
       scenePrompts: {
         complications: Array.isArray(prompts.complications) ? prompts.complications.map(String).map((s) => s.trim()).filter(Boolean) : [],
         factionReactions: Array.isArray(prompts.factionReactions) ? prompts.factionReactions.map(String).map((s) => s.trim()).filter(Boolean) : [],
         twists: Array.isArray(prompts.twists) ? prompts.twists.map(String).map((s) => s.trim()).filter(Boolean) : []
       },
-      npcTemplates: {}
+      npcTemplates: {},
+      classEffects: {},
+      duranceEffects: {},
+      advances: {},
+      equipment: [],
+      falloutGuidance: {}
     };
     Object.entries(npcTemplates).forEach(([key, value]) => {
       if (!key || key === 'none' || !value || typeof value !== 'object') return;
       clean.npcTemplates[String(key)] = JSON.parse(JSON.stringify(value));
     });
+    Object.entries(isMap(raw.classEffects) ? raw.classEffects : {}).forEach(([key, value]) => {
+      const klass = normalizeClassDefinition(value);
+      if (String(key).trim() && klass) clean.classEffects[String(key).trim()] = klass;
+    });
+    Object.entries(isMap(raw.duranceEffects) ? raw.duranceEffects : {}).forEach(([key, value]) => {
+      if (!String(key).trim() || !isMap(value)) return;
+      const dur = normalizeClassDefinition(value);
+      if (!dur || (!dur.skills.length && !dur.domains.length && !dur.resistances.length)) return;
+      clean.duranceEffects[String(key).trim()] = { skills: dur.skills, domains: dur.domains, resistances: dur.resistances };
+    });
+    Object.entries(isMap(raw.advances) ? raw.advances : {}).forEach(([klass, tiers]) => {
+      const parsed = normalizeClassDefinition({ advances: tiers });
+      if (String(klass).trim() && parsed) clean.advances[String(klass).trim()] = parsed.advances;
+    });
+    (Array.isArray(raw.equipment) ? raw.equipment : []).forEach((item) => {
+      const itemName = String((item && (item.name || item.item)) || '').trim();
+      if (!itemName) return;
+      clean.equipment.push({
+        name: itemName,
+        type: String(item.type || 'other'),
+        stress: String(item.stress || ''),
+        resistance: item.resistance ?? '',
+        tags: Array.isArray(item.tags) ? item.tags.join(', ') : String(item.tags || ''),
+        text: String(item.text || '')
+      });
+    });
+    Object.entries(isMap(raw.falloutGuidance) ? raw.falloutGuidance : {}).forEach(([track, severities]) => {
+      if (!String(track).trim() || !isMap(severities)) return;
+      const bySeverity = {};
+      ['Minor', 'Moderate', 'Severe'].forEach((severity) => {
+        const list = Array.isArray(severities[severity]) ? severities[severity].map(String).map((s) => s.trim()).filter(Boolean) : [];
+        if (list.length) bySeverity[severity] = list;
+      });
+      if (Object.keys(bySeverity).length) clean.falloutGuidance[String(track).trim()] = bySeverity;
+    });
     if (
       !clean.scenePrompts.complications.length &&
       !clean.scenePrompts.factionReactions.length &&
       !clean.scenePrompts.twists.length &&
-      !Object.keys(clean.npcTemplates).length
+      !Object.keys(clean.npcTemplates).length &&
+      !Object.keys(clean.classEffects).length &&
+      !Object.keys(clean.duranceEffects).length &&
+      !Object.keys(clean.advances).length &&
+      !clean.equipment.length &&
+      !Object.keys(clean.falloutGuidance).length
     ) return null;
     return clean;
   }
 
   function getActiveScenarioPacks(camp = currentCampaign()) {
     const packs = Array.isArray(camp && camp.scenarioPacks) ? camp.scenarioPacks : [];
-    return packs.filter((p) => p && p.enabled !== false);
+    return packs.filter((p) => p && p.enabled !== false && isSourceEnabled(camp, p.sourcebook));
+  }
+
+  /** The core book pack, the campaign's active packs in install order, then its homebrew classes. */
+  function getContentPacks(camp = currentCampaign()) {
+    return [CORE_CONTENT_PACK].concat(getActiveScenarioPacks(camp), [homebrewContentPack(camp)]);
+  }
+
+  /** The campaign's enabled homebrew classes (Compendium > Homebrew Classes) as a pack. */
+  function homebrewContentPack(camp = currentCampaign()) {
+    const classEffects = {};
+    (Array.isArray(camp && camp.homebrewClasses) ? camp.homebrewClasses : []).forEach((entry) => {
+      if (!entry || entry.enabled === false || !entry.name) return;
+      const def = normalizeClassDefinition(entry);
+      if (def) classEffects[entry.name] = def;
+    });
+    return { id: 'homebrew', name: 'Homebrew', version: '1.0.0', source: 'campaign', sourcebook: 'Core Book', classEffects };
+  }
+
+  /**
+   * A class as the campaign sees it: the last active pack to define it wins,
+   * then advances any pack adds for it are appended to their tiers. Returns
+   * a copy, or null when no active pack has the class.
+   */
+  function classEffectsFor(className, camp = currentCampaign()) {
+    if (!className) return null;
+    const packs = getContentPacks(camp);
+    let base = null;
+    packs.forEach((pack) => {
+      if (pack.classEffects && pack.classEffects[className]) base = pack.classEffects[className];
+    });
+    if (!base) return null;
+    const eff = JSON.parse(JSON.stringify(base));
+    if (!eff.advances) eff.advances = {};
+    const advName = (a) => String(typeof a === 'string' ? a : a.name).toLowerCase();
+    packs.forEach((pack) => {
+      const extra = pack.advances && pack.advances[className];
+      if (!extra) return;
+      ['low', 'medium', 'high'].forEach((tier) => {
+        const list = Array.isArray(eff.advances[tier]) ? eff.advances[tier] : [];
+        const names = new Set(list.map(advName));
+        (extra[tier] || []).forEach((adv) => {
+          if (names.has(advName(adv))) return;
+          names.add(advName(adv));
+          list.push(JSON.parse(JSON.stringify(adv)));
+        });
+        eff.advances[tier] = list;
+      });
+    });
+    return eff;
+  }
+
+  /** Class names offered by the campaign's active packs, core classes first. */
+  function getClassNames(camp = currentCampaign()) {
+    const names = [];
+    getContentPacks(camp).forEach((pack) => {
+      Object.keys(pack.classEffects || {}).forEach((name) => {
+        if (!names.includes(name)) names.push(name);
+      });
+    });
+    return names;
+  }
+
+  function getEffectiveClassEffects(camp = currentCampaign()) {
+    const out = {};
+    getClassNames(camp).forEach((name) => { out[name] = classEffectsFor(name, camp); });
+    return out;
+  }
+
+  /** A durance's grants from the last active pack to define it, or null. */
+  function duranceEffectsFor(durance, camp = currentCampaign()) {
+    if (!durance) return null;
+    let found = null;
+    getContentPacks(camp).forEach((pack) => {
+      if (pack.duranceEffects && pack.duranceEffects[durance]) found = pack.duranceEffects[durance];
+    });
+    return found ? JSON.parse(JSON.stringify(found)) : null;
+  }
+
+  function getEffectiveDuranceEffects(camp = currentCampaign()) {
+    const out = {};
+    getContentPacks(camp).forEach((pack) => {
+      Object.entries(pack.duranceEffects || {}).forEach(([name, eff]) => {
+        out[name] = JSON.parse(JSON.stringify(eff));
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Store a homebrew class from the class editor (validate it first with
+   * SpireRulesEngine.validateClassDefinition). Renaming a class moves the
+   * PCs that use it, their class-tagged rows and kit items, and refresh
+   * compendium entries over to the new name. Returns the stored entry.
+   */
+  function saveHomebrewClass(camp, draft) {
+    if (!Array.isArray(camp.homebrewClasses)) camp.homebrewClasses = [];
+    const name = String(draft.name || '').trim();
+    let entry = camp.homebrewClasses.find((c) => c.id === draft.id);
+    const oldName = entry ? entry.name : '';
+    if (!entry) {
+      entry = { id: generateId('class'), enabled: true };
+      camp.homebrewClasses.push(entry);
+    }
+    Object.assign(entry, normalizeClassDefinition(draft) || {}, { name, updatedAt: new Date().toISOString() });
+    if (oldName && oldName !== name) {
+      const oldInv = `classInv:${oldName}:`;
+      const retag = (row) => {
+        if (row.source === `class:${oldName}`) row.source = `class:${name}`;
+        else if (String(row.source || '').startsWith(oldInv)) row.source = `classInv:${name}:${row.source.slice(oldInv.length)}`;
+      };
+      Object.values(camp.entities || {}).forEach((pc) => {
+        if (!pc || pc.type !== 'pc' || pc.class !== oldName) return;
+        pc.class = name;
+        ['skills', 'domains', 'resistances', 'inventory'].forEach((key) => (pc[key] || []).forEach(retag));
+      });
+      (camp.refreshCompendium || []).forEach((row) => {
+        if (row && row.class === oldName) row.class = name;
+      });
+    }
+    return entry;
+  }
+
+  /** Fallout table entries contributed by active packs' fallout guidance. */
+  function packFalloutEntries(camp = currentCampaign()) {
+    const out = [];
+    getActiveScenarioPacks(camp).forEach((pack) => {
+      Object.entries(pack.falloutGuidance || {}).forEach(([track, severities]) => {
+        Object.entries(severities || {}).forEach(([severity, prompts]) => {
+          (prompts || []).forEach((prompt, idx) => {
+            out.push({
+              id: `${pack.id}:${track}:${severity}:${idx}`,
+              name: prompt,
+              severity,
+              track,
+              description: '',
+              effects: [],
+              source: pack.sourcebook,
+              packId: pack.id,
+              enabled: true
+            });
+          });
+        });
+      });
+    });
+    return out;
+  }
+
+  /** Equipment compendium entries contributed by active packs. */
+  function packEquipmentEntries(camp = currentCampaign()) {
+    const out = [];
+    getActiveScenarioPacks(camp).forEach((pack) => {
+      (pack.equipment || []).forEach((item, idx) => {
+        out.push(Object.assign({ id: `${pack.id}:equip:${idx}`, source: pack.sourcebook, packId: pack.id, enabled: true }, item));
+      });
+    });
+    return out;
   }
 
   function getEffectiveNpcTemplates(camp = currentCampaign()) {
@@ -249,6 +497,25 @@
     return JSON.parse(JSON.stringify(FALLOUT_GUIDANCE));
   }
 
+  /**
+   * The campaign's editable fallout guidance with prompts from active packs
+   * appended per track and severity.
+   */
+  function getEffectiveFalloutGuidance(camp = currentCampaign()) {
+    const guidance = JSON.parse(JSON.stringify((camp && camp.falloutGuidance) || FALLOUT_GUIDANCE));
+    getActiveScenarioPacks(camp).forEach((pack) => {
+      Object.entries(pack.falloutGuidance || {}).forEach(([track, severities]) => {
+        if (!guidance[track]) guidance[track] = { Minor: [], Moderate: [], Severe: [] };
+        Object.entries(severities || {}).forEach(([severity, prompts]) => {
+          if (!Array.isArray(guidance[track][severity])) guidance[track][severity] = [];
+          const list = guidance[track][severity];
+          (prompts || []).forEach((prompt) => { if (!list.includes(prompt)) list.push(prompt); });
+        });
+      });
+    });
+    return guidance;
+  }
+
   function defaultSourcebooks() {
     return {
       'Core Book': true,
@@ -292,6 +559,7 @@
             severity,
             track,
             description: '',
+            effects: [],
             source: 'Core Book',
             enabled: true
           });
@@ -369,23 +637,13 @@
       isSourceEnabled(camp, entry.source)
     );
     if (match && match.refresh) return match.refresh;
-    const base = CLASS_EFFECTS[pcClass];
+    const base = classEffectsFor(pcClass, camp);
     return base && base.refresh ? base.refresh : '';
   }
 
-  // Durance options for characters. Each option modifies the character
-  // by granting skills, domains or resistance bonuses. The format is
+  // Durance effects. Each durance modifies the character by granting
+  // skills, domains or resistance bonuses. The format is
   // { skills: [ ... ], domains: [ ... ], resistances: [ {name,value} ] }.
-  const DURANCE_OPTIONS = [
-    'ACOLYTE', 'AGENT', 'BUILDER', 'DEALER', 'DUELLIST', 'ENLISTED',
-    'GUARD', 'HUMAN EMISSARY', 'HUNTER', 'INFORMATION BROKER', 'KILLER',
-    'LABOURER', 'OCCULTIST', 'PERSONAL ASSISTANT', 'PET', 'SAGE', 'SPY',
-    'Kept a low profile in Derelictus', 'Fought to protect your community',
-    'Led a doomed uprising', 'Joined a cult or two', 'Toughed it out in Red Row',
-    'Fell in with a gang of thieves', 'Spent your time in jail', 'Hid in plain sight',
-    'Helped the Ministry wage their war'
-  ];
-
   const DURANCE_EFFECTS = {
     'ACOLYTE': { resistances: [{ name: 'Mind', value: 2 }], domains: ['Religion'] },
     'AGENT': { resistances: [{ name: 'Shadow', value: 2 }], domains: ['Crime'] },
@@ -421,9 +679,11 @@
    * advances at low, medium and high tiers. Inventory options are
    * represented as an array of option groups; each group contains
    * a label and a list of items to be added to the character's
-   * inventory when selected. Core abilities and advances are lists
-   * of strings. Resistances bonuses use the same structure as
-   * DURANCE_EFFECTS (name/value pairs).
+   * inventory when selected. Core abilities are lists of strings;
+   * core advances are bare names, while packs may give advance
+   * objects (see SpireRulesEngine.normalizeAdvance for text, cost,
+   * prerequisites and grants). Resistances bonuses use the same
+   * structure as DURANCE_EFFECTS (name/value pairs).
    */
   const CLASS_EFFECTS = {
     'Azurite': {
@@ -755,6 +1015,24 @@
       }
     }
   };
+
+  /**
+   * The core book's classes, durances, NPC templates and fallout guidance
+   * as a content pack. Imported packs (see normalizeScenarioPack) are
+   * layered over it in install order, so the core data and sourcebook packs
+   * are read through the same lookups.
+   */
+  const CORE_CONTENT_PACK = {
+    id: 'core',
+    name: 'Spire Core Book',
+    version: '1.0.0',
+    source: 'builtin',
+    sourcebook: 'Core Book',
+    classEffects: CLASS_EFFECTS,
+    duranceEffects: DURANCE_EFFECTS,
+    npcTemplates: NPC_TEMPLATES,
+    falloutGuidance: FALLOUT_GUIDANCE
+  };
   const WEAPON_STRESS_LEVELS = [
     '1 stress', 'D3 stress', 'D6 stress', 'D8 stress'
   ];
@@ -832,6 +1110,17 @@
   // Global state. Contains all campaigns and UI state like current selection.
   const state = {
     campaigns: {},      // Map of campaignId -> campaign
+    unsupportedCampaigns: {}, // Stored campaigns from a newer schema, kept as-is
+    savedFingerprints: {},    // campaignId -> fingerprint of the last local write
+    dirtyCampaignIds: {},     // campaignId -> true once opened for editing since the last local write
+    mergeBase: {},            // campaignId -> fingerprint of the last version this tab and storage agreed on
+    savedCurrentCampaignId: null,
+    cloudFingerprints: {},    // campaignId -> cloud rows fingerprint of the last push or load
+    cloudRecords: {},         // cloudCampaignId -> { stamps, rows } record rows loaded this session
+    lastSaveTiming: null,     // { records, prepareMs, totalMs } of the last local write
+    lastCloudSave: null,      // { mode: 'patch' | 'full', rows, ms } of the last cloud push
+    lastCheckpointAt: {},     // campaignId -> ms of the last version history checkpoint this tab took
+    replica: null,            // { campaignId, doc } replica of the current campaign shared with other members
     currentCampaignId: null,
     selectedEntityId: null,
     selectedRelId: null,
@@ -848,7 +1137,10 @@
     telemetryConfig: null,
     lastSeenRevision: '',
     syncConflictActive: false,
-    localEditsSinceConflict: 0
+    localEditsSinceConflict: 0,
+    campaignChannel: null,
+    supabaseCampaignChannel: null,
+    rollFeed: []
   };
   let authMode = 'login';
   const logFilterState = {
@@ -906,8 +1198,20 @@
       if (sev === 'Severe') return 7;
       if (sev === 'Moderate') return 5;
       return 3;
+    },
+    getRulesProfile() {
+      return {
+        version: 1,
+        falloutThresholds: { moderate: 5, severe: 9 },
+        stressClear: { Minor: 3, Moderate: 5, Severe: 7 },
+        tracks: ['blood', 'mind', 'silver', 'shadow', 'reputation'].map(key => ({
+          key, label: key.charAt(0).toUpperCase() + key.slice(1), cap: 10, armour: key === 'blood'
+        }))
+      };
     }
   };
+  // Local persistence (campaign-store.js): IndexedDB, or localStorage where that's missing.
+  const CampaignStore = window.SpireCampaignStore;
 
   /**
    * Generate a unique ID. Combines a prefix with a timestamp and random
@@ -969,6 +1273,8 @@
       clocks: [],
       lastScenePrompt: null,
       scenarioPacks: [],
+      homebrewClasses: [],
+      importQuarantine: [],   // records left out of imports, see openImportReport
       uiTipsDismissed: {},
       relationshipUndo: {},
       relationshipRedo: {},
@@ -983,6 +1289,8 @@
    */
   function newEntity(campaign, type) {
     const id = generateId(type);
+    const trackRules = getRulesProfile(campaign).tracks;
+    const perTrack = (fn) => trackRules.reduce((acc, t) => { acc[t.key] = fn(t); return acc; }, {});
     const base = {
       id,
       type,
@@ -1003,11 +1311,12 @@
         classInventorySelections: [], // array of selected kit labels
         coreAbilitiesState: {},
         classBondResponses: [],
-        stress: { blood: 0, mind: 0, silver: 0, shadow: 0, reputation: 0 },
-        stressSlots:  { blood: 10, mind: 10, silver: 10, shadow: 10, reputation: 10 },
-        stressFilled: { blood: [], mind: [], silver: [], shadow: [], reputation: [] },
+        stress: perTrack(() => 0),
+        stressSlots: perTrack(t => t.cap),
+        stressFilled: perTrack(() => []),
         advances: [],
         advancePoints: 0,
+        advanceHistory: [],
         fallout: [],
         skills: [],
         domains: [],
@@ -1015,7 +1324,8 @@
         inventory: [],
         tasks: [],
         bonds: [],
-        refreshed: false
+        refreshed: false,
+        refreshHistory: []
       });
     } else if (type === 'npc') {
       Object.assign(base, {
@@ -1071,7 +1381,9 @@
 
   function normalizeStressTrack(track) {
     const t = String(track || '').toLowerCase();
-    return ['blood', 'mind', 'silver', 'shadow', 'reputation'].includes(t) ? t : 'mind';
+    const keys = stressTrackKeys();
+    if (keys.includes(t)) return t;
+    return keys.includes('mind') ? 'mind' : keys[0];
   }
 
   function applyRelationshipConsequence(rel, opts = {}) {
@@ -1087,15 +1399,23 @@
 
     if (opts.kind === 'bond-fallout') {
       if (!Array.isArray(target.fallout)) target.fallout = [];
-      target.fallout.push({
+      const entry = {
         id: generateId('fallout'),
         type: opts.track || 'Mind',
+        track: normalizeStressTrack(opts.track || 'Mind'),
         severity,
         name: opts.name || `Bond strain (${relType})`,
         description: detail || `Triggered by ${entityLabel(source)} ${rel.directed ? '->' : '<->'} ${entityLabel(peer || source)}.`,
         resolved: false,
         timestamp: new Date().toISOString()
-      });
+      };
+      // Count against the PC's bond for this relationship, if there is one.
+      const bond = Array.isArray(target.bonds) ? target.bonds.find(b => b.relationshipId === rel.id) : null;
+      if (bond) {
+        entry.bondId = bond.id;
+        entry.relationshipId = rel.id;
+      }
+      target.fallout.push(entry);
       appendLog('Applied bond fallout', target.id);
       return true;
     }
@@ -1138,14 +1458,14 @@
   /**
    * Apply effects of a durance to a PC. This removes any previously
    * applied durance modifications (skills, domains, resistances) and
-   * applies the bonuses defined in DURANCE_EFFECTS for the given
-   * durance. Newly added entries are tagged with a `source`
+   * applies the bonuses the campaign's content packs define for the
+   * given durance (see duranceEffectsFor). Newly added entries are tagged with a `source`
    * property in the form "durance:<Durance Name>" so that they can
    * be removed later. If `newDurance` is an empty string, any
    * existing durance modifications will be removed and nothing will be
    * added.
    * @param {Object} pc The player character entity
-   * @param {String} newDurance The durance key from DURANCE_EFFECTS or ''
+   * @param {String} newDurance A durance name from the content packs or ''
    */
   function applyDuranceEffects(pc, newDurance) {
     // Remove existing durance-derived skills/domains/resistances
@@ -1154,7 +1474,7 @@
     pc.resistances = pc.resistances.filter(r => !r.source || !r.source.startsWith('durance:'));
     // Apply new effects if durance selected
     if (!newDurance) return;
-    const eff = DURANCE_EFFECTS[newDurance];
+    const eff = duranceEffectsFor(newDurance);
     if (!eff) return;
     if (eff.skills) {
       eff.skills.forEach(name => {
@@ -1181,7 +1501,7 @@
    * `classInventorySelection` are reset. New entries are tagged with
    * source "class:<Class Name>" or "classInv:<Class Name>".
    * @param {Object} pc The player character entity
-   * @param {String} newClass The class key from CLASS_EFFECTS or ''
+   * @param {String} newClass A class name from the content packs or ''
    */
   function applyClassEffects(pc, newClass) {
     // Remove previous class-derived skills/domains/resistances
@@ -1195,7 +1515,7 @@
     pc.classInventorySelection = '';
     // If no class selected, nothing to add
     if (!newClass) return;
-    const eff = CLASS_EFFECTS[newClass];
+    const eff = classEffectsFor(newClass);
     if (!eff) return;
     // Apply resistances
     if (eff.resistances) {
@@ -1219,12 +1539,145 @@
     eff.coreAbilities.forEach(ab => {
       pc.coreAbilitiesState[ab] = false;
     });
-    // Bond responses: reset length to number of prompts
+    // Bond responses: reset length to number of prompts. Bonds made from the
+    // old class's prompts stay, but no longer follow a prompt answer.
     pc.classBondResponses = eff.bondPrompts.map(() => '');
+    if (Array.isArray(pc.bonds)) pc.bonds.forEach(b => { delete b.promptIndex; });
     // Note: inventory kits and advances are applied via UI interactions
     consolidateResistances(pc);
   }
 
+  /**
+   * Advances offered by a class, as advance objects from the rules engine
+   * (cost, text, prerequisites and grants).
+   * @param {String} className A class name from the content packs
+   */
+  function classAdvanceCatalog(className) {
+    const eff = classEffectsFor(className);
+    return eff && eff.advances ? RulesEngine.advanceCatalog(eff.advances) : [];
+  }
+
+  /**
+   * Add an advance's granted skills, domains, resistances and items to a
+   * PC. Entries are tagged with source "advance:<Advance Name>" so that
+   * removeAdvanceGrants can take them back out.
+   */
+  function applyAdvanceGrants(pc, adv) {
+    const source = `advance:${adv.name}`;
+    const has = (list, name) => list.some(x => String(x.name || '').toLowerCase() === name.toLowerCase());
+    adv.grants.skills.forEach(name => {
+      if (!has(pc.skills, name)) pc.skills.push({ id: generateId('skill'), name, rating: 1, knack: false, source });
+    });
+    adv.grants.domains.forEach(name => {
+      if (!has(pc.domains, name)) pc.domains.push({ id: generateId('domain'), name, source });
+    });
+    adv.grants.resistances.forEach(({ name, value }) => {
+      const existing = pc.resistances.find(r => String(r.name || '').toLowerCase() === name.toLowerCase());
+      if (existing) {
+        existing.value = (existing.value || 0) + value;
+        existing.source = [existing.source, source].filter(Boolean).join(' + ');
+      } else {
+        pc.resistances.push({ id: generateId('res'), name, value, source });
+      }
+    });
+    adv.grants.items.forEach(item => {
+      pc.inventory.push({
+        id: generateId('item'),
+        item: item.item,
+        quantity: item.quantity || 1,
+        type: item.type || 'other',
+        tags: item.tags ? item.tags.slice() : [],
+        notes: '',
+        stress: item.stress,
+        resistance: item.resistance,
+        source
+      });
+    });
+  }
+
+  function removeAdvanceGrants(pc, adv) {
+    const source = `advance:${adv.name}`;
+    pc.skills = pc.skills.filter(s => s.source !== source);
+    pc.domains = pc.domains.filter(d => d.source !== source);
+    pc.inventory = pc.inventory.filter(item => item.source !== source);
+    pc.resistances = pc.resistances.filter(r => {
+      const sources = String(r.source || '').split(' + ').filter(Boolean);
+      if (!sources.includes(source)) return true;
+      const granted = adv.grants.resistances
+        .filter(g => g.name.toLowerCase() === String(r.name || '').toLowerCase())
+        .reduce((sum, g) => sum + g.value, 0);
+      r.value = (r.value || 0) - granted;
+      const rest = sources.filter(s => s !== source);
+      r.source = rest.join(' + ') || undefined;
+      return rest.length > 0 || r.value > 0;
+    });
+  }
+
+  function recordAdvanceHistory(pc, action, adv, points) {
+    const camp = currentCampaign();
+    if (!Array.isArray(pc.advanceHistory)) pc.advanceHistory = [];
+    pc.advanceHistory.push({
+      id: generateId('adv'),
+      action,
+      advance: adv.name,
+      tier: adv.tier,
+      points,
+      session: (camp && camp.currentSession) || 1,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Spend advance points on an advance: checks prerequisites and points,
+   * applies its grants and records it in the PC's advancement history.
+   * @returns {{ok: boolean, reasons: string[]}}
+   */
+  function takeAdvance(pc, adv, catalog = classAdvanceCatalog(pc.class)) {
+    if (!Array.isArray(pc.advances)) pc.advances = [];
+    const check = RulesEngine.canTakeAdvance(adv, { taken: pc.advances, points: pc.advancePoints, catalog });
+    if (!check.ok) return check;
+    pc.advancePoints = (parseInt(pc.advancePoints, 10) || 0) - adv.cost;
+    pc.advances.push(adv.name);
+    applyAdvanceGrants(pc, adv);
+    recordAdvanceHistory(pc, 'take', adv, -adv.cost);
+    appendLog(`Took advance ${adv.name} (−${adv.cost} AP)`, pc.id);
+    return check;
+  }
+
+  /**
+   * Whether refundAdvance would remove `adv`: it must be taken and no
+   * other taken advance may need it.
+   * @returns {{ok: boolean, reasons: string[]}}
+   */
+  function canRefundAdvance(pc, adv, catalog = classAdvanceCatalog(pc.class)) {
+    if (!Array.isArray(pc.advances) || !pc.advances.includes(adv.name)) {
+      return { ok: false, reasons: ['not taken'] };
+    }
+    const dependents = RulesEngine.dependentAdvances(adv, pc.advances, catalog);
+    if (dependents.length) {
+      return { ok: false, reasons: [`needed by ${dependents.map(a => a.name).join(', ')}`] };
+    }
+    return { ok: true, reasons: [] };
+  }
+
+  /**
+   * Remove an advance, taking back its grants and refunding the points
+   * that were spent on it. Advances taken before point tracking refund 0.
+   * @returns {{ok: boolean, reasons: string[]}}
+   */
+  function refundAdvance(pc, adv, catalog = classAdvanceCatalog(pc.class)) {
+    const check = canRefundAdvance(pc, adv, catalog);
+    if (!check.ok) return check;
+    const spent = (pc.advanceHistory || []).filter(h => h.advance === adv.name).pop();
+    const refund = spent && spent.action === 'take' ? -spent.points : 0;
+    pc.advances = pc.advances.filter(a => a !== adv.name);
+    pc.advancePoints = (parseInt(pc.advancePoints, 10) || 0) + refund;
+    removeAdvanceGrants(pc, adv);
+    recordAdvanceHistory(pc, 'refund', adv, refund);
+    appendLog(`Removed advance ${adv.name} (+${refund} AP)`, pc.id);
+    return { ok: true, reasons: [] };
+  }
+
   /**
    * Merge resistances that share the same name into a single entry whose
    * value is the sum of all contributions. Sources are joined with ' + '.
@@ -1254,7 +1707,7 @@
    * Apply a specific inventory kit from the current class to the PC. This
    * removes any previous class inventory items (source starting with
    * "classInv:") and then adds all items from the selected kit. The
-   * kitLabel should match one of the labels in CLASS_EFFECTS[pc.class].
+   * kitLabel should match one of the labels in classEffectsFor(pc.class).
    * @param {Object} pc The player character entity
    * @param {String} kitLabel The label of the inventory option selected
    */
@@ -1262,10 +1715,14 @@
     // Remove all previous class inventory items
     pc.inventory = pc.inventory.filter(it => !it.source || !it.source.startsWith('classInv:'));
     pc.classInventorySelection = kitLabel;
-    const classEff = CLASS_EFFECTS[pc.class];
+    pc.classInventorySelections = [];
+    const classEff = classEffectsFor(pc.class);
     if (!classEff || !classEff.inventoryOptions) return;
     const option = classEff.inventoryOptions.find(opt => opt.label === kitLabel);
     if (!option) return;
+    // Same per-kit source the sheet's kit checkboxes use, so the kit can be
+    // unticked there later.
+    pc.classInventorySelections = [kitLabel];
     option.items.forEach(item => {
       const newItem = {
         id: generateId('item'),
@@ -1276,12 +1733,198 @@
         notes: '',
         stress: item.stress,
         resistance: item.resistance,
-        source: `classInv:${pc.class}`
+        source: `classInv:${pc.class}:${kitLabel}`
       };
       pc.inventory.push(newItem);
     });
   }
 
+  /**
+   * Turn a character creation draft (see SpireRulesEngine.validateCharacterDraft)
+   * into a finished PC: class and durance effects, replacement picks for
+   * repeated skills/domains, the starting kit, bond responses, and a bond
+   * row plus relationship for each class bond prompt. New NPCs or
+   * organisations are created for bonds that don't point at an existing
+   * entity. Returns the new PC.
+   * @param {Object} camp The campaign to create the PC in
+   * @param {Object} draft The wizard draft
+   */
+  function createCharacterFromDraft(camp, draft) {
+    const pc = newEntity(camp, 'pc');
+    pc.firstName = String(draft.firstName || '').trim();
+    pc.lastName = String(draft.lastName || '').trim();
+    pc.name = [pc.firstName, pc.lastName].filter(Boolean).join(' ');
+    pc.pronouns = String(draft.pronouns || '').trim();
+    pc.class = draft.className;
+    pc.durance = draft.durance;
+    applyClassEffects(pc, pc.class);
+    applyDuranceEffects(pc, pc.durance);
+    // Durance entries that repeat a class grant are swapped for the picks.
+    const durSource = `durance:${pc.durance}`;
+    const repeatsClass = (list, row) => row.source === durSource &&
+      list.some(o => o.source === `class:${pc.class}` && o.name.toLowerCase() === row.name.toLowerCase());
+    pc.skills = pc.skills.filter(s => !repeatsClass(pc.skills, s));
+    pc.domains = pc.domains.filter(d => !repeatsClass(pc.domains, d));
+    const picks = draft.picks || {};
+    (picks.skills || []).forEach(name => {
+      pc.skills.push({ id: generateId('skill'), name, rating: 1, knack: false, source: durSource });
+    });
+    (picks.domains || []).forEach(name => {
+      pc.domains.push({ id: generateId('domain'), name, source: durSource });
+    });
+    if (draft.kit) applyClassInventoryKit(pc, draft.kit);
+    const prompts = (classEffectsFor(pc.class, camp) || {}).bondPrompts || [];
+    prompts.forEach((_, idx) => {
+      const bond = (draft.bonds || [])[idx] || {};
+      const answer = String(bond.answer || '').trim();
+      pc.classBondResponses[idx] = answer;
+      const row = { id: generateId('bond'), level: bond.level || 'Individual', name: '', notes: answer, promptIndex: idx };
+      if (bond.target === 'existing') {
+        if (!linkBondToEntity(camp, pc, row, bond.entityId)) return;
+      } else if (bond.target === 'new-npc' || bond.target === 'new-org') {
+        createBondEntity(camp, pc, row, bond.target === 'new-org' ? 'org' : 'npc', String(bond.name || '').trim());
+      } else {
+        return;
+      }
+      pc.bonds.push(row);
+    });
+    return pc;
+  }
+
+  /**
+   * PC bonds can point at an entity (`entityId`) and at the relationship
+   * that shows the bond in the conspiracy web (`relationshipId`). Bonds made
+   * from a class bond prompt also keep `promptIndex`; the prompt answer, the
+   * bond notes and the relationship notes are then kept as the same text.
+   */
+  function findBondsForRelationship(camp, relId) {
+    const found = [];
+    Object.values(camp.entities || {}).forEach(ent => {
+      if (!ent || ent.type !== 'pc' || !Array.isArray(ent.bonds)) return;
+      ent.bonds.forEach(bond => {
+        if (bond.relationshipId === relId) found.push({ pc: ent, bond });
+      });
+    });
+    return found;
+  }
+
+  /**
+   * Point a bond at an entity, reusing the bond's relationship if it has
+   * one (re-targeting it) or creating an Ally relationship from the PC.
+   * Returns the relationship, or null when the entity can't be linked.
+   */
+  function linkBondToEntity(camp, pc, bond, entityId) {
+    const target = camp.entities[entityId];
+    if (!target || target.id === pc.id) return null;
+    let rel = camp.relationships[bond.relationshipId];
+    if (rel && rel.source === pc.id) {
+      rel.target = target.id;
+    } else if (rel && rel.target === pc.id) {
+      rel.source = target.id;
+    } else {
+      rel = newRelationship(camp, pc.id, target.id, 'Ally', { notes: bond.notes || '' });
+    }
+    bond.entityId = target.id;
+    bond.relationshipId = rel.id;
+    bond.name = entityLabel(target);
+    return rel;
+  }
+
+  /**
+   * Create an NPC or organisation for a bond and link the bond to it.
+   * @param {string} type 'npc' or 'org'
+   */
+  function createBondEntity(camp, pc, bond, type, name) {
+    const ent = newEntity(camp, type === 'org' ? 'org' : 'npc');
+    ent.name = name || bond.name || '';
+    if (ent.type === 'npc') ent.role = 'Bond';
+    else ent.description = bond.notes || '';
+    appendLog(`Created ${ent.type === 'org' ? 'organisation' : 'NPC'} for bond`, ent.id);
+    linkBondToEntity(camp, pc, bond, ent.id);
+    return ent;
+  }
+
+  /**
+   * Detach a bond from its entity and remove the relationship it owns.
+   * The bond row itself (name, notes) is kept.
+   */
+  function unlinkBond(camp, bond) {
+    if (bond.relationshipId && camp.relationships[bond.relationshipId]) {
+      deleteRelationship(bond.relationshipId, { actionLabel: 'Unlinked bond' });
+    }
+    delete bond.entityId;
+    delete bond.relationshipId;
+  }
+
+  function setBondNotes(camp, pc, bond, text) {
+    bond.notes = text;
+    const rel = camp.relationships[bond.relationshipId];
+    if (rel) rel.notes = text;
+    if (Number.isInteger(bond.promptIndex) && Array.isArray(pc.classBondResponses)) {
+      pc.classBondResponses[bond.promptIndex] = text;
+    }
+  }
+
+  /**
+   * Repair bond links after entities or relationships are removed: a bond
+   * whose entity or relationship is gone becomes a plain (unlinked) bond.
+   * Linked bonds take the current name of their entity.
+   */
+  function syncBondLinks(camp) {
+    Object.values(camp.entities || {}).forEach(pc => {
+      if (!pc || pc.type !== 'pc' || !Array.isArray(pc.bonds)) return;
+      pc.bonds.forEach(bond => {
+        const target = bond.entityId ? camp.entities[bond.entityId] : null;
+        const relMissing = bond.relationshipId && !camp.relationships[bond.relationshipId];
+        if ((bond.entityId && !target) || relMissing) {
+          delete bond.entityId;
+          delete bond.relationshipId;
+          return;
+        }
+        if (target) bond.name = entityLabel(target);
+      });
+    });
+  }
+
+  /**
+   * Take stress to one of a PC's bonds. Overflowing the bond's track records
+   * bond fallout on the PC (tagged with bondId/relationshipId so the bond's
+   * status follows it). Returns the plan from SpireRulesEngine.planBondStress
+   * plus the fallout entry, if any.
+   */
+  function applyBondStress(pc, bond, amount, options = {}) {
+    const camp = currentCampaign();
+    const rules = getRulesConfig();
+    const plan = RulesEngine.planBondStress({
+      stress: bond.stress,
+      slots: RulesEngine.bondStressSlots(bond),
+      amount,
+      profile: RulesEngine.getRulesProfile(camp),
+      clearOnFallout: rules.clearStressOnFallout
+    });
+    bond.stress = plan.level;
+    const label = bond.name || 'bond';
+    appendLog(`Took ${amount} stress to bond with ${label}${options.from ? ` from ${options.from}` : ''} (${plan.before} → ${plan.level})`, pc.id);
+    if (!plan.fallout) return Object.assign({ fallout: null }, plan);
+    if (!Array.isArray(pc.fallout)) pc.fallout = [];
+    const fallout = {
+      id: generateId('fallout'),
+      type: 'Bond',
+      severity: plan.fallout.severity,
+      name: `Bond strain: ${label}`,
+      description: `${plan.overflow} stress overflowed the bond (${plan.fallout.total} total).`,
+      effects: [],
+      bondId: bond.id,
+      relationshipId: bond.relationshipId || '',
+      session: (camp && camp.currentSession) || 1,
+      resolved: false,
+      timestamp: new Date().toISOString()
+    };
+    pc.fallout.push(fallout);
+    appendLog(`Bond fallout (${fallout.severity}) with ${label}`, pc.id);
+    return Object.assign({}, plan, { fallout });
+  }
+
   /**
    * Load campaigns from localStorage. If none exist, initialise a new
    * default campaign. Returns true if campaigns loaded successfully.
@@ -1543,7 +2186,8 @@
     saveSharedInvites(shared);
   }
 
-  function syncOwnedSharedInvites() {
+  /** Refresh local invite copies; `changedIds` limits republishing to those campaigns. */
+  function syncOwnedSharedInvites(changedIds = null) {
     if (!state.currentUser) return;
     const shared = loadSharedInvites();
     // Remove stale records owned by current user when campaign/code is gone.
@@ -1557,6 +2201,7 @@
     });
     saveSharedInvites(shared);
     Object.values(state.campaigns || {}).forEach((camp) => {
+      if (changedIds && !changedIds.includes(camp.id)) return;
       if (camp.owner === state.currentUser && camp.inviteCode) publishCampaignInvite(camp);
     });
   }
@@ -1571,7 +2216,148 @@
     return btoa(unescape(encodeURIComponent(text)));
   }
 
-  function loadCampaigns() {
+  /**
+   * Fill the fields a PC or NPC needs that older saves and hand-edited files
+   * may lack. Used by the schema v3 migration and when a quarantined entity
+   * is restored.
+   */
+  function fillEntityDefaults(ent) {
+    if (!ent || typeof ent !== 'object') return;
+    if (!Array.isArray(ent.tags)) ent.tags = [];
+    if (ent.type === 'pc') {
+      ['skills', 'domains', 'resistances', 'inventory', 'tasks', 'bonds', 'fallout', 'advances',
+        'advanceHistory', 'refreshHistory', 'classBondResponses'].forEach((key) => {
+        if (!Array.isArray(ent[key])) ent[key] = [];
+      });
+      // Older saves kept a single selected kit label.
+      if (!Array.isArray(ent.classInventorySelections)) {
+        ent.classInventorySelections = ent.classInventorySelection ? [ent.classInventorySelection] : [];
+      }
+      if (!ent.coreAbilitiesState || typeof ent.coreAbilitiesState !== 'object') ent.coreAbilitiesState = {};
+      if (ent.refreshed === undefined) ent.refreshed = false;
+      if (ent.advancePoints === undefined) ent.advancePoints = 0;
+      if (!ent.stressSlots || typeof ent.stressSlots !== 'object') ent.stressSlots = {};
+      // Older saves kept stress as a count per track.
+      if (!ent.stressFilled || typeof ent.stressFilled !== 'object') {
+        const old = (ent.stress && typeof ent.stress === 'object') ? ent.stress : {};
+        ent.stressFilled = {};
+        ['blood', 'mind', 'silver', 'shadow', 'reputation'].forEach((track) => {
+          const count = typeof old[track] === 'number' ? old[track] : 0;
+          ent.stressFilled[track] = Array.from({ length: count }, (_, i) => i);
+        });
+      }
+    } else if (ent.type === 'npc') {
+      if (!ent.bondStressSlots) ent.bondStressSlots = 10;
+      if (!Array.isArray(ent.bondStressFilled)) ent.bondStressFilled = [];
+      if (!Array.isArray(ent.inventory)) ent.inventory = [];
+      if (!Array.isArray(ent.fallout)) ent.fallout = [];
+    }
+  }
+
+  /**
+   * Ordered campaign migrations, run by SpireRulesEngine.runMigrations on
+   * every stored, imported, joined or cloud-loaded campaign. Each entry
+   * upgrades the previous schema version to `version`.
+   */
+  const CAMPAIGN_MIGRATIONS = [
+    {
+      version: 2,
+      name: 'Fill campaign defaults',
+      up(camp) {
+        if (!camp.entities || typeof camp.entities !== 'object') camp.entities = {};
+        if (!camp.relationships || typeof camp.relationships !== 'object') camp.relationships = {};
+        if (!camp.positions || typeof camp.positions !== 'object') camp.positions = {};
+        if (!Array.isArray(camp.logs)) camp.logs = [];
+        if (!Array.isArray(camp.relTypes)) camp.relTypes = DEFAULT_REL_TYPES.slice();
+        if (!Array.isArray(camp.gmUsers)) camp.gmUsers = [];
+        if (!Array.isArray(camp.memberUsers)) camp.memberUsers = [];
+        if (!camp.currentSession) camp.currentSession = 1;
+        if (camp.allowPlayerEditing === undefined) camp.allowPlayerEditing = true;
+        if (!camp.gmPin) camp.gmPin = '';
+        if (camp.ministryAttention === undefined) camp.ministryAttention = 0;
+        if (camp.inviteCode === undefined) camp.inviteCode = '';
+        if (camp.sourceInviteCode === undefined) camp.sourceInviteCode = '';
+        if (camp.cloudCampaignId === undefined) camp.cloudCampaignId = '';
+        if (!camp.rulesProfile) camp.rulesProfile = 'Core';
+        if (!camp.customRules) {
+          camp.customRules = {
+            difficultyDowngrades: true,
+            falloutCheckOnStress: true,
+            clearStressOnFallout: true
+          };
+        }
+        if (!camp.sourcebooks || typeof camp.sourcebooks !== 'object') camp.sourcebooks = defaultSourcebooks();
+        Object.entries(defaultSourcebooks()).forEach(([key, val]) => {
+          if (camp.sourcebooks[key] === undefined) camp.sourcebooks[key] = val;
+        });
+        if (!camp.falloutGuidance) camp.falloutGuidance = defaultFalloutGuidance();
+        if (!Array.isArray(camp.refreshCompendium)) camp.refreshCompendium = defaultRefreshCompendium();
+        if (!Array.isArray(camp.falloutCompendium)) camp.falloutCompendium = defaultFalloutCompendium();
+        if (!Array.isArray(camp.equipmentCompendium)) camp.equipmentCompendium = defaultEquipmentCompendium();
+        if (!camp.graphViews) camp.graphViews = {};
+        if (!camp.sectionCollapse) camp.sectionCollapse = {};
+        if (!camp.taskViewByPc || typeof camp.taskViewByPc !== 'object') camp.taskViewByPc = {};
+        if (!camp.taskSortByPc || typeof camp.taskSortByPc !== 'object') camp.taskSortByPc = {};
+        if (camp.sessionPrepTasksOnly === undefined) camp.sessionPrepTasksOnly = false;
+        if (!['manual', 'name', 'pinned'].includes(camp.entitySort)) camp.entitySort = 'manual';
+        if (camp.entityPinnedOnly === undefined) camp.entityPinnedOnly = false;
+        if (!Array.isArray(camp.messages)) camp.messages = [];
+        if (!Array.isArray(camp.gmNotes)) camp.gmNotes = [];
+        if (!Array.isArray(camp.clocks)) camp.clocks = [];
+        if (camp.lastScenePrompt === undefined) camp.lastScenePrompt = null;
+        if (!Array.isArray(camp.scenarioPacks)) camp.scenarioPacks = [];
+        if (!Array.isArray(camp.homebrewClasses)) camp.homebrewClasses = [];
+        if (!camp.uiTipsDismissed || typeof camp.uiTipsDismissed !== 'object') camp.uiTipsDismissed = {};
+        if (!camp.relationshipUndo || typeof camp.relationshipUndo !== 'object') camp.relationshipUndo = {};
+        if (!camp.relationshipRedo || typeof camp.relationshipRedo !== 'object') camp.relationshipRedo = {};
+        if (!Array.isArray(camp.undoStack)) camp.undoStack = [];
+        if (!Array.isArray(camp.redoStack)) camp.redoStack = [];
+      }
+    },
+    {
+      version: 3,
+      name: 'Fill entity defaults',
+      up(camp) {
+        Object.values(camp.entities).forEach(fillEntityDefaults);
+      }
+    },
+    {
+      version: 4,
+      name: 'Add import quarantine',
+      up(camp) {
+        if (!Array.isArray(camp.importQuarantine)) camp.importQuarantine = [];
+      }
+    }
+  ];
+
+  /** Bring one campaign up to SCHEMA_VERSION (see SpireRulesEngine.runMigrations). */
+  function migrateCampaign(camp) {
+    return RulesEngine.runMigrations(camp, CAMPAIGN_MIGRATIONS, SCHEMA_VERSION);
+  }
+
+  /**
+   * Migrate a stored map of campaigns. Campaigns that can't be migrated
+   * (newer schema or a failed migration) come back untouched in `refused`
+   * with a message each in `errors`.
+   */
+  function migrateCampaignMap(map) {
+    const campaigns = {};
+    const refused = {};
+    const errors = [];
+    Object.entries(map || {}).forEach(([id, camp]) => {
+      if (!camp || typeof camp !== 'object') return;
+      const result = migrateCampaign(camp);
+      if (result.ok) {
+        campaigns[id] = result.data;
+      } else {
+        refused[id] = camp;
+        errors.push(`"${camp.name || id}": ${result.error}`);
+      }
+    });
+    return { campaigns, refused, errors };
+  }
+
+  async function loadCampaigns() {
     try {
       if (!state.currentUser) {
         state.campaigns = {};
@@ -1580,11 +2366,15 @@
         return true;
       }
       state.lastSeenRevision = localStorage.getItem(userScopedKey('spire-campaigns-rev')) || '';
-      const raw = localStorage.getItem(userScopedKey('spire-campaigns'));
-      if (raw) {
-        const parsed = JSON.parse(raw);
-        // Migrate if needed (schemaVersion future use)
-        state.campaigns = parsed.campaigns || {};
+      const parsed = await CampaignStore.load(state.currentUser);
+      if (parsed && parsed.migrated) showToast('Moved saved campaigns from localStorage to IndexedDB.', 'info');
+      if (parsed) {
+        const loaded = migrateCampaignMap(parsed.campaigns);
+        state.campaigns = loaded.campaigns;
+        state.unsupportedCampaigns = loaded.refused;
+        state.savedFingerprints = {};
+        state.mergeBase = fingerprintCampaigns(state.campaigns);
+        if (loaded.errors.length) showToast(`Not loaded: ${loaded.errors.join(' ')}`, 'warn');
         state.currentCampaignId = parsed.currentCampaignId;
         // Sanity check: ensure at least one campaign exists
         if (!state.currentCampaignId || !state.campaigns[state.currentCampaignId]) {
@@ -1606,8 +2396,112 @@
   }
 
   /**
-   * Save campaigns and current campaign id back into localStorage.
+   * Work out what changed since the last local write (see
+   * RulesEngine.campaignFingerprint). Only campaigns opened for editing
+   * since then (see currentCampaign) or never written are fingerprinted
+   * again; the rest keep their saved fingerprint. `records` counts the
+   * entities, relationships, log entries and fields that need writing.
+   */
+  function collectCampaignChanges() {
+    // Campaigns this app can't read are written back untouched.
+    const campaigns = Object.assign({}, state.unsupportedCampaigns, state.campaigns);
+    const changes = { currentCampaignId: state.currentCampaignId, campaignIds: Object.keys(campaigns), campaigns: {} };
+    const fingerprints = {};
+    let records = Object.keys(state.savedFingerprints).filter((id) => !campaigns[id]).length;
+    const dirty = state.dirtyCampaignIds;
+    state.dirtyCampaignIds = {};
+    Object.entries(campaigns).forEach(([id, camp]) => {
+      const saved = state.savedFingerprints[id] || null;
+      if (saved && !dirty[id] && id !== state.currentCampaignId) {
+        fingerprints[id] = saved;
+        return;
+      }
+      const fp = RulesEngine.campaignFingerprint(camp);
+      const diff = RulesEngine.diffCampaignFingerprints(saved, fp);
+      const size = RulesEngine.campaignDiffSize(diff);
+      fingerprints[id] = fp;
+      if (!size) return;
+      records += size;
+      changes.campaigns[id] = RulesEngine.campaignChangeSet(camp, diff);
+    });
+    if (changes.currentCampaignId !== state.savedCurrentCampaignId) records += 1;
+    return { changes, fingerprints, records, payload: { campaigns, currentCampaignId: state.currentCampaignId } };
+  }
+
+  function fingerprintCampaigns(campaigns) {
+    const out = {};
+    Object.entries(campaigns || {}).forEach(([id, camp]) => { out[id] = RulesEngine.campaignFingerprint(camp); });
+    return out;
+  }
+
+  function describeSaveTiming() {
+    const parts = [];
+    const local = state.lastSaveTiming;
+    if (local) parts.push(`${local.records} change${local.records === 1 ? '' : 's'} written in ${local.totalMs} ms (prepared in ${local.prepareMs} ms)`);
+    const cloud = state.lastCloudSave;
+    if (cloud) parts.push(cloud.mode === 'patch' ? `${cloud.rows} cloud row${cloud.rows === 1 ? '' : 's'} saved in ${cloud.ms} ms` : `full cloud upload in ${cloud.ms} ms`);
+    return parts.join('; ');
+  }
+
+  /**
+   * Write a collectCampaignChanges result to the campaign store in the
+   * background: only the changed records with IndexedDB, the whole payload
+   * with the localStorage fallback (or when `prepared.changes` is null).
+   * The revision token other tabs watch (a small localStorage key) is only
+   * published once the write has landed, so a tab that reloads on it reads
+   * the new data.
+   */
+  function writeCampaignStore(prepared, revisionToken, startedAt = performance.now()) {
+    const user = state.currentUser;
+    const revKey = userScopedKey('spire-campaigns-rev');
+    const incremental = !!prepared.changes && CampaignStore.backend() === 'indexeddb';
+    if (incremental && CampaignStore.backupDue(user)) prepared.changes.backup = prepared.payload;
+    const write = incremental
+      ? CampaignStore.saveChanges(user, prepared.changes)
+      : CampaignStore.save(user, prepared.payload);
+    const prepareMs = Math.round(performance.now() - startedAt);
+    // Later saves diff against this write. A full write from outside
+    // collectCampaignChanges leaves nothing to diff against.
+    state.savedFingerprints = prepared.changes ? prepared.fingerprints : {};
+    state.mergeBase = prepared.changes ? prepared.fingerprints : fingerprintCampaigns(prepared.payload.campaigns);
+    state.savedCurrentCampaignId = prepared.payload.currentCampaignId;
+    return write
+      .then(() => {
+        localStorage.setItem(revKey, revisionToken);
+        state.lastSaveTiming = { records: prepared.records, prepareMs, totalMs: Math.round(performance.now() - startedAt) };
+        setSaveState('saved', '', describeSaveTiming());
+      })
+      .catch((err) => {
+        console.warn('Local save failed', err);
+        // Unknown how much landed: rewrite these campaigns in full next time.
+        Object.keys((prepared.changes && prepared.changes.campaigns) || prepared.payload.campaigns || {})
+          .forEach((id) => { delete state.savedFingerprints[id]; });
+        const full = err && (err.name === 'QuotaExceededError' || /quota/i.test(String(err.message || '')));
+        setSaveState('error', full ? 'Browser storage is full' : 'Local save failed');
+        if (full) showToast('Browser storage is full. Check Settings > Storage, remove old portraits or export a backup.', 'warn');
+      });
+  }
+
+  function formatBytes(bytes) {
+    const n = Number(bytes) || 0;
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    if (n < 1024 * 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+    return `${(n / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  }
+
+  /**
+   * Rough stored size of a campaign in bytes (JSON length), split out into
+   * portrait data URLs and undo/redo snapshots, the two usual space hogs.
    */
+  function campaignStorageSize(camp) {
+    if (!camp) return { total: 0, portraits: 0, history: 0 };
+    const size = (value) => (value === undefined ? 0 : JSON.stringify(value).length);
+    const portraits = Object.values(camp.entities || {})
+      .reduce((n, ent) => n + (ent && typeof ent.image === 'string' && ent.image.startsWith('data:') ? ent.image.length : 0), 0);
+    return { total: size(camp), portraits, history: size(camp.undoStack) + size(camp.redoStack) };
+  }
+
   function conflictWarningText() {
     const edits = Number(state.localEditsSinceConflict || 0);
     if (!state.syncConflictActive) return 'Updated in another tab';
@@ -1676,15 +2570,13 @@
         const msg = `Sync conflict: queued changes based on older revision (${ops.length} queued)`;
         setSyncConflictWarning(true, msg);
         setSaveState('error', msg);
+        scheduleAutoMerge();
         return false;
       }
-      const serialized = JSON.stringify(latest.payload);
-      localStorage.setItem(userScopedKey('spire-campaigns'), serialized);
       const revisionToken = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
-      localStorage.setItem(userScopedKey('spire-campaigns-rev'), revisionToken);
       state.lastSeenRevision = revisionToken;
-      localStorage.setItem(userScopedKey('spire-campaigns-backup'), serialized);
-      localStorage.setItem(userScopedKey('spire-campaigns-backup-ts'), new Date().toISOString());
+      const records = Object.keys(latest.payload.campaigns || {}).length;
+      writeCampaignStore({ changes: null, fingerprints: {}, records, payload: latest.payload }, revisionToken);
       savePendingOps([]);
       broadcastRealtimeUpdate({
         type: 'campaign_saved',
@@ -1716,6 +2608,21 @@
     state.realtimeChannel = null;
     state.supabaseRealtimeChannel = null;
     state.realtimeTransport = 'local';
+    closeCampaignRealtimeChannel();
+  }
+
+  function closeCampaignRealtimeChannel() {
+    try {
+      if (state.campaignChannel) state.campaignChannel.close();
+    } catch (_) {}
+    try {
+      if (state.supabaseCampaignChannel && typeof state.supabaseCampaignChannel.unsubscribe === 'function') {
+        state.supabaseCampaignChannel.unsubscribe();
+      }
+    } catch (_) {}
+    state.campaignChannel = null;
+    state.supabaseCampaignChannel = null;
+    state.replica = null;
   }
 
   function handleIncomingRealtimeMessage(msg) {
@@ -1727,16 +2634,170 @@
     const conflictMsg = `Updated elsewhere${actor}`;
     setSyncConflictWarning(true, conflictMsg);
     setSaveState('error', conflictMsg);
+    scheduleAutoMerge();
   }
 
-  function canUseSupabaseRealtime() {
-    const cfg = state.syncConfig || loadSyncConfig();
-    if (!cfg || cfg.transport !== 'supabase') return false;
-    return !!(cfg.supabaseUrl && cfg.supabaseAnonKey && window.SpireOnlineClient && typeof window.SpireOnlineClient.init === 'function');
-  }
-
-  function canUseOnlineApi() {
-    const cfg = state.syncConfig || loadSyncConfig();
+  /**
+   * Events shared with every member of a campaign (not just this user's
+   * other tabs): live dice rolls and replica updates. `fromThisBrowser`
+   * marks events from the BroadcastChannel rather than the network.
+   */
+  function handleIncomingCampaignEvent(msg, fromThisBrowser = false) {
+    if (!msg || msg.clientId === state.clientId) return;
+    const camp = currentCampaign();
+    if (!camp || msg.campaignId !== camp.id) return;
+    if (String(msg.type).startsWith('crdt_')) {
+      receiveReplicaUpdate(msg, fromThisBrowser);
+      return;
+    }
+    if (msg.type !== 'dice_roll' || !msg.entry) return;
+    if (msg.entry.secret && !state.gmMode) return;
+    // With Supabase the same roll also arrives over the BroadcastChannel.
+    if (!pushRollFeedEntry(msg.entry)) return;
+    const who = msg.entry.actor || 'Someone';
+    showToast(`${msg.entry.secret ? '[Secret] ' : ''}${who}: ${msg.entry.action}`, 'info');
+  }
+
+  // -----------------------------------------------------------------------
+  //  CAMPAIGN REPLICA
+  // -----------------------------------------------------------------------
+  // Entities, relationships, messages, logs and clocks are also kept as a
+  // replicated document (see RulesEngine.createCrdtReplica) whose updates
+  // go to every member over the campaign channel, so concurrent edits by
+  // the GM and players converge without a conflict prompt.
+  const CAMPAIGN_REPLICA_EVENTS = ['crdt_delta', 'crdt_hello', 'crdt_state'];
+  const REPLICA_STATE_REQUEST_MS = 10 * 1000;
+  let replicaPersistTimer = null;
+  let replicaStateRequestedAt = 0;
+  let remoteRefreshPending = false;
+
+  /**
+   * Start this tab's replica of the current campaign and send the other
+   * members what it has edited, asking for theirs in return.
+   */
+  async function initCampaignReplica() {
+    state.replica = null;
+    const campaignId = state.currentCampaignId;
+    if (!campaignId || !state.currentUser) return;
+    let saved = null;
+    try {
+      saved = await CampaignStore.loadReplica(state.currentUser, campaignId);
+    } catch (err) {
+      console.warn('Could not read replica state', err);
+    }
+    const camp = currentCampaign();
+    if (!camp || camp.id !== campaignId) return;
+    state.replica = { campaignId, doc: RulesEngine.createCrdtReplica(camp, state.clientId, saved) };
+    replicaStateRequestedAt = Date.now();
+    shareReplicaUpdate('crdt_hello', RulesEngine.crdtStateDelta(state.replica.doc, camp), camp);
+  }
+
+  /**
+   * Send a replica delta (crdt_delta) or state (crdt_hello, crdt_state).
+   * Players share the campaign channel, so what goes on it leaves GM
+   * material out and drops records the GM hid from players' replicas;
+   * this browser's tabs keep those records.
+   */
+  function shareReplicaUpdate(type, delta, camp) {
+    const key = type === 'crdt_delta' ? 'delta' : 'state';
+    const forTabs = RulesEngine.crdtPlayerSafeDelta(delta, camp);
+    const forChannel = RulesEngine.crdtPlayerSafeDelta(delta, camp, { deleteHidden: true });
+    if (forTabs || key === 'state') postToCampaignTabs(campaignEventMessage({ type, [key]: forTabs || {} }));
+    if (forChannel || key === 'state') sendToCampaignChannel(campaignEventMessage({ type, [key]: forChannel || {} }));
+  }
+
+  function persistReplica() {
+    const replica = state.replica;
+    const user = state.currentUser;
+    if (!replica || !user) return;
+    clearTimeout(replicaPersistTimer);
+    replicaPersistTimer = setTimeout(() => {
+      CampaignStore.saveReplica(user, replica.campaignId, RulesEngine.crdtPersistedState(replica.doc))
+        .catch((err) => console.warn('Saving replica state failed', err));
+    }, 1000);
+  }
+
+  /** Stamp and send this tab's edits to the current campaign, if any. */
+  function publishReplicaChanges() {
+    const camp = currentCampaign();
+    const replica = state.replica;
+    if (!camp || !replica || replica.campaignId !== camp.id) return;
+    const delta = RulesEngine.crdtLocalChanges(replica.doc, camp);
+    if (!delta) return;
+    shareReplicaUpdate('crdt_delta', delta, camp);
+    persistReplica();
+  }
+
+  // Re-render for another member's edit, but not under someone typing.
+  function refreshAfterRemoteChange() {
+    const active = document.activeElement;
+    if (active && /^(INPUT|TEXTAREA|SELECT)$/.test(active.tagName)) {
+      saveWithoutRefresh();
+      if (remoteRefreshPending) return;
+      remoteRefreshPending = true;
+      active.addEventListener('blur', () => {
+        remoteRefreshPending = false;
+        saveAndRefresh();
+      }, { once: true });
+      return;
+    }
+    saveAndRefresh();
+  }
+
+  /**
+   * What the sender of a replica update may change, as
+   * RulesEngine.crdtPlayerEditDelta wants it. PC ownership comes from the
+   * cloud rows, where save_player_records set it.
+   */
+  function replicaEditorFor(camp, user) {
+    const cached = state.cloudRecords[camp.cloudCampaignId];
+    const rows = cached && cached.rows.entities ? Object.values(cached.rows.entities) : [];
+    return {
+      user,
+      pcIds: user ? rows.filter(row => row.owner_user === user).map(row => row.id) : [],
+      allowPcEditing: camp.allowPlayerEditing !== false
+    };
+  }
+
+  /**
+   * Apply another member's replica update. A newcomer's hello is answered
+   * with this replica's state; an edit to a record this replica never saw
+   * whole asks the others for theirs. A GM's next save uploads whatever
+   * lands here with GM rights, so a GM keeps only what the sender could
+   * save as a player unless the update came from one of the GM's own tabs
+   * (other GMs' edits reach it through the cloud instead).
+   */
+  function receiveReplicaUpdate(msg, fromThisBrowser = false) {
+    const camp = currentCampaign();
+    const replica = state.replica;
+    if (!camp || !replica || replica.campaignId !== camp.id) return;
+    // Stamp our own unsent edits before theirs land on the same records.
+    publishReplicaChanges();
+    let incoming = msg.type === 'crdt_delta' ? msg.delta : msg.state;
+    const trusted = fromThisBrowser && msg.user === state.currentUser;
+    if (!trusted && (camp.gmUsers || []).includes(state.currentUser)) {
+      incoming = RulesEngine.crdtPlayerEditDelta(incoming, camp, replicaEditorFor(camp, msg.user));
+    }
+    const result = RulesEngine.applyCrdtDelta(replica.doc, camp, incoming);
+    if (msg.type === 'crdt_hello') {
+      shareReplicaUpdate('crdt_state', RulesEngine.crdtStateDelta(replica.doc, camp), camp);
+    } else if (result.missing.length && Date.now() - replicaStateRequestedAt > REPLICA_STATE_REQUEST_MS) {
+      replicaStateRequestedAt = Date.now();
+      shareReplicaUpdate('crdt_hello', RulesEngine.crdtStateDelta(replica.doc, camp), camp);
+    }
+    if (!result.changed) return;
+    persistReplica();
+    refreshAfterRemoteChange();
+  }
+
+  function canUseSupabaseRealtime() {
+    const cfg = state.syncConfig || loadSyncConfig();
+    if (!cfg || cfg.transport !== 'supabase') return false;
+    return !!(cfg.supabaseUrl && cfg.supabaseAnonKey && window.SpireOnlineClient && typeof window.SpireOnlineClient.init === 'function');
+  }
+
+  function canUseOnlineApi() {
+    const cfg = state.syncConfig || loadSyncConfig();
     return !!(cfg && cfg.transport === 'supabase' && cfg.supabaseUrl && cfg.supabaseAnonKey
       && window.SpireOnlineClient && typeof window.SpireOnlineClient.init === 'function');
   }
@@ -1774,31 +2835,80 @@
     return fallback || '';
   }
 
+  /**
+   * Rebuild a cloud campaign from campaigns.data and its record rows,
+   * fetching only rows whose updated_at moved since this session last
+   * loaded them. Campaigns saved before records had their own tables
+   * carry everything in campaigns.data and come back as they are, with
+   * no rows fingerprint (so the next push uploads them as rows).
+   */
+  async function loadCloudCampaign(cloudId, data, role) {
+    if (data.entities) return { data, fingerprint: null };
+    const cache = state.cloudRecords[cloudId] || { stamps: {}, rows: {} };
+    const stamps = await window.SpireOnlineClient.listCampaignRecordStamps(cloudId);
+    const rows = {};
+    for (const [kind, kindStamps] of Object.entries(stamps)) {
+      const known = cache.rows[kind] || {};
+      const knownStamps = cache.stamps[kind] || {};
+      const keys = Object.keys(kindStamps);
+      const stale = keys.filter(key => !known[key] || knownStamps[key] !== kindStamps[key]);
+      rows[kind] = {};
+      keys.forEach((key) => { if (known[key]) rows[kind][key] = known[key]; });
+      if (stale.length) {
+        const fetched = await window.SpireOnlineClient.loadCampaignRecords(cloudId, kind, stale.length === keys.length ? null : stale);
+        Object.assign(rows[kind], fetched);
+      }
+    }
+    state.cloudRecords[cloudId] = { stamps, rows };
+    const camp = RulesEngine.campaignFromCloudRows(data, rows);
+    const fingerprint = RulesEngine.cloudRowsFingerprint(RulesEngine.campaignCloudRows(camp));
+    // Which PC a player owns is kept per player in the cloud, not in the shared fields.
+    if (role !== 'gm') {
+      const owned = Object.values(rows.entities || {}).find(row => row.owner_user === state.currentUser && row.data && row.data.type === 'pc');
+      camp.playerOwnedPcId = owned ? owned.id : null;
+    }
+    return { data: camp, fingerprint };
+  }
+
   async function syncCampaignsFromCloud() {
     if (!state.currentUser || !canUseOnlineApi() || !initOnlineClient()) return false;
     const rows = await window.SpireOnlineClient.listMyCampaigns();
     const nextCampaigns = {};
-    (rows || []).forEach((row) => {
+    const nextFingerprints = {};
+    const refused = [];
+    for (const row of rows || []) {
       const remote = row && row.campaign ? row.campaign : null;
-      if (!remote || !remote.id) return;
-      const remoteData = (remote.data && typeof remote.data === 'object') ? JSON.parse(JSON.stringify(remote.data)) : {};
+      if (!remote || !remote.id) continue;
+      const loaded = await loadCloudCampaign(String(remote.id), (remote.data && typeof remote.data === 'object') ? remote.data : {}, row.role);
+      const migrated = migrateCampaign(loaded.data);
+      if (!migrated.ok) {
+        refused.push(`"${remote.name || remote.id}": ${migrated.error}`);
+        continue;
+      }
+      const remoteData = migrated.data === remote.data ? JSON.parse(JSON.stringify(remote.data)) : migrated.data;
       const localId = (typeof remoteData.id === 'string' && remoteData.id.trim()) ? remoteData.id.trim() : String(remote.id);
-      if (!remoteData.entities || typeof remoteData.entities !== 'object') remoteData.entities = {};
-      if (!remoteData.relationships || typeof remoteData.relationships !== 'object') remoteData.relationships = {};
-      if (!Array.isArray(remoteData.logs)) remoteData.logs = [];
-      if (!Array.isArray(remoteData.relTypes)) remoteData.relTypes = DEFAULT_REL_TYPES.slice();
-      if (!Array.isArray(remoteData.memberUsers)) remoteData.memberUsers = [];
       if (!remoteData.memberUsers.includes(state.currentUser)) remoteData.memberUsers.push(state.currentUser);
-      if (!Array.isArray(remoteData.gmUsers)) remoteData.gmUsers = [];
       if (row && row.role === 'gm' && !remoteData.gmUsers.includes(state.currentUser)) remoteData.gmUsers.push(state.currentUser);
       remoteData.id = localId;
       remoteData.cloudCampaignId = String(remote.id);
       remoteData.name = remoteData.name || remote.name || 'Campaign';
       if (!remoteData.owner) remoteData.owner = state.currentUser;
+      // Undo/redo history stays on this device.
+      const local = state.campaigns[localId];
+      if (loaded.fingerprint && local) {
+        remoteData.undoStack = Array.isArray(local.undoStack) ? local.undoStack : [];
+        remoteData.redoStack = Array.isArray(local.redoStack) ? local.redoStack : [];
+      }
       nextCampaigns[localId] = remoteData;
-    });
+      if (loaded.fingerprint) nextFingerprints[localId] = loaded.fingerprint;
+    }
+    if (refused.length) showToast(`Not loaded from cloud: ${refused.join(' ')}`, 'warn');
     if (!Object.keys(nextCampaigns).length) return false;
+    Object.values(state.campaigns).forEach((camp) => {
+      if (nextCampaigns[camp.id]) checkpointCampaign(camp, 'merge', 'Before cloud sync');
+    });
     state.campaigns = nextCampaigns;
+    state.cloudFingerprints = nextFingerprints;
     if (!state.currentCampaignId || !state.campaigns[state.currentCampaignId]) {
       state.currentCampaignId = Object.keys(state.campaigns)[0];
     }
@@ -1806,21 +2916,125 @@
     return true;
   }
 
+  function cloudEntityRow(camp, id) {
+    const cached = state.cloudRecords[camp.cloudCampaignId];
+    return cached && cached.rows.entities ? cached.rows.entities[id] || null : null;
+  }
+
+  /**
+   * What a player's cloud push may carry (save_player_records checks it
+   * again server-side): their own PC, or a new one sent whole until the
+   * cloud knows they created it, NPCs they submitted and messages they
+   * sent. A PC the cloud already holds for someone else (or no one) is
+   * never sent.
+   */
+  function playerCloudChanges(camp, split, changes) {
+    const me = state.currentUser;
+    const pcId = camp.playerOwnedPcId;
+    const claimed = cloudEntityRow(camp, pcId);
+    const mine = !claimed || claimed.owner_user === me;
+    const entities = ((changes && changes.put.entities) || []).filter(row => (
+      (row.id === pcId && row.data.type === 'pc' && mine) ||
+      (row.data.type === 'npc' && row.data.pendingApproval && row.data.submittedBy === me)
+    ));
+    if (pcId && !claimed && split.rows.entities[pcId] && !entities.some(row => row.id === pcId)) {
+      entities.push(split.rows.entities[pcId]);
+    }
+    const messages = ((changes && changes.put.messages) || []).filter(row => row.from_user === me);
+    const logs = ((changes && changes.put.logs) || []).filter(row => (
+      row.data && row.data.type === 'roll' && row.data.actor === me && row.data.actorRole === 'player'
+    ));
+    const size = entities.length + messages.length + logs.length;
+    return size ? { entities, messages, logs, size } : null;
+  }
+
+  // Remember a pushed claim so the PC isn't re-sent whole on every save.
+  function notePlayerClaim(camp, split) {
+    const row = split.rows.entities[camp.playerOwnedPcId];
+    if (!row) return;
+    const cached = state.cloudRecords[camp.cloudCampaignId] || (state.cloudRecords[camp.cloudCampaignId] = { stamps: {}, rows: {} });
+    if (!cached.rows.entities) cached.rows.entities = {};
+    cached.rows.entities[row.id] = Object.assign({}, row, { owner_user: state.currentUser });
+  }
+
+  /**
+   * Push the current campaign to the cloud as rows (see
+   * RulesEngine.campaignCloudRows), writing only the rows that changed
+   * since the last push or load. When the cloud copy is unknown its row
+   * keys are fetched first so records removed here are deleted there.
+   * Players push through playerCloudChanges instead.
+   */
   async function persistCurrentCampaignToCloud() {
     if (!state.currentUser || !canUseOnlineApi() || !initOnlineClient()) return false;
     const camp = currentCampaign();
     if (!camp) return false;
+    const startedAt = performance.now();
     let cloudId = camp.cloudCampaignId || '';
     if (!cloudId) {
       const createdId = await window.SpireOnlineClient.createCampaign(camp.name || 'New Campaign');
       cloudId = String(createdId || '').trim();
       if (!cloudId) throw new Error('Failed to create cloud campaign.');
       camp.cloudCampaignId = cloudId;
+      delete state.cloudFingerprints[camp.id];
+    }
+    const split = RulesEngine.campaignCloudRows(camp);
+    const fp = RulesEngine.cloudRowsFingerprint(split);
+    let prev = state.cloudFingerprints[camp.id] || null;
+    const mode = prev ? 'patch' : 'full';
+    if (!prev) {
+      const stamps = await window.SpireOnlineClient.listCampaignRecordStamps(cloudId);
+      prev = { fields: null, rows: {} };
+      Object.entries(stamps).forEach(([kind, keys]) => {
+        prev.rows[kind] = {};
+        Object.keys(keys).forEach((key) => { prev.rows[kind][key] = ''; });
+      });
     }
-    await window.SpireOnlineClient.saveCampaignData(cloudId, camp);
+    const isGm = (camp.gmUsers || []).includes(state.currentUser);
+    const changes = RulesEngine.cloudRowChanges(prev, fp, split);
+    const playerChanges = isGm ? null : playerCloudChanges(camp, split, changes);
+    state.cloudFingerprints[camp.id] = fp;
+    if (isGm ? !changes : !playerChanges) return true;
+    let refused = [];
+    try {
+      if (isGm) {
+        await window.SpireOnlineClient.saveCampaignRecords(cloudId, changes);
+      } else {
+        const result = await window.SpireOnlineClient.savePlayerRecords(cloudId, playerChanges.entities, playerChanges.messages, playerChanges.logs);
+        refused = result.refused;
+        if (!refused.includes(camp.playerOwnedPcId)) notePlayerClaim(camp, split);
+      }
+    } catch (err) {
+      delete state.cloudFingerprints[camp.id];
+      throw err;
+    }
+    state.lastCloudSave = { mode, rows: (isGm ? changes : playerChanges).size, ms: Math.round(performance.now() - startedAt) };
+    if (refused.length) {
+      forgetRefusedCloudRows(fp, prev, refused);
+      const names = refused.map((id) => {
+        if (camp.entities[id]) return entityLabel(camp.entities[id]);
+        return fp.rows.logs && id in fp.rows.logs ? 'a roll' : 'a message';
+      }).join(', ');
+      const msg = `Cloud refused ${refused.length} change${refused.length === 1 ? '' : 's'} (${names})`;
+      setSaveState('error', msg);
+      showToast(`${msg}. The GM may have turned off player editing, or the character belongs to someone else; they will be offered again on your next save.`, 'warn');
+      return false;
+    }
+    setSaveState('saved', '', describeSaveTiming());
     return true;
   }
 
+  // Put refused rows back to what the cloud holds, so the next push sends them again.
+  function forgetRefusedCloudRows(fp, prev, refused) {
+    ['entities', 'messages', 'logs'].forEach((kind) => {
+      refused.forEach((key) => {
+        if (!fp.rows[kind] || !(key in fp.rows[kind])) return;
+        const before = prev.rows[kind] ? prev.rows[kind][key] : undefined;
+        if (before === undefined) delete fp.rows[kind][key];
+        else fp.rows[kind][key] = before;
+      });
+    });
+  }
+
   function initSupabaseRealtimeChannel() {
     if (!state.currentUser || !canUseSupabaseRealtime()) return false;
     try {
@@ -1848,11 +3062,52 @@
     }
   }
 
+  function initCampaignRealtimeChannel() {
+    closeCampaignRealtimeChannel();
+    const camp = currentCampaign();
+    if (!camp) return;
+    resetRollFeed(camp);
+    void initCampaignReplica();
+    if (state.realtimeTransport === 'supabase') {
+      try {
+        const client = window.SpireOnlineClient.init({
+          url: state.syncConfig.supabaseUrl,
+          anonKey: state.syncConfig.supabaseAnonKey
+        });
+        const channel = client.channel(`spire-campaign-${camp.cloudCampaignId || camp.id}`);
+        ['dice_roll'].concat(CAMPAIGN_REPLICA_EVENTS).forEach((event) => {
+          channel.on('broadcast', { event }, (evt) => {
+            handleIncomingCampaignEvent(evt && evt.payload ? evt.payload : null);
+          });
+        });
+        channel.subscribe();
+        state.supabaseCampaignChannel = channel;
+      } catch (e) {
+        console.warn('Supabase campaign channel unavailable.', e);
+        state.supabaseCampaignChannel = null;
+      }
+    }
+    if (typeof BroadcastChannel === 'undefined') return;
+    try {
+      const channel = new BroadcastChannel(`spire-campaign-${camp.id}`);
+      channel.addEventListener('message', (evt) => {
+        handleIncomingCampaignEvent(evt && evt.data ? evt.data : null, true);
+      });
+      state.campaignChannel = channel;
+    } catch (_) {
+      state.campaignChannel = null;
+    }
+  }
+
   function initRealtimeChannel() {
     closeRealtimeChannel();
     if (!state.syncConfig) state.syncConfig = loadSyncConfig();
     if (!state.currentUser) return;
-    if (initSupabaseRealtimeChannel()) return;
+    if (initSupabaseRealtimeChannel()) {
+      initCampaignRealtimeChannel();
+      return;
+    }
+    initCampaignRealtimeChannel();
     if (typeof BroadcastChannel === 'undefined') return;
     try {
       const channel = new BroadcastChannel(`spire-realtime-${state.currentUser}`);
@@ -1890,6 +3145,56 @@
     }
   }
 
+  function campaignEventMessage(payload) {
+    const camp = currentCampaign();
+    if (!camp) return null;
+    return Object.assign({}, payload, {
+      campaignId: camp.id,
+      clientId: state.clientId,
+      user: state.currentUser || '',
+      time: new Date().toISOString()
+    });
+  }
+
+  function broadcastCampaignEvent(payload = {}) {
+    const msg = campaignEventMessage(payload);
+    if (!msg) return;
+    sendToCampaignChannel(msg);
+    postToCampaignTabs(msg);
+  }
+
+  // The shared campaign channel reaches every member, players included.
+  function sendToCampaignChannel(msg) {
+    if (!msg || !state.supabaseCampaignChannel || typeof state.supabaseCampaignChannel.send !== 'function') return;
+    try {
+      state.supabaseCampaignChannel.send({ type: 'broadcast', event: msg.type, payload: msg });
+    } catch (_) {
+      // ignore; the local channel still delivers to this browser
+    }
+  }
+
+  // The BroadcastChannel only reaches this browser's other tabs.
+  function postToCampaignTabs(msg) {
+    if (!msg || !state.campaignChannel) return;
+    try {
+      state.campaignChannel.postMessage(msg);
+    } catch (_) {
+      // ignore
+    }
+  }
+
+  /**
+   * Show a roll in the other members' feeds. Every member can read the
+   * campaign channel, so a secret roll only goes to this browser's tabs.
+   */
+  function shareRollEntry(entry) {
+    if (entry.secret) {
+      postToCampaignTabs(campaignEventMessage({ type: 'dice_roll', entry }));
+      return;
+    }
+    broadcastCampaignEvent({ type: 'dice_roll', entry });
+  }
+
   function saveCampaigns(options = {}) {
     const force = !!options.force;
     if (state.syncConflictActive && !force) {
@@ -1910,19 +3215,21 @@
         setSaveState('saved');
         return true;
       }
-      const data = {
-        campaigns: state.campaigns,
-        currentCampaignId: state.currentCampaignId
-      };
-      const serialized = JSON.stringify(data);
-      localStorage.setItem(userScopedKey('spire-campaigns'), serialized);
+      const startedAt = performance.now();
+      // A forced save overwrites whatever another tab stored since our last write.
+      if (force) state.savedFingerprints = {};
+      const prepared = collectCampaignChanges();
+      if (!prepared.records) {
+        setSaveState('saved', '', describeSaveTiming());
+        setSyncConflictWarning(false);
+        return true;
+      }
       const revisionToken = `${Date.now()}-${Math.random().toString(36).slice(2, 7)}`;
-      localStorage.setItem(userScopedKey('spire-campaigns-rev'), revisionToken);
       state.lastSeenRevision = revisionToken;
-      // Keep a rolling backup for quick manual recovery.
-      localStorage.setItem(userScopedKey('spire-campaigns-backup'), serialized);
-      localStorage.setItem(userScopedKey('spire-campaigns-backup-ts'), new Date().toISOString());
-      syncOwnedSharedInvites();
+      writeCampaignStore(prepared, revisionToken, startedAt);
+      if (prepared.changes.campaigns[state.currentCampaignId]) publishReplicaChanges();
+      maybeAutoCheckpoint();
+      syncOwnedSharedInvites(Object.keys(prepared.changes.campaigns));
       broadcastRealtimeUpdate({
         type: 'campaign_saved',
         revision: revisionToken,
@@ -1930,7 +3237,7 @@
         actor: currentActorLabel(),
         actorRole: currentActorRole()
       });
-      if (canUseOnlineApi()) {
+      if (canUseOnlineApi() && prepared.changes.campaigns[state.currentCampaignId]) {
         setTimeout(() => {
           persistCurrentCampaignToCloud().catch((err) => {
             console.warn('Cloud save failed', err);
@@ -1938,7 +3245,6 @@
           });
         }, 0);
       }
-      setSaveState('saved');
       setSyncConflictWarning(false);
       return true;
     } catch (e) {
@@ -1952,6 +3258,7 @@
    * Get the currently active campaign.
    */
   function currentCampaign() {
+    if (state.currentCampaignId) state.dirtyCampaignIds[state.currentCampaignId] = true;
     return state.campaigns[state.currentCampaignId];
   }
 
@@ -1959,6 +3266,47 @@
     return RulesEngine.getRulesConfig(camp);
   }
 
+  /**
+   * Data half of the rules: fallout thresholds, clear amounts and the stress
+   * track list. Only Custom campaigns can change it (see Settings).
+   */
+  function getRulesProfile(camp = currentCampaign()) {
+    return RulesEngine.getRulesProfile(camp);
+  }
+
+  function stressTrackKeys(camp = currentCampaign()) {
+    return getRulesProfile(camp).tracks.map(t => t.key);
+  }
+
+  function stressTrackLabel(track, camp = currentCampaign()) {
+    const def = getRulesProfile(camp).tracks.find(t => t.key === track);
+    if (def) return def.label;
+    const key = String(track || '');
+    return key.charAt(0).toUpperCase() + key.slice(1);
+  }
+
+  function stressTrackCap(track, camp = currentCampaign()) {
+    const def = getRulesProfile(camp).tracks.find(t => t.key === track);
+    return def ? def.cap : 10;
+  }
+
+  function isArmourTrack(track, camp = currentCampaign()) {
+    const def = getRulesProfile(camp).tracks.find(t => t.key === track);
+    return !!(def && def.armour);
+  }
+
+  /**
+   * Resolve a roll through the rules engine using the current campaign's
+   * rules. Pass `rng` to make the roll deterministic.
+   */
+  function resolveDiceRoll(params = {}) {
+    return RulesEngine.resolveRoll(Object.assign({ rules: getRulesConfig() }, params));
+  }
+
+  function rollSingleDie(sides, rng) {
+    return RulesEngine.rollDie(sides, rng);
+  }
+
   /**
    * Append a log entry to the campaign's log. In player mode, sensitive
    * actions are omitted from the log view (but still recorded for GM).
@@ -2018,6 +3366,112 @@
     });
   }
 
+  /**
+   * Record a resolved roll on the campaign log as a structured `roll`
+   * entry. The seed lets the same dice be reproduced later with
+   * RulesEngine.createSeededRng.
+   */
+  function appendRollLog(roll, context = {}) {
+    const camp = currentCampaign();
+    if (!camp || !roll) return null;
+    const label = context.label || `D${roll.sides}`;
+    const entry = {
+      time: new Date().toISOString(),
+      action: `Rolled ${label}: ${roll.kept}${roll.finalBand ? ` (${roll.finalBand.label})` : ''}`,
+      target: context.pcId || '',
+      targetLabel: describeLogTarget(camp, context.pcId),
+      actor: currentActorLabel(),
+      actorRole: currentActorRole(),
+      type: 'roll',
+      session: camp.currentSession || 1,
+      secret: !!context.secret,
+      roll: {
+        id: generateId('roll'),
+        label,
+        pcId: context.pcId || '',
+        skill: context.skill || '',
+        domain: context.domain || '',
+        difficulty: roll.difficulty || 0,
+        assistance: roll.assistance || 0,
+        bonus: roll.bonus || 0,
+        sides: roll.sides,
+        rolls: roll.rolls.slice(),
+        kept: roll.kept,
+        downgradeSteps: roll.downgradeSteps,
+        outcome: roll.finalBand ? roll.finalBand.key : '',
+        outcomeLabel: roll.finalBand ? roll.finalBand.label : '',
+        rawOutcome: roll.rawBand ? roll.rawBand.key : '',
+        weapon: context.weapon || '',
+        tags: Array.isArray(context.tags) ? context.tags.slice() : [],
+        seed: Number.isFinite(context.seed) ? context.seed : null
+      }
+    };
+    camp.logs.push(entry);
+    return entry;
+  }
+
+  const ROLL_FEED_LIMIT = 30;
+
+  function canViewRollEntry(entry) {
+    return !!entry && (!entry.secret || state.gmMode);
+  }
+
+  /**
+   * The roll feed mixes this campaign's logged rolls with live rolls
+   * broadcast by other members. It lives in memory only; the log is the
+   * durable record.
+   */
+  function resetRollFeed(camp = currentCampaign()) {
+    const logged = Array.isArray(camp && camp.logs)
+      ? camp.logs.filter((entry) => entry && entry.type === 'roll' && entry.roll)
+      : [];
+    state.rollFeed = logged.slice(-ROLL_FEED_LIMIT);
+    renderRollFeed();
+  }
+
+  /** Add a roll to the feed; false when it is already there. */
+  function pushRollFeedEntry(entry) {
+    if (!entry || !entry.roll) return false;
+    if (state.rollFeed.some((e) => e.roll && e.roll.id === entry.roll.id)) return false;
+    state.rollFeed.push(entry);
+    while (state.rollFeed.length > ROLL_FEED_LIMIT) state.rollFeed.shift();
+    renderRollFeed();
+    return true;
+  }
+
+  function renderRollFeed() {
+    if (typeof document === 'undefined') return;
+    const host = document.getElementById('roll-feed-list');
+    if (!host) return;
+    host.innerHTML = '';
+    const visible = state.rollFeed.filter(canViewRollEntry).slice().reverse();
+    visible.forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = 'roll-feed-item' + (entry.secret ? ' roll-feed-secret' : '');
+      const who = document.createElement('strong');
+      who.textContent = entry.actor || 'Unknown';
+      li.appendChild(who);
+      li.appendChild(document.createTextNode(` ${entry.secret ? '(secret) ' : ''}${formatRollSummary(entry.roll)}`));
+      host.appendChild(li);
+    });
+    if (!visible.length) {
+      const li = document.createElement('li');
+      li.className = 'messages-empty';
+      li.textContent = 'No rolls yet.';
+      host.appendChild(li);
+    }
+  }
+
+  function formatRollSummary(roll) {
+    if (!roll) return '';
+    const pool = [roll.skill, roll.domain].filter(Boolean).join(' + ');
+    const dice = `D${roll.sides} [${(roll.rolls || []).join(', ')}] kept ${roll.kept}`;
+    const outcome = roll.outcomeLabel ? ` → ${roll.outcomeLabel}` : '';
+    const difficulty = roll.difficulty ? `, difficulty ${roll.difficulty}` : '';
+    const gear = [roll.weapon, ...(roll.tags || [])].filter(Boolean).join(', ');
+    return `${pool || roll.label || 'Roll'}: ${dice}${outcome}${difficulty}${gear ? ` [${gear}]` : ''}`;
+  }
+
   function appendSessionLog(label) {
     const camp = currentCampaign();
     camp.logs.push({
@@ -2173,6 +3627,7 @@
     });
     if (camp.relationshipRedo[relId].length > 30) camp.relationshipRedo[relId].shift();
     camp.relationships[relId] = JSON.parse(JSON.stringify(entry.data || rel));
+    findBondsForRelationship(camp, relId).forEach(({ pc, bond }) => setBondNotes(camp, pc, bond, camp.relationships[relId].notes || ''));
     appendLog('Undid relationship edit', relId);
     saveAndRefresh();
     selectRelationship(relId);
@@ -2198,6 +3653,7 @@
     if (camp.relationshipUndo[relId].length > 30) camp.relationshipUndo[relId].shift();
     const entry = redo.pop();
     camp.relationships[relId] = JSON.parse(JSON.stringify(entry.data || rel));
+    findBondsForRelationship(camp, relId).forEach(({ pc, bond }) => setBondNotes(camp, pc, bond, camp.relationships[relId].notes || ''));
     appendLog('Redid relationship edit', relId);
     saveAndRefresh();
     selectRelationship(relId);
@@ -2387,6 +3843,7 @@
 
     delete camp.entities[entityId];
     delete camp.positions[entityId];
+    syncBondLinks(camp);
     if (camp.playerOwnedPcId === entityId) camp.playerOwnedPcId = null;
     if (state.selectedEntityId === entityId) state.selectedEntityId = null;
     if (graphSelectedNodeId === entityId) graphSelectedNodeId = null;
@@ -2400,6 +3857,7 @@
     if (!rel) return false;
     const actionLabel = options.actionLabel || 'Deleted relationship';
     delete camp.relationships[relId];
+    syncBondLinks(camp);
     appendLog(actionLabel, relId);
     if (state.selectedRelId === relId) state.selectedRelId = null;
     return true;
@@ -2508,7 +3966,7 @@
         const lines = [];
         if (ent.class) lines.push(ent.class + (ent.durance ? ' / ' + ent.durance : ''));
         // Stress summary
-        const tracks = ['blood','mind','silver','shadow','reputation'];
+        const tracks = stressTrackKeys();
         const stressed = tracks.filter(t => ent.stressFilled && ent.stressFilled[t] && ent.stressFilled[t].length > 0);
         if (stressed.length) {
           lines.push('Stress: ' + stressed.map(t => t.charAt(0).toUpperCase() + ':' + ent.stressFilled[t].length + '/' + getTrackTotalSlots(ent, t)).join(' '));
@@ -2650,6 +4108,12 @@
         b.className = 'pending-badge';
         b.textContent = 'Pending';
         meta.appendChild(b);
+      } else if (Array.isArray(ent.refreshHistory) && ent.refreshHistory.some(r => r.status === 'pending')) {
+        const b = document.createElement('span');
+        b.className = 'pending-badge';
+        b.textContent = 'Refresh';
+        b.title = 'Refresh awaiting GM approval';
+        meta.appendChild(b);
       }
       if (meta.children.length) li.appendChild(meta);
 
@@ -2890,11 +4354,7 @@
     // Consolidate any duplicate resistance names (e.g. both class and durance
     // contribute to the same track) into a single merged row.
     consolidateResistances(pc);
-    // Migrate missing fields
-    if (!Array.isArray(pc.bonds)) pc.bonds = [];
     ensureSectionUndoStore(pc);
-    if (pc.refreshed === undefined) pc.refreshed = false;
-    if (pc.advancePoints === undefined) pc.advancePoints = 0;
     const campPerm = currentCampaign();
     const isOwnPC = !state.gmMode && pc.type === 'pc' && campPerm.playerOwnedPcId === pc.id && campPerm.allowPlayerEditing;
     const canEditPC = state.gmMode || isOwnPC;
@@ -3011,11 +4471,14 @@
     const classLabel = document.createElement('label');
     classLabel.textContent = 'Class';
     const classSelect = document.createElement('select');
-    const classes = ['','Azurite','Blood Witch','Bound','Carrion-Priest','Firebrand','Idol','Knight','Lahjan','Masked','Midwife','Vermissian Sage'];
+    const classes = [''].concat(getClassNames());
+    // Keep a class whose pack was removed or disabled (or a deleted homebrew
+    // class) visible on the sheet.
+    if (pc.class && !classes.includes(pc.class)) classes.push(pc.class);
     classes.forEach(cls => {
       const opt = document.createElement('option');
       opt.value = cls;
-      opt.textContent = cls || 'Select class';
+      opt.textContent = cls ? (classEffectsFor(cls) ? cls : `${cls} (unavailable)`) : 'Select class';
       if (pc.class === cls) opt.selected = true;
       classSelect.appendChild(opt);
     });
@@ -3041,10 +4504,12 @@
     durOpt.value = '';
     durOpt.textContent = 'Select durance';
     durSelect.appendChild(durOpt);
-    DURANCE_OPTIONS.forEach(dur => {
+    const durances = Object.keys(getEffectiveDuranceEffects());
+    if (pc.durance && !durances.includes(pc.durance)) durances.push(pc.durance);
+    durances.forEach(dur => {
       const opt = document.createElement('option');
       opt.value = dur;
-      opt.textContent = dur;
+      opt.textContent = duranceEffectsFor(dur) ? dur : `${dur} (unavailable)`;
       if (pc.durance === dur) opt.selected = true;
       durSelect.appendChild(opt);
     });
@@ -3068,19 +4533,14 @@
     stressSection.dataset.sectionId = 'stress';
     stressSection.innerHTML = '<h3>Stress</h3>';
 
-    // Ensure stressSlots and stressFilled exist (migrate old saves gracefully)
-    if (!pc.stressSlots) {
-      pc.stressSlots = { blood: 10, mind: 10, silver: 10, shadow: 10, reputation: 10 };
-    }
-    if (!pc.stressFilled || typeof pc.stressFilled.blood !== 'object') {
-      pc.stressFilled = {};
-      ['blood','mind','silver','shadow','reputation'].forEach(track => {
-        const old = (pc.stress && typeof pc.stress[track] === 'number') ? pc.stress[track] : 0;
-        pc.stressFilled[track] = Array.from({ length: old }, (_, i) => i);
-      });
-    }
+    const sheetTracks = stressTrackKeys();
+    // Tracks added by a custom rules profile start empty at the profile cap.
+    sheetTracks.forEach(track => {
+      if (pc.stressSlots[track] === undefined) pc.stressSlots[track] = stressTrackCap(track);
+      if (!Array.isArray(pc.stressFilled[track])) pc.stressFilled[track] = [];
+    });
 
-    ['blood','mind','silver','shadow','reputation'].forEach(track => {
+    sheetTracks.forEach(track => {
       const baseSlots = getTrackBaseSlots(pc, track);
       const freeSlots = getTrackFreeSlots(pc, track);
       const slots = getTrackTotalSlots(pc, track);
@@ -3092,7 +4552,7 @@
       // Label
       const label = document.createElement('span');
       label.className = 'stress-label';
-      label.textContent = track.charAt(0).toUpperCase() + track.slice(1);
+      label.textContent = stressTrackLabel(track);
       row.appendChild(label);
 
       // Slot controls (+/-)
@@ -3115,6 +4575,15 @@
       const slotCount = document.createElement('span');
       slotCount.className = 'stress-slot-count';
       slotCount.textContent = freeSlots > 0 ? `${baseSlots} +${freeSlots} free` : String(baseSlots);
+      const slotPenalty = falloutTrackPenalty(pc, track, 'slots');
+      const resPenalty = falloutTrackPenalty(pc, track, 'resistance');
+      if (slotPenalty || resPenalty) {
+        slotCount.classList.add('fallout-reduced');
+        slotCount.title = [
+          slotPenalty ? `−${slotPenalty} slots from fallout` : '',
+          resPenalty ? `−${resPenalty} resistance from fallout` : ''
+        ].filter(Boolean).join(', ');
+      }
 
       const plusBtn = document.createElement('button');
       plusBtn.textContent = '+';
@@ -3175,14 +4644,14 @@
       clearBtn.style.marginTop = '6px';
       clearBtn.style.fontSize = '0.78rem';
       clearBtn.addEventListener('click', () => {
-        ['blood','mind','silver','shadow','reputation'].forEach(t => setPCStressLevel(pc, t, 0, { triggerFallout: false }));
+        sheetTracks.forEach(t => setPCStressLevel(pc, t, 0, { triggerFallout: false }));
         appendLog('Cleared all stress', pc.id);
         saveAndRefresh();
       });
       stressSection.appendChild(clearBtn);
     }
     const applyStressBtn = document.createElement('button');
-    applyStressBtn.textContent = 'Apply Stress…';
+    applyStressBtn.textContent = 'Take Stress…';
     applyStressBtn.style.marginTop = '6px';
     applyStressBtn.style.marginLeft = '6px';
     applyStressBtn.style.fontSize = '0.78rem';
@@ -3195,6 +4664,23 @@
 
     // Fallout section → left col
     const { sec: falloutSec, body: falloutBody } = makeSection('fallout', 'Fallout', 'fallout', pc);
+    const activeMods = RulesEngine.activeFalloutEffects(pc.fallout);
+    if (activeMods.length) {
+      const modsBox = document.createElement('div');
+      modsBox.className = 'fallout-active-mods';
+      const modsTitle = document.createElement('div');
+      modsTitle.className = 'fallout-subsection-header';
+      modsTitle.textContent = 'Active Modifiers';
+      modsBox.appendChild(modsTitle);
+      const modsList = document.createElement('ul');
+      activeMods.forEach((mod) => {
+        const li = document.createElement('li');
+        li.textContent = `${RulesEngine.describeFalloutEffect(mod)} — ${mod.falloutName}`;
+        modsList.appendChild(li);
+      });
+      modsBox.appendChild(modsList);
+      falloutBody.appendChild(modsBox);
+    }
     // Count active vs resolved
     const activeFallout = pc.fallout.filter(f => !f.resolved);
     const resolvedFallout = pc.fallout.filter(f => f.resolved);
@@ -3222,7 +4708,7 @@
     const addFalloutBtn = document.createElement('button');
     addFalloutBtn.textContent = '+ Add Fallout';
     addFalloutBtn.addEventListener('click', () => {
-      pc.fallout.push({ id: generateId('fallout'), type: 'Blood', severity: 'Minor', name: '', description: '', resolved: false, timestamp: new Date().toISOString() });
+      pc.fallout.push({ id: generateId('fallout'), type: 'Blood', track: 'blood', severity: 'Minor', name: '', description: '', resolved: false, timestamp: new Date().toISOString() });
       appendLog('Added fallout', pc.id);
       saveAndRefresh();
     });
@@ -3285,6 +4771,7 @@
 
     // Bonds → left col
     const { sec: bondSec, body: bondBody } = makeSection('bonds', 'Bonds', 'bonds', pc);
+    const camp = currentCampaign();
     pc.bonds.forEach(bond => {
       const bRow = document.createElement('div');
       bRow.className = 'bond-row';
@@ -3301,9 +4788,15 @@
         appendLog('Edited bond', pc.id);
         saveWithoutRefresh();
       });
+      const linked = bond.entityId ? camp.entities[bond.entityId] : null;
       const nameIn = document.createElement('input');
       nameIn.type = 'text'; nameIn.placeholder = 'Bond name or person';
-      nameIn.value = bond.name || '';
+      nameIn.value = linked ? entityLabel(linked) : (bond.name || '');
+      if (linked) {
+        // Linked bonds are named by their entity; rename it on its own sheet.
+        nameIn.readOnly = true;
+        nameIn.title = `Linked to ${entityLabel(linked)}`;
+      }
       nameIn.addEventListener('input', e => {
         bond.name = e.target.value;
         queueDeferredSave(`bond-name:${pc.id}:${bond.id}`);
@@ -3318,23 +4811,40 @@
       notesIn.type = 'text'; notesIn.placeholder = 'Notes';
       notesIn.value = bond.notes || '';
       notesIn.addEventListener('input', e => {
-        bond.notes = e.target.value;
+        setBondNotes(camp, pc, bond, e.target.value);
         queueDeferredSave(`bond-notes:${pc.id}:${bond.id}`);
       });
       notesIn.addEventListener('change', e => {
         pushSectionUndo(pc, 'bonds', 'Edit bond notes');
-        bond.notes = e.target.value;
+        setBondNotes(camp, pc, bond, e.target.value);
         appendLog('Edited bond', pc.id);
         saveWithoutRefresh();
       });
+      const linkSel = createBondLinkSelect(pc, bond);
       const remBtn = document.createElement('button');
       remBtn.textContent = '×'; remBtn.className = 'row-remove-btn';
       remBtn.addEventListener('click', () => {
-        pushSectionUndo(pc, 'bonds', 'Remove bond');
+        if (bond.relationshipId) {
+          // The bond's relationship goes with it, so snapshot the campaign.
+          captureUndoSnapshot('Remove bond', pc.id);
+          unlinkBond(camp, bond);
+        } else {
+          pushSectionUndo(pc, 'bonds', 'Remove bond');
+        }
         pc.bonds = pc.bonds.filter(b => b.id !== bond.id);
         saveAndRefresh();
       });
-      bRow.appendChild(lvlSel); bRow.appendChild(nameIn); bRow.appendChild(notesIn); bRow.appendChild(remBtn);
+      bRow.appendChild(lvlSel); bRow.appendChild(nameIn);
+      if (linked) {
+        const openBtn = document.createElement('button');
+        openBtn.className = 'bond-open-btn';
+        openBtn.textContent = '→';
+        openBtn.title = `Open ${entityLabel(linked)}`;
+        openBtn.addEventListener('click', () => selectEntity(linked.id));
+        bRow.appendChild(openBtn);
+      }
+      bRow.appendChild(linkSel); bRow.appendChild(notesIn); bRow.appendChild(remBtn);
+      bRow.appendChild(createBondStressLine(pc, bond));
       bondBody.appendChild(bRow);
     });
     if (!pc.bonds.length) {
@@ -3473,7 +4983,7 @@
     // Class features section: shows information and options derived from
     // the selected class. Includes refresh text, bond prompts, inventory
     // kit selection, core ability toggles and advances checkboxes.
-    const classEff = CLASS_EFFECTS[pc.class];
+    const classEff = classEffectsFor(pc.class);
     if (classEff) {
       const classTitle = pc.class ? `Class Features — ${pc.class}` : 'Class Features';
       const { sec: classSec, body: classBody } = makeSection('class-features', classTitle, null, pc);
@@ -3493,14 +5003,17 @@
       });
       const refreshApplyBtn = document.createElement('button');
       refreshApplyBtn.className = 'toolbar-btn';
-      refreshApplyBtn.textContent = 'Apply Refresh (D3/D6/D8)';
-      refreshApplyBtn.title = 'Roll D3/D6/D8 and clear stress per refresh rules';
+      refreshApplyBtn.textContent = state.gmMode ? 'Record Refresh (D3/D6/D8)…' : 'Submit Refresh…';
+      refreshApplyBtn.title = state.gmMode
+        ? 'Record how the refresh was met, roll D3/D6/D8 and clear stress'
+        : 'Describe how the refresh was met; the GM approves it and rolls';
       refreshApplyBtn.disabled = !canEditPC;
       refreshApplyBtn.addEventListener('click', () => openRefreshStressModal(pc));
       refreshDiv.appendChild(refreshLabel);
       refreshDiv.appendChild(refreshChk);
       refreshDiv.appendChild(refreshApplyBtn);
       classBody.appendChild(refreshDiv);
+      if (pc.refreshHistory.length) classBody.appendChild(createRefreshHistory(pc));
       // Bond prompts and responses
       if (classEff.bondPrompts && classEff.bondPrompts.length) {
         classEff.bondPrompts.forEach((prompt, idx) => {
@@ -3512,18 +5025,42 @@
           const textarea = document.createElement('textarea');
           textarea.value = pc.classBondResponses[idx] || '';
           textarea.placeholder = 'Response...';
+          const promptBond = pc.bonds.find(b => b.promptIndex === idx);
+          const setResponse = (text) => {
+            pc.classBondResponses[idx] = text;
+            if (promptBond) setBondNotes(currentCampaign(), pc, promptBond, text);
+          };
           textarea.addEventListener('input', e => {
-            pc.classBondResponses[idx] = e.target.value;
+            setResponse(e.target.value);
             queueDeferredSave(`class-bond:${pc.id}:${idx}`);
           });
           textarea.addEventListener('change', e => {
-            pc.classBondResponses[idx] = e.target.value;
+            setResponse(e.target.value);
             appendLog('Edited class bond response', pc.id);
             saveWithoutRefresh();
           });
           textarea.className = 'class-bond-response';
           promptDiv.appendChild(label);
           promptDiv.appendChild(textarea);
+          // Turn the answer into a bond row linked to an NPC, group or PC.
+          const linkRow = document.createElement('div');
+          linkRow.className = 'class-bond-link';
+          const linkLabel = document.createElement('span');
+          const promptTarget = promptBond && promptBond.entityId ? currentCampaign().entities[promptBond.entityId] : null;
+          linkLabel.textContent = promptTarget ? `Bond with ${entityLabel(promptTarget)}` : 'Make this a bond with';
+          linkRow.appendChild(linkLabel);
+          linkRow.appendChild(createBondLinkSelect(pc, promptBond, () => {
+            const row = {
+              id: generateId('bond'),
+              level: RulesEngine.bondTargetForPrompt(prompt).level,
+              name: '',
+              notes: pc.classBondResponses[idx] || '',
+              promptIndex: idx
+            };
+            pc.bonds.push(row);
+            return row;
+          }));
+          promptDiv.appendChild(linkRow);
           classBody.appendChild(promptDiv);
         });
       }
@@ -3546,12 +5083,7 @@
           const checkbox = document.createElement('input');
           checkbox.type = 'checkbox';
           checkbox.style.marginTop = '3px';
-          // An item kit is "selected" if ANY item from it exists with source classInv
-          // We track selected kits as an array: pc.classInventorySelections (plural)
-          if (!Array.isArray(pc.classInventorySelections)) {
-            // Migrate from old single-selection model
-            pc.classInventorySelections = pc.classInventorySelection ? [pc.classInventorySelection] : [];
-          }
+          // Selected kits are tracked as an array: pc.classInventorySelections (plural)
           checkbox.checked = pc.classInventorySelections.includes(opt.label);
           checkbox.addEventListener('change', e => {
             if (!Array.isArray(pc.classInventorySelections)) pc.classInventorySelections = [];
@@ -3559,7 +5091,7 @@
               if (!pc.classInventorySelections.includes(opt.label)) {
                 pc.classInventorySelections.push(opt.label);
                 // Add kit items without removing others
-                const classEffNow = CLASS_EFFECTS[pc.class];
+                const classEffNow = classEffectsFor(pc.class);
                 if (classEffNow) {
                   const kitOpt = classEffNow.inventoryOptions.find(o => o.label === opt.label);
                   if (kitOpt) {
@@ -3646,82 +5178,120 @@
         });
         classBody.appendChild(coreDiv);
       }
-      // Advances checkboxes
-      if (classEff.advances) {
+      // Advances: spend AP on advance objects; unticking refunds.
+      const advCatalog = classAdvanceCatalog(pc.class);
+      if (advCatalog.length) {
         const advDiv = document.createElement('div');
         advDiv.className = 'class-advances';
         advDiv.innerHTML = '<strong>Advances:</strong>';
-        // Helper to render a list
-        function renderAdvList(level, list, unlocked = true, showLock = false) {
-          if (!list || !list.length) return;
+        // Advance points tracker (GM awards points here; taking advances spends them)
+        const apRow = document.createElement('div');
+        apRow.className = 'advance-points-row';
+        apRow.innerHTML = '<label>Advance Points (AP):</label>';
+        const apInput = document.createElement('input');
+        apInput.type = 'number';
+        apInput.min = '0';
+        apInput.value = pc.advancePoints || 0;
+        apInput.style.width = '60px';
+        apInput.addEventListener('change', e => {
+          const next = Math.max(0, parseInt(e.target.value) || 0);
+          if (next !== (pc.advancePoints || 0)) appendLog(`Set advance points to ${next}`, pc.id);
+          pc.advancePoints = next;
+          saveAndRefresh();
+        });
+        apRow.appendChild(apInput);
+        advDiv.appendChild(apRow);
+
+        const takenCount = tier => advCatalog.filter(a => a.tier === tier && pc.advances.includes(a.name)).length;
+        const prog = document.createElement('div');
+        prog.className = 'text-muted';
+        prog.style.fontSize = '0.82rem';
+        prog.style.marginBottom = '6px';
+        prog.textContent = `Progress: Low ${takenCount('low')}, Medium ${takenCount('medium')}, High ${takenCount('high')}.`;
+        advDiv.appendChild(prog);
+
+        Object.keys(RulesEngine.ADVANCE_TIERS).forEach(level => {
+          const list = advCatalog.filter(a => a.tier === level);
+          if (!list.length) return;
+          const tierDefaults = RulesEngine.normalizeAdvance({ name: level }, level);
+          const unlocked = RulesEngine.missingPrerequisites(tierDefaults, pc.advances, advCatalog).length === 0;
           const lvlDiv = document.createElement('div');
           lvlDiv.className = 'class-adv-level' + (unlocked ? '' : ' locked');
           const header = document.createElement('h4');
           const tierName = level.charAt(0).toUpperCase() + level.slice(1);
-          const costMap = { low: 1, medium: 2, high: 3 };
-          const prereq = level === 'medium' ? ' (need 2 Low first)' : level === 'high' ? ' (need 2 Medium first)' : '';
-          header.textContent = tierName + ' Advances — ' + costMap[level] + ' AP' + ((!unlocked && prereq) ? prereq : '');
+          const prereq = tierDefaults.prerequisites.map(p => RulesEngine.describePrerequisite(p)).join(', ');
+          header.textContent = `${tierName} Advances — ${tierDefaults.cost} AP` + ((!unlocked && prereq) ? ` (${prereq})` : '');
           if (!unlocked) header.title = 'Complete prerequisites to unlock this tier';
           lvlDiv.appendChild(header);
           list.forEach(adv => {
+            const taken = pc.advances.includes(adv.name);
+            const check = RulesEngine.canTakeAdvance(adv, { taken: pc.advances, points: pc.advancePoints, catalog: advCatalog });
             const advRow = document.createElement('div');
-            advRow.className = 'class-adv-option' + (!unlocked ? ' locked-adv' : '');
+            advRow.className = 'class-adv-option' + (!taken && !check.ok ? ' locked-adv' : '');
             const chk = document.createElement('input');
             chk.type = 'checkbox';
-            chk.checked = pc.advances.includes(adv);
-            chk.disabled = !unlocked && !pc.advances.includes(adv);
+            chk.checked = taken;
+            chk.disabled = !taken && !check.ok;
+            chk.title = taken ? 'Untick to remove and refund' : (check.ok ? `Spend ${adv.cost} AP` : check.reasons.join('; '));
             chk.addEventListener('change', e => {
-              if (!unlocked && e.target.checked) { e.target.checked = false; showToast('Complete prerequisites first.', 'warn'); return; }
-              if (e.target.checked) { if (!pc.advances.includes(adv)) pc.advances.push(adv); }
-              else { pc.advances = pc.advances.filter(a => a !== adv); }
-              appendLog('Toggled advance', pc.id);
+              const taking = e.target.checked;
+              // Only a change that will go through gets an undo entry.
+              const result = taking
+                ? RulesEngine.canTakeAdvance(adv, { taken: pc.advances, points: pc.advancePoints, catalog: advCatalog })
+                : canRefundAdvance(pc, adv, advCatalog);
+              if (!result.ok) {
+                e.target.checked = !taking;
+                showToast(`${adv.name}: ${result.reasons.join('; ')}.`, 'warn');
+                return;
+              }
+              captureUndoSnapshot(`${taking ? 'Take' : 'Remove'} advance ${adv.name}`, pc.id);
+              if (taking) takeAdvance(pc, adv, advCatalog);
+              else refundAdvance(pc, adv, advCatalog);
               saveAndRefresh();
             });
             const lbl = document.createElement('label');
-            lbl.textContent = adv;
-            if (!unlocked) lbl.style.opacity = '0.5';
+            lbl.textContent = adv.cost !== tierDefaults.cost ? `${adv.name} (${adv.cost} AP)` : adv.name;
+            if (!taken && !check.ok) lbl.style.opacity = '0.5';
+            const extra = adv.prerequisites
+              .filter(p => p.advance)
+              .map(p => RulesEngine.describePrerequisite(p));
+            const grants = [].concat(
+              adv.grants.skills.map(n => `skill ${n}`),
+              adv.grants.domains.map(n => `domain ${n}`),
+              adv.grants.resistances.map(r => `${r.name} +${r.value}`),
+              adv.grants.items.map(i => i.item)
+            );
+            if (grants.length) extra.push('grants ' + grants.join(', '));
+            lbl.title = [adv.text].concat(extra).filter(Boolean).join('\n');
             advRow.appendChild(chk);
             advRow.appendChild(lbl);
+            if (adv.text || extra.length) {
+              const desc = document.createElement('div');
+              desc.className = 'class-adv-text text-muted';
+              desc.textContent = [adv.text].concat(extra).filter(Boolean).join(' — ');
+              advRow.appendChild(desc);
+            }
             lvlDiv.appendChild(advRow);
           });
           advDiv.appendChild(lvlDiv);
-        }
-        // Advance points tracker
-        const apRow = document.createElement('div');
-        apRow.className = 'advance-points-row';
-        apRow.innerHTML = '<label>Advance Points (AP):</label>';
-        const apInput = document.createElement('input');
-        apInput.type = 'number';
-        apInput.min = '0';
-        apInput.value = pc.advancePoints || 0;
-        apInput.style.width = '60px';
-        apInput.addEventListener('change', e => {
-          pc.advancePoints = Math.max(0, parseInt(e.target.value) || 0);
-          saveAndRefresh();
         });
-        apRow.appendChild(apInput);
-        advDiv.insertBefore(apRow, advDiv.firstChild);
 
-        // Count taken advances per tier for gate
-        const lowTaken = (classEff.advances.low || []).filter(a => pc.advances.includes(a)).length;
-        const medTaken = (classEff.advances.medium || []).filter(a => pc.advances.includes(a)).length;
-        const medUnlocked = lowTaken >= 2;
-        const highUnlocked = medTaken >= 2;
-        const prog = document.createElement('div');
-        prog.className = 'text-muted';
-        prog.style.fontSize = '0.82rem';
-        prog.style.marginBottom = '6px';
-        const nextUnlock = !medUnlocked
-          ? `Need ${Math.max(0, 2 - lowTaken)} more Low advance(s) to unlock Medium`
-          : !highUnlocked
-            ? `Need ${Math.max(0, 2 - medTaken)} more Medium advance(s) to unlock High`
-            : 'All tiers unlocked';
-        prog.textContent = `Progress: Low ${lowTaken}/2, Medium ${medTaken}/2. ${nextUnlock}.`;
-        advDiv.appendChild(prog);
-
-        renderAdvList('low', classEff.advances.low, true, true);
-        renderAdvList('medium', classEff.advances.medium, medUnlocked, medUnlocked);
-        renderAdvList('high', classEff.advances.high, highUnlocked, highUnlocked);
+        if (Array.isArray(pc.advanceHistory) && pc.advanceHistory.length) {
+          const hist = document.createElement('details');
+          hist.className = 'class-adv-history';
+          const histSummary = document.createElement('summary');
+          histSummary.textContent = `Advancement History (${pc.advanceHistory.length})`;
+          hist.appendChild(histSummary);
+          const histList = document.createElement('ul');
+          pc.advanceHistory.slice().reverse().forEach(h => {
+            const li = document.createElement('li');
+            const pts = h.points ? ` (${h.points > 0 ? '+' : '−'}${Math.abs(h.points)} AP)` : '';
+            li.textContent = `Session ${h.session}: ${h.action === 'take' ? 'Took' : 'Removed'} ${h.advance}${pts}`;
+            histList.appendChild(li);
+          });
+          hist.appendChild(histList);
+          advDiv.appendChild(hist);
+        }
         classBody.appendChild(advDiv);
       }
       rightCol.appendChild(classSec);
@@ -3768,6 +5338,20 @@
     invBody.appendChild(addItemBtn);
     invBody.appendChild(undoInvBtn);
     invBody.appendChild(redoInvBtn);
+    if (pc.inventory.some((item) => item && item.sceneState)) {
+      const newSceneBtn = document.createElement('button');
+      newSceneBtn.type = 'button';
+      newSceneBtn.textContent = 'New Scene (reset ammo)';
+      newSceneBtn.title = 'Reload weapons and clear per-scene tag usage';
+      newSceneBtn.addEventListener('click', () => {
+        pc.inventory.forEach((item) => {
+          if (item && item.sceneState) delete item.sceneState;
+        });
+        appendLog('Reset scene gear', pc.id);
+        saveAndRefresh();
+      });
+      invBody.appendChild(newSceneBtn);
+    }
     leftCol.appendChild(invSecEl);
 
     // Tasks → below inventory (left col)
@@ -4149,10 +5733,6 @@
     stressSection.className = 'inspector-section';
     stressSection.innerHTML = '<h3>Bond Stress</h3>';
 
-    // Initialise bond stress data if missing
-    if (!npc.bondStressSlots) npc.bondStressSlots = 10;
-    if (!Array.isArray(npc.bondStressFilled)) npc.bondStressFilled = [];
-
     const stressRow = document.createElement('div');
     stressRow.className = 'stress-row stress-bond';
 
@@ -4243,6 +5823,7 @@
         npc.fallout.push({
           id: generateId('fallout'),
           type: 'Blood',
+          track: 'blood',
           severity: 'Minor',
           name: '',
           description: '',
@@ -4260,6 +5841,7 @@
       npc.fallout.push({
         id: generateId('fallout'),
         type: 'Blood',
+        track: 'blood',
         severity: 'Minor',
         name: '',
         description: '',
@@ -4807,9 +6389,21 @@
     }, 0);
   }
 
+  /** Total of one unhealed fallout effect kind aimed at a stress track. */
+  function falloutTrackPenalty(pc, track, kind) {
+    if (!pc || !Array.isArray(pc.fallout)) return 0;
+    const key = String(track || '').toLowerCase();
+    const label = stressTrackLabel(key).toLowerCase();
+    return RulesEngine.activeFalloutEffects(pc.fallout, kind)
+      .filter(e => [key, label].includes(e.target.toLowerCase()))
+      .reduce((sum, e) => sum + e.amount, 0);
+  }
+
   function getTrackBaseSlots(pc, track) {
-    if (!pc || !pc.stressSlots) return 10;
-    return Math.max(1, parseInt(pc.stressSlots[track], 10) || 10);
+    const cap = stressTrackCap(track);
+    if (!pc || !pc.stressSlots) return cap;
+    const base = Math.max(1, parseInt(pc.stressSlots[track], 10) || cap);
+    return Math.max(1, base - falloutTrackPenalty(pc, track, 'slots'));
   }
 
   function getTrackFreeSlots(pc, track) {
@@ -4823,8 +6417,8 @@
         free += Math.max(0, parseInt(r.value, 10) || 0);
       });
     }
-    if (key === 'blood') free += totalArmorResistance(pc);
-    return Math.max(0, free);
+    if (isArmourTrack(key)) free += totalArmorResistance(pc);
+    return Math.max(0, free - falloutTrackPenalty(pc, key, 'resistance'));
   }
 
   function getTrackTotalSlots(pc, track) {
@@ -4834,7 +6428,574 @@
   function getTrackFalloutCountedStress(pc, track) {
     const filled = (pc && pc.stressFilled && pc.stressFilled[track]) ? pc.stressFilled[track].length : 0;
     const free = getTrackFreeSlots(pc, track);
-    return Math.min(10, Math.max(0, filled - free));
+    return Math.min(stressTrackCap(track), Math.max(0, filled - free));
+  }
+
+  /**
+   * Bond stress line for a bond row on the PC sheet: status badge, the
+   * bond's own stress pips and slot count, and a shortcut into the
+   * Take Stress flow with the bond preselected.
+   */
+  function createBondStressLine(pc, bond) {
+    const line = document.createElement('div');
+    line.className = 'bond-stress-line';
+    const status = RulesEngine.bondStatus(bond, pc.fallout);
+    const badge = document.createElement('span');
+    badge.className = `bond-status ${status}`;
+    badge.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+    line.appendChild(badge);
+
+    const slots = RulesEngine.bondStressSlots(bond);
+    const stress = Math.min(slots, parseInt(bond.stress, 10) || 0);
+    const setSlots = (n) => {
+      pushSectionUndo(pc, 'bonds', 'Bond stress slots');
+      bond.stressSlots = n;
+      bond.stress = Math.min(n, stress);
+      appendLog('Changed bond stress slots', pc.id);
+      saveAndRefresh();
+    };
+    const minusBtn = document.createElement('button');
+    minusBtn.textContent = '−';
+    minusBtn.title = 'Remove bond stress slot';
+    minusBtn.disabled = slots <= 1;
+    minusBtn.addEventListener('click', () => setSlots(slots - 1));
+    const plusBtn = document.createElement('button');
+    plusBtn.textContent = '+';
+    plusBtn.title = 'Add bond stress slot';
+    plusBtn.disabled = slots >= 20;
+    plusBtn.addEventListener('click', () => setSlots(slots + 1));
+
+    const pips = document.createElement('div');
+    pips.className = 'stress-pips';
+    for (let i = 0; i < slots; i++) {
+      const pip = document.createElement('div');
+      pip.className = 'pip bond-pip' + (i < stress ? ' active' : '');
+      makeInteractivePip(pip, `Bond stress ${i + 1}`);
+      const idx = i;
+      pip.addEventListener('click', () => {
+        pushSectionUndo(pc, 'bonds', 'Set bond stress');
+        bond.stress = idx < stress ? idx : idx + 1;
+        appendLog(`Set bond stress for ${bond.name || 'bond'} to ${bond.stress}`, pc.id);
+        saveAndRefresh();
+      });
+      pips.appendChild(pip);
+    }
+    line.appendChild(minusBtn);
+    line.appendChild(pips);
+    line.appendChild(plusBtn);
+
+    const takeBtn = document.createElement('button');
+    takeBtn.textContent = 'Take Stress…';
+    takeBtn.title = 'Take stress to this bond; overflow triggers bond fallout';
+    takeBtn.addEventListener('click', () => openStressApplicationModal(pc, { bondId: bond.id }));
+    line.appendChild(takeBtn);
+    return line;
+  }
+
+  /**
+   * Select that links a PC bond to an existing character/group or to a new
+   * NPC or organisation, creating the relationship edge as it goes. Class
+   * bond prompts pass no bond and a `createBond` callback so the bond row
+   * is only added once something is picked.
+   */
+  function createBondLinkSelect(pc, bond, createBond) {
+    const camp = currentCampaign();
+    const sel = document.createElement('select');
+    sel.className = 'bond-link-select';
+    const addOpt = (value, label) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      sel.appendChild(opt);
+    };
+    addOpt('', bond && bond.entityId ? 'Not linked' : 'Link to…');
+    Object.values(camp.entities)
+      .filter(e => e.id !== pc.id && (state.gmMode || !e.gmOnly))
+      .sort((a, b) => entityLabel(a).localeCompare(entityLabel(b)))
+      .forEach(e => addOpt(e.id, `${entityLabel(e)} (${e.type.toUpperCase()})`));
+    addOpt('__new-npc', '+ New NPC…');
+    addOpt('__new-org', '+ New group…');
+    const current = (bond && bond.entityId) || '';
+    sel.value = current;
+    sel.title = 'Link this bond to a character or group in the web';
+    sel.addEventListener('change', async e => {
+      const choice = e.target.value;
+      if (!choice) {
+        if (!bond || !bond.entityId) return;
+        captureUndoSnapshot('Unlink bond', pc.id);
+        unlinkBond(camp, bond);
+        appendLog('Unlinked bond', pc.id);
+        saveAndRefresh();
+        return;
+      }
+      let newName = '';
+      const newType = choice === '__new-org' ? 'org' : (choice === '__new-npc' ? 'npc' : '');
+      if (newType) {
+        const noun = newType === 'org' ? 'group' : 'NPC';
+        newName = await askPrompt(`Name the new ${noun} for this bond:`, (bond && bond.name) || '', {
+          title: 'New Bond',
+          placeholder: `${noun} name…`,
+          submitText: 'Create'
+        });
+        newName = String(newName || '').trim();
+        if (!newName) { sel.value = current; return; }
+      }
+      captureUndoSnapshot('Link bond', pc.id);
+      const row = bond || createBond();
+      if (newType) createBondEntity(camp, pc, row, newType, newName);
+      else linkBondToEntity(camp, pc, row, choice);
+      appendLog('Linked bond', pc.id);
+      saveAndRefresh();
+    });
+    return sel;
+  }
+
+  /**
+   * Guided character creation: name and pronouns, class, durance,
+   * replacement picks, kit, class bond prompts, then a review that shows
+   * anything still missing. The finished PC (and any NPCs/groups created
+   * for its bonds) is made in a single undoable step.
+   */
+  function openCharacterWizard() {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = document.getElementById('modal');
+    const content = document.getElementById('modal-content');
+    const titleEl = document.getElementById('modal-title');
+    const camp = currentCampaign();
+    if (!camp) return;
+    const steps = RulesEngine.CREATION_STEPS;
+    const stepLabels = {
+      identity: 'Name', class: 'Class', durance: 'Durance', picks: 'Skills & Domains',
+      kit: 'Kit', bonds: 'Bonds', review: 'Review'
+    };
+    const draft = {
+      firstName: '', lastName: '', pronouns: '', className: '', durance: '',
+      picks: { skills: [], domains: [] }, kit: '', bonds: []
+    };
+    let stepIdx = 0;
+
+    // Classes and durances from the campaign's active content packs.
+    const classEffects = getEffectiveClassEffects(camp);
+    const duranceEffects = getEffectiveDuranceEffects(camp);
+    const ruleData = () => ({
+      classEffects,
+      duranceEffects,
+      skillOptions: SKILL_OPTIONS,
+      domainOptions: DOMAIN_OPTIONS
+    });
+    const errorsFor = (step) => RulesEngine.validateCharacterDraft(draft, ruleData())
+      .filter(e => !step || e.step === step);
+    const bondCandidates = () => Object.values(camp.entities || {})
+      .filter(e => e && (state.gmMode || !e.gmOnly))
+      .sort((a, b) => (a.type === 'pc' ? 0 : 1) - (b.type === 'pc' ? 0 : 1) || entityLabel(a).localeCompare(entityLabel(b)));
+
+    function grantSummary(eff) {
+      if (!eff) return '';
+      const parts = [];
+      (eff.resistances || []).forEach(r => parts.push(`${r.name} +${r.value}`));
+      if ((eff.skills || []).length) parts.push(`Skills: ${eff.skills.join(', ')}`);
+      if ((eff.domains || []).length) parts.push(`Domains: ${eff.domains.join(', ')}`);
+      return parts.join(' · ');
+    }
+
+    function field(labelText, control) {
+      const wrap = document.createElement('div');
+      wrap.className = 'modal-field';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      wrap.appendChild(label);
+      wrap.appendChild(control);
+      return wrap;
+    }
+
+    function textInput(value, placeholder, onInput) {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.placeholder = placeholder;
+      input.value = value || '';
+      input.addEventListener('input', e => onInput(e.target.value));
+      return input;
+    }
+
+    function selectOf(options, value, placeholder, onChange) {
+      const sel = document.createElement('select');
+      if (placeholder) {
+        const blank = document.createElement('option');
+        blank.value = '';
+        blank.textContent = placeholder;
+        sel.appendChild(blank);
+      }
+      options.forEach(o => {
+        const opt = document.createElement('option');
+        opt.value = typeof o === 'string' ? o : o.value;
+        opt.textContent = typeof o === 'string' ? o : o.label;
+        sel.appendChild(opt);
+      });
+      sel.value = value || '';
+      sel.addEventListener('change', e => onChange(e.target.value));
+      return sel;
+    }
+
+    function mutedNote(text) {
+      const p = document.createElement('p');
+      p.className = 'text-muted';
+      p.textContent = text;
+      return p;
+    }
+
+    function infoLine(text) {
+      const div = document.createElement('div');
+      div.className = 'creation-wizard-info';
+      div.textContent = text;
+      return div;
+    }
+
+    function setClass(cls) {
+      draft.className = cls;
+      draft.kit = '';
+      draft.picks = { skills: [], domains: [] };
+      const hasOtherPcs = bondCandidates().some(e => e.type === 'pc');
+      draft.bonds = ((classEffects[cls] || {}).bondPrompts || []).map(prompt => {
+        const guess = RulesEngine.bondTargetForPrompt(prompt);
+        // No one to point at yet: start from a new NPC instead.
+        if (guess.target === 'existing' && !hasOtherPcs) guess.target = 'new-npc';
+        return { answer: '', name: '', entityId: '', target: guess.target, level: guess.level };
+      });
+    }
+
+    function renderIdentity(body) {
+      body.appendChild(field('First Name', textInput(draft.firstName, 'First name…', v => { draft.firstName = v; })));
+      body.appendChild(field('Last Name', textInput(draft.lastName, 'Last name…', v => { draft.lastName = v; })));
+      body.appendChild(field('Pronouns', textInput(draft.pronouns, 'e.g. she/her, they/them', v => { draft.pronouns = v; })));
+      const gen = document.createElement('div');
+      gen.className = 'creation-wizard-row';
+      [['Drow', DROW_FIRST_NAMES, DROW_LAST_NAMES], ['Modern', MODERN_FIRST_NAMES, MODERN_LAST_NAMES]].forEach(([label, firsts, lasts]) => {
+        const btn = document.createElement('button');
+        btn.textContent = `Generate ${label} Name`;
+        btn.addEventListener('click', () => {
+          draft.firstName = randomFrom(firsts);
+          draft.lastName = randomFrom(lasts);
+          render();
+        });
+        gen.appendChild(btn);
+      });
+      body.appendChild(gen);
+    }
+
+    function renderClass(body) {
+      body.appendChild(field('Class', selectOf(Object.keys(classEffects), draft.className, 'Choose a class…', v => {
+        setClass(v);
+        render();
+      })));
+      const eff = classEffects[draft.className];
+      if (!eff) return;
+      body.appendChild(infoLine(grantSummary(eff)));
+      if (eff.refresh) body.appendChild(infoLine(`Refresh: ${eff.refresh}`));
+    }
+
+    function renderDurance(body) {
+      body.appendChild(field('Durance', selectOf(Object.keys(duranceEffects), draft.durance, 'Choose a durance…', v => {
+        draft.durance = v;
+        draft.picks = { skills: [], domains: [] };
+        render();
+      })));
+      const eff = duranceEffects[draft.durance];
+      if (eff) body.appendChild(infoLine(grantSummary(eff)));
+    }
+
+    function renderPicks(body) {
+      const grants = RulesEngine.creationGrants(classEffects[draft.className], duranceEffects[draft.durance]);
+      body.appendChild(infoLine(`Skills: ${grants.skills.join(', ') || '—'} · Domains: ${grants.domains.join(', ') || '—'}`));
+      if (!grants.repeatedSkills.length && !grants.repeatedDomains.length) {
+        body.appendChild(mutedNote('Your class and durance don’t overlap, so there is nothing extra to pick.'));
+        return;
+      }
+      [
+        ['skills', 'skill', grants.repeatedSkills, SKILL_OPTIONS, grants.skills],
+        ['domains', 'domain', grants.repeatedDomains, DOMAIN_OPTIONS, grants.domains]
+      ].forEach(([key, noun, repeated, options, granted]) => {
+        const free = options.filter(o => !granted.some(g => g.toLowerCase() === o.toLowerCase()));
+        repeated.forEach((name, idx) => {
+          const sel = selectOf(free, draft.picks[key][idx], 'Choose…', v => { draft.picks[key][idx] = v; });
+          body.appendChild(field(`${name} is repeated — pick another ${noun}`, sel));
+        });
+      });
+    }
+
+    function renderKit(body) {
+      const kits = (classEffects[draft.className] || {}).inventoryOptions || [];
+      if (!kits.length) {
+        body.appendChild(mutedNote('This class has no starting kits.'));
+        return;
+      }
+      kits.forEach(kit => {
+        const label = document.createElement('label');
+        label.className = 'creation-wizard-choice';
+        const radio = document.createElement('input');
+        radio.type = 'radio';
+        radio.name = 'creation-kit';
+        radio.checked = draft.kit === kit.label;
+        radio.addEventListener('change', () => { draft.kit = kit.label; });
+        const text = document.createElement('span');
+        text.textContent = `${kit.label}: ${(kit.items || []).map(i => i.item).join(', ')}`;
+        label.appendChild(radio);
+        label.appendChild(text);
+        body.appendChild(label);
+      });
+    }
+
+    function renderBonds(body) {
+      const prompts = (classEffects[draft.className] || {}).bondPrompts || [];
+      if (!prompts.length) {
+        body.appendChild(mutedNote('This class has no bond prompts.'));
+        return;
+      }
+      prompts.forEach((prompt, idx) => {
+        const bond = draft.bonds[idx];
+        const block = document.createElement('div');
+        block.className = 'creation-wizard-bond';
+        const promptEl = document.createElement('p');
+        promptEl.textContent = prompt;
+        block.appendChild(promptEl);
+        const answer = document.createElement('textarea');
+        answer.rows = 2;
+        answer.placeholder = 'Your answer…';
+        answer.value = bond.answer;
+        answer.addEventListener('input', e => { bond.answer = e.target.value; });
+        block.appendChild(answer);
+        const row = document.createElement('div');
+        row.className = 'creation-wizard-row';
+        row.appendChild(selectOf([
+          { value: 'new-npc', label: 'New NPC' },
+          { value: 'new-org', label: 'New group' },
+          { value: 'existing', label: 'Existing character' }
+        ], bond.target, '', v => { bond.target = v; render(); }));
+        if (bond.target === 'existing') {
+          const options = bondCandidates().map(e => ({ value: e.id, label: `${entityLabel(e)} (${e.type.toUpperCase()})` }));
+          row.appendChild(selectOf(options, bond.entityId, 'Choose…', v => { bond.entityId = v; }));
+        } else {
+          row.appendChild(textInput(bond.name, bond.target === 'new-org' ? 'Group name…' : 'NPC name…', v => { bond.name = v; }));
+        }
+        row.appendChild(selectOf(['Individual', 'Street', 'Organisation'], bond.level, '', v => { bond.level = v; }));
+        block.appendChild(row);
+        body.appendChild(block);
+      });
+    }
+
+    function renderReview(body) {
+      const grants = RulesEngine.creationGrants(classEffects[draft.className], duranceEffects[draft.durance]);
+      const bondLabel = (b) => (b.target === 'existing'
+        ? entityLabel((camp.entities || {})[b.entityId] || {})
+        : `${b.name.trim() || '?'} (new ${b.target === 'new-org' ? 'group' : 'NPC'})`);
+      const lines = [
+        ['Name', [draft.firstName, draft.lastName].map(s => s.trim()).filter(Boolean).join(' ')],
+        ['Pronouns', draft.pronouns.trim()],
+        ['Class', draft.className],
+        ['Durance', draft.durance],
+        ['Skills', grants.skills.concat(draft.picks.skills.filter(Boolean)).join(', ')],
+        ['Domains', grants.domains.concat(draft.picks.domains.filter(Boolean)).join(', ')],
+        ['Kit', draft.kit],
+        ['Bonds', draft.bonds.map(bondLabel).join(', ')]
+      ];
+      const dl = document.createElement('dl');
+      dl.className = 'creation-wizard-review';
+      lines.forEach(([k, v]) => {
+        const dt = document.createElement('dt');
+        dt.textContent = k;
+        const dd = document.createElement('dd');
+        dd.textContent = v || '—';
+        dl.appendChild(dt);
+        dl.appendChild(dd);
+      });
+      body.appendChild(dl);
+      const errors = errorsFor();
+      if (!errors.length) return;
+      const list = document.createElement('ul');
+      list.className = 'creation-wizard-errors';
+      errors.forEach(err => {
+        const li = document.createElement('li');
+        const jump = document.createElement('button');
+        jump.textContent = `${stepLabels[err.step]}: ${err.message}`;
+        jump.addEventListener('click', () => { stepIdx = steps.indexOf(err.step); render(); });
+        li.appendChild(jump);
+        list.appendChild(li);
+      });
+      body.appendChild(list);
+    }
+
+    function create() {
+      if (errorsFor().length) { render(); return; }
+      captureUndoSnapshot('Create character');
+      const pc = createCharacterFromDraft(camp, draft);
+      // Track ownership when in player mode
+      if (!state.gmMode) camp.playerOwnedPcId = pc.id;
+      appendLog('Created PC (guided creation)', pc.id);
+      closeModal();
+      saveAndRefresh();
+      selectEntity(pc.id);
+      showToast(`${pc.name} is ready.`, 'info');
+    }
+
+    const renderers = {
+      identity: renderIdentity, class: renderClass, durance: renderDurance, picks: renderPicks,
+      kit: renderKit, bonds: renderBonds, review: renderReview
+    };
+
+    function render() {
+      const step = steps[stepIdx];
+      if (titleEl) titleEl.textContent = `New PC · ${stepLabels[step]} (${stepIdx + 1}/${steps.length})`;
+      content.innerHTML = '';
+      const wrap = document.createElement('div');
+      wrap.className = 'modal-form creation-wizard';
+      renderers[step](wrap);
+
+      const nav = document.createElement('div');
+      nav.className = 'creation-wizard-row creation-wizard-nav';
+      const backBtn = document.createElement('button');
+      backBtn.textContent = 'Back';
+      backBtn.disabled = stepIdx === 0;
+      backBtn.addEventListener('click', () => { stepIdx -= 1; render(); });
+      nav.appendChild(backBtn);
+      const nextBtn = document.createElement('button');
+      nextBtn.className = 'modal-submit';
+      if (step === 'review') {
+        nextBtn.textContent = 'Create Character';
+        nextBtn.disabled = errorsFor().length > 0;
+        nextBtn.addEventListener('click', create);
+      } else {
+        nextBtn.textContent = 'Next';
+        nextBtn.addEventListener('click', () => {
+          const errors = errorsFor(step);
+          if (errors.length) { showToast(errors[0].message, 'warn'); return; }
+          stepIdx += 1;
+          render();
+        });
+      }
+      nav.appendChild(nextBtn);
+      wrap.appendChild(nav);
+      content.appendChild(wrap);
+    }
+
+    render();
+    overlay.classList.remove('hidden');
+    modal.classList.remove('hidden');
+  }
+
+  /**
+   * Record a refresh for a PC: what they did to meet their class refresh,
+   * how fully it was met (which sets the die) and the track to clear.
+   * Refreshes recorded by the GM are approved straight away; player
+   * submissions wait for GM approval before any stress is cleared.
+   */
+  function recordRefresh(pc, { evidence = '', degree = 'met', track = '' } = {}) {
+    const camp = currentCampaign();
+    if (!Array.isArray(pc.refreshHistory)) pc.refreshHistory = [];
+    const entry = {
+      id: generateId('refresh'),
+      session: camp.currentSession || 1,
+      refreshText: getRefreshTextForClass(pc.class, camp),
+      evidence: String(evidence || '').trim(),
+      degree: RulesEngine.refreshDegree(degree).key,
+      track,
+      status: 'pending',
+      submittedBy: currentActorLabel(),
+      submittedAt: new Date().toISOString(),
+      applied: null
+    };
+    pc.refreshHistory.push(entry);
+    appendLog(`Submitted refresh: ${RulesEngine.refreshDegree(entry.degree).label}`, pc.id);
+    return entry;
+  }
+
+  /**
+   * GM review of a recorded refresh. Approving rolls the refresh die and
+   * clears stress from the entry's track (or the highest track); rejecting
+   * keeps the entry in the history with the GM's note.
+   */
+  function reviewRefresh(pc, entry, approve, options = {}) {
+    entry.status = approve ? 'approved' : 'rejected';
+    entry.approvedBy = currentActorLabel();
+    entry.reviewedAt = new Date().toISOString();
+    if (options.note) entry.reviewNote = String(options.note).trim();
+    if (!approve) {
+      appendLog('Rejected refresh', pc.id);
+      return entry;
+    }
+    pc.refreshed = true;
+    const degree = RulesEngine.refreshDegree(entry.degree);
+    const track = entry.track && stressTrackKeys().includes(entry.track) ? entry.track : highestStressTrack(pc);
+    const current = track && pc.stressFilled && pc.stressFilled[track] ? pc.stressFilled[track].length : 0;
+    const rolled = rollSingleDie(degree.die, options.rng);
+    const next = Math.max(0, current - rolled);
+    if (track) setPCStressLevel(pc, track, next, { triggerFallout: false });
+    entry.applied = { track: track || '', rolled, removed: current - next };
+    appendLog(`Applied refresh: cleared ${current - next} ${track || ''} stress (D${degree.die}=${rolled})`, pc.id);
+    return entry;
+  }
+
+  /**
+   * Refresh history for the class features section, newest first and
+   * labelled by session. The GM can approve or reject pending entries.
+   */
+  function createRefreshHistory(pc) {
+    const hist = document.createElement('details');
+    hist.className = 'refresh-history';
+    const pending = pc.refreshHistory.filter(r => r.status === 'pending');
+    hist.open = pending.length > 0;
+    const summary = document.createElement('summary');
+    summary.textContent = `Refresh History (${pc.refreshHistory.length})${pending.length ? ` · ${pending.length} pending` : ''}`;
+    hist.appendChild(summary);
+    const list = document.createElement('ul');
+    pc.refreshHistory.slice().reverse().forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = `refresh-entry ${entry.status || ''}`;
+      const text = document.createElement('span');
+      text.textContent = `Session ${entry.session || 1}: ${RulesEngine.describeRefresh(entry)}`;
+      text.title = `Submitted by ${entry.submittedBy || 'unknown'}`;
+      li.appendChild(text);
+      if (entry.status === 'pending' && state.gmMode) {
+        const approveBtn = document.createElement('button');
+        approveBtn.className = 'pending-approve-btn';
+        approveBtn.textContent = `Approve & Roll D${RulesEngine.refreshDegree(entry.degree).die}`;
+        approveBtn.addEventListener('click', () => {
+          captureUndoSnapshot('Approve refresh', pc.id);
+          reviewRefresh(pc, entry, true);
+          showToast(RulesEngine.describeRefresh(entry), 'info');
+          saveAndRefresh();
+        });
+        const rejectBtn = document.createElement('button');
+        rejectBtn.className = 'pending-reject-btn';
+        rejectBtn.textContent = 'Reject';
+        rejectBtn.addEventListener('click', async () => {
+          const note = await askPrompt('Why doesn’t this meet the refresh? (optional)', '', {
+            title: 'Reject Refresh',
+            submitText: 'Reject'
+          });
+          if (note === null) return;
+          captureUndoSnapshot('Reject refresh', pc.id);
+          reviewRefresh(pc, entry, false, { note });
+          saveAndRefresh();
+        });
+        li.appendChild(approveBtn);
+        li.appendChild(rejectBtn);
+      }
+      list.appendChild(li);
+    });
+    hist.appendChild(list);
+    return hist;
+  }
+
+  function highestStressTrack(pc) {
+    let best = null;
+    let bestVal = -1;
+    stressTrackKeys().forEach((t) => {
+      const v = (pc.stressFilled && pc.stressFilled[t]) ? pc.stressFilled[t].length : 0;
+      if (v > bestVal) {
+        bestVal = v;
+        best = t;
+      }
+    });
+    return best;
   }
 
   function openRefreshStressModal(pc) {
@@ -4842,36 +7003,58 @@
     const modal = document.getElementById('modal');
     const content = document.getElementById('modal-content');
     const titleEl = document.getElementById('modal-title');
-    if (titleEl) titleEl.textContent = 'Apply Refresh Stress Removal';
+    if (titleEl) titleEl.textContent = state.gmMode ? 'Record Refresh' : 'Submit Refresh';
     content.innerHTML = '';
 
     const form = document.createElement('div');
     form.className = 'modal-form';
 
+    const refreshText = getRefreshTextForClass(pc.class);
     const intro = document.createElement('p');
     intro.className = 'text-muted';
     intro.style.margin = '0 0 10px';
-    intro.textContent = 'Roll D3, D6, or D8 based on how fully the refresh condition was met.';
+    intro.textContent = refreshText
+      ? `Refresh: ${refreshText}`
+      : 'Describe how the refresh condition was met.';
     form.appendChild(intro);
 
-    const trackField = document.createElement('div');
-    trackField.className = 'modal-field';
-    const trackLabel = document.createElement('label');
-    trackLabel.textContent = 'Clear From';
+    function addField(labelText, control) {
+      const field = document.createElement('div');
+      field.className = 'modal-field';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      field.appendChild(label);
+      field.appendChild(control);
+      form.appendChild(field);
+    }
+
+    const evidenceInput = document.createElement('textarea');
+    evidenceInput.rows = 3;
+    evidenceInput.placeholder = 'What did they do to meet it?';
+    addField('Evidence', evidenceInput);
+
+    const degreeSel = document.createElement('select');
+    RulesEngine.REFRESH_DEGREES.forEach((d) => {
+      const opt = document.createElement('option');
+      opt.value = d.key;
+      opt.textContent = `${d.label} (D${d.die})`;
+      degreeSel.appendChild(opt);
+    });
+    degreeSel.value = 'met';
+    addField('How Fully Met', degreeSel);
+
     const trackSel = document.createElement('select');
     const autoOpt = document.createElement('option');
-    autoOpt.value = '__auto__';
+    autoOpt.value = '';
     autoOpt.textContent = 'Highest Stress Track';
     trackSel.appendChild(autoOpt);
-    ['blood', 'mind', 'silver', 'shadow', 'reputation'].forEach((t) => {
+    stressTrackKeys().forEach((t) => {
       const opt = document.createElement('option');
       opt.value = t;
-      opt.textContent = t.charAt(0).toUpperCase() + t.slice(1);
+      opt.textContent = stressTrackLabel(t);
       trackSel.appendChild(opt);
     });
-    trackField.appendChild(trackLabel);
-    trackField.appendChild(trackSel);
-    form.appendChild(trackField);
+    addField('Clear From', trackSel);
 
     const actions = document.createElement('div');
     actions.style.display = 'flex';
@@ -4879,53 +7062,32 @@
     actions.style.flexWrap = 'wrap';
     actions.style.marginTop = '10px';
 
-    function resolveTrack() {
-      if (trackSel.value !== '__auto__') return trackSel.value;
-      const tracks = ['blood', 'mind', 'silver', 'shadow', 'reputation'];
-      let best = null;
-      let bestVal = -1;
-      tracks.forEach((t) => {
-        const v = (pc.stressFilled && pc.stressFilled[t]) ? pc.stressFilled[t].length : 0;
-        if (v > bestVal) {
-          bestVal = v;
-          best = t;
-        }
-      });
-      return best;
-    }
-
-    function applyRefreshRoll(sides) {
-      const targetTrack = resolveTrack();
-      if (!targetTrack) {
-        showToast('No stress tracks available to clear.', 'warn');
+    const submitBtn = document.createElement('button');
+    submitBtn.className = 'modal-submit';
+    const syncSubmitLabel = () => {
+      const die = RulesEngine.refreshDegree(degreeSel.value).die;
+      submitBtn.textContent = state.gmMode ? `Approve & Roll D${die}` : 'Submit for GM Approval';
+    };
+    degreeSel.addEventListener('change', syncSubmitLabel);
+    syncSubmitLabel();
+    submitBtn.addEventListener('click', () => {
+      if (!evidenceInput.value.trim()) {
+        showToast('Add a line about how the refresh was met.', 'warn');
+        evidenceInput.focus();
         return;
       }
-      const current = (pc.stressFilled && pc.stressFilled[targetTrack]) ? pc.stressFilled[targetTrack].length : 0;
-      if (current <= 0) {
-        showToast('Selected track has no stress to clear.', 'warn');
-        return;
+      captureUndoSnapshot('Refresh', pc.id);
+      const entry = recordRefresh(pc, { evidence: evidenceInput.value, degree: degreeSel.value, track: trackSel.value });
+      if (state.gmMode) {
+        reviewRefresh(pc, entry, true);
+        showToast(RulesEngine.describeRefresh(entry), 'info');
+      } else {
+        showToast('Refresh submitted for GM approval.', 'info');
       }
-      const rolled = Math.ceil(Math.random() * sides);
-      const next = Math.max(0, current - rolled);
-      const removed = current - next;
-      setPCStressLevel(pc, targetTrack, next, { triggerFallout: false });
-      pc.refreshed = true;
-      appendLog(`Applied refresh: cleared ${removed} ${targetTrack} stress (D${sides}=${rolled})`, pc.id);
       closeModal();
       saveAndRefresh();
-    }
-
-    [
-      { sides: 3, label: 'Roll D3' },
-      { sides: 6, label: 'Roll D6' },
-      { sides: 8, label: 'Roll D8' }
-    ].forEach((die) => {
-      const btn = document.createElement('button');
-      btn.className = 'modal-submit';
-      btn.textContent = die.label;
-      btn.addEventListener('click', () => applyRefreshRoll(die.sides));
-      actions.appendChild(btn);
     });
+    actions.appendChild(submitBtn);
 
     const cancelBtn = document.createElement('button');
     cancelBtn.textContent = 'Cancel';
@@ -4938,21 +7100,48 @@
     modal.classList.remove('hidden');
   }
 
-  function openStressApplicationModal(pc) {
+  function listEnemyWeapons(camp = currentCampaign()) {
+    const out = [];
+    Object.values((camp && camp.entities) || {}).forEach((ent) => {
+      if (!ent || ent.type !== 'npc' || !Array.isArray(ent.inventory)) return;
+      if (ent.gmOnly && !state.gmMode) return;
+      ent.inventory.forEach((item) => {
+        if (!item || item.type !== 'weapon' || !item.stress) return;
+        out.push({ owner: ent, item });
+      });
+    });
+    return out;
+  }
+
+  /**
+   * Take-stress flow: roll the incoming stress (typed expression or an
+   * enemy weapon), choose the resistance and armour that soak it, then
+   * write the track and run the fallout check as one logged, undoable
+   * step. Stress can also be taken to one of the PC's bonds
+   * (`options.bondId` preselects it), which skips resistance and armour.
+   */
+  function openStressApplicationModal(pc, options = {}) {
     const overlay = document.getElementById('modal-overlay');
     const modal = document.getElementById('modal');
     const content = document.getElementById('modal-content');
     const titleEl = document.getElementById('modal-title');
-    if (titleEl) titleEl.textContent = 'Apply Stress';
+    if (titleEl) titleEl.textContent = 'Take Stress';
     content.innerHTML = '';
 
     const form = document.createElement('div');
     form.className = 'modal-form';
 
-    const sourceField = document.createElement('div');
-    sourceField.className = 'modal-field';
-    const sourceLabel = document.createElement('label');
-    sourceLabel.textContent = 'Source';
+    function addField(labelText, control) {
+      const field = document.createElement('div');
+      field.className = 'modal-field';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      field.appendChild(label);
+      field.appendChild(control);
+      form.appendChild(field);
+      return field;
+    }
+
     const sourceSel = document.createElement('select');
     ['Weapon', 'Fallout', 'Consequence', 'Cost', 'Other'].forEach((s) => {
       const opt = document.createElement('option');
@@ -4960,43 +7149,82 @@
       opt.textContent = s;
       sourceSel.appendChild(opt);
     });
-    sourceField.appendChild(sourceLabel);
-    sourceField.appendChild(sourceSel);
-    form.appendChild(sourceField);
+    addField('Source', sourceSel);
+
+    const weapons = listEnemyWeapons();
+    const weaponSel = document.createElement('select');
+    const noWeapon = document.createElement('option');
+    noWeapon.value = '';
+    noWeapon.textContent = weapons.length ? 'None (type stress below)' : 'No NPC weapons in campaign';
+    weaponSel.appendChild(noWeapon);
+    weapons.forEach((w, idx) => {
+      const opt = document.createElement('option');
+      opt.value = String(idx);
+      const tags = Array.isArray(w.item.tags) && w.item.tags.length ? ` [${w.item.tags.join(', ')}]` : '';
+      opt.textContent = `${entityLabel(w.owner)}: ${w.item.item || 'Weapon'} (${w.item.stress})${tags}`;
+      weaponSel.appendChild(opt);
+    });
+    addField('Enemy Weapon', weaponSel);
+
+    const exprInput = document.createElement('input');
+    exprInput.type = 'text';
+    exprInput.value = '1';
+    exprInput.placeholder = 'e.g. D6 stress, 2D3, 3';
+    addField('Incoming Stress', exprInput);
+
+    const piercingLbl = document.createElement('label');
+    piercingLbl.className = 'dice-domain-label';
+    const piercingChk = document.createElement('input');
+    piercingChk.type = 'checkbox';
+    piercingLbl.appendChild(piercingChk);
+    piercingLbl.appendChild(document.createTextNode(' Piercing (bypasses armour without Implacable/Heavy)'));
+    form.appendChild(piercingLbl);
 
-    const trackField = document.createElement('div');
-    trackField.className = 'modal-field';
-    const trackLabel = document.createElement('label');
-    trackLabel.textContent = 'Resistance Track';
     const trackSel = document.createElement('select');
-    ['blood','mind','silver','shadow','reputation'].forEach((t) => {
+    stressTrackKeys().forEach((t) => {
       const opt = document.createElement('option');
       opt.value = t;
-      opt.textContent = t.charAt(0).toUpperCase() + t.slice(1);
+      const free = getTrackFreeSlots(pc, t) - (isArmourTrack(t) ? totalArmorResistance(pc) : 0);
+      opt.textContent = `${stressTrackLabel(t)} (resistance ${free})`;
       trackSel.appendChild(opt);
     });
-    trackField.appendChild(trackLabel);
-    trackField.appendChild(trackSel);
-    form.appendChild(trackField);
+    const bonds = Array.isArray(pc.bonds) ? pc.bonds : [];
+    if (bonds.length) {
+      const group = document.createElement('optgroup');
+      group.label = 'Bonds';
+      bonds.forEach((b) => {
+        const opt = document.createElement('option');
+        opt.value = `bond:${b.id}`;
+        opt.textContent = `${b.name || 'Unnamed bond'} (${b.stress || 0}/${RulesEngine.bondStressSlots(b)})`;
+        group.appendChild(opt);
+      });
+      trackSel.appendChild(group);
+      if (options.bondId && bonds.some(b => b.id === options.bondId)) trackSel.value = `bond:${options.bondId}`;
+    }
+    addField('Soak With', trackSel);
 
-    const amountField = document.createElement('div');
-    amountField.className = 'modal-field';
-    const amountLabel = document.createElement('label');
-    amountLabel.textContent = 'Incoming Stress';
-    const amountInput = document.createElement('input');
-    amountInput.type = 'number';
-    amountInput.min = '0';
-    amountInput.value = '1';
-    amountField.appendChild(amountLabel);
-    amountField.appendChild(amountInput);
-    form.appendChild(amountField);
+    function selectedBond() {
+      const value = trackSel.value;
+      return value.startsWith('bond:') ? bonds.find(b => `bond:${b.id}` === value) || null : null;
+    }
 
-    const armorHint = document.createElement('div');
-    armorHint.className = 'text-muted';
-    armorHint.style.fontSize = '0.82rem';
-    armorHint.style.marginTop = '-4px';
-    armorHint.textContent = `Armor grants ${totalArmorResistance(pc)} free Blood slot(s); it does not directly reduce incoming stress.`;
-    form.appendChild(armorHint);
+    const armourItems = (pc.inventory || []).filter((item) => item && item.type === 'armor');
+    const armourChecks = [];
+    const armourBox = document.createElement('div');
+    armourBox.className = 'modal-field';
+    armourItems.forEach((item) => {
+      const lbl = document.createElement('label');
+      lbl.className = 'dice-domain-label';
+      const chk = document.createElement('input');
+      chk.type = 'checkbox';
+      chk.checked = true;
+      armourChecks.push({ item, chk });
+      lbl.appendChild(chk);
+      const tags = Array.isArray(item.tags) && item.tags.length ? ` [${item.tags.join(', ')}]` : '';
+      lbl.appendChild(document.createTextNode(` ${item.item || 'Armour'} (${parseInt(item.resistance, 10) || 0})${tags}`));
+      armourBox.appendChild(lbl);
+    });
+    if (armourItems.length) form.appendChild(armourBox);
 
     const preview = document.createElement('div');
     preview.className = 'text-muted';
@@ -5004,46 +7232,132 @@
     preview.style.marginTop = '2px';
     form.appendChild(preview);
 
-    function refreshPreview() {
-      const incoming = Math.max(0, parseInt(amountInput.value, 10) || 0);
-      preview.textContent = `Applied stress: ${incoming}`;
+    let rolled = null;
+
+    function buildPlan() {
+      const track = trackSel.value;
+      const onBlood = isArmourTrack(track);
+      const armour = onBlood
+        ? armourChecks.map(({ item, chk }) => ({ resistance: item.resistance, tags: item.tags, soak: chk.checked }))
+        : [];
+      const armourTotal = onBlood ? totalArmorResistance(pc) : 0;
+      return RulesEngine.planStressHit({
+        incoming: rolled ? rolled.total : 0,
+        filled: (pc.stressFilled && pc.stressFilled[track]) ? pc.stressFilled[track].length : 0,
+        resistanceFree: getTrackFreeSlots(pc, track) - armourTotal,
+        armour,
+        piercing: piercingChk.checked,
+        cap: getTrackTotalSlots(pc, track)
+      });
     }
-    [amountInput].forEach((el) => {
-      el.addEventListener('input', refreshPreview);
+
+    function refreshPreview() {
+      const bond = selectedBond();
+      armourBox.style.display = isArmourTrack(trackSel.value) ? '' : 'none';
+      piercingLbl.style.display = bond ? 'none' : '';
+      if (!rolled) {
+        preview.textContent = RulesEngine.parseStressExpression(exprInput.value)
+          ? 'Roll to see how much stress lands.'
+          : 'Enter a stress amount or dice expression.';
+        applyBtn.disabled = true;
+        return;
+      }
+      const dice = rolled.rolls.length ? ` (${rolled.rolls.join(', ')})` : '';
+      if (bond) {
+        const bondPlan = RulesEngine.planBondStress({
+          stress: bond.stress,
+          slots: RulesEngine.bondStressSlots(bond),
+          amount: rolled.total,
+          profile: getRulesProfile(),
+          clearOnFallout: getRulesConfig().clearStressOnFallout
+        });
+        preview.textContent = `Rolled ${rolled.expression}${dice} = ${rolled.total}. Bond ${bondPlan.before} → ${bondPlan.level}`
+          + (bondPlan.fallout ? `; overflows by ${bondPlan.overflow}: ${bondPlan.fallout.severity} bond fallout.` : '.');
+        applyBtn.disabled = false;
+        return;
+      }
+      const plan = buildPlan();
+      preview.textContent = `Rolled ${rolled.expression}${dice} = ${rolled.total}. `
+        + `Soaked ${plan.soaked}${plan.burned ? `, ${plan.burned} armour bypassed` : ''}; `
+        + `${plan.counted} counted stress. ${trackSel.value} ${plan.before} → ${plan.level}.`;
+      applyBtn.disabled = false;
+    }
+
+    weaponSel.addEventListener('change', () => {
+      const picked = weapons[parseInt(weaponSel.value, 10)];
+      if (!picked) return;
+      exprInput.value = picked.item.stress;
+      sourceSel.value = 'Weapon';
+      const armourTrack = stressTrackKeys().find(t => isArmourTrack(t));
+      if (armourTrack) trackSel.value = armourTrack;
+      piercingChk.checked = (picked.item.tags || []).some((t) => String(t).toLowerCase() === 'piercing');
+      rolled = null;
+      refreshPreview();
+    });
+    exprInput.addEventListener('input', () => {
+      rolled = null;
+      refreshPreview();
+    });
+    [trackSel, piercingChk].concat(armourChecks.map((a) => a.chk)).forEach((el) => {
       el.addEventListener('change', refreshPreview);
     });
-    refreshPreview();
 
     const btnRow = document.createElement('div');
     btnRow.style.display = 'flex';
     btnRow.style.gap = '8px';
     btnRow.style.marginTop = '10px';
+    const rollBtn = document.createElement('button');
+    rollBtn.textContent = 'Roll';
     const applyBtn = document.createElement('button');
     applyBtn.className = 'modal-submit';
     applyBtn.textContent = 'Apply';
     const cancelBtn = document.createElement('button');
     cancelBtn.textContent = 'Cancel';
+    btnRow.appendChild(rollBtn);
     btnRow.appendChild(applyBtn);
     btnRow.appendChild(cancelBtn);
     form.appendChild(btnRow);
 
+    rollBtn.addEventListener('click', () => {
+      rolled = RulesEngine.rollStressExpression(exprInput.value);
+      if (!rolled) showToast('Could not read that stress amount.', 'warn');
+      refreshPreview();
+    });
     applyBtn.addEventListener('click', () => {
+      if (!rolled) return;
       const track = trackSel.value;
-      const incoming = Math.max(0, parseInt(amountInput.value, 10) || 0);
-      const current = (pc.stressFilled && pc.stressFilled[track]) ? pc.stressFilled[track].length : 0;
-      setPCStressLevel(pc, track, current + incoming);
-      appendLog(`Applied ${incoming} ${track} stress from ${sourceSel.value}`, pc.id);
+      const picked = weapons[parseInt(weaponSel.value, 10)];
+      const from = picked ? `${entityLabel(picked.owner)}'s ${picked.item.item || 'weapon'}` : sourceSel.value;
+      const bond = selectedBond();
+      if (bond) {
+        captureUndoSnapshot('Take bond stress', pc.id);
+        const result = applyBondStress(pc, bond, rolled.total, { from });
+        if (result.fallout) showToast(`${result.fallout.severity} bond fallout with ${bond.name || 'bond'}.`, 'warn');
+        closeModal();
+        saveAndRefresh();
+        return;
+      }
+      const plan = buildPlan();
+      captureUndoSnapshot(`Take ${track} stress`, pc.id);
+      setPCStressLevel(pc, track, plan.level);
+      const dice = rolled.rolls.length ? ` [${rolled.rolls.join(', ')}]` : '';
+      appendLog(`Took ${rolled.total} ${track} stress from ${from} (${rolled.expression}${dice}; soaked ${plan.soaked}, ${plan.counted} counted${plan.burned ? `, ${plan.burned} armour bypassed` : ''})`, pc.id);
       closeModal();
       saveAndRefresh();
     });
     cancelBtn.addEventListener('click', () => closeModal());
 
+    refreshPreview();
     content.appendChild(form);
     overlay.classList.remove('hidden');
     modal.classList.remove('hidden');
   }
 
-  function openFalloutLookupModal(track = 'Blood', severity = 'Minor') {
+  /**
+   * Fallout table for a track. With a `target` ({ ent, fallout }) each entry
+   * can be picked, or the current severity rolled, to fill in that fallout.
+   */
+  function openFalloutLookupModal(track = 'Blood', severity = 'Minor', target = null) {
     const overlay = document.getElementById('modal-overlay');
     const modal = document.getElementById('modal');
     const content = document.getElementById('modal-content');
@@ -5055,20 +7369,45 @@
     wrap.className = 'fallout-lookup-wrap';
     const intro = document.createElement('p');
     intro.className = 'text-muted';
-    intro.textContent = 'Use these as fast in-session prompts. Rename/edit to fit fiction.';
+    intro.textContent = target
+      ? 'Pick an entry or roll the table to fill in this fallout. Rename/edit to fit fiction.'
+      : 'Use these as fast in-session prompts. Rename/edit to fit fiction.';
     wrap.appendChild(intro);
 
     const camp = currentCampaign();
-    const compEntries = Array.isArray(camp && camp.falloutCompendium)
-      ? camp.falloutCompendium.filter((entry) =>
-          entry &&
-          entry.enabled !== false &&
-          isSourceEnabled(camp, entry.source) &&
-          String(entry.track || '').toLowerCase() === String(track || '').toLowerCase()
-        )
-      : [];
-    const guidance = (camp && camp.falloutGuidance) ? camp.falloutGuidance : defaultFalloutGuidance();
+    const compEntries = falloutTableEntries(camp)
+      .filter((entry) => String(entry.track || '').toLowerCase() === String(track || '').toLowerCase());
+    const guidance = getEffectiveFalloutGuidance(camp);
     const table = guidance[track] || guidance.Blood || defaultFalloutGuidance().Blood;
+
+    function useEntry(entry) {
+      const f = target.fallout;
+      f.name = entry.name || '';
+      f.description = entry.description || '';
+      f.effects = Array.isArray(entry.effects) ? entry.effects.map(e => Object.assign({}, e)) : [];
+      f.compendiumId = entry.id || '';
+      appendLog(`Set fallout from table: ${f.name || 'Fallout'}`, target.ent.id);
+      closeModal();
+      saveAndRefresh();
+    }
+
+    function levelEntries(level) {
+      const compLevel = RulesEngine.falloutTableFor(compEntries, track, level);
+      if (compLevel.length) return compLevel;
+      return (table[level] || []).map((name) => ({ name, track, severity: level }));
+    }
+
+    if (target) {
+      const rollBtn = document.createElement('button');
+      rollBtn.textContent = `Roll ${severity} Table`;
+      rollBtn.disabled = !levelEntries(severity).length;
+      rollBtn.addEventListener('click', () => {
+        const picked = RulesEngine.rollFalloutTable(levelEntries(severity), { track, severity });
+        if (picked) useEntry(picked);
+      });
+      wrap.appendChild(rollBtn);
+    }
+
     ['Minor', 'Moderate', 'Severe'].forEach((level) => {
       const block = document.createElement('div');
       block.className = 'fallout-lookup-block' + (level === severity ? ' active' : '');
@@ -5077,15 +7416,18 @@
       block.appendChild(header);
       const ul = document.createElement('ul');
       ul.className = 'fallout-lookup-list';
-      const compLevelItems = compEntries
-        .filter((entry) => String(entry.severity || '').toLowerCase() === level.toLowerCase())
-        .map((entry) => entry.description
-          ? `${entry.name || 'Fallout'} — ${entry.description}`
-          : (entry.name || 'Fallout'));
-      const items = compLevelItems.length ? compLevelItems : (table[level] || []);
-      items.forEach((item) => {
+      levelEntries(level).forEach((entry) => {
         const li = document.createElement('li');
-        li.textContent = item;
+        const effects = (entry.effects || []).map(e => RulesEngine.describeFalloutEffect(e)).filter(Boolean);
+        li.textContent = (entry.description ? `${entry.name || 'Fallout'} — ${entry.description}` : (entry.name || 'Fallout'))
+          + (effects.length ? ` [${effects.join('; ')}]` : '');
+        if (target && level === severity) {
+          const useBtn = document.createElement('button');
+          useBtn.className = 'fallout-lookup-use';
+          useBtn.textContent = 'Use';
+          useBtn.addEventListener('click', () => useEntry(entry));
+          li.appendChild(useBtn);
+        }
         ul.appendChild(li);
       });
       block.appendChild(ul);
@@ -5108,15 +7450,25 @@
     row.style.marginBottom = '4px';
     // Type select
     const typeSel = document.createElement('select');
-    ['Blood','Mind','Silver','Shadow','Reputation'].forEach(t => {
+    const profile = getRulesProfile();
+    const tracks = profile.tracks;
+    const currentTrack = RulesEngine.falloutTrackRule(profile, f);
+    // Options carry the track key; the label is only shown.
+    const typeOptions = tracks.map(t => ({ value: t.key, label: t.label }));
+    // Bond fallout (and other non-track types) keep their own label.
+    if (f.type && !currentTrack) typeOptions.push({ value: f.type, label: f.type });
+    typeOptions.forEach(t => {
       const opt = document.createElement('option');
-      opt.value = t;
-      opt.textContent = t;
-      if (f.type === t) opt.selected = true;
+      opt.value = t.value;
+      opt.textContent = t.label;
+      if (currentTrack ? currentTrack.key === t.value : f.type === t.value) opt.selected = true;
       typeSel.appendChild(opt);
     });
     typeSel.addEventListener('change', e => {
-      f.type = e.target.value;
+      const trackDef = tracks.find(t => t.key === e.target.value);
+      f.type = trackDef ? trackDef.label : e.target.value;
+      if (trackDef) f.track = trackDef.key;
+      else delete f.track;
       appendLog('Edited fallout', ent.id);
       saveAndRefresh();
     });
@@ -5166,22 +7518,41 @@
     lookupBtn.className = 'fallout-lookup-btn';
     lookupBtn.title = 'Open fallout guidance table';
     lookupBtn.addEventListener('click', () => {
-      openFalloutLookupModal(f.type || 'Blood', f.severity || 'Minor');
+      openFalloutLookupModal(f.type || 'Blood', f.severity || 'Minor', { ent, fallout: f });
     });
     row.appendChild(lookupBtn);
     // Resolved toggle
     const resolveBtn = document.createElement('button');
     resolveBtn.className = 'fallout-resolve-btn' + (f.resolved ? ' resolved' : '');
-    resolveBtn.textContent = f.resolved ? '✓ Resolved' : 'Resolve';
-    resolveBtn.title = f.resolved ? 'Mark as active again' : 'Mark as resolved';
+    resolveBtn.textContent = f.resolved ? '✓ Healed' : 'Heal';
+    resolveBtn.title = f.resolved ? 'Mark as active again' : 'Mark as healed and record how';
     resolveBtn.addEventListener('click', async () => {
+      if (!f.resolved) {
+        const cause = await askPrompt('How was this fallout healed?', '', {
+          title: 'Heal Fallout',
+          placeholder: 'e.g. Treated by a physician, time in the safehouse',
+          submitText: 'Heal'
+        });
+        if (cause === null) return;
+        const camp = currentCampaign();
+        f.healed = {
+          cause: String(cause || '').trim(),
+          session: (camp && camp.currentSession) || 1,
+          timestamp: new Date().toISOString()
+        };
+      } else {
+        delete f.healed;
+      }
       f.resolved = !f.resolved;
-      appendLog(f.resolved ? 'Resolved fallout' : 'Reopened fallout', ent.id);
+      appendLog(f.resolved
+        ? `Healed fallout${f.healed.cause ? ': ' + f.healed.cause : ''}`
+        : 'Reopened fallout', ent.id);
       if (f.resolved && ent.type === 'pc') {
-        const track = String(f.type || '').toLowerCase();
-        const stressTracks = ['blood', 'mind', 'silver', 'shadow', 'reputation'];
-        if (stressTracks.includes(track) && ent.stressFilled && Array.isArray(ent.stressFilled[track])) {
-          const clearAmount = stressClearAmountForSeverity(f.severity || 'Minor');
+        const profile = getRulesProfile();
+        const trackDef = RulesEngine.falloutTrackRule(profile, f);
+        const track = trackDef ? trackDef.key : '';
+        if (track && ent.stressFilled && Array.isArray(ent.stressFilled[track])) {
+          const clearAmount = stressClearAmountForSeverity(f.severity || 'Minor', profile);
           const current = ent.stressFilled[track].length;
           if (current > 0) {
             const suggested = Math.max(0, current - clearAmount);
@@ -5198,7 +7569,38 @@
       }
       saveAndRefresh();
     });
-    row.appendChild(resolveBtn);
+    row.appendChild(resolveBtn);
+    // Structured modifiers, active while the fallout is unhealed
+    const modsInput = document.createElement('input');
+    modsInput.type = 'text';
+    modsInput.className = 'fallout-mods-input' + (f.resolved ? ' inactive' : '');
+    modsInput.placeholder = 'Modifiers (optional): -1 die to Fight; Blood track max slots -2';
+    modsInput.title = FALLOUT_MODIFIER_HELP;
+    modsInput.value = RulesEngine.formatFalloutEffects(f.effects);
+    modsInput.addEventListener('change', e => {
+      const parsed = RulesEngine.parseFalloutEffects(e.target.value);
+      if (parsed.invalid.length) {
+        showToast(`Ignored modifier "${parsed.invalid.join('", "')}". ${FALLOUT_MODIFIER_HELP}`, 'warn');
+      }
+      f.effects = parsed.effects;
+      appendLog('Edited fallout modifiers', ent.id);
+      saveAndRefresh();
+    });
+    row.appendChild(modsInput);
+    // Escalation and healing history
+    const metaParts = [];
+    (f.escalations || []).forEach((esc) => {
+      metaParts.push(`Escalated ${esc.from} → ${esc.to} (session ${esc.session})`);
+    });
+    if (f.resolved && f.healed) {
+      metaParts.push(`Healed in session ${f.healed.session}${f.healed.cause ? ': ' + f.healed.cause : ''}`);
+    }
+    if (metaParts.length) {
+      const meta = document.createElement('div');
+      meta.className = 'fallout-meta text-muted';
+      meta.textContent = metaParts.join(' · ');
+      row.appendChild(meta);
+    }
     // Remove button
     const remBtn = document.createElement('button');
     remBtn.textContent = '×';
@@ -5224,6 +7626,21 @@
     row.style.alignItems = 'center';
     row.style.marginBottom = '4px';
 
+    // Marks skills/domains limited by unhealed fallout modifiers.
+    const createFalloutBadge = (kinds) => {
+      const mods = RulesEngine.activeFalloutEffects(ent.fallout)
+        .filter(e => kinds.includes(e.kind) && e.target.toLowerCase() === String(obj.name || '').toLowerCase());
+      if (!mods.length) return null;
+      const badge = document.createElement('span');
+      badge.className = 'skill-fallout-badge';
+      const blocked = mods.some(e => e.kind.startsWith('no-'));
+      const dice = mods.filter(e => e.kind === 'difficulty').reduce((sum, e) => sum + e.amount, 0);
+      badge.textContent = blocked ? 'Blocked' : `−${dice}`;
+      badge.title = mods.map(e => `${RulesEngine.describeFalloutEffect(e)} (${e.falloutName})`).join('\n');
+      row.classList.toggle('fallout-blocked', blocked);
+      return badge;
+    };
+
     // Utility: remove button for list rows
     const createRemoveButton = () => {
       const remBtn = document.createElement('button');
@@ -5272,6 +7689,8 @@
       });
       row.appendChild(nameSelect);
       row.appendChild(masteredBtn);
+      const skillBadge = createFalloutBadge(['difficulty', 'no-skill']);
+      if (skillBadge) row.appendChild(skillBadge);
       row.appendChild(rollBtn);
       row.appendChild(createRemoveButton());
     } else if (listName === 'domains') {
@@ -5291,6 +7710,8 @@
         saveAndRefresh();
       });
       row.appendChild(nameSelect);
+      const domainBadge = createFalloutBadge(['no-domain']);
+      if (domainBadge) row.appendChild(domainBadge);
       row.appendChild(createRemoveButton());
     } else {
       // Default behaviour for resistances and other generic lists: free text name and numeric value.
@@ -5480,6 +7901,15 @@
         stressWrapper.appendChild(stressLabel);
         stressWrapper.appendChild(stressSelect);
         typeFields.appendChild(stressWrapper);
+        if (item.sceneState) {
+          const ready = RulesEngine.weaponReadiness(item);
+          if (ready.reason) {
+            const status = document.createElement('span');
+            status.className = 'dice-tag-status' + (ready.ready ? '' : ' dice-tag-warn');
+            status.textContent = ready.reason;
+            typeFields.appendChild(status);
+          }
+        }
         typeFields.appendChild(tagsWrapper);
       } else if (item.type === 'armor') {
         // Resistance input
@@ -5704,7 +8134,7 @@
     }, 3500);
   }
 
-  function setSaveState(mode = 'saved', message = '') {
+  function setSaveState(mode = 'saved', message = '', detail = '') {
     const el = document.getElementById('save-state-indicator');
     const retryBtn = document.getElementById('save-retry-btn');
     if (!el) return;
@@ -5729,12 +8159,13 @@
     }
     el.classList.add('state-saved');
     const stamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-    el.textContent = message || `Saved ${stamp}`;
-    el.title = `Last saved at ${stamp}`;
+    const timing = state.lastSaveTiming ? ` · ${state.lastSaveTiming.totalMs} ms` : '';
+    el.textContent = message || `Saved ${stamp}${timing}`;
+    el.title = detail ? `Last saved at ${stamp}: ${detail}` : `Last saved at ${stamp}`;
     if (retryBtn) retryBtn.classList.add('hidden');
     saveStateTimer = setTimeout(() => {
       el.classList.remove('state-saved');
-      el.textContent = `Saved ${stamp}`;
+      el.textContent = `Saved ${stamp}${timing}`;
     }, 1500);
   }
 
@@ -5788,25 +8219,25 @@
       if (saved) showToast('Campaign saved', 'info');
       return;
     }
-    const ok = await askConfirm(
-      'This campaign changed in another tab. Save anyway and overwrite localStorage?',
-      'Sync Conflict'
-    );
-    if (!ok) return;
-    const saved = saveCampaigns({ force: true });
-    if (saved) showToast('Campaign saved (forced overwrite).', 'warn');
+    openSyncConflictModal();
   }
 
-  function reloadCampaignFromStorage() {
+  async function reloadCampaignFromStorage() {
     if (!state.currentUser) return;
     try {
-      const raw = localStorage.getItem(userScopedKey('spire-campaigns'));
-      if (!raw) {
+      const parsed = await CampaignStore.load(state.currentUser);
+      if (!parsed) {
         showToast('No stored campaign data to reload.', 'warn');
         return;
       }
-      const parsed = JSON.parse(raw);
-      state.campaigns = parsed.campaigns || {};
+      const loaded = migrateCampaignMap(parsed.campaigns);
+      const mine = currentCampaign();
+      if (mine && loaded.campaigns[mine.id]) checkpointCampaign(mine, 'merge', 'Before reloading from another tab');
+      state.campaigns = loaded.campaigns;
+      state.unsupportedCampaigns = loaded.refused;
+      state.savedFingerprints = {};
+      state.mergeBase = fingerprintCampaigns(state.campaigns);
+      if (loaded.errors.length) showToast(`Not loaded: ${loaded.errors.join(' ')}`, 'warn');
       state.currentCampaignId = parsed.currentCampaignId;
       if (!state.currentCampaignId || !state.campaigns[state.currentCampaignId]) {
         const first = Object.keys(state.campaigns)[0];
@@ -5827,7 +8258,104 @@
     }
   }
 
-  function openSyncConflictModal() {
+  let mergeInFlight = null;
+  let autoMergeTimer = null;
+
+  /**
+   * Three-way merge of this tab's campaigns with the copy another tab
+   * stored, using state.mergeBase as the common ancestor. Resolves {
+   * campaigns, conflicts, remoteChanges } (see RulesEngine.mergeCampaignMaps)
+   * plus `stored`, the campaigns as read from storage.
+   */
+  async function planSyncMerge() {
+    const stored = await CampaignStore.load(state.currentUser);
+    const storedCampaigns = (stored && stored.campaigns) || {};
+    const remote = migrateCampaignMap(storedCampaigns).campaigns;
+    const base = {};
+    Object.entries(state.mergeBase || {}).forEach(([id, fp]) => { base[id] = RulesEngine.campaignFromFingerprint(fp); });
+    return Object.assign(RulesEngine.mergeCampaignMaps(base, state.campaigns, remote), { stored: storedCampaigns });
+  }
+
+  function applySyncMerge(plan, campaigns) {
+    const mine = currentCampaign();
+    if (mine && campaigns[mine.id]) checkpointCampaign(mine, 'merge', 'Before merging changes from another tab');
+    state.campaigns = campaigns;
+    if (!state.currentCampaignId || !state.campaigns[state.currentCampaignId]) {
+      state.currentCampaignId = Object.keys(state.campaigns)[0] || null;
+    }
+    if (!state.currentCampaignId) {
+      const camp = createCampaign('Default');
+      state.campaigns[camp.id] = camp;
+      state.currentCampaignId = camp.id;
+    }
+    // Storage now holds the other tab's copy: write only what the merge
+    // adds to it, so a merge that just takes their changes writes nothing
+    // and doesn't set off another merge over there.
+    state.savedFingerprints = fingerprintCampaigns(plan.stored);
+    state.mergeBase = state.savedFingerprints;
+    state.savedCurrentCampaignId = state.currentCampaignId;
+    setSyncConflictWarning(false);
+    const saved = saveCampaigns();
+    if (saved && loadPendingOps().length) savePendingOps([]);
+    if (!plan.remoteChanges) return;
+    initAfterLoad();
+    showToast(`Merged ${plan.remoteChanges} change${plan.remoteChanges === 1 ? '' : 's'} from another tab.`, 'info');
+  }
+
+  /**
+   * Merge changes from another tab without asking when they don't overlap
+   * with this tab's. Overlapping changes leave the conflict indicator up
+   * for openSyncConflictModal.
+   */
+  function scheduleAutoMerge() {
+    clearTimeout(autoMergeTimer);
+    autoMergeTimer = setTimeout(async () => {
+      if (!state.syncConflictActive || mergeInFlight || !state.currentUser) return;
+      mergeInFlight = planSyncMerge();
+      try {
+        const plan = await mergeInFlight;
+        if (!state.syncConflictActive) return;
+        if (plan.conflicts.length) {
+          const msg = `${plan.conflicts.length} conflicting change${plan.conflicts.length === 1 ? '' : 's'} with another tab`;
+          setSyncConflictWarning(true, msg);
+          setSaveState('error', msg);
+          return;
+        }
+        applySyncMerge(plan, plan.campaigns);
+      } catch (err) {
+        console.warn('Automatic merge failed', err);
+      } finally {
+        mergeInFlight = null;
+      }
+    }, 250);
+  }
+
+  function mergeConflictLabel(conflict, withCampaign) {
+    const where = withCampaign ? `${conflict.campaignName} · ` : '';
+    if (conflict.kind === 'field') return `${where}Campaign setting "${conflict.key}"`;
+    if (conflict.kind === 'log') return `${where}Campaign log (both tabs removed or changed entries)`;
+    const what = conflict.kind === 'relationship' ? `Relationship ${conflict.name}` : conflict.name;
+    return `${where}${what}${conflict.key === null ? '' : ` · ${conflict.key}`}`;
+  }
+
+  function mergeValuePreview(value, wholeRecord, isLog) {
+    if (value === undefined) return 'Deleted';
+    if (wholeRecord) return 'Kept, with edits';
+    if (isLog) {
+      const last = value[value.length - 1];
+      return `${value.length} entr${value.length === 1 ? 'y' : 'ies'}${last && last.action ? `, latest: ${last.action}` : ''}`;
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    if (!text) return '(empty)';
+    return text.length > 160 ? `${text.slice(0, 157)}…` : text;
+  }
+
+  /**
+   * Resolve a sync conflict: merge another tab's changes into this tab's,
+   * applying non-overlapping ones automatically, and list only the true
+   * conflicts with this tab's and the other tab's value side by side.
+   */
+  async function openSyncConflictModal() {
     if (!state.syncConflictActive) return;
     const overlay = document.getElementById('modal-overlay');
     const modal = document.getElementById('modal');
@@ -5835,21 +8363,106 @@
     const titleEl = document.getElementById('modal-title');
     if (titleEl) titleEl.textContent = 'Sync Conflict';
     content.innerHTML = '';
+    overlay.classList.remove('hidden');
+    modal.classList.remove('hidden');
 
     const msg = document.createElement('p');
     msg.style.marginBottom = '12px';
-    msg.textContent = `${conflictWarningText()}. Choose how to resolve:`;
+    msg.textContent = `${conflictWarningText()}. Merging…`;
     content.appendChild(msg);
 
+    let plan;
+    try {
+      plan = await (mergeInFlight || planSyncMerge());
+    } catch (err) {
+      console.warn('Merge failed', err);
+      msg.textContent = `${conflictWarningText()}. The other tab's data couldn't be read for merging.`;
+      plan = null;
+    }
+    if (plan && !plan.conflicts.length) {
+      closeModal();
+      applySyncMerge(plan, plan.campaigns);
+      return;
+    }
+
+    const choices = {};
+    if (plan) {
+      msg.textContent = `${plan.remoteChanges} change${plan.remoteChanges === 1 ? '' : 's'} from the other tab merge cleanly. ` +
+        `Choose which version to keep for the ${plan.conflicts.length} conflicting change${plan.conflicts.length === 1 ? '' : 's'}:`;
+      const withCampaign = new Set(plan.conflicts.map((c) => c.campaignId)).size > 1;
+      const list = document.createElement('div');
+      list.className = 'sync-queue-list merge-conflict-list';
+      plan.conflicts.forEach((conflict, i) => {
+        choices[i] = 'local';
+        const row = document.createElement('div');
+        row.className = 'merge-conflict-row';
+        const label = document.createElement('div');
+        label.className = 'sync-queue-when';
+        label.textContent = mergeConflictLabel(conflict, withCampaign);
+        row.appendChild(label);
+        const sides = document.createElement('div');
+        sides.className = 'merge-conflict-sides';
+        [['local', 'This tab', conflict.local], ['remote', 'Other tab', conflict.remote]].forEach(([side, title, value]) => {
+          const option = document.createElement('label');
+          option.className = 'merge-conflict-choice';
+          const radio = document.createElement('input');
+          radio.type = 'radio';
+          radio.name = `merge-conflict-${i}`;
+          radio.checked = side === 'local';
+          radio.addEventListener('change', () => {
+            if (radio.checked) choices[i] = side;
+          });
+          const head = document.createElement('span');
+          head.className = 'merge-conflict-side';
+          head.textContent = title;
+          const preview = document.createElement('span');
+          preview.className = 'merge-conflict-value';
+          preview.textContent = mergeValuePreview(value, conflict.key === null, conflict.kind === 'log');
+          option.appendChild(radio);
+          option.appendChild(head);
+          option.appendChild(preview);
+          sides.appendChild(option);
+        });
+        row.appendChild(sides);
+        list.appendChild(row);
+      });
+      content.appendChild(list);
+    }
+
     const actions = document.createElement('div');
     actions.className = 'modal-form';
     actions.style.display = 'flex';
     actions.style.flexDirection = 'column';
     actions.style.gap = '8px';
+    actions.style.marginTop = '12px';
+
+    if (plan) {
+      const mergeBtn = document.createElement('button');
+      mergeBtn.className = 'modal-submit';
+      mergeBtn.textContent = 'Apply Merge';
+      mergeBtn.addEventListener('click', () => {
+        const campaigns = Object.assign({}, plan.campaigns);
+        const byCampaign = {};
+        plan.conflicts.forEach((conflict, i) => {
+          if (!byCampaign[conflict.campaignId]) byCampaign[conflict.campaignId] = { conflicts: [], choices: {} };
+          const entry = byCampaign[conflict.campaignId];
+          entry.choices[entry.conflicts.length] = choices[i];
+          entry.conflicts.push(conflict);
+        });
+        Object.entries(byCampaign).forEach(([id, entry]) => {
+          campaigns[id] = RulesEngine.resolveMergeConflicts(campaigns[id], entry.conflicts, entry.choices);
+        });
+        const taken = Object.values(choices).filter((side) => side === 'remote').length;
+        closeModal();
+        applySyncMerge(Object.assign({}, plan, { remoteChanges: plan.remoteChanges + taken }), campaigns);
+      });
+      actions.appendChild(mergeBtn);
+    }
 
     const reloadBtn = document.createElement('button');
     reloadBtn.className = 'modal-submit';
-    reloadBtn.textContent = 'Reload Latest From Other Tab';
+    reloadBtn.style.background = 'var(--spire-mid)';
+    reloadBtn.textContent = 'Discard Mine and Reload';
     reloadBtn.addEventListener('click', () => {
       closeModal();
       reloadCampaignFromStorage();
@@ -5875,8 +8488,6 @@
     actions.appendChild(dismissBtn);
 
     content.appendChild(actions);
-    overlay.classList.remove('hidden');
-    modal.classList.remove('hidden');
   }
 
   function openSyncQueueModal() {
@@ -6090,7 +8701,10 @@
 
   function updatePendingBadge() {
     const camp = currentCampaign();
-    const count = Object.values(camp.entities).filter(e => e.pendingApproval).length;
+    const pendingRefreshes = Object.values(camp.entities)
+      .filter(e => e.type === 'pc' && Array.isArray(e.refreshHistory))
+      .reduce((n, pc) => n + pc.refreshHistory.filter(r => r.status === 'pending').length, 0);
+    const count = Object.values(camp.entities).filter(e => e.pendingApproval).length + pendingRefreshes;
     const badge = document.getElementById('pending-badge');
     if (!badge) return;
     if (count > 0 && state.gmMode) {
@@ -6195,6 +8809,12 @@
     claimBtn.addEventListener('click', () => {
       const chosen = camp.entities[sel.value];
       if (!chosen) return;
+      // The cloud keeps each PC for the player who created it.
+      const row = camp.cloudCampaignId ? cloudEntityRow(camp, chosen.id) : null;
+      if (row && row.owner_user !== state.currentUser) {
+        showToast(`${entityLabel(chosen)} is already in the online campaign and can't be claimed. Create a new character instead.`, 'warn');
+        return;
+      }
       camp.playerOwnedPcId = chosen.id;
       closeModal();
       saveAndRefresh();
@@ -6214,38 +8834,20 @@
     content.appendChild(btnBar);
   }
 
-  function totalStressForFallout(pc) {
-    const tracks = ['blood', 'mind', 'silver', 'shadow', 'reputation'];
-    return tracks.reduce((sum, track) => {
-      const filled = (pc && pc.stressFilled && pc.stressFilled[track]) ? pc.stressFilled[track].length : 0;
-      let free = 0;
-      if (Array.isArray(pc && pc.resistances)) {
-        pc.resistances.forEach((r) => {
-          if (!r || !r.name) return;
-          if (String(r.name).toLowerCase() !== track) return;
-          free += Math.max(0, parseInt(r.value, 10) || 0);
-        });
-      }
-      if (track === 'blood' && Array.isArray(pc && pc.inventory)) {
-        pc.inventory.forEach((item) => {
-          if (!item || item.type !== 'armor') return;
-          free += Math.max(0, parseInt(item.resistance, 10) || 0);
-        });
-      }
-      return sum + Math.min(10, Math.max(0, filled - free));
-    }, 0);
+  function totalStressForFallout(pc, profile) {
+    return RulesEngine.totalStressForFallout(pc || {}, profile);
   }
 
-  function falloutSeverityForTotalStress(total) {
-    return RulesEngine.falloutSeverityForTotalStress(total);
+  function falloutSeverityForTotalStress(total, profile) {
+    return RulesEngine.falloutSeverityForTotalStress(total, profile);
   }
 
-  function stressClearAmountForSeverity(severity) {
-    return RulesEngine.stressClearAmountForSeverity(severity);
+  function stressClearAmountForSeverity(severity, profile) {
+    return RulesEngine.stressClearAmountForSeverity(severity, profile);
   }
 
-  function clearStressForFallout(pc, amount, preferredTrack) {
-    const tracks = ['blood', 'mind', 'silver', 'shadow', 'reputation'];
+  function clearStressForFallout(pc, amount, preferredTrack, profile) {
+    const tracks = (profile || RulesEngine.getRulesProfile(currentCampaign())).tracks.map(t => t.key);
     let remaining = amount;
     const ordered = tracks.slice();
     if (preferredTrack && tracks.includes(preferredTrack)) {
@@ -6276,29 +8878,85 @@
     const rules = getRulesConfig();
     if (!rules.falloutCheckOnStress) return;
     if (stressDelta <= 0) return;
-    const total = totalStressForFallout(pc);
+    const profile = RulesEngine.getRulesProfile(currentCampaign());
+    const total = totalStressForFallout(pc, profile);
     if (total < 2) return;
     const rng = (options && typeof options.rng === 'function') ? options.rng : Math.random;
     const roll = Math.ceil(rng() * 10);
     if (roll >= total) return;
 
-    const severity = falloutSeverityForTotalStress(total);
+    const severity = falloutSeverityForTotalStress(total, profile);
     if (rules.clearStressOnFallout) {
-      const stressToClear = stressClearAmountForSeverity(severity);
-      clearStressForFallout(pc, stressToClear, contextTrack);
+      const stressToClear = stressClearAmountForSeverity(severity, profile);
+      clearStressForFallout(pc, stressToClear, contextTrack, profile);
+    }
+    const result = recordFallout(pc, {
+      track: contextTrack,
+      severity,
+      rng,
+      note: `Auto-triggered from stress check (D10 ${roll} vs total ${total}).`
+    });
+    const what = result.fallout.name ? ` ${result.fallout.name}` : '';
+    showToast(result.escalated
+      ? `Fallout escalated to ${result.fallout.severity}${what} — rolled ${roll} vs total stress ${total}.`
+      : `Fallout triggered (${severity})${what} — rolled ${roll} vs total stress ${total}.`, 'warn');
+  }
+
+  /** Enabled fallout compendium entries from enabled sourcebooks, plus active packs' fallout. */
+  function falloutTableEntries(camp = currentCampaign()) {
+    return (camp && Array.isArray(camp.falloutCompendium) ? camp.falloutCompendium : [])
+      .filter(entry => entry && entry.enabled !== false && isSourceEnabled(camp, entry.source))
+      .concat(packFalloutEntries(camp));
+  }
+
+  /**
+   * Add fallout to a PC. A recurring Minor on a track with unhealed fallout
+   * escalates that entry instead; otherwise the campaign's fallout table for
+   * the track and severity is rolled (or `opts.entry` is used) to name it.
+   */
+  function recordFallout(pc, opts = {}) {
+    const camp = currentCampaign();
+    const profile = RulesEngine.getRulesProfile(camp);
+    const key = String(opts.track || '').toLowerCase();
+    const trackDef = profile.tracks.find(t => t.key === key || t.label.toLowerCase() === key);
+    const type = trackDef ? trackDef.label : (opts.track ? key.charAt(0).toUpperCase() + key.slice(1) : 'General');
+    const severity = opts.severity || 'Minor';
+    const session = (camp && camp.currentSession) || 1;
+    if (!Array.isArray(pc.fallout)) pc.fallout = [];
+
+    const escalation = RulesEngine.planFalloutEscalation(pc.fallout, type, severity);
+    if (escalation) {
+      const f = escalation.fallout;
+      f.severity = escalation.to;
+      f.escalations = (Array.isArray(f.escalations) ? f.escalations : []).concat([{
+        from: escalation.from,
+        to: escalation.to,
+        session,
+        timestamp: new Date().toISOString()
+      }]);
+      appendLog(`Fallout escalated (${escalation.from} → ${escalation.to})`, pc.id);
+      return { fallout: f, escalated: true };
     }
+
+    const entry = opts.entry !== undefined
+      ? opts.entry
+      : RulesEngine.rollFalloutTable(falloutTableEntries(camp), { track: type, severity, rng: opts.rng });
     const fallout = {
       id: generateId('fallout'),
-      type: contextTrack ? contextTrack.charAt(0).toUpperCase() + contextTrack.slice(1) : 'General',
+      type,
+      track: trackDef ? trackDef.key : '',
       severity,
-      name: '',
-      description: `Auto-triggered from stress check (D10 ${roll} vs total ${total}).`,
+      name: entry ? (entry.name || '') : '',
+      description: [entry && entry.description, opts.note].filter(Boolean).join(' '),
+      effects: entry && Array.isArray(entry.effects) ? entry.effects.map(e => Object.assign({}, e)) : [],
+      compendiumId: entry ? entry.id : '',
+      session,
       resolved: false,
       timestamp: new Date().toISOString()
     };
     pc.fallout.push(fallout);
     appendLog(`Fallout triggered (${severity})`, pc.id);
-    showToast(`Fallout triggered (${severity}) — rolled ${roll} vs total stress ${total}.`, 'warn');
+    return { fallout, escalated: false };
   }
 
   function saveAndRefresh(options = {}) {
@@ -6808,7 +9466,10 @@
         directed: rel.directed,
         sourceKnows: rel.sourceKnows,
         targetKnows: rel.targetKnows,
-        secret: rel.secret
+        secret: rel.secret,
+        bondStatus: RulesEngine.worstBondStatus(
+          findBondsForRelationship(camp, rel.id).map(({ pc, bond }) => RulesEngine.bondStatus(bond, pc.fallout))
+        )
       });
     });
     // Redraw the graph on the canvas
@@ -6949,13 +9610,23 @@
     'Unknown/Unclear':  '#b0bec5'
   };
 
-  function edgeColor(type) {
+  // Strained/broken PC bonds override the relationship type's colour.
+  const BOND_STATUS_EDGE_COLORS = { strained: '#f0a030', broken: '#d32f2f' };
+
+  function edgeColor(type, bondStatus) {
+    if (BOND_STATUS_EDGE_COLORS[bondStatus]) return BOND_STATUS_EDGE_COLORS[bondStatus];
     const isDark = document.body.classList.contains('dark');
     const palette = isDark ? EDGE_COLORS_DARK : EDGE_COLORS_LIGHT;
     return palette[type] || (isDark ? '#b0bec5' : '#888888');
   }
 
-  function edgeDashForType(type) {
+  function edgeDashForType(type, bondStatus) {
+    if (bondStatus === 'broken') {
+      return [3 / graphState.scale, 5 / graphState.scale];
+    }
+    if (bondStatus === 'strained') {
+      return [10 / graphState.scale, 3 / graphState.scale, 2 / graphState.scale, 3 / graphState.scale];
+    }
     if (type === 'Enemy' || type === 'Rival' || type === 'Targeting') {
       return [8 / graphState.scale, 4 / graphState.scale];
     }
@@ -6992,11 +9663,11 @@
       const x1 = edge.source.x, y1 = edge.source.y;
       const x2 = edge.target.x, y2 = edge.target.y;
       const isSelected = state.selectedRelId === edge.id;
-      const color = edgeColor(edge.type);
+      const color = edgeColor(edge.type, edge.bondStatus);
       const focusEdge = !focusNodeId || edge.source.id === focusNodeId || edge.target.id === focusNodeId;
       ctx.strokeStyle = color;
       ctx.lineWidth = (isSelected ? 3 : 2) / graphState.scale;
-      ctx.setLineDash(edgeDashForType(edge.type));
+      ctx.setLineDash(edgeDashForType(edge.type, edge.bondStatus));
       if (focusNodeId) ctx.globalAlpha = isSelected ? 1 : (focusEdge ? 0.9 : 0.12);
       else ctx.globalAlpha = isSelected ? 1 : 0.75;
       if (edge.secret && !isSelected) ctx.globalAlpha *= 0.65;
@@ -7010,7 +9681,8 @@
       // Edge label at midpoint
       const mx = (x1 + x2) / 2;
       const my = (y1 + y2) / 2;
-      const edgeLabel = edge.secret ? `🔒 ${edge.type}` : edge.type;
+      const typeLabel = edge.bondStatus && edge.bondStatus !== 'steady' ? `${edge.type} · ${edge.bondStatus}` : edge.type;
+      const edgeLabel = edge.secret ? `🔒 ${typeLabel}` : typeLabel;
       drawEdgeLabel(ctx, edgeLabel, mx, my, color, focusNodeId && !focusEdge ? 0.18 : 1);
     });
 
@@ -7572,6 +10244,38 @@
     const trg = currentCampaign().entities[rel.target];
     header.textContent = `Relationship: ${entityLabel(src)} → ${entityLabel(trg)}`;
     content.appendChild(header);
+    // Bonds on PC sheets that this relationship represents
+    const relBonds = findBondsForRelationship(currentCampaign(), rel.id);
+    if (relBonds.length) {
+      const bondField = document.createElement('div');
+      bondField.className = 'inspector-field rel-bond-field';
+      const bondLabel = document.createElement('label');
+      bondLabel.textContent = 'Bond';
+      bondField.appendChild(bondLabel);
+      relBonds.forEach(({ pc, bond }) => {
+        const line = document.createElement('div');
+        line.className = 'rel-bond-line';
+        const text = document.createElement('span');
+        text.textContent = `${bond.level || 'Individual'} bond on ${entityLabel(pc)}'s sheet · `
+          + `stress ${bond.stress || 0}/${RulesEngine.bondStressSlots(bond)}`;
+        const status = RulesEngine.bondStatus(bond, pc.fallout);
+        const badge = document.createElement('span');
+        badge.className = `bond-status ${status}`;
+        badge.textContent = status.charAt(0).toUpperCase() + status.slice(1);
+        const stressBtn = document.createElement('button');
+        stressBtn.textContent = 'Take Stress…';
+        stressBtn.addEventListener('click', () => openStressApplicationModal(pc, { bondId: bond.id }));
+        const openBtn = document.createElement('button');
+        openBtn.textContent = 'Open Sheet';
+        openBtn.addEventListener('click', () => selectEntity(pc.id));
+        line.appendChild(text);
+        line.appendChild(badge);
+        line.appendChild(stressBtn);
+        line.appendChild(openBtn);
+        bondField.appendChild(line);
+      });
+      content.appendChild(bondField);
+    }
     // Type selector
     const typeField = document.createElement('div');
     typeField.className = 'inspector-field';
@@ -7784,13 +10488,17 @@
     notesLabel.textContent = 'Notes';
     const notesInput = document.createElement('textarea');
     notesInput.value = rel.notes || '';
+    const setRelNotes = (text) => {
+      rel.notes = text;
+      relBonds.forEach(({ pc, bond }) => setBondNotes(currentCampaign(), pc, bond, text));
+    };
     notesInput.addEventListener('input', e => {
-      rel.notes = e.target.value;
+      setRelNotes(e.target.value);
       queueDeferredSave(`rel-notes:${rel.id}`);
     });
     notesInput.addEventListener('change', e => {
       pushRelationshipUndo(rel.id, 'Relationship notes');
-      rel.notes = e.target.value;
+      setRelNotes(e.target.value);
       appendLog('Edited relationship notes', rel.id);
       saveWithoutRefresh();
     });
@@ -8112,7 +10820,7 @@
     const pcs = Object.values(camp.entities).filter(e => e.type === 'pc');
     const pendingFalloutCount = pcs.reduce((sum, pc) => sum + (pc.fallout || []).filter(f => !f.resolved).length, 0);
     const highStressPcCount = pcs.filter(pc => {
-      const tracks = ['blood','mind','silver','shadow','reputation'];
+      const tracks = stressTrackKeys(camp);
       return tracks.some((t) => {
         const filled = (pc.stressFilled && pc.stressFilled[t]) ? pc.stressFilled[t].length : 0;
         const slots = getTrackTotalSlots(pc, t);
@@ -8206,7 +10914,7 @@
         nameBtn.textContent = entityLabel(pc);
         nameBtn.addEventListener('click', () => { selectEntity(pc.id); document.querySelector('.tab-link[data-tab="sheets-view"]').click(); });
         pcRow.appendChild(nameBtn);
-        const tracks = ['blood','mind','silver','shadow','reputation'];
+        const tracks = stressTrackKeys(camp);
         tracks.forEach(t => {
           const filled = (pc.stressFilled && pc.stressFilled[t]) ? pc.stressFilled[t].length : 0;
           const slots = getTrackTotalSlots(pc, t);
@@ -8228,14 +10936,15 @@
     riskDiv.innerHTML = '<strong>High Risk PCs</strong>';
     let anyRisk = false;
     pcs.forEach((pc) => {
-      const total = totalStressForFallout(pc);
-      const tracks = ['blood','mind','silver','shadow','reputation'];
+      const profile = getRulesProfile(camp);
+      const total = totalStressForFallout(pc, profile);
+      const tracks = profile.tracks.map(t => t.key);
       const maxTrack = tracks.reduce((m, t) => {
         const v = (pc.stressFilled && pc.stressFilled[t]) ? pc.stressFilled[t].length : 0;
         return Math.max(m, v);
       }, 0);
       const activeFalloutCount = (pc.fallout || []).filter(f => !f.resolved).length;
-      const risky = total >= 9 || maxTrack >= 8 || activeFalloutCount >= 2;
+      const risky = total >= profile.falloutThresholds.severe || maxTrack >= 8 || activeFalloutCount >= 2;
       if (!risky) return;
       anyRisk = true;
       const row = document.createElement('div');
@@ -8427,6 +11136,7 @@
       if (!state.gmMode) {
         if (ent && ent.gmOnly) return false;
         if (ent && ent.secret) return false;
+        if (entry.secret) return false;
       }
       if (selectedSession !== 'all' && String(entry.session || 1) !== selectedSession) return false;
       if (selectedActor !== 'all' && String(entry.actor || '') !== selectedActor) return false;
@@ -8456,6 +11166,9 @@
       if (entry.type === 'note') {
         li.className = 'log-note';
       }
+      if (entry.type === 'roll') {
+        li.className = 'log-roll';
+      }
       const time = document.createElement('time');
       time.dateTime = entry.time;
       time.textContent = new Date(entry.time).toLocaleString();
@@ -8553,6 +11266,7 @@
       if (!state.gmMode) {
         if (ent && ent.gmOnly) return false;
         if (ent && ent.secret) return false;
+        if (entry.secret) return false;
       }
       if (selectedSession !== 'all' && String(entry.session || 1) !== selectedSession) return false;
       if (selectedActor !== 'all' && String(entry.actor || '') !== selectedActor) return false;
@@ -8603,6 +11317,20 @@
       ['Action', entry.action || ''],
       ['Target', targetLabel || entry.targetLabel || '']
     ];
+    if (entry.type === 'roll' && entry.roll) {
+      const roll = entry.roll;
+      fields.push(
+        ['Skill', roll.skill || ''],
+        ['Domain', roll.domain || ''],
+        ['Difficulty', String(roll.difficulty || 0)],
+        ['Dice', `D${roll.sides}: ${(roll.rolls || []).join(', ')}`],
+        ['Kept', String(roll.kept)],
+        ['Outcome', roll.outcomeLabel || ''],
+        ['Weapon', roll.weapon || ''],
+        ['Tags', (roll.tags || []).join(', ')],
+        ['Seed', roll.seed == null ? '' : String(roll.seed)]
+      );
+    }
     fields.forEach(([k, v]) => {
       const row = document.createElement('div');
       row.className = 'modal-field modal-field-inline';
@@ -8701,7 +11429,7 @@
     const sessionStartMs = Number.isFinite(sessionStart) ? sessionStart : 0;
 
     const actions = (camp.logs || [])
-      .filter(e => (e.session || 1) === session && e.type !== 'session')
+      .filter(e => (e.session || 1) === session && e.type !== 'session' && e.type !== 'roll')
       .slice(-12)
       .map((e) => {
         const label = resolveLogTargetLabel(camp, e);
@@ -8709,6 +11437,14 @@
         return `- ${e.action}${label ? ` (${label})` : ''}${actor}`;
       });
 
+    const rollLines = (camp.logs || [])
+      .filter(e => (e.session || 1) === session && e.type === 'roll' && e.roll && canViewRollEntry(e))
+      .map((e) => {
+        const label = resolveLogTargetLabel(camp, e);
+        const who = [e.actor, label].filter(Boolean).join(' / ');
+        return `- ${who ? who + ': ' : ''}${formatRollSummary(e.roll)}`;
+      });
+
     const pcs = Object.values(camp.entities || {}).filter(e => e.type === 'pc');
     const falloutLines = [];
     pcs.forEach((pc) => {
@@ -8717,6 +11453,13 @@
       falloutLines.push(`- ${entityLabel(pc)}: ${active.length} active fallout`);
     });
 
+    const refreshLines = [];
+    pcs.forEach((pc) => {
+      RulesEngine.refreshesForSession(pc.refreshHistory, session).forEach((entry) => {
+        refreshLines.push(`- ${entityLabel(pc)}: ${RulesEngine.describeRefresh(entry)}`);
+      });
+    });
+
     const taskLines = [];
     pcs.forEach((pc) => {
       const openTasks = (pc.tasks || []).filter(t => t.status !== 'Done');
@@ -8737,9 +11480,15 @@
     lines.push('Notable actions:');
     lines.push(...(actions.length ? actions : ['- No notable actions logged.']));
     lines.push('');
+    lines.push(`Rolls (${rollLines.length}):`);
+    lines.push(...(rollLines.length ? rollLines : ['- None.']));
+    lines.push('');
     lines.push('Active fallout:');
     lines.push(...(falloutLines.length ? falloutLines : ['- None.']));
     lines.push('');
+    lines.push('Refreshes:');
+    lines.push(...(refreshLines.length ? refreshLines : ['- None.']));
+    lines.push('');
     lines.push('Open tasks:');
     lines.push(...(taskLines.length ? taskLines : ['- None.']));
     return lines.join('\n');
@@ -9041,6 +11790,7 @@
       }
       list.appendChild(empty);
     }
+    renderRollFeed();
     if (readChanged) saveCampaigns();
     updateMessagesUnreadBadge();
     updateUndoButtonState();
@@ -9298,6 +12048,256 @@
     ensureAutoGrowTextareas(board);
   }
 
+  /**
+   * GM editor for a homebrew class (or a new one when `entry` is null).
+   * Skills and domains are picked from SKILL_OPTIONS/DOMAIN_OPTIONS and
+   * resistances from the rules profile's tracks; kit items and advances are
+   * edited one per line. Saving is refused until
+   * SpireRulesEngine.validateClassDefinition has nothing to report.
+   */
+  function openClassEditor(entry) {
+    const overlay = document.getElementById('modal-overlay');
+    const modal = document.getElementById('modal');
+    const content = document.getElementById('modal-content');
+    const titleEl = document.getElementById('modal-title');
+    const camp = currentCampaign();
+    if (!camp) return;
+    const src = entry ? JSON.parse(JSON.stringify(entry)) : {};
+    const draft = {
+      id: src.id || '',
+      name: src.name || '',
+      refresh: src.refresh || '',
+      resistances: Array.isArray(src.resistances) ? src.resistances : [],
+      skills: Array.isArray(src.skills) ? src.skills : [],
+      domains: Array.isArray(src.domains) ? src.domains : [],
+      bondPrompts: Array.isArray(src.bondPrompts) ? src.bondPrompts : [],
+      coreAbilities: Array.isArray(src.coreAbilities) ? src.coreAbilities : [],
+      inventoryOptions: (Array.isArray(src.inventoryOptions) ? src.inventoryOptions : []).map((kit) => ({
+        label: kit.label || '',
+        note: kit.note || '',
+        lines: (kit.items || []).map((item) => RulesEngine.formatKitItemLine(item)).join('\n')
+      })),
+      advanceLines: {}
+    };
+    ['low', 'medium', 'high'].forEach((tier) => {
+      draft.advanceLines[tier] = ((src.advances && src.advances[tier]) || []).map((a) => RulesEngine.formatAdvanceLine(a)).join('\n');
+    });
+    const splitLines = (text) => String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+    const trackLabels = getRulesProfile(camp).tracks.map((t) => t.label);
+
+    function definition() {
+      const adv = {};
+      ['low', 'medium', 'high'].forEach((tier) => {
+        adv[tier] = splitLines(draft.advanceLines[tier]).map((line) => RulesEngine.parseAdvanceLine(line)).filter(Boolean);
+      });
+      return {
+        id: draft.id,
+        name: draft.name.trim(),
+        refresh: draft.refresh.trim(),
+        resistances: draft.resistances.filter((r) => r.value),
+        skills: draft.skills.slice(),
+        domains: draft.domains.slice(),
+        bondPrompts: draft.bondPrompts.slice(),
+        coreAbilities: draft.coreAbilities.slice(),
+        inventoryOptions: draft.inventoryOptions.map((kit) => {
+          const out = {
+            label: kit.label.trim(),
+            items: splitLines(kit.lines).map((line) => RulesEngine.parseKitItemLine(line)).filter(Boolean)
+          };
+          if (kit.note.trim()) out.note = kit.note.trim();
+          return out;
+        }),
+        advances: adv
+      };
+    }
+
+    function field(labelText, control, hint) {
+      const wrap = document.createElement('div');
+      wrap.className = 'modal-field';
+      const label = document.createElement('label');
+      label.textContent = labelText;
+      wrap.appendChild(label);
+      if (hint) {
+        const small = document.createElement('div');
+        small.className = 'creation-wizard-info';
+        small.textContent = hint;
+        wrap.appendChild(small);
+      }
+      wrap.appendChild(control);
+      return wrap;
+    }
+
+    function linesArea(value, rows, onInput) {
+      const ta = document.createElement('textarea');
+      ta.rows = rows;
+      ta.value = value;
+      ta.addEventListener('input', (e) => onInput(e.target.value));
+      return ta;
+    }
+
+    function checkGrid(options, selected) {
+      const grid = document.createElement('div');
+      grid.className = 'class-editor-grid';
+      options.forEach((opt) => {
+        const lbl = document.createElement('label');
+        lbl.className = 'creation-wizard-choice';
+        const chk = document.createElement('input');
+        chk.type = 'checkbox';
+        chk.checked = selected.some((v) => v.toLowerCase() === opt.toLowerCase());
+        chk.addEventListener('change', () => {
+          const idx = selected.findIndex((v) => v.toLowerCase() === opt.toLowerCase());
+          if (chk.checked && idx === -1) selected.push(opt);
+          if (!chk.checked && idx !== -1) selected.splice(idx, 1);
+        });
+        const text = document.createElement('span');
+        text.textContent = opt;
+        lbl.appendChild(chk);
+        lbl.appendChild(text);
+        grid.appendChild(lbl);
+      });
+      return grid;
+    }
+
+    function render() {
+      if (titleEl) titleEl.textContent = entry ? `Edit Class — ${entry.name}` : 'New Homebrew Class';
+      content.innerHTML = '';
+      const wrap = document.createElement('div');
+      wrap.className = 'creation-wizard class-editor';
+
+      const nameIn = document.createElement('input');
+      nameIn.type = 'text';
+      nameIn.placeholder = 'Class name…';
+      nameIn.value = draft.name;
+      nameIn.addEventListener('input', (e) => { draft.name = e.target.value; });
+      wrap.appendChild(field('Name', nameIn));
+      wrap.appendChild(field('Refresh', linesArea(draft.refresh, 2, (v) => { draft.refresh = v; })));
+
+      const resGrid = document.createElement('div');
+      resGrid.className = 'class-editor-grid';
+      trackLabels.forEach((track) => {
+        const lbl = document.createElement('label');
+        lbl.className = 'creation-wizard-choice';
+        const num = document.createElement('input');
+        num.type = 'number';
+        num.min = '0';
+        num.max = '3';
+        const current = draft.resistances.find((r) => r.name.toLowerCase() === track.toLowerCase());
+        num.value = current ? String(current.value) : '0';
+        num.addEventListener('change', (e) => {
+          const value = parseInt(e.target.value, 10) || 0;
+          draft.resistances = draft.resistances.filter((r) => r.name.toLowerCase() !== track.toLowerCase());
+          if (value) draft.resistances.push({ name: track, value });
+        });
+        const text = document.createElement('span');
+        text.textContent = track;
+        lbl.appendChild(num);
+        lbl.appendChild(text);
+        resGrid.appendChild(lbl);
+      });
+      wrap.appendChild(field('Resistances', resGrid, 'Bonus per track, 0 for none.'));
+      wrap.appendChild(field('Skills', checkGrid(SKILL_OPTIONS, draft.skills)));
+      wrap.appendChild(field('Domains', checkGrid(DOMAIN_OPTIONS, draft.domains)));
+      wrap.appendChild(field('Bond Prompts', linesArea(draft.bondPrompts.join('\n'), 3, (v) => { draft.bondPrompts = splitLines(v); }), 'One prompt per line.'));
+      wrap.appendChild(field('Core Abilities', linesArea(draft.coreAbilities.join('\n'), 2, (v) => { draft.coreAbilities = splitLines(v); }), 'One ability per line.'));
+
+      const kits = document.createElement('div');
+      kits.className = 'creation-wizard';
+      draft.inventoryOptions.forEach((kit, idx) => {
+        const box = document.createElement('div');
+        box.className = 'creation-wizard-bond';
+        const head = document.createElement('div');
+        head.className = 'creation-wizard-row';
+        const labelIn = document.createElement('input');
+        labelIn.type = 'text';
+        labelIn.placeholder = 'Kit name…';
+        labelIn.value = kit.label;
+        labelIn.addEventListener('input', (e) => { kit.label = e.target.value; });
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'row-remove-btn';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Remove kit';
+        removeBtn.addEventListener('click', () => {
+          draft.inventoryOptions.splice(idx, 1);
+          render();
+        });
+        head.appendChild(labelIn);
+        head.appendChild(removeBtn);
+        box.appendChild(head);
+        const items = linesArea(kit.lines, 3, (v) => { kit.lines = v; });
+        items.placeholder = 'Hooked pole | weapon | D3 | Parrying\nOilskin coat | armor | 1';
+        box.appendChild(items);
+        const noteIn = document.createElement('input');
+        noteIn.type = 'text';
+        noteIn.placeholder = 'Note (optional)';
+        noteIn.value = kit.note;
+        noteIn.addEventListener('input', (e) => { kit.note = e.target.value; });
+        box.appendChild(noteIn);
+        kits.appendChild(box);
+      });
+      const addKitBtn = document.createElement('button');
+      addKitBtn.textContent = 'Add Kit';
+      addKitBtn.addEventListener('click', () => {
+        draft.inventoryOptions.push({ label: '', note: '', lines: '' });
+        render();
+      });
+      kits.appendChild(addKitBtn);
+      wrap.appendChild(field('Inventory Kits', kits, 'One item per line: Item | weapon/armor/other | stress or resistance | tags.'));
+
+      ['low', 'medium', 'high'].forEach((tier) => {
+        const label = `${tier.charAt(0).toUpperCase()}${tier.slice(1)} Advances`;
+        wrap.appendChild(field(label, linesArea(draft.advanceLines[tier], 3, (v) => { draft.advanceLines[tier] = v; }),
+          tier === 'low' ? 'One per line: NAME or NAME — rules text. Costs and prerequisites follow the tier.' : ''));
+      });
+
+      const errorsEl = document.createElement('ul');
+      errorsEl.className = 'creation-wizard-errors';
+      wrap.appendChild(errorsEl);
+
+      const nav = document.createElement('div');
+      nav.className = 'creation-wizard-row creation-wizard-nav';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = 'Cancel';
+      cancelBtn.addEventListener('click', () => closeModal());
+      const saveBtn = document.createElement('button');
+      saveBtn.className = 'modal-submit';
+      saveBtn.textContent = entry ? 'Save Class' : 'Create Class';
+      saveBtn.addEventListener('click', () => {
+        const def = definition();
+        const takenNames = getClassNames(camp).filter((n) => !entry || n !== entry.name);
+        const errors = RulesEngine.validateClassDefinition(def, {
+          skillOptions: SKILL_OPTIONS,
+          domainOptions: DOMAIN_OPTIONS,
+          resistanceOptions: trackLabels,
+          takenNames
+        });
+        errorsEl.innerHTML = '';
+        if (errors.length) {
+          errors.forEach((err) => {
+            const li = document.createElement('li');
+            li.textContent = err.message;
+            errorsEl.appendChild(li);
+          });
+          showToast(errors[0].message, 'warn');
+          return;
+        }
+        captureUndoSnapshot(entry ? 'Edit homebrew class' : 'Create homebrew class');
+        const saved = saveHomebrewClass(camp, def);
+        appendLog(`${entry ? 'Updated' : 'Created'} homebrew class ${saved.name}`, '');
+        closeModal();
+        saveAndRefresh();
+        showToast(`${saved.name} saved.`, 'info');
+      });
+      nav.appendChild(cancelBtn);
+      nav.appendChild(saveBtn);
+      wrap.appendChild(nav);
+      content.appendChild(wrap);
+    }
+
+    render();
+    overlay.classList.remove('hidden');
+    modal.classList.remove('hidden');
+  }
+
   function renderCompendium() {
     const host = document.getElementById('compendium-container');
     if (!host) return;
@@ -9309,10 +12309,6 @@
     }
     const camp = currentCampaign();
     if (!camp) return;
-    if (!camp.sourcebooks || typeof camp.sourcebooks !== 'object') camp.sourcebooks = defaultSourcebooks();
-    if (!Array.isArray(camp.refreshCompendium)) camp.refreshCompendium = defaultRefreshCompendium();
-    if (!Array.isArray(camp.falloutCompendium)) camp.falloutCompendium = defaultFalloutCompendium();
-    if (!Array.isArray(camp.equipmentCompendium)) camp.equipmentCompendium = defaultEquipmentCompendium();
     host.innerHTML = '';
 
     const sourcesSec = document.createElement('section');
@@ -9328,7 +12324,8 @@
     srcRow.style.display = 'flex';
     srcRow.style.flexWrap = 'wrap';
     srcRow.style.gap = '8px';
-    Object.keys(defaultSourcebooks()).forEach((source) => {
+    // Homebrew sourcebooks registered by imported content packs are listed too.
+    Object.keys(Object.assign(defaultSourcebooks(), camp.sourcebooks)).forEach((source) => {
       const lbl = document.createElement('label');
       lbl.className = 'sidebar-pin-only-row';
       const chk = document.createElement('input');
@@ -9348,6 +12345,73 @@
     sourcesSec.appendChild(srcRow);
     host.appendChild(sourcesSec);
 
+    const classSec = document.createElement('section');
+    classSec.className = 'prep-section';
+    classSec.innerHTML = '<strong>Homebrew Classes</strong>';
+    const classHint = document.createElement('div');
+    classHint.className = 'text-muted';
+    classHint.style.fontSize = '0.82rem';
+    classHint.style.margin = '6px 0';
+    classHint.textContent = 'Enabled classes appear in the PC sheet and guided creation alongside the built-in classes.';
+    classSec.appendChild(classHint);
+    const classList = document.createElement('div');
+    classList.style.display = 'grid';
+    classList.style.gap = '6px';
+    camp.homebrewClasses.forEach((entry) => {
+      const row = document.createElement('div');
+      row.className = 'sync-queue-row';
+      const enabledChk = document.createElement('input');
+      enabledChk.type = 'checkbox';
+      enabledChk.checked = entry.enabled !== false;
+      enabledChk.title = 'Enabled';
+      enabledChk.addEventListener('change', (e) => {
+        entry.enabled = !!e.target.checked;
+        appendLog(`${entry.enabled ? 'Enabled' : 'Disabled'} homebrew class ${entry.name}`, '');
+        saveAndRefresh();
+      });
+      const body = document.createElement('div');
+      body.className = 'sync-queue-row-body';
+      const nameEl = document.createElement('div');
+      nameEl.className = 'sync-queue-when';
+      nameEl.textContent = entry.name || 'Unnamed class';
+      const metaEl = document.createElement('div');
+      metaEl.className = 'sync-queue-meta';
+      const users = Object.values(camp.entities || {}).filter((e) => e && e.type === 'pc' && e.class === entry.name).length;
+      const advCount = ['low', 'medium', 'high'].reduce((n, t) => n + ((entry.advances && entry.advances[t]) || []).length, 0);
+      metaEl.textContent = `${(entry.skills || []).join(', ')} · ${advCount} advance(s) · ${users} PC(s)`;
+      body.appendChild(nameEl);
+      body.appendChild(metaEl);
+      const editBtn = document.createElement('button');
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => openClassEditor(entry));
+      const delBtn = document.createElement('button');
+      delBtn.className = 'row-remove-btn';
+      delBtn.textContent = '×';
+      delBtn.title = 'Delete class';
+      delBtn.addEventListener('click', async () => {
+        const msg = users
+          ? `Delete ${entry.name}? ${users} PC(s) keep the class name and what it already granted, but it can no longer be picked.`
+          : `Delete ${entry.name}?`;
+        if (!(await askConfirm(msg, 'Delete Homebrew Class'))) return;
+        captureUndoSnapshot('Delete homebrew class');
+        camp.homebrewClasses = camp.homebrewClasses.filter((c) => c.id !== entry.id);
+        appendLog(`Deleted homebrew class ${entry.name}`, '');
+        saveAndRefresh();
+      });
+      row.appendChild(enabledChk);
+      row.appendChild(body);
+      row.appendChild(editBtn);
+      row.appendChild(delBtn);
+      classList.appendChild(row);
+    });
+    const addClassBtn = document.createElement('button');
+    addClassBtn.className = 'toolbar-btn';
+    addClassBtn.textContent = 'New Class…';
+    addClassBtn.addEventListener('click', () => openClassEditor(null));
+    classSec.appendChild(classList);
+    classSec.appendChild(addClassBtn);
+    host.appendChild(classSec);
+
     const refreshSec = document.createElement('section');
     refreshSec.className = 'prep-section';
     refreshSec.innerHTML = '<strong>Refreshes Database</strong>';
@@ -9439,7 +12503,7 @@
       });
       sevSel.addEventListener('change', (e) => { entry.severity = e.target.value; saveWithoutRefresh(); });
       const trackSel = document.createElement('select');
-      ['Blood', 'Mind', 'Silver', 'Shadow', 'Reputation'].forEach((optVal) => {
+      getRulesProfile().tracks.map(t => t.label).forEach((optVal) => {
         const opt = document.createElement('option');
         opt.value = optVal;
         opt.textContent = optVal;
@@ -9458,6 +12522,20 @@
       descIn.value = entry.description || '';
       descIn.style.flex = '1';
       descIn.addEventListener('change', (e) => { entry.description = e.target.value.trim(); saveWithoutRefresh(); });
+      const effectsIn = document.createElement('input');
+      effectsIn.type = 'text';
+      effectsIn.placeholder = 'Modifiers (-1 die to Fight; Blood track max slots -2)';
+      effectsIn.title = FALLOUT_MODIFIER_HELP;
+      effectsIn.value = RulesEngine.formatFalloutEffects(entry.effects);
+      effectsIn.addEventListener('change', (e) => {
+        const parsed = RulesEngine.parseFalloutEffects(e.target.value);
+        if (parsed.invalid.length) {
+          showToast(`Ignored modifier "${parsed.invalid.join('", "')}". ${FALLOUT_MODIFIER_HELP}`, 'warn');
+        }
+        entry.effects = parsed.effects;
+        e.target.value = RulesEngine.formatFalloutEffects(entry.effects);
+        saveWithoutRefresh();
+      });
       const delBtn = document.createElement('button');
       delBtn.className = 'row-remove-btn';
       delBtn.textContent = '×';
@@ -9471,6 +12549,7 @@
       row.appendChild(sevSel);
       row.appendChild(trackSel);
       row.appendChild(descIn);
+      row.appendChild(effectsIn);
       row.appendChild(srcIn);
       row.appendChild(delBtn);
       falloutList.appendChild(row);
@@ -9485,6 +12564,7 @@
         severity: 'Minor',
         track: 'Blood',
         description: '',
+        effects: [],
         source: 'Core Book',
         enabled: true
       });
@@ -9580,6 +12660,27 @@
     });
     equipSec.appendChild(equipList);
     equipSec.appendChild(addEquipBtn);
+    const packItems = packEquipmentEntries(camp);
+    if (packItems.length) {
+      const packNames = {};
+      (camp.scenarioPacks || []).forEach((pack) => { packNames[pack.id] = pack.name; });
+      const packHint = document.createElement('div');
+      packHint.className = 'text-muted';
+      packHint.style.fontSize = '0.82rem';
+      packHint.style.margin = '8px 0 4px';
+      packHint.textContent = 'From content packs (edit the pack to change these):';
+      equipSec.appendChild(packHint);
+      const packList = document.createElement('ul');
+      packList.className = 'fallout-lookup-list';
+      packItems.forEach((item) => {
+        const li = document.createElement('li');
+        const detail = [item.type, item.stress, item.resistance !== '' ? `Resistance ${item.resistance}` : '', item.tags]
+          .filter(Boolean).join(' · ');
+        li.textContent = `${item.name}${detail ? ` — ${detail}` : ''} (${packNames[item.packId] || item.source})`;
+        packList.appendChild(li);
+      });
+      equipSec.appendChild(packList);
+    }
     host.appendChild(equipSec);
   }
 
@@ -9619,6 +12720,7 @@
       camp.gmNotes = [];
       if (Array.isArray(camp.logs)) {
         camp.logs = camp.logs.filter((entry) => {
+          if (entry && entry.secret) return false;
           if (!entry || !entry.target) return true;
           if (removedEntities.has(entry.target) || removedRelationships.has(entry.target)) return false;
           if (!camp.entities[entry.target] && !camp.relationships[entry.target]) return false;
@@ -9706,25 +12808,194 @@
     return { entities: addedEntities, relationships: addedRelationships, messages: addedMessages };
   }
 
+  const IMPORT_KIND_LABELS = {
+    entity: 'entities',
+    relationship: 'relationships',
+    message: 'messages',
+    clock: 'clocks',
+    scenarioPack: 'scenario packs'
+  };
+
+  /** Turn a validateCampaignImport report into titled lists of readable lines. */
+  function importReportSections(report) {
+    const sections = [];
+    if (report.fatal.length) sections.push({ title: 'Not a campaign file', lines: report.fatal.slice() });
+    Object.keys(IMPORT_KIND_LABELS).forEach((kind) => {
+      const rows = report.malformed[kind] || [];
+      if (!rows.length) return;
+      sections.push({
+        title: `Malformed ${IMPORT_KIND_LABELS[kind]}`,
+        lines: rows.map((row) => `${row.name || row.key}: ${row.errors.join('; ')}`)
+      });
+    });
+    if (report.dangling.length) {
+      sections.push({
+        title: 'Dangling relationships',
+        lines: report.dangling.map((row) => `${row.key}: ${row.source} → ${row.target} (missing ${row.missing.join(', ')})`)
+      });
+    }
+    if (report.coerced.length) {
+      sections.push({
+        title: 'Coerced fields',
+        lines: report.coerced.map((row) => `${row.path}: ${row.from} → ${row.to}`)
+      });
+    }
+    return sections;
+  }
+
+  /**
+   * Show an import report. Resolves true to import the valid records (the
+   * rest go to the campaign's import quarantine) or false to cancel. A
+   * report with fatal errors can only be closed.
+   */
+  function openImportReport(report, title = 'Import Report') {
+    return new Promise((resolve) => {
+      const overlay = document.getElementById('modal-overlay');
+      const modal = document.getElementById('modal');
+      const content = document.getElementById('modal-content');
+      const titleEl = document.getElementById('modal-title');
+      if (titleEl) titleEl.textContent = title;
+      content.innerHTML = '';
+
+      const summary = document.createElement('p');
+      summary.style.margin = '0 0 10px';
+      if (report.fatal.length) {
+        summary.textContent = 'This file can\'t be imported.';
+      } else {
+        const parts = Object.keys(IMPORT_KIND_LABELS)
+          .filter((kind) => report.counts[kind])
+          .map((kind) => {
+            const bad = report.quarantine.filter((q) => q.kind === kind).length;
+            return `${report.counts[kind] - bad} of ${report.counts[kind]} ${IMPORT_KIND_LABELS[kind]}`;
+          });
+        summary.textContent = `Valid: ${parts.join(', ') || 'nothing to import'}.` +
+          (report.quarantine.length ? ` ${report.quarantine.length} record(s) will be quarantined; restore or discard them later in Settings.` : '');
+      }
+      content.appendChild(summary);
+
+      importReportSections(report).forEach((section) => {
+        const field = document.createElement('div');
+        field.className = 'modal-field';
+        const label = document.createElement('label');
+        label.textContent = `${section.title} (${section.lines.length})`;
+        field.appendChild(label);
+        const list = document.createElement('ul');
+        list.className = 'text-muted';
+        list.style.fontSize = '0.8rem';
+        list.style.margin = '0';
+        list.style.paddingLeft = '18px';
+        list.style.maxHeight = '140px';
+        list.style.overflow = 'auto';
+        section.lines.forEach((line) => {
+          const li = document.createElement('li');
+          li.textContent = line;
+          list.appendChild(li);
+        });
+        field.appendChild(list);
+        content.appendChild(field);
+      });
+
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.justifyContent = 'flex-end';
+      row.style.gap = '8px';
+      const cancelBtn = document.createElement('button');
+      cancelBtn.textContent = report.fatal.length ? 'Close' : 'Cancel';
+      cancelBtn.addEventListener('click', () => closeModal(false));
+      row.appendChild(cancelBtn);
+      if (!report.fatal.length) {
+        const okBtn = document.createElement('button');
+        okBtn.className = 'modal-submit';
+        okBtn.textContent = report.quarantine.length ? 'Import Valid Subset' : 'Import';
+        okBtn.addEventListener('click', () => closeModal(true));
+        row.appendChild(okBtn);
+      }
+      content.appendChild(row);
+
+      modalDecisionResolver = resolve;
+      overlay.classList.remove('hidden');
+      modal.classList.remove('hidden');
+    });
+  }
+
+  /**
+   * Validate, report on and migrate a parsed campaign file. Resolves
+   * { data, quarantine } with only the valid records, or null when the
+   * file is refused or the user cancels. A clean file skips the report.
+   */
+  async function prepareCampaignImport(parsed) {
+    const report = RulesEngine.validateCampaignImport(parsed);
+    if (report.fatal.length) {
+      await openImportReport(report);
+      return null;
+    }
+    const migrated = migrateCampaign(report.subset);
+    if (!migrated.ok) {
+      showToast(`Can't import this campaign. ${migrated.error}`, 'warn');
+      return null;
+    }
+    if (report.quarantine.length || report.coerced.length) {
+      const ok = await openImportReport(report);
+      if (!ok) return null;
+    }
+    const at = new Date().toISOString();
+    const source = String(parsed.name || 'Imported Campaign');
+    const quarantine = report.quarantine.map((item) => Object.assign({ id: generateId('quar'), source, at }, item));
+    return { data: migrated.data, quarantine };
+  }
+
+  /**
+   * Put a quarantined record back into the campaign once it validates (a
+   * relationship also needs both endpoints to exist by now). Returns
+   * { ok, error }.
+   */
+  function restoreQuarantinedItem(camp, item) {
+    const res = RulesEngine.validateImportItem(item.kind, item.data, { entityIds: Object.keys(camp.entities) });
+    if (res.errors.length) return { ok: false, error: res.errors.map((e) => `${e.path} ${e.message}`).join('; ') };
+    if (res.missing.length) return { ok: false, error: `Missing entity ${res.missing.join(', ')}` };
+    const value = res.value;
+    if (item.kind === 'entity') {
+      if (camp.entities[value.id]) value.id = generateId(value.type);
+      fillEntityDefaults(value);
+      camp.entities[value.id] = value;
+    } else if (item.kind === 'relationship') {
+      if (camp.relationships[value.id]) value.id = generateId('rel');
+      camp.relationships[value.id] = value;
+    } else if (item.kind === 'message') {
+      if (!value.id || camp.messages.some((m) => m.id === value.id)) value.id = generateId('msg');
+      camp.messages.push(value);
+    } else if (item.kind === 'clock') {
+      if (!value.id || camp.clocks.some((c) => c.id === value.id)) value.id = generateId('clock');
+      camp.clocks.push(value);
+    } else if (item.kind === 'scenarioPack') {
+      const pack = normalizeScenarioPack(value);
+      if (!pack) return { ok: false, error: 'Pack has no usable content' };
+      camp.scenarioPacks.push(pack);
+    }
+    camp.importQuarantine = camp.importQuarantine.filter((q) => q.id !== item.id);
+    return { ok: true, error: '' };
+  }
+
   /**
    * Import a campaign JSON. Supports merge mode or import-as-new campaign.
    */
   async function importCampaign(jsonStr) {
-    try {
-      const data = JSON.parse(jsonStr);
-      if (!data.entities || !data.relationships) {
-        showToast('Invalid campaign file', 'warn');
-        return;
-      }
+    try {
+      const prepared = await prepareCampaignImport(JSON.parse(jsonStr));
+      if (!prepared) return;
+      const data = prepared.data;
+      const quarantined = prepared.quarantine.length ? ` ${prepared.quarantine.length} record(s) quarantined.` : '';
       const merge = await askConfirm(
         'Merge this file into the current campaign? Cancel imports as a separate campaign.',
         'Import Mode'
       );
       if (merge) {
+        checkpointCampaign(currentCampaign(), 'merge', `Before merging ${data.name || 'imported campaign'}`);
         captureUndoSnapshot('Merge imported campaign');
         const merged = mergeCampaignData(data);
+        currentCampaign().importQuarantine.push(...prepared.quarantine);
         saveAndRefresh();
-        showToast(`Merged: ${merged.entities} entities, ${merged.relationships} relationships, ${merged.messages} messages.`, 'info');
+        showToast(`Merged: ${merged.entities} entities, ${merged.relationships} relationships, ${merged.messages} messages.${quarantined}`, 'info');
         return;
       }
       const newId = generateId('camp');
@@ -9740,11 +13011,12 @@
       if (!Array.isArray(data.clocks)) data.clocks = [];
       if (!Array.isArray(data.undoStack)) data.undoStack = [];
       if (!Array.isArray(data.redoStack)) data.redoStack = [];
+      data.importQuarantine = data.importQuarantine.concat(prepared.quarantine);
       state.campaigns[newId] = data;
       state.currentCampaignId = newId;
       saveCampaigns();
       initAfterLoad();
-      showToast('Campaign imported successfully', 'info');
+      showToast(`Campaign imported successfully.${quarantined}`, 'info');
     } catch (e) {
       showToast('Failed to import campaign: ' + e.message, 'warn');
     }
@@ -9972,13 +13244,26 @@
     const skills = pcContext && Array.isArray(pcContext.skills)
       ? pcContext.skills.map((s) => s.name).filter(Boolean)
       : [];
+    const fallout = pcContext ? pcContext.fallout : [];
+    if (RulesEngine.isBlockedByFallout(fallout, 'no-skill', skillName)) {
+      showToast(`Fallout: ${pcContext.name || 'this character'} cannot use ${skillName} until it is healed.`, 'warn');
+      return false;
+    }
     const domains = pcContext && Array.isArray(pcContext.domains)
       ? pcContext.domains.map((d) => d.name).filter(Boolean)
       : [];
+    const blockedDomains = domains.filter((name) => RulesEngine.isBlockedByFallout(fallout, 'no-domain', name));
     const equipmentTags = pcContext && Array.isArray(pcContext.inventory)
       ? Array.from(new Set(pcContext.inventory.flatMap((i) => Array.isArray(i.tags) ? i.tags : []).filter(Boolean)))
       : [];
+    const inventory = pcContext && Array.isArray(pcContext.inventory) ? pcContext.inventory : [];
+    const falloutDifficulty = RulesEngine.falloutEffectTotal(fallout, 'difficulty', skillName);
+    const falloutNotes = [];
+    if (falloutDifficulty) falloutNotes.push(`Fallout: −${falloutDifficulty} die to ${skillName}.`);
+    if (blockedDomains.length) falloutNotes.push(`Fallout: cannot use domain ${blockedDomains.join(', ')}.`);
     openDiceRoller(skillName, mastered ? 2 : 1, {
+      initialDifficulty: -falloutDifficulty,
+      helperText: falloutNotes.join(' '),
       allowDomainBonus: true,
       allowTagHooks: true,
       composer: {
@@ -9986,10 +13271,14 @@
         mastered: !!mastered,
         skills,
         domains,
-        equipmentTags
+        blockedDomains,
+        equipmentTags,
+        weapons: inventory.filter((i) => i && i.type === 'weapon'),
+        armour: inventory.filter((i) => i && i.type === 'armor')
       },
       logTargetId: pcContext ? pcContext.id : ''
     });
+    return true;
   }
 
   function openDiceRollerForResistance(resistanceName, resistanceValue, pcContext = null) {
@@ -10009,7 +13298,9 @@
     const modal = document.getElementById('modal');
     const content = document.getElementById('modal-content');
     const titleEl = document.getElementById('modal-title');
-    if (titleEl) titleEl.textContent = contextLabel ? 'Rolling: ' + contextLabel : 'Dice Roller';
+    // Toolbar buttons pass their click event here; only strings are labels.
+    const rollContextLabel = typeof contextLabel === 'string' ? contextLabel : '';
+    if (titleEl) titleEl.textContent = rollContextLabel ? 'Rolling: ' + rollContextLabel : 'Dice Roller';
     content.innerHTML = '';
     overlay.classList.remove('hidden');
     modal.classList.remove('hidden');
@@ -10075,10 +13366,84 @@
     modRow.appendChild(modLabel);
     modRow.appendChild(modSelect);
     wrap.appendChild(modRow);
+    let secretRollChk = null;
+    if (state.gmMode) {
+      const secretRow = document.createElement('div');
+      secretRow.className = 'dice-domain-row';
+      const secretLbl = document.createElement('label');
+      secretLbl.className = 'dice-domain-label';
+      secretRollChk = document.createElement('input');
+      secretRollChk.type = 'checkbox';
+      secretLbl.appendChild(secretRollChk);
+      secretLbl.appendChild(document.createTextNode(' Secret roll (GM only)'));
+      secretRow.appendChild(secretLbl);
+      wrap.appendChild(secretRow);
+    }
     let composerMasteredChk = null;
     let composerDomainChk = null;
     let composerDomainSel = null;
     let composerTagImpact = null;
+    let composerWeaponSel = null;
+    let composerTagBox = null;
+    let composerTagChecks = [];
+
+    function selectedComposerWeapon() {
+      if (!composerWeaponSel || !composerWeaponSel.value) return null;
+      return (options.composer.weapons || []).find((item) => item.id === composerWeaponSel.value) || null;
+    }
+
+    function renderTagSuggestions() {
+      if (!composerTagBox) return;
+      composerTagBox.innerHTML = '';
+      composerTagChecks = [];
+      const weapon = selectedComposerWeapon();
+      if (weapon) {
+        const ready = RulesEngine.weaponReadiness(weapon);
+        if (ready.reason) {
+          const status = document.createElement('div');
+          status.className = 'dice-tag-status' + (ready.ready ? '' : ' dice-tag-warn');
+          status.textContent = ready.reason;
+          if (!ready.ready) {
+            const reloadBtn = document.createElement('button');
+            reloadBtn.type = 'button';
+            reloadBtn.textContent = 'Reload';
+            reloadBtn.addEventListener('click', () => {
+              weapon.sceneState = RulesEngine.reloadWeapon(weapon);
+              if (options.logTargetId) appendLog(`Reloaded ${weapon.item || 'weapon'}`, options.logTargetId);
+              queueDeferredSave('dice-roll');
+              renderTagSuggestions();
+            });
+            status.appendChild(document.createTextNode(' '));
+            status.appendChild(reloadBtn);
+          }
+          composerTagBox.appendChild(status);
+        }
+      }
+      const suggestions = RulesEngine.tagSuggestionsForRoll({
+        weapon,
+        armour: options.composer.armour || [],
+        skill: options.composer.skill
+      });
+      suggestions.forEach((sug) => {
+        const row = document.createElement('label');
+        row.className = 'dice-domain-label';
+        row.title = sug.text;
+        if (sug.dice) {
+          const chk = document.createElement('input');
+          chk.type = 'checkbox';
+          chk.checked = !!sug.auto;
+          composerTagChecks.push({ chk, sug });
+          row.appendChild(chk);
+          const sign = sug.dice > 0 ? '+' : '';
+          row.appendChild(document.createTextNode(` ${sug.tag} (${sign}${sug.dice} die${sug.when ? ', ' + sug.when : ''}) — ${sug.source}`));
+        } else {
+          row.classList.add('text-muted');
+          row.textContent = `${sug.tag}: ${sug.text}`;
+        }
+        composerTagBox.appendChild(row);
+      });
+    }
+
     if (options.composer) {
       const comp = options.composer;
       const box = document.createElement('div');
@@ -10129,13 +13494,19 @@
       dLbl.appendChild(document.createTextNode(' Domain applies (+1 die)'));
       domainRow.appendChild(dLbl);
       if (Array.isArray(comp.domains) && comp.domains.length) {
+        const blocked = Array.isArray(comp.blockedDomains) ? comp.blockedDomains : [];
         composerDomainSel = document.createElement('select');
         comp.domains.forEach((name) => {
           const opt = document.createElement('option');
           opt.value = name;
-          opt.textContent = name;
+          opt.textContent = blocked.includes(name) ? `${name} (blocked by fallout)` : name;
+          opt.disabled = blocked.includes(name);
           composerDomainSel.appendChild(opt);
         });
+        const usable = comp.domains.find(name => !blocked.includes(name));
+        if (usable) composerDomainSel.value = usable;
+        // Every domain blocked: no domain die at all.
+        else composerDomainChk.disabled = true;
         composerDomainSel.disabled = true;
         composerDomainChk.addEventListener('change', () => {
           composerDomainSel.disabled = !composerDomainChk.checked;
@@ -10144,10 +13515,36 @@
       }
       box.appendChild(domainRow);
 
+      if ((comp.weapons && comp.weapons.length) || (comp.armour && comp.armour.length)) {
+        const weaponRow = document.createElement('div');
+        weaponRow.className = 'dice-mod-row';
+        const weaponLbl = document.createElement('label');
+        weaponLbl.textContent = 'Weapon:';
+        composerWeaponSel = document.createElement('select');
+        const noneOpt = document.createElement('option');
+        noneOpt.value = '';
+        noneOpt.textContent = 'No weapon';
+        composerWeaponSel.appendChild(noneOpt);
+        (comp.weapons || []).forEach((item) => {
+          const opt = document.createElement('option');
+          opt.value = item.id;
+          opt.textContent = `${item.item || 'Weapon'} (${item.stress || '—'})`;
+          composerWeaponSel.appendChild(opt);
+        });
+        weaponRow.appendChild(weaponLbl);
+        weaponRow.appendChild(composerWeaponSel);
+        box.appendChild(weaponRow);
+        composerTagBox = document.createElement('div');
+        composerTagBox.className = 'dice-tag-rules';
+        box.appendChild(composerTagBox);
+        composerWeaponSel.addEventListener('change', renderTagSuggestions);
+        renderTagSuggestions();
+      }
+
       const tagRow = document.createElement('div');
       tagRow.className = 'dice-mod-row';
       const tagLbl = document.createElement('label');
-      tagLbl.textContent = 'Equipment impact:';
+      tagLbl.textContent = composerTagBox ? 'Other tag impact:' : 'Equipment impact:';
       composerTagImpact = document.createElement('select');
       [
         { value: '0', label: 'No impact (0)' },
@@ -10244,21 +13641,31 @@
     content.appendChild(wrap);
 
     function rollDie(sides, label, el) {
-      const rules = getRulesConfig();
-      const mod = parseInt(document.getElementById('dice-difficulty').value, 10);
+      const mod = parseInt(document.getElementById('dice-difficulty').value, 10) || 0;
       const base = composerMasteredChk ? (composerMasteredChk.checked ? 2 : 1) : (poolBonus || 1);
       const domainBonus = composerDomainChk
-        ? (composerDomainChk.checked ? 1 : 0)
-        : (domainBonusChk && domainBonusChk.checked ? 1 : 0);
-      const equipmentBonus = composerTagImpact
+        ? composerDomainChk.checked
+        : !!(domainBonusChk && domainBonusChk.checked);
+      const usedTags = composerTagChecks.filter(({ chk }) => chk.checked).map(({ sug }) => sug);
+      const tagBonus = usedTags.reduce((sum, sug) => sum + sug.dice, 0);
+      const equipmentBonus = tagBonus + (composerTagImpact
         ? (parseInt(composerTagImpact.value, 10) || 0)
-        : (equipmentTagSelect ? (parseInt(equipmentTagSelect.value, 10) || 0) : 0);
-      const pool = base + mod + domainBonus + equipmentBonus;
-      const rollCount = Math.max(1, pool);
-      const downgradeSteps = rules.difficultyDowngrades ? Math.max(0, -pool) : 0;
-      let rolls = [];
-      for (let i = 0; i < rollCount; i++) rolls.push(Math.ceil(Math.random() * sides));
-      const kept = Math.max(...rolls);
+        : (equipmentTagSelect ? (parseInt(equipmentTagSelect.value, 10) || 0) : 0));
+      const weapon = selectedComposerWeapon();
+      if (weapon && !RulesEngine.weaponReadiness(weapon).ready) {
+        showToast(`${weapon.item || 'Weapon'}: ${RulesEngine.weaponReadiness(weapon).reason}.`, 'warn');
+      }
+      const seed = Math.floor(Math.random() * 4294967296);
+      const rollParams = {
+        sides,
+        base,
+        domain: domainBonus,
+        difficulty: Math.max(0, -mod),
+        assistance: Math.max(0, mod),
+        bonus: equipmentBonus
+      };
+      const roll = Object.assign(resolveDiceRoll(Object.assign({ rng: RulesEngine.createSeededRng(seed) }, rollParams)), rollParams);
+      const { rolls, kept, rollCount, downgradeSteps } = roll;
 
       el.innerHTML = '';
       const big = document.createElement('div');
@@ -10272,10 +13679,8 @@
       if (equipmentBonus > 0) note = (note ? note + ', ' : '') + 'equipment advantage';
       if (equipmentBonus < 0) note = (note ? note + ', ' : '') + 'equipment drawback';
 
-      if (sides === 10) {
-        const rawBand = d10OutcomeBand(kept);
-        const finalBand = downgradeOutcomeBand(rawBand.index, downgradeSteps);
-        sub.textContent = `${label} — ${rolls.join(', ')} | ${rawBand.label} → ${finalBand.label}`;
+      if (roll.finalBand) {
+        sub.textContent = `${label} — ${rolls.join(', ')} | ${roll.rawBand.label} → ${roll.finalBand.label}`;
       } else {
         sub.textContent = rollCount > 1 ? `${label} — rolled ${rolls.join(', ')}` : label;
       }
@@ -10283,32 +13688,40 @@
 
       el.appendChild(big);
       el.appendChild(sub);
-      addToHistory(histList, label, kept, rolls, note, sides, downgradeSteps);
-      if (options.logTargetId) appendLog(`Rolled ${label}: ${kept}`, options.logTargetId);
-    }
-
-    function d10OutcomeBand(value) {
-      if (value <= 1) return { index: 0, label: 'Critical Failure (1)' };
-      if (value <= 5) return { index: 1, label: 'Failure (2-5)' };
-      if (value <= 7) return { index: 2, label: 'Success with Cost (6-7)' };
-      if (value <= 9) return { index: 3, label: 'Success (8-9)' };
-      return { index: 4, label: 'Critical Success (10)' };
-    }
-
-    function downgradeOutcomeBand(index, steps) {
-      const labels = ['Critical Failure (1)', 'Failure (2-5)', 'Success with Cost (6-7)', 'Success (8-9)', 'Critical Success (10)'];
-      const clamped = Math.max(0, Math.min(labels.length - 1, index - steps));
-      return { index: clamped, label: labels[clamped] };
+      if (roll.stressHint) {
+        const hint = document.createElement('div');
+        hint.className = 'dice-sub';
+        hint.textContent = roll.stressHint;
+        el.appendChild(hint);
+      }
+      addToHistory(histList, label, roll, note);
+      const entry = appendRollLog(roll, {
+        label: rollContextLabel ? `${rollContextLabel} (${label})` : label,
+        pcId: options.logTargetId || '',
+        skill: options.composer ? options.composer.skill : '',
+        domain: composerDomainSel && domainBonus ? composerDomainSel.value : '',
+        secret: !!(secretRollChk && secretRollChk.checked),
+        weapon: weapon ? (weapon.item || 'Weapon') : '',
+        tags: usedTags.map((sug) => sug.tag),
+        seed
+      });
+      if (weapon) {
+        weapon.sceneState = RulesEngine.recordWeaponUse(weapon, roll);
+        renderTagSuggestions();
+      }
+      if (entry) {
+        pushRollFeedEntry(entry);
+        shareRollEntry(entry);
+      }
+      queueDeferredSave('dice-roll');
     }
 
-    function addToHistory(list, label, result, rolls, note, sides, downgradeSteps) {
+    function addToHistory(list, label, roll, note) {
       const li = document.createElement('li');
-      if (sides === 10) {
-        const rawBand = d10OutcomeBand(result);
-        const finalBand = downgradeOutcomeBand(rawBand.index, downgradeSteps || 0);
-        li.textContent = `${label}: ${result} (${rolls.join(', ')} — ${rawBand.label} -> ${finalBand.label}${note ? ', ' + note : ''})`;
+      if (roll.finalBand) {
+        li.textContent = `${label}: ${roll.kept} (${roll.rolls.join(', ')} — ${roll.rawBand.label} -> ${roll.finalBand.label}${note ? ', ' + note : ''})`;
       } else {
-        li.textContent = label + ': ' + result + (note ? ' (' + rolls.join(', ') + ' — ' + note + ')' : '');
+        li.textContent = label + ': ' + roll.kept + (note ? ' (' + roll.rolls.join(', ') + ' — ' + note + ')' : '');
       }
       list.insertBefore(li, list.firstChild);
       if (list.children.length > 8) list.removeChild(list.lastChild);
@@ -10675,8 +14088,7 @@
     });
     content.appendChild(syncField);
 
-    // Scenario packs / plugin scaffold
-    if (!Array.isArray(camp.scenarioPacks)) camp.scenarioPacks = [];
+    // Content packs: scenario prompts, NPC templates and sourcebook game data
     const packField = document.createElement('div');
     packField.className = 'modal-field';
     packField.style.border = '1px solid var(--spire-border)';
@@ -10684,13 +14096,13 @@
     packField.style.padding = '8px';
     packField.style.background = 'var(--spire-mid)';
     const packLabel = document.createElement('label');
-    packLabel.textContent = 'Scenario Packs (Plugin Scaffold)';
+    packLabel.textContent = 'Content Packs';
     packField.appendChild(packLabel);
     const packMeta = document.createElement('div');
     packMeta.className = 'text-muted';
     packMeta.style.fontSize = '0.78rem';
     packMeta.style.marginBottom = '6px';
-    packMeta.textContent = 'Import JSON packs to extend NPC templates and scene prompt tables without editing core code.';
+    packMeta.textContent = 'Import versioned JSON packs to add classes, durances, advances, equipment, fallout, NPC templates and scene prompts. A pack only applies while its sourcebook is enabled in the Compendium.';
     packField.appendChild(packMeta);
     const packList = document.createElement('div');
     packList.className = 'sync-queue-list';
@@ -10706,21 +14118,54 @@
       reader.onload = () => {
         try {
           const parsed = JSON.parse(String(reader.result || '{}'));
-          const normalized = normalizeScenarioPack(parsed);
+          const checked = RulesEngine.validateImportItem('scenarioPack', parsed);
+          const problems = checked.errors.map((err) => `${err.path} ${err.message}`);
+          const normalized = normalizeScenarioPack(checked.value);
           if (!normalized) {
-            showToast('Invalid pack format.', 'warn');
+            showToast(`Invalid pack format.${problems.length ? ` ${problems.slice(0, 3).join('; ')}` : ''}`, 'warn');
             return;
           }
           const existing = (camp.scenarioPacks || []).find((p) => p.id === normalized.id || p.name.toLowerCase() === normalized.name.toLowerCase());
-          if (existing) {
-            Object.assign(existing, normalized);
-          } else {
-            camp.scenarioPacks.push(normalized);
+          const install = () => {
+            checkpointCampaign(camp, 'import', `Before importing pack ${normalized.name}`);
+            if (existing) {
+              appendLog(`Updated content pack ${normalized.name} v${existing.version || '1.0.0'} → v${normalized.version}`, '');
+              Object.assign(existing, normalized);
+            } else {
+              camp.scenarioPacks.push(normalized);
+              appendLog(`Imported content pack ${normalized.name} v${normalized.version}`, '');
+            }
+            // A homebrew sourcebook starts enabled; a known one keeps its toggle.
+            if (camp.sourcebooks[normalized.sourcebook] === undefined) camp.sourcebooks[normalized.sourcebook] = true;
+            saveAndRefresh();
+            openSettingsModal();
+            if (!isSourceEnabled(camp, normalized.sourcebook)) {
+              showToast(`Pack "${normalized.name}" loaded. Enable ${normalized.sourcebook} in the Compendium to use it.`, 'warn');
+            } else {
+              showToast(`Pack "${normalized.name}" v${normalized.version} loaded.`, 'info');
+            }
+          };
+          const checkVersion = () => {
+            if (existing && RulesEngine.compareVersions(normalized.version, existing.version) < 0) {
+              askConfirm(`"${existing.name}" v${existing.version} is installed. Replace it with the older v${normalized.version}?`, 'Older Pack Version')
+                .then((ok) => {
+                  if (ok) install();
+                  else openSettingsModal();
+                });
+              return;
+            }
+            install();
+          };
+          if (problems.length) {
+            const listed = problems.slice(0, 6).join('; ') + (problems.length > 6 ? `; and ${problems.length - 6} more` : '');
+            askConfirm(`"${normalized.name}" has ${problems.length} problem(s) that will be skipped: ${listed}. Import the rest?`, 'Pack Problems')
+              .then((ok) => {
+                if (ok) checkVersion();
+                else openSettingsModal();
+              });
+            return;
           }
-          appendLog('Imported scenario pack', '');
-          saveCampaigns();
-          openSettingsModal();
-          showToast(`Pack "${normalized.name}" loaded.`, 'info');
+          checkVersion();
         } catch (_) {
           showToast('Pack import failed.', 'warn');
         } finally {
@@ -10744,8 +14189,36 @@
       const sample = {
         id: 'pack-sample',
         name: 'Sample Pack',
+        version: '1.0.0',
         source: 'local',
+        sourcebook: 'Homebrew',
         enabled: true,
+        classEffects: {
+          'Lamplighter': {
+            resistances: [{ name: 'Shadow', value: 2 }],
+            skills: ['Investigate', 'Sneak'],
+            domains: ['Order', 'Low society'],
+            refresh: 'Bring light somewhere the Ministry wants kept dark.',
+            bondPrompts: ['You have an individual-level bond with someone who owes you their life. Name them.'],
+            inventoryOptions: [
+              { label: 'Lamplighter kit', items: [{ item: 'Hooked pole', quantity: 1, type: 'weapon', stress: 'D3 stress', tags: ['Parrying'] }] }
+            ],
+            coreAbilities: ['KINDLE'],
+            advances: { low: ['SLOW BURN'], medium: ['BEACON'], high: ['WILDFIRE'] }
+          }
+        },
+        duranceEffects: {
+          'LAMPLIGHTER': { resistances: [{ name: 'Shadow', value: 2 }], domains: ['Order'] }
+        },
+        advances: {
+          'Azurite': { low: [{ name: 'LEDGER OF DEBTS', cost: 1, text: 'Gain the Commerce domain.', grants: { domains: ['Commerce'] } }] }
+        },
+        equipment: [
+          { name: 'Shuttered lantern', type: 'other', tags: ['Concealable'] }
+        ],
+        falloutGuidance: {
+          Shadow: { Minor: ['Lamp-blind'] }
+        },
         scenePrompts: {
           complications: ['A shrine has been sealed by unknown agents.'],
           factionReactions: ['A hidden ministry proxy starts asking questions.'],
@@ -10770,12 +14243,26 @@
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = 'scenario-pack-template.json';
+      link.download = 'content-pack-template.json';
       link.click();
       URL.revokeObjectURL(url);
     });
     packActions.appendChild(templateBtn);
     packField.appendChild(packActions);
+    const coreRow = document.createElement('div');
+    coreRow.className = 'sync-queue-row';
+    const coreBody = document.createElement('div');
+    coreBody.className = 'sync-queue-row-body';
+    const coreName = document.createElement('div');
+    coreName.className = 'sync-queue-when';
+    coreName.textContent = `${CORE_CONTENT_PACK.name} v${CORE_CONTENT_PACK.version}`;
+    const coreMeta = document.createElement('div');
+    coreMeta.className = 'sync-queue-meta';
+    coreMeta.textContent = `Built in · ${Object.keys(CORE_CONTENT_PACK.classEffects).length} classes, ${Object.keys(CORE_CONTENT_PACK.duranceEffects).length} durances`;
+    coreBody.appendChild(coreName);
+    coreBody.appendChild(coreMeta);
+    coreRow.appendChild(coreBody);
+    packList.appendChild(coreRow);
     if (!camp.scenarioPacks.length) {
       const empty = document.createElement('div');
       empty.className = 'text-muted';
@@ -10792,18 +14279,28 @@
         chk.checked = pack.enabled !== false;
         chk.addEventListener('change', () => {
           pack.enabled = !!chk.checked;
-          saveCampaigns();
+          saveAndRefresh();
         });
         const body = document.createElement('div');
         body.className = 'sync-queue-row-body';
         const nameEl = document.createElement('div');
         nameEl.className = 'sync-queue-when';
-        nameEl.textContent = pack.name || 'Scenario Pack';
+        nameEl.textContent = `${pack.name || 'Scenario Pack'} v${pack.version || '1.0.0'}`;
         const metaEl = document.createElement('div');
         metaEl.className = 'sync-queue-meta';
         const promptCount = ((pack.scenePrompts?.complications || []).length + (pack.scenePrompts?.factionReactions || []).length + (pack.scenePrompts?.twists || []).length);
         const templateCount = Object.keys(pack.npcTemplates || {}).length;
-        metaEl.textContent = `${templateCount} template(s), ${promptCount} prompts`;
+        const parts = [`${templateCount} template(s)`, `${promptCount} prompts`];
+        const classCount = Object.keys(pack.classEffects || {}).length;
+        const duranceCount = Object.keys(pack.duranceEffects || {}).length;
+        const advanceCount = Object.values(pack.advances || {})
+          .reduce((n, tiers) => n + ['low', 'medium', 'high'].reduce((m, t) => m + ((tiers && tiers[t]) || []).length, 0), 0);
+        if (classCount) parts.push(`${classCount} class(es)`);
+        if (duranceCount) parts.push(`${duranceCount} durance(s)`);
+        if (advanceCount) parts.push(`${advanceCount} advance(s)`);
+        if ((pack.equipment || []).length) parts.push(`${pack.equipment.length} item(s)`);
+        const sourcebook = normalizeSourceLabel(pack.sourcebook);
+        metaEl.textContent = `${sourcebook}${isSourceEnabled(camp, sourcebook) ? '' : ' (disabled)'} · ${parts.join(', ')}`;
         body.appendChild(nameEl);
         body.appendChild(metaEl);
         const removeBtn = document.createElement('button');
@@ -10812,8 +14309,8 @@
         removeBtn.title = 'Remove pack';
         removeBtn.addEventListener('click', () => {
           camp.scenarioPacks = camp.scenarioPacks.filter((p) => p.id !== pack.id);
-          appendLog('Removed scenario pack', '');
-          saveCampaigns();
+          appendLog(`Removed content pack ${pack.name || ''}`.trim(), '');
+          saveAndRefresh();
           openSettingsModal();
         });
         row.appendChild(chk);
@@ -10824,6 +14321,88 @@
     }
     content.appendChild(packField);
 
+    // Import quarantine
+    const quarantineField = document.createElement('div');
+    quarantineField.className = 'modal-field';
+    quarantineField.style.border = '1px solid var(--spire-border)';
+    quarantineField.style.borderRadius = 'var(--radius)';
+    quarantineField.style.padding = '8px';
+    quarantineField.style.background = 'var(--spire-mid)';
+    const quarantineLabel = document.createElement('label');
+    quarantineLabel.textContent = `Import Quarantine (${camp.importQuarantine.length})`;
+    quarantineField.appendChild(quarantineLabel);
+    const quarantineMeta = document.createElement('div');
+    quarantineMeta.className = 'text-muted';
+    quarantineMeta.style.fontSize = '0.78rem';
+    quarantineMeta.style.marginBottom = '6px';
+    quarantineMeta.textContent = 'Records left out of an import because they were malformed or pointed at missing entities. Restore one once it validates, or download it to fix by hand.';
+    quarantineField.appendChild(quarantineMeta);
+    const quarantineList = document.createElement('div');
+    quarantineList.className = 'sync-queue-list';
+    if (!camp.importQuarantine.length) {
+      const empty = document.createElement('div');
+      empty.className = 'text-muted';
+      empty.style.fontSize = '0.8rem';
+      empty.style.padding = '6px';
+      empty.textContent = 'Nothing quarantined.';
+      quarantineList.appendChild(empty);
+    }
+    camp.importQuarantine.forEach((item) => {
+      const row = document.createElement('div');
+      row.className = 'sync-queue-row';
+      const body = document.createElement('div');
+      body.className = 'sync-queue-row-body';
+      body.style.flex = '1';
+      const nameEl = document.createElement('div');
+      nameEl.className = 'sync-queue-when';
+      nameEl.textContent = `${item.kind} · ${item.name || item.key}`;
+      const metaEl = document.createElement('div');
+      metaEl.className = 'sync-queue-meta';
+      metaEl.textContent = `From ${item.source} · ${(item.reasons || []).join('; ')}`;
+      body.appendChild(nameEl);
+      body.appendChild(metaEl);
+      const restoreBtn = document.createElement('button');
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.addEventListener('click', () => {
+        captureUndoSnapshot('Restore quarantined record');
+        const result = restoreQuarantinedItem(camp, item);
+        if (!result.ok) {
+          showToast(`Still invalid: ${result.error}`, 'warn');
+          return;
+        }
+        appendLog(`Restored quarantined ${item.kind} ${item.name || item.key}`, '');
+        saveAndRefresh();
+        openSettingsModal();
+      });
+      const downloadBtn = document.createElement('button');
+      downloadBtn.textContent = 'Download';
+      downloadBtn.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(item.data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `quarantined-${item.kind}-${item.key}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+      });
+      const discardBtn = document.createElement('button');
+      discardBtn.className = 'row-remove-btn';
+      discardBtn.textContent = '×';
+      discardBtn.title = 'Discard';
+      discardBtn.addEventListener('click', () => {
+        camp.importQuarantine = camp.importQuarantine.filter((q) => q.id !== item.id);
+        saveAndRefresh();
+        openSettingsModal();
+      });
+      row.appendChild(body);
+      row.appendChild(restoreBtn);
+      row.appendChild(downloadBtn);
+      row.appendChild(discardBtn);
+      quarantineList.appendChild(row);
+    });
+    quarantineField.appendChild(quarantineList);
+    content.appendChild(quarantineField);
+
     // Crash reporting / telemetry
     const teleCfg = state.telemetryConfig || loadTelemetryConfig();
     const teleField = document.createElement('div');
@@ -10973,6 +14552,191 @@
     customRulesField.appendChild(makeRuleToggle('Use difficulty outcome downgrades at negative pool', 'difficultyDowngrades'));
     customRulesField.appendChild(makeRuleToggle('Check Fallout when stress is taken', 'falloutCheckOnStress'));
     customRulesField.appendChild(makeRuleToggle('Clear stress automatically when Fallout triggers', 'clearStressOnFallout'));
+
+    // House-rule data: thresholds, clear amounts and the stress track list.
+    // Edits are validated by the rules engine and only saved when clean.
+    const profileDraft = RulesEngine.validateRulesProfile(camp.customRulesProfile || RulesEngine.defaultRulesProfile()).profile;
+    const profileBox = document.createElement('div');
+    profileBox.className = 'rules-profile-editor';
+    customRulesField.appendChild(profileBox);
+    const profileErrors = document.createElement('div');
+    profileErrors.className = 'rules-profile-errors';
+    customRulesField.appendChild(profileErrors);
+
+    function commitRulesProfile() {
+      const result = RulesEngine.validateRulesProfile(profileDraft);
+      profileErrors.innerHTML = '';
+      result.errors.forEach((msg) => {
+        const line = document.createElement('div');
+        line.textContent = msg;
+        profileErrors.appendChild(line);
+      });
+      if (result.errors.length) return false;
+      camp.customRulesProfile = result.profile;
+      saveCampaigns();
+      renderRulesDiff();
+      return true;
+    }
+
+    function makeNumberInput(value, min, max, onChange) {
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = String(min);
+      input.max = String(max);
+      input.value = String(value);
+      input.addEventListener('change', (e) => {
+        onChange(e.target.value === '' ? NaN : Number(e.target.value));
+        commitRulesProfile();
+      });
+      return input;
+    }
+
+    function renderRulesProfileEditor() {
+      profileBox.innerHTML = '';
+      const numbers = document.createElement('div');
+      numbers.className = 'rules-profile-grid';
+      [
+        ['Moderate fallout at total', profileDraft.falloutThresholds, 'moderate', 1, 50],
+        ['Severe fallout at total', profileDraft.falloutThresholds, 'severe', 1, 50],
+        ['Clear on Minor', profileDraft.stressClear, 'Minor', 0, 50],
+        ['Clear on Moderate', profileDraft.stressClear, 'Moderate', 0, 50],
+        ['Clear on Severe', profileDraft.stressClear, 'Severe', 0, 50]
+      ].forEach(([labelText, target, key, min, max]) => {
+        const lbl = document.createElement('label');
+        lbl.textContent = labelText;
+        numbers.appendChild(lbl);
+        numbers.appendChild(makeNumberInput(target[key], min, max, (v) => { target[key] = v; }));
+      });
+      profileBox.appendChild(numbers);
+
+      const tracksTitle = document.createElement('label');
+      tracksTitle.textContent = 'Stress Tracks (name, cap, armour)';
+      profileBox.appendChild(tracksTitle);
+      profileDraft.tracks.forEach((track, idx) => {
+        const row = document.createElement('div');
+        row.className = 'rules-profile-track';
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = track.label;
+        nameInput.addEventListener('change', (e) => {
+          // Renaming keeps the key so existing stress stays attached.
+          track.label = e.target.value.trim();
+          commitRulesProfile();
+        });
+        row.appendChild(nameInput);
+        row.appendChild(makeNumberInput(track.cap, 1, 20, (v) => { track.cap = v; }));
+        const armourLbl = document.createElement('label');
+        armourLbl.className = 'dice-domain-label';
+        const armourChk = document.createElement('input');
+        armourChk.type = 'checkbox';
+        armourChk.checked = !!track.armour;
+        armourChk.title = 'Armour resistance protects this track';
+        armourChk.addEventListener('change', (e) => {
+          track.armour = e.target.checked;
+          commitRulesProfile();
+        });
+        armourLbl.appendChild(armourChk);
+        armourLbl.appendChild(document.createTextNode(' Armour'));
+        row.appendChild(armourLbl);
+        const removeBtn = document.createElement('button');
+        removeBtn.textContent = 'Remove';
+        removeBtn.disabled = profileDraft.tracks.length <= 1;
+        removeBtn.addEventListener('click', () => {
+          profileDraft.tracks.splice(idx, 1);
+          renderRulesProfileEditor();
+          commitRulesProfile();
+        });
+        row.appendChild(removeBtn);
+        profileBox.appendChild(row);
+      });
+
+      const actions = document.createElement('div');
+      actions.style.display = 'flex';
+      actions.style.gap = '6px';
+      actions.style.flexWrap = 'wrap';
+      actions.style.marginTop = '6px';
+      const addTrackBtn = document.createElement('button');
+      addTrackBtn.textContent = 'Add Track';
+      addTrackBtn.addEventListener('click', async () => {
+        const name = await askPrompt('Name of the new stress track:', '', { title: 'Add Stress Track' });
+        if (name && name.trim()) {
+          const result = RulesEngine.validateRulesProfile(Object.assign({}, profileDraft, {
+            tracks: profileDraft.tracks.concat([{ label: name.trim(), cap: 10, armour: false }])
+          }));
+          if (result.errors.length) {
+            showToast(result.errors[0], 'warn');
+          } else {
+            camp.customRulesProfile = result.profile;
+            saveCampaigns();
+          }
+        }
+        openSettingsModal();
+      });
+      actions.appendChild(addTrackBtn);
+
+      const exportBtn = document.createElement('button');
+      exportBtn.textContent = 'Export Rules JSON';
+      exportBtn.addEventListener('click', () => {
+        const data = RulesEngine.getRulesProfile(Object.assign({}, camp, { rulesProfile: 'Custom' }));
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `spire-rules-${(camp.name || 'campaign').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+      });
+      actions.appendChild(exportBtn);
+
+      const importBtn = document.createElement('button');
+      importBtn.textContent = 'Import Rules JSON';
+      importBtn.addEventListener('click', () => rulesInput.click());
+      actions.appendChild(importBtn);
+
+      const resetBtn = document.createElement('button');
+      resetBtn.textContent = 'Reset to Core Values';
+      resetBtn.addEventListener('click', async () => {
+        const ok = await askConfirm('Reset custom thresholds, clear amounts and tracks to the core rules?', 'Reset Rules');
+        if (!ok) return;
+        delete camp.customRulesProfile;
+        saveCampaigns();
+        openSettingsModal();
+      });
+      actions.appendChild(resetBtn);
+      profileBox.appendChild(actions);
+    }
+
+    const rulesInput = document.createElement('input');
+    rulesInput.type = 'file';
+    rulesInput.accept = 'application/json';
+    rulesInput.style.display = 'none';
+    rulesInput.addEventListener('change', (e) => {
+      const file = e.target.files && e.target.files[0];
+      if (!file) return;
+      const reader = new FileReader();
+      reader.onload = () => {
+        try {
+          const parsed = JSON.parse(String(reader.result || '{}'));
+          const result = RulesEngine.validateRulesProfile(parsed);
+          if (result.errors.length) {
+            showToast(`Rules import rejected: ${result.errors[0]}`, 'warn');
+            return;
+          }
+          camp.customRulesProfile = result.profile;
+          appendLog('Imported custom rules profile', '');
+          saveCampaigns();
+          openSettingsModal();
+          showToast('Custom rules imported.', 'info');
+        } catch (_) {
+          showToast('Rules import failed: file is not valid JSON.', 'warn');
+        } finally {
+          e.target.value = '';
+        }
+      };
+      reader.readAsText(file);
+    });
+    customRulesField.appendChild(rulesInput);
+    renderRulesProfileEditor();
     content.appendChild(customRulesField);
 
     function renderRulesDiff() {
@@ -11008,12 +14772,27 @@
           custom: camp.customRules.clearStressOnFallout !== false
         }
       ];
+      const coreProfile = RulesEngine.defaultRulesProfile();
+      const customProfile = RulesEngine.getRulesProfile(Object.assign({}, camp, { rulesProfile: 'Custom' }));
+      const describe = {
+        'Fallout thresholds': p => `${p.falloutThresholds.moderate} / ${p.falloutThresholds.severe}`,
+        'Stress cleared': p => `${p.stressClear.Minor} / ${p.stressClear.Moderate} / ${p.stressClear.Severe}`,
+        'Stress tracks': p => p.tracks.map(t => (t.cap === 10 ? t.label : `${t.label} (${t.cap})`)).join(', ')
+      };
+      Object.entries(describe).forEach(([label, fn]) => {
+        rows.push({ label, core: fn(coreProfile), quick: fn(coreProfile), custom: fn(customProfile) });
+      });
       rows.forEach((row) => {
         const labelCell = document.createElement('div');
         labelCell.textContent = row.label;
         diffGrid.appendChild(labelCell);
         [row.core, row.quick, row.custom].forEach((v) => {
           const valCell = document.createElement('div');
+          if (typeof v !== 'boolean') {
+            valCell.textContent = v;
+            diffGrid.appendChild(valCell);
+            return;
+          }
           valCell.textContent = v ? 'Enabled' : 'Disabled';
           valCell.style.color = v ? 'var(--ok)' : 'var(--spire-dim)';
           diffGrid.appendChild(valCell);
@@ -11033,7 +14812,6 @@
     });
 
     // Fallout lookup prompt editor (campaign-specific)
-    if (!camp.falloutGuidance) camp.falloutGuidance = defaultFalloutGuidance();
     const falloutSettings = document.createElement('div');
     falloutSettings.className = 'modal-field';
     const falloutLabel = document.createElement('label');
@@ -11045,7 +14823,7 @@
     falloutMeta.textContent = 'Edit prompt lists used by the Fallout Lookup button (one prompt per line).';
 
     const falloutTrackSel = document.createElement('select');
-    ['Blood','Mind','Silver','Shadow','Reputation'].forEach((track) => {
+    getRulesProfile(camp).tracks.forEach(({ label: track }) => {
       const opt = document.createElement('option');
       opt.value = track;
       opt.textContent = track;
@@ -11088,7 +14866,7 @@
     falloutTrackSel.addEventListener('change', () => {
       renderFalloutEditor(falloutTrackSel.value);
     });
-    renderFalloutEditor('Blood');
+    renderFalloutEditor(falloutTrackSel.value);
 
     const resetFalloutBtn = document.createElement('button');
     resetFalloutBtn.textContent = 'Reset Fallout Prompts to Defaults';
@@ -11162,10 +14940,79 @@
     relSection.appendChild(addRelRow);
     content.appendChild(relSection);
 
+    // Storage usage
+    const storageField = document.createElement('div');
+    storageField.className = 'modal-field';
+    const storageLabel = document.createElement('label');
+    storageLabel.textContent = 'Storage';
+    storageField.appendChild(storageLabel);
+    const storageMeter = document.createElement('progress');
+    storageMeter.className = 'storage-meter';
+    storageMeter.max = 1;
+    storageMeter.value = 0;
+    storageField.appendChild(storageMeter);
+    const storageMeta = document.createElement('div');
+    storageMeta.className = 'text-muted';
+    storageMeta.style.fontSize = '0.8rem';
+    storageMeta.textContent = 'Checking storage use…';
+    storageField.appendChild(storageMeta);
+    const campSize = campaignStorageSize(camp);
+    const campMeta = document.createElement('div');
+    campMeta.className = 'text-muted';
+    campMeta.style.fontSize = '0.8rem';
+    campMeta.textContent = `This campaign: about ${formatBytes(campSize.total)} (portraits ${formatBytes(campSize.portraits)}, undo history ${formatBytes(campSize.history)}).`;
+    storageField.appendChild(campMeta);
+    const persistBtn = document.createElement('button');
+    persistBtn.textContent = 'Keep Data Persistent';
+    persistBtn.title = 'Ask the browser not to clear this data when the disk runs low';
+    persistBtn.classList.add('hidden');
+    persistBtn.style.marginTop = '6px';
+    persistBtn.addEventListener('click', async () => {
+      const granted = await CampaignStore.requestPersistence();
+      showToast(granted ? 'Browser storage marked persistent.' : 'The browser declined to make storage persistent.', granted ? 'info' : 'warn');
+      if (granted) persistBtn.classList.add('hidden');
+    });
+    storageField.appendChild(persistBtn);
+    content.appendChild(storageField);
+    CampaignStore.estimate().then((est) => {
+      const where = est.backend === 'indexeddb' ? 'IndexedDB' : 'localStorage (IndexedDB unavailable)';
+      if (est.usage == null || !est.quota) {
+        storageMeta.textContent = `Saved in ${where}. This browser doesn't report usage.`;
+        storageMeter.classList.add('hidden');
+      } else {
+        const share = est.usage / est.quota;
+        storageMeter.value = Math.min(1, share);
+        storageMeta.textContent = `Saved in ${where}: ${formatBytes(est.usage)} of ${formatBytes(est.quota)} used (${(share * 100).toFixed(share < 0.1 ? 1 : 0)}%).`;
+        storageMeter.classList.toggle('storage-meter-warn', share >= 0.8);
+      }
+      if (est.backend === 'indexeddb' && !est.persisted) persistBtn.classList.remove('hidden');
+    }).catch(() => {
+      storageMeta.textContent = 'Storage use unavailable.';
+    });
+
+    // Version history
+    if (state.gmMode && state.currentUser) {
+      const historyField = document.createElement('div');
+      historyField.className = 'modal-field';
+      const historyLabel = document.createElement('label');
+      historyLabel.textContent = 'Version History';
+      const historyMeta = document.createElement('div');
+      historyMeta.className = 'text-muted';
+      historyMeta.style.fontSize = '0.8rem';
+      historyMeta.style.marginBottom = '6px';
+      historyMeta.textContent = 'Compare checkpoints of this campaign and restore it, or a single entity, from any of them.';
+      const historyBtn = document.createElement('button');
+      historyBtn.textContent = 'Browse Versions';
+      historyBtn.addEventListener('click', () => openVersionHistoryModal());
+      historyField.appendChild(historyLabel);
+      historyField.appendChild(historyMeta);
+      historyField.appendChild(historyBtn);
+      content.appendChild(historyField);
+    }
+
     // Backup restore
-    const backupRaw = localStorage.getItem(userScopedKey('spire-campaigns-backup'));
-    const backupTs = localStorage.getItem(userScopedKey('spire-campaigns-backup-ts'));
-    if (backupRaw) {
+    const backupTs = CampaignStore.lastBackupAt(state.currentUser);
+    if (backupTs) {
       const backupField = document.createElement('div');
       backupField.className = 'modal-field';
       const backupLabel = document.createElement('label');
@@ -11174,18 +15021,27 @@
       backupMeta.className = 'text-muted';
       backupMeta.style.fontSize = '0.8rem';
       backupMeta.style.marginBottom = '6px';
-      backupMeta.textContent = 'Latest snapshot: ' + (backupTs ? new Date(backupTs).toLocaleString() : 'Unknown time');
+      backupMeta.textContent = 'Latest snapshot: ' + new Date(backupTs).toLocaleString() + ' (refreshed at most every 10 minutes)';
       const restoreBtn = document.createElement('button');
       restoreBtn.textContent = 'Restore From Snapshot';
       restoreBtn.addEventListener('click', async () => {
         const ok = await askConfirm('Restore campaigns from the latest snapshot? This replaces current in-browser data.', 'Restore Snapshot');
         if (!ok) return;
         try {
-          const parsed = JSON.parse(backupRaw);
+          const backup = await CampaignStore.loadBackup(state.currentUser);
+          const parsed = backup && backup.payload;
           if (!parsed || !parsed.campaigns || !Object.keys(parsed.campaigns).length) {
             throw new Error('Backup snapshot is empty.');
           }
-          state.campaigns = parsed.campaigns;
+          const loaded = migrateCampaignMap(parsed.campaigns);
+          if (!Object.keys(loaded.campaigns).length) throw new Error(loaded.errors.join(' '));
+          Object.values(state.campaigns).forEach((c) => {
+            if (loaded.campaigns[c.id]) checkpointCampaign(c, 'restore', 'Before restoring snapshot');
+          });
+          state.campaigns = loaded.campaigns;
+          state.unsupportedCampaigns = loaded.refused;
+          state.savedFingerprints = {};
+          state.mergeBase = fingerprintCampaigns(state.campaigns);
           state.currentCampaignId = parsed.currentCampaignId;
           if (!state.currentCampaignId || !state.campaigns[state.currentCampaignId]) {
             state.currentCampaignId = Object.keys(state.campaigns)[0];
@@ -11232,6 +15088,337 @@
     content.appendChild(dangerZone);
   }
 
+  // -----------------------------------------------------------------------
+  //  VERSION HISTORY
+  // -----------------------------------------------------------------------
+  const CHECKPOINT_LIMIT = 50;
+  const CHECKPOINT_INTERVAL_MS = 30 * 60 * 1000;
+  const CHECKPOINT_REASON_LABELS = {
+    auto: 'Autosave',
+    session: 'Session start',
+    import: 'Before import',
+    merge: 'Before merge',
+    restore: 'Before restore'
+  };
+  // Checkpoints read the stored list before adding to it, so take them one at a time.
+  let checkpointQueue = Promise.resolve();
+
+  /**
+   * Add a version history checkpoint for `camp`. The snapshot is taken
+   * now, so callers can checkpoint and then change the campaign. An
+   * 'auto' checkpoint is skipped when nothing changed since the last one.
+   * Resolves the checkpoint, or null when none was written.
+   */
+  function checkpointCampaign(camp, reason = 'auto', label = '') {
+    if (!camp || !state.currentUser) return Promise.resolve(null);
+    const user = state.currentUser;
+    const snapshot = RulesEngine.campaignVersionSnapshot(camp);
+    const at = new Date().toISOString();
+    state.lastCheckpointAt[camp.id] = Date.parse(at);
+    const run = checkpointQueue.then(async () => {
+      const list = await CampaignStore.listCheckpoints(user, camp.id);
+      const cp = RulesEngine.createCheckpoint(list, snapshot, { reason, label, at, force: reason !== 'auto' });
+      if (!cp) return null;
+      const pruned = RulesEngine.pruneCheckpoints(list.concat([cp]), CHECKPOINT_LIMIT);
+      await CampaignStore.writeCheckpoints(user, camp.id, { put: [cp].concat(pruned.put), del: pruned.del });
+      return cp;
+    });
+    checkpointQueue = run.catch((err) => console.warn('Checkpoint failed', err));
+    return run;
+  }
+
+  /** Checkpoint the current campaign if the last one this tab took is old enough. */
+  function maybeAutoCheckpoint() {
+    const camp = currentCampaign();
+    if (!camp) return;
+    const last = state.lastCheckpointAt[camp.id] || 0;
+    if (Date.now() - last < CHECKPOINT_INTERVAL_MS) return;
+    checkpointCampaign(camp, 'auto');
+  }
+
+  /** A summarizeVersionChanges result as one short line for the timeline. */
+  function versionSummaryText(summary) {
+    if (!summary) return '';
+    const parts = [];
+    const ents = summary.entities;
+    if (ents.added.length) parts.push(`${ents.added.length} added`);
+    if (ents.removed.length) parts.push(`${ents.removed.length} removed`);
+    if (ents.changed.length) parts.push(`${ents.changed.length} changed`);
+    const rels = summary.relationships;
+    const relCount = rels.added + rels.removed + rels.changed;
+    if (relCount) parts.push(`${relCount} relationship edit${relCount === 1 ? '' : 's'}`);
+    if (summary.logs) parts.push(`${summary.logs} log entr${summary.logs === 1 ? 'y' : 'ies'}`);
+    if (summary.fields.length) parts.push(`${summary.fields.length} setting${summary.fields.length === 1 ? '' : 's'}`);
+    return parts.join(' · ') || 'No changes';
+  }
+
+  /** A summarizeVersionChanges result as readable lines for a comparison. */
+  function versionChangeLines(summary) {
+    const lines = [];
+    const names = (rows) => rows.map((row) => row.name).join(', ');
+    const ents = summary.entities;
+    if (ents.added.length) lines.push(`Added: ${names(ents.added)}`);
+    if (ents.removed.length) lines.push(`Removed: ${names(ents.removed)}`);
+    ents.changed.forEach((row) => lines.push(`Changed ${row.name}: ${row.keys.join(', ')}`));
+    const rels = summary.relationships;
+    if (rels.added || rels.removed || rels.changed) {
+      lines.push(`Relationships: ${rels.added} added, ${rels.removed} removed, ${rels.changed} changed`);
+    }
+    if (summary.logs) lines.push(`Log: ${summary.logs} new entr${summary.logs === 1 ? 'y' : 'ies'}`);
+    if (summary.fields.length) lines.push(`Campaign settings: ${summary.fields.join(', ')}`);
+    return lines.length ? lines : ['No differences.'];
+  }
+
+  function checkpointTitle(cp) {
+    const reason = CHECKPOINT_REASON_LABELS[cp.reason] || cp.reason;
+    return `${new Date(cp.at).toLocaleString()} · ${cp.label || reason}`;
+  }
+
+  /**
+   * Replace the current campaign with a checkpoint snapshot. Sharing and
+   * cloud links stay as they are now, and the undo history is kept so the
+   * restore itself can be undone.
+   */
+  async function restoreCampaignVersion(cp, snapshot) {
+    const camp = currentCampaign();
+    const ok = await askConfirm(`Restore "${camp.name}" to the version from ${new Date(cp.at).toLocaleString()}? Current changes stay in the version history.`, 'Restore Version');
+    if (!ok) {
+      openVersionHistoryModal();
+      return;
+    }
+    const migrated = migrateCampaign(JSON.parse(JSON.stringify(snapshot)));
+    if (!migrated.ok) {
+      showToast(`Can't restore this version. ${migrated.error}`, 'warn');
+      return;
+    }
+    try {
+      await checkpointCampaign(camp, 'restore', `Before restoring ${new Date(cp.at).toLocaleString()}`);
+    } catch (err) {
+      console.warn('Checkpoint before restore failed', err);
+      showToast('Could not save the current version to history, so nothing was restored.', 'warn');
+      return;
+    }
+    captureUndoSnapshot('Restore version');
+    const restored = RulesEngine.keepCurrentPortraits(migrated.data, camp);
+    ['id', 'cloudCampaignId', 'owner', 'gmUsers', 'memberUsers', 'inviteCode', 'sourceInviteCode', 'undoStack', 'redoStack']
+      .forEach((key) => {
+        if (camp[key] === undefined) delete restored[key];
+        else restored[key] = camp[key];
+      });
+    state.campaigns[camp.id] = restored;
+    appendLog(`Restored campaign to version from ${new Date(cp.at).toLocaleString()}`, '');
+    saveAndRefresh();
+    renderLog();
+    renderSessionPrep();
+    updateUndoButtonState();
+    showToast('Campaign restored.', 'info');
+  }
+
+  /**
+   * Put one entity back as it was in a checkpoint, with its graph position
+   * and any of its relationships that are gone now but whose other end
+   * still exists.
+   */
+  function restoreEntityVersion(camp, snapshot, entityId) {
+    const ent = snapshot.entities && snapshot.entities[entityId];
+    if (!ent) return false;
+    captureUndoSnapshot(`Restore ${ent.name || 'entity'}`, entityId);
+    const restored = JSON.parse(JSON.stringify(ent));
+    if (!restored.image && camp.entities[entityId] && camp.entities[entityId].image) restored.image = camp.entities[entityId].image;
+    fillEntityDefaults(restored);
+    camp.entities[entityId] = restored;
+    if (snapshot.positions && snapshot.positions[entityId] && !camp.positions[entityId]) {
+      camp.positions[entityId] = JSON.parse(JSON.stringify(snapshot.positions[entityId]));
+    }
+    Object.values(snapshot.relationships || {}).forEach((rel) => {
+      if (rel.source !== entityId && rel.target !== entityId) return;
+      if (camp.relationships[rel.id]) return;
+      if (!camp.entities[rel.source] || !camp.entities[rel.target]) return;
+      camp.relationships[rel.id] = JSON.parse(JSON.stringify(rel));
+    });
+    return true;
+  }
+
+  /**
+   * Browse the current campaign's checkpoints: compare any two versions
+   * (or a version and the campaign as it is now) and restore the whole
+   * campaign or a single entity.
+   */
+  async function openVersionHistoryModal() {
+    const camp = currentCampaign();
+    if (!camp) return;
+    const overlay = document.getElementById('modal-overlay');
+    const modal = document.getElementById('modal');
+    const content = document.getElementById('modal-content');
+    const titleEl = document.getElementById('modal-title');
+    if (titleEl) titleEl.textContent = 'Version History';
+    content.innerHTML = '';
+    overlay.classList.remove('hidden');
+    modal.classList.remove('hidden');
+
+    const intro = document.createElement('p');
+    intro.className = 'text-muted';
+    intro.style.fontSize = '0.8rem';
+    intro.style.margin = '0 0 10px';
+    intro.textContent = `Checkpoints are taken at session start, before imports, merges and restores, and every ${CHECKPOINT_INTERVAL_MS / 60000} minutes while you edit. The latest ${CHECKPOINT_LIMIT} are kept in this browser.`;
+    content.appendChild(intro);
+
+    let checkpoints = [];
+    try {
+      checkpoints = await CampaignStore.listCheckpoints(state.currentUser, camp.id);
+    } catch (err) {
+      console.warn('Failed to read version history', err);
+      showToast('Could not read version history.', 'warn');
+      return;
+    }
+    if (!checkpoints.length) {
+      const empty = document.createElement('div');
+      empty.className = 'text-muted';
+      empty.style.fontSize = '0.8rem';
+      empty.textContent = 'No checkpoints yet.';
+      content.appendChild(empty);
+      return;
+    }
+    const snapshots = new Map();
+    const snapshotOf = (id) => {
+      if (id === 'current') return RulesEngine.campaignVersionSnapshot(currentCampaign());
+      if (!snapshots.has(id)) snapshots.set(id, RulesEngine.materializeCheckpoint(checkpoints, id));
+      return snapshots.get(id);
+    };
+    const newestFirst = checkpoints.slice().reverse();
+
+    // Compare two versions
+    const compareField = document.createElement('div');
+    compareField.className = 'modal-field';
+    const compareLabel = document.createElement('label');
+    compareLabel.textContent = 'Compare';
+    compareField.appendChild(compareLabel);
+    const compareRow = document.createElement('div');
+    compareRow.style.display = 'flex';
+    compareRow.style.gap = '6px';
+    const fromSelect = document.createElement('select');
+    const toSelect = document.createElement('select');
+    const currentOpt = document.createElement('option');
+    currentOpt.value = 'current';
+    currentOpt.textContent = 'Current campaign';
+    toSelect.appendChild(currentOpt);
+    newestFirst.forEach((cp) => {
+      [fromSelect, toSelect].forEach((sel) => {
+        const opt = document.createElement('option');
+        opt.value = String(cp.id);
+        opt.textContent = checkpointTitle(cp);
+        sel.appendChild(opt);
+      });
+    });
+    compareRow.appendChild(fromSelect);
+    compareRow.appendChild(toSelect);
+    compareField.appendChild(compareRow);
+    const compareList = document.createElement('ul');
+    compareList.className = 'text-muted';
+    compareList.style.fontSize = '0.8rem';
+    compareList.style.margin = '6px 0 0';
+    compareList.style.paddingLeft = '18px';
+    compareList.style.maxHeight = '140px';
+    compareList.style.overflow = 'auto';
+    compareField.appendChild(compareList);
+    const renderComparison = () => {
+      const fromId = Number(fromSelect.value);
+      const toId = toSelect.value === 'current' ? 'current' : Number(toSelect.value);
+      compareList.innerHTML = '';
+      versionChangeLines(RulesEngine.summarizeVersionChanges(snapshotOf(fromId), snapshotOf(toId))).forEach((line) => {
+        const li = document.createElement('li');
+        li.textContent = line;
+        compareList.appendChild(li);
+      });
+    };
+    fromSelect.addEventListener('change', renderComparison);
+    toSelect.addEventListener('change', renderComparison);
+    content.appendChild(compareField);
+    renderComparison();
+
+    // Timeline
+    const timelineField = document.createElement('div');
+    timelineField.className = 'modal-field';
+    const timelineLabel = document.createElement('label');
+    timelineLabel.textContent = `Checkpoints (${checkpoints.length})`;
+    timelineField.appendChild(timelineLabel);
+    const timeline = document.createElement('div');
+    timeline.className = 'sync-queue-list';
+    newestFirst.forEach((cp) => {
+      const row = document.createElement('div');
+      row.className = 'sync-queue-row';
+      const body = document.createElement('div');
+      body.className = 'sync-queue-row-body';
+      body.style.flex = '1';
+      const whenEl = document.createElement('div');
+      whenEl.className = 'sync-queue-when';
+      whenEl.textContent = checkpointTitle(cp);
+      const metaEl = document.createElement('div');
+      metaEl.className = 'sync-queue-meta';
+      metaEl.textContent = `${CHECKPOINT_REASON_LABELS[cp.reason] || cp.reason} · ${versionSummaryText(cp.summary)}`;
+      body.appendChild(whenEl);
+      body.appendChild(metaEl);
+      const entityRow = document.createElement('div');
+      entityRow.style.display = 'flex';
+      entityRow.style.gap = '6px';
+      entityRow.classList.add('hidden');
+      body.appendChild(entityRow);
+
+      const restoreBtn = document.createElement('button');
+      restoreBtn.textContent = 'Restore';
+      restoreBtn.title = 'Restore the whole campaign to this version';
+      restoreBtn.addEventListener('click', () => {
+        const snapshot = snapshotOf(cp.id);
+        if (!snapshot) {
+          showToast('This version can no longer be rebuilt.', 'warn');
+          return;
+        }
+        restoreCampaignVersion(cp, snapshot);
+      });
+      const entityBtn = document.createElement('button');
+      entityBtn.textContent = 'Entity…';
+      entityBtn.title = 'Restore one entity from this version';
+      entityBtn.addEventListener('click', () => {
+        const snapshot = snapshotOf(cp.id);
+        if (!snapshot) {
+          showToast('This version can no longer be rebuilt.', 'warn');
+          return;
+        }
+        entityRow.innerHTML = '';
+        const entitySelect = document.createElement('select');
+        Object.values(snapshot.entities || {})
+          .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')))
+          .forEach((ent) => {
+            const opt = document.createElement('option');
+            opt.value = ent.id;
+            opt.textContent = `${ent.name || ent.id}${camp.entities[ent.id] ? '' : ' (deleted)'}`;
+            entitySelect.appendChild(opt);
+          });
+        const goBtn = document.createElement('button');
+        goBtn.textContent = 'Restore Entity';
+        goBtn.disabled = !entitySelect.options.length;
+        goBtn.addEventListener('click', () => {
+          const live = currentCampaign();
+          const ent = snapshot.entities[entitySelect.value];
+          if (!ent || !restoreEntityVersion(live, snapshot, ent.id)) return;
+          appendLog(`Restored ${ent.name || 'entity'} from version of ${new Date(cp.at).toLocaleString()}`, ent.id);
+          saveAndRefresh();
+          showToast(`Restored ${ent.name || 'entity'}.`, 'info');
+          openVersionHistoryModal();
+        });
+        entityRow.appendChild(entitySelect);
+        entityRow.appendChild(goBtn);
+        entityRow.classList.remove('hidden');
+      });
+      row.appendChild(body);
+      row.appendChild(restoreBtn);
+      row.appendChild(entityBtn);
+      timeline.appendChild(row);
+    });
+    timelineField.appendChild(timeline);
+    content.appendChild(timelineField);
+  }
+
   // -----------------------------------------------------------------------
   //  SESSION MANAGEMENT
   // -----------------------------------------------------------------------
@@ -11247,8 +15434,12 @@
         });
       }
       ent.refreshed = false;
+      (ent.inventory || []).forEach((item) => {
+        if (item && item.sceneState) delete item.sceneState;
+      });
     });
     appendSessionLog('─── Session ' + camp.currentSession + ' begins ───');
+    checkpointCampaign(camp, 'session', 'Session ' + camp.currentSession + ' start');
     const badge = document.getElementById('log-session-badge');
     if (badge) badge.textContent = 'Session ' + camp.currentSession;
     showToast('Session ' + camp.currentSession + ' started. Core abilities and refresh flags reset.', 'info');
@@ -11333,6 +15524,7 @@
       npc.role = roleInput.value.trim() || 'NPC';
       npc.notes = notesInput.value.trim();
       npc.pendingApproval = true;
+      npc.submittedBy = state.currentUser || '';
       appendLog('Submitted NPC for approval', npc.id);
       overlay.classList.add('hidden');
       modal.classList.add('hidden');
@@ -11360,20 +15552,10 @@
       if (e.key !== revKey) return;
       if (!e.newValue) return;
       if (e.newValue === state.lastSeenRevision) return;
-      const newlyConflicted = !state.syncConflictActive;
       state.lastSeenRevision = e.newValue;
       setSyncConflictWarning(true, conflictWarningText());
       setSaveState('error', conflictWarningText());
-      if (newlyConflicted && (state.localEditsSinceConflict || 0) === 0) {
-        setTimeout(async () => {
-          if (!state.syncConflictActive || (state.localEditsSinceConflict || 0) > 0) return;
-          const ok = await askConfirm(
-            'Campaign updated in another tab. Reload latest now?',
-            'Sync Conflict'
-          );
-          if (ok) reloadCampaignFromStorage();
-        }, 60);
-      }
+      scheduleAutoMerge();
     });
     window.addEventListener('online', () => {
       const flushed = flushPendingSaveOps();
@@ -11538,6 +15720,14 @@
       });
       btnWrap.appendChild(customBtn);
 
+      if (type === 'pc') {
+        const guidedBtn = document.createElement('button');
+        guidedBtn.textContent = 'Guided Creation…';
+        guidedBtn.title = 'Step through name, class, durance, picks, kit and bonds';
+        guidedBtn.addEventListener('click', () => openCharacterWizard());
+        btnWrap.appendChild(guidedBtn);
+      }
+
       content.appendChild(btnWrap);
     }
 
@@ -11658,7 +15848,7 @@
     const syncReloadBtn = document.getElementById('sync-reload-btn');
     if (syncReloadBtn) {
       syncReloadBtn.addEventListener('click', () => {
-        reloadCampaignFromStorage();
+        openSyncConflictModal();
       });
     }
     const syncForceBtn = document.getElementById('sync-force-btn');
@@ -12006,13 +16196,11 @@
     if (logFilterState.actor === undefined) logFilterState.actor = 'all';
     if (logFilterState.actionType === undefined) logFilterState.actionType = 'all';
     setSyncConflictWarning(false);
-    if (!Array.isArray(camp.clocks)) camp.clocks = [];
     if (camp.owner === undefined || camp.owner === null) camp.owner = state.currentUser || null;
     if (!Array.isArray(camp.gmUsers) || !camp.gmUsers.length) {
       camp.gmUsers = camp.owner ? [camp.owner] : (state.currentUser ? [state.currentUser] : []);
     }
     if (camp.owner && !camp.gmUsers.includes(camp.owner)) camp.gmUsers.unshift(camp.owner);
-    if (!Array.isArray(camp.memberUsers)) camp.memberUsers = camp.owner ? [camp.owner] : [];
     if (camp.owner && !camp.memberUsers.includes(camp.owner)) camp.memberUsers.unshift(camp.owner);
     if (camp.sourceInviteCode) {
       const code = String(camp.sourceInviteCode).toUpperCase();
@@ -12046,48 +16234,6 @@
     // Update session badge
     const badge = document.getElementById('log-session-badge');
     if (badge) badge.textContent = 'Session ' + (camp.currentSession || 1);
-    // Migrate missing fields on old campaigns
-    if (!camp.currentSession) camp.currentSession = 1;
-    if (camp.allowPlayerEditing === undefined) camp.allowPlayerEditing = true;
-    if (!camp.gmPin) camp.gmPin = '';
-    if (camp.ministryAttention === undefined) camp.ministryAttention = 0;
-    if (!Array.isArray(camp.memberUsers)) camp.memberUsers = [];
-    if (camp.owner && !camp.memberUsers.includes(camp.owner)) camp.memberUsers.unshift(camp.owner);
-    if (camp.inviteCode === undefined) camp.inviteCode = '';
-    if (camp.sourceInviteCode === undefined) camp.sourceInviteCode = '';
-    if (camp.cloudCampaignId === undefined) camp.cloudCampaignId = '';
-    if (!camp.rulesProfile) camp.rulesProfile = 'Core';
-    if (!camp.customRules) {
-      camp.customRules = {
-        difficultyDowngrades: true,
-        falloutCheckOnStress: true,
-        clearStressOnFallout: true
-      };
-    }
-    if (!camp.sourcebooks || typeof camp.sourcebooks !== 'object') camp.sourcebooks = defaultSourcebooks();
-    Object.entries(defaultSourcebooks()).forEach(([key, val]) => {
-      if (camp.sourcebooks[key] === undefined) camp.sourcebooks[key] = val;
-    });
-    if (!camp.falloutGuidance) camp.falloutGuidance = defaultFalloutGuidance();
-    if (!Array.isArray(camp.refreshCompendium)) camp.refreshCompendium = defaultRefreshCompendium();
-    if (!Array.isArray(camp.falloutCompendium)) camp.falloutCompendium = defaultFalloutCompendium();
-    if (!Array.isArray(camp.equipmentCompendium)) camp.equipmentCompendium = defaultEquipmentCompendium();
-    if (!camp.graphViews) camp.graphViews = {};
-    if (!camp.sectionCollapse) camp.sectionCollapse = {};
-    if (!camp.taskViewByPc || typeof camp.taskViewByPc !== 'object') camp.taskViewByPc = {};
-    if (!camp.taskSortByPc || typeof camp.taskSortByPc !== 'object') camp.taskSortByPc = {};
-    if (camp.sessionPrepTasksOnly === undefined) camp.sessionPrepTasksOnly = false;
-    if (!['manual', 'name', 'pinned'].includes(camp.entitySort)) camp.entitySort = 'manual';
-    if (camp.entityPinnedOnly === undefined) camp.entityPinnedOnly = false;
-    if (!Array.isArray(camp.messages)) camp.messages = [];
-    if (!Array.isArray(camp.gmNotes)) camp.gmNotes = [];
-    if (camp.lastScenePrompt === undefined) camp.lastScenePrompt = null;
-    if (!Array.isArray(camp.scenarioPacks)) camp.scenarioPacks = [];
-    if (!camp.uiTipsDismissed || typeof camp.uiTipsDismissed !== 'object') camp.uiTipsDismissed = {};
-    if (!camp.relationshipUndo || typeof camp.relationshipUndo !== 'object') camp.relationshipUndo = {};
-    if (!camp.relationshipRedo || typeof camp.relationshipRedo !== 'object') camp.relationshipRedo = {};
-    if (!Array.isArray(camp.undoStack)) camp.undoStack = [];
-    if (!Array.isArray(camp.redoStack)) camp.redoStack = [];
     updateMessagesUnreadBadge();
     updateUndoButtonState();
     ensureAutoGrowTextareas(document);
@@ -12309,6 +16455,10 @@
     state.telemetryConfig = defaultTelemetryConfig();
     state.campaigns = {};
     state.currentCampaignId = null;
+    state.savedFingerprints = {};
+    state.mergeBase = {};
+    state.cloudFingerprints = {};
+    state.cloudRecords = {};
     saveUsers();
     const userInput = document.getElementById('auth-username');
     const passInput = document.getElementById('auth-password');
@@ -12327,7 +16477,7 @@
       initRealtimeChannel();
     }
     const loadedCloud = await syncCampaignsFromCloud().catch(() => false);
-    if (!loadedCloud) loadCampaigns();
+    if (!loadedCloud) await loadCampaigns();
     renderModeScreenCampaigns();
     updateModeUserRow();
     const camp = currentCampaign();
@@ -12478,7 +16628,12 @@
       if (!replace) targetId = generateId('camp');
     }
 
-    const data = JSON.parse(JSON.stringify(record.data));
+    const migrated = migrateCampaign(JSON.parse(JSON.stringify(record.data)));
+    if (!migrated.ok) {
+      showToast(`Can't join this campaign. ${migrated.error}`, 'warn');
+      return;
+    }
+    const data = migrated.data;
     data.id = targetId;
     data.sourceInviteCode = code;
     if (!Array.isArray(data.memberUsers)) data.memberUsers = [];
@@ -12591,10 +16746,12 @@
       const file = e.target.files[0];
       if (!file) return;
       const reader = new FileReader();
-      reader.onload = (evt) => {
+      reader.onload = async (evt) => {
         try {
-          const data = JSON.parse(evt.target.result);
-          if (!data.entities || !data.relationships) { showToast('Invalid file', 'warn'); return; }
+          const prepared = await prepareCampaignImport(JSON.parse(evt.target.result));
+          if (!prepared) return;
+          const data = prepared.data;
+          data.importQuarantine = data.importQuarantine.concat(prepared.quarantine);
           const newId = generateId('camp');
           data.id = newId;
           data.name = data.name || 'Imported Campaign';
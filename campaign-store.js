@@ -0,0 +1,582 @@
+/*
+ * Spire Campaign Store
+ *
+ * Local persistence for campaigns. IndexedDB holds one record per campaign,
+ * one per entity, relationship and log entry, the undo history, and
+ * portraits (ent.image data URLs) as blobs, so a long campaign isn't
+ * squeezed into a single localStorage key and a save only rewrites what
+ * changed. Version history checkpoints (see createCheckpoint in
+ * rules-engine.js) sit in their own store, and each campaign's replica
+ * stamps (see createCrdtReplica) in `meta`. Browsers without IndexedDB fall
+ * back to the old single localStorage blob. app.js keeps campaigns in
+ * memory and only calls load/save/saveChanges and the checkpoint helpers
+ * here.
+ */
+
+(function (global) {
+  const DB_NAME = 'spire-campaign-store';
+  // v2 moved relationships, log entries and undo history out of the
+  // campaign record into `records`, so each can be written on its own.
+  // v3 added `checkpoints`.
+  const DB_VERSION = 3;
+  // Campaign keys kept outside the campaign record (see campaignChangeSet in
+  // rules-engine.js).
+  const SPLIT_KEYS = ['entities', 'relationships', 'logs', 'undoStack', 'redoStack'];
+  const HISTORY_KEYS = ['undoStack', 'redoStack'];
+  // Keys used before this store existed (scoped per user like userScopedKey).
+  const LEGACY_KEY = 'spire-campaigns';
+  const LEGACY_BACKUP_KEY = 'spire-campaigns-backup';
+  const LEGACY_BACKUP_TS_KEY = 'spire-campaigns-backup-ts';
+  // Checkpoints with the localStorage fallback: { [campaignId]: [checkpoint] }.
+  const FALLBACK_CHECKPOINTS_KEY = 'spire-checkpoints';
+  // Replica stamps with the localStorage fallback: { [campaignId]: state }.
+  const FALLBACK_REPLICAS_KEY = 'spire-replicas';
+  // The recovery snapshot is a full copy, so refresh it at most this often.
+  const BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+
+  const state = {
+    db: null,
+    opening: null,
+    backend: '',
+    queue: Promise.resolve(),
+    // Last portrait data URL written or read per entity, to skip rewriting blobs.
+    portraits: new Map(),
+    lastBackupAt: {}
+  };
+
+  function legacyKey(base, user) {
+    return user ? `${base}:${user}` : base;
+  }
+
+  function request(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted.'));
+    });
+  }
+
+  // Every key starts with the user; arrays sort after strings, so [...prefix, []]
+  // is an upper bound for all keys under the prefix.
+  function prefixRange(prefix) {
+    return global.IDBKeyRange.bound(prefix, prefix.concat([[]]));
+  }
+
+  function portraitKey(user, campaignId, entityId) {
+    return `${user}\u0000${campaignId}\u0000${entityId}`;
+  }
+
+  function isDataUrl(value) {
+    return typeof value === 'string' && value.startsWith('data:');
+  }
+
+  function dataUrlToBlob(dataUrl) {
+    const comma = dataUrl.indexOf(',');
+    const header = dataUrl.slice(5, comma);
+    const body = dataUrl.slice(comma + 1);
+    const type = header.split(';')[0] || 'application/octet-stream';
+    if (!header.includes(';base64')) return new Blob([decodeURIComponent(body)], { type });
+    const bin = atob(body);
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return new Blob([bytes], { type });
+  }
+
+  function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result || ''));
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  /**
+   * Open the database, or settle on the localStorage fallback. Resolves to
+   * the backend in use: 'indexeddb' or 'localstorage'.
+   */
+  function open() {
+    if (state.backend) return Promise.resolve(state.backend);
+    if (state.opening) return state.opening;
+    if (!global.indexedDB) {
+      state.backend = 'localstorage';
+      return Promise.resolve(state.backend);
+    }
+    state.opening = new Promise((resolve) => {
+      let req;
+      try {
+        req = global.indexedDB.open(DB_NAME, DB_VERSION);
+      } catch (_) {
+        state.backend = 'localstorage';
+        resolve(state.backend);
+        return;
+      }
+      req.onupgradeneeded = (event) => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('campaigns')) db.createObjectStore('campaigns', { keyPath: ['user', 'id'] });
+        if (!db.objectStoreNames.contains('entities')) db.createObjectStore('entities', { keyPath: ['user', 'campaignId', 'id'] });
+        if (!db.objectStoreNames.contains('portraits')) db.createObjectStore('portraits', { keyPath: ['user', 'campaignId', 'id'] });
+        if (!db.objectStoreNames.contains('records')) db.createObjectStore('records', { keyPath: ['user', 'campaignId', 'kind', 'id'] });
+        if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: ['user', 'key'] });
+        if (!db.objectStoreNames.contains('checkpoints')) db.createObjectStore('checkpoints', { keyPath: ['user', 'campaignId', 'id'] });
+        if (event.oldVersion === 1) splitLegacyCampaignRecords(req.transaction);
+      };
+      req.onsuccess = () => {
+        state.db = req.result;
+        state.backend = 'indexeddb';
+        resolve(state.backend);
+      };
+      // Private browsing in some browsers refuses IndexedDB outright.
+      req.onerror = () => {
+        state.backend = 'localstorage';
+        resolve(state.backend);
+      };
+    });
+    return state.opening;
+  }
+
+  // Layout 1 kept relationships, logs and undo history inside the campaign record.
+  function splitLegacyCampaignRecords(tx) {
+    const records = tx.objectStore('records');
+    tx.objectStore('campaigns').openCursor().onsuccess = (e) => {
+      const cursor = e.target.result;
+      if (!cursor) return;
+      const rec = cursor.value;
+      const data = rec.data || {};
+      const base = { user: rec.user, campaignId: rec.id };
+      Object.entries(data.relationships || {}).forEach(([id, rel]) => {
+        records.put(Object.assign({ kind: 'relationship', id, data: rel }, base));
+      });
+      (data.logs || []).forEach((entry, i) => records.put(Object.assign({ kind: 'log', id: i, data: entry }, base)));
+      HISTORY_KEYS.forEach((key) => records.put(Object.assign({ kind: 'history', id: key, data: data[key] || [] }, base)));
+      SPLIT_KEYS.forEach((key) => { if (key !== 'entities') delete data[key]; });
+      cursor.update(rec);
+      cursor.continue();
+    };
+  }
+
+  function backend() {
+    return state.backend;
+  }
+
+  // Run storage work one call at a time, in call order.
+  function enqueue(task) {
+    const run = state.queue.then(task, task);
+    state.queue = run.catch(() => {});
+    return run;
+  }
+
+  function readLegacy(user) {
+    const raw = global.localStorage.getItem(legacyKey(LEGACY_KEY, user));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async function loadFromDb(user) {
+    const tx = state.db.transaction(['campaigns', 'entities', 'portraits', 'records', 'meta'], 'readonly');
+    const campaignRecords = await request(tx.objectStore('campaigns').getAll(prefixRange([user])));
+    const current = await request(tx.objectStore('meta').get([user, 'current']));
+    // Only the timestamp: the snapshot itself is a full copy.
+    const backupAt = await request(tx.objectStore('meta').get([user, 'backupAt']));
+    const rows = [];
+    for (const record of campaignRecords) {
+      const entityRecords = await request(tx.objectStore('entities').getAll(prefixRange([user, record.id])));
+      const portraitRecords = await request(tx.objectStore('portraits').getAll(prefixRange([user, record.id])));
+      const otherRecords = await request(tx.objectStore('records').getAll(prefixRange([user, record.id])));
+      rows.push({ record, entityRecords, portraitRecords, otherRecords });
+    }
+    // Blobs are read back only after the transaction is done with: awaiting
+    // a FileReader inside it would let it close.
+    const campaigns = {};
+    for (const { record, entityRecords, portraitRecords, otherRecords } of rows) {
+      const blobs = {};
+      portraitRecords.forEach((p) => { blobs[p.id] = p.blob; });
+      const byId = {};
+      entityRecords.forEach((e) => { byId[e.id] = e.data; });
+      // Keep the saved entity order; anything missing from it goes last.
+      const order = (record.entityOrder || []).filter((id) => byId[id]).concat(Object.keys(byId).filter((id) => !(record.entityOrder || []).includes(id)));
+      const entities = {};
+      for (const id of order) {
+        const ent = byId[id];
+        if (blobs[id]) {
+          ent.image = await blobToDataUrl(blobs[id]);
+          state.portraits.set(portraitKey(user, record.id, id), ent.image);
+        }
+        entities[id] = ent;
+      }
+      const relationships = {};
+      const logs = [];
+      const history = { undoStack: [], redoStack: [] };
+      otherRecords.forEach((r) => {
+        if (r.kind === 'relationship') relationships[r.id] = r.data;
+        else if (r.kind === 'log') logs.push(r);
+        else if (r.kind === 'history') history[r.id] = r.data;
+      });
+      logs.sort((a, b) => a.id - b.id);
+      campaigns[record.id] = Object.assign({}, record.data, { entities, relationships, logs: logs.map((r) => r.data) }, history);
+    }
+    if (backupAt) state.lastBackupAt[user] = backupAt.value;
+    if (!campaignRecords.length && !current) return null;
+    return { campaigns, currentCampaignId: current ? current.value : null };
+  }
+
+  // Everything in `payload` as a change set that replaces what's stored.
+  function fullChanges(payload) {
+    const campaigns = {};
+    Object.entries(payload.campaigns || {}).forEach(([id, camp]) => {
+      const fields = {};
+      Object.keys(camp).forEach((key) => {
+        if (!SPLIT_KEYS.includes(key)) fields[key] = camp[key];
+      });
+      campaigns[id] = {
+        full: true,
+        fields,
+        entityOrder: Object.keys(camp.entities || {}),
+        entities: { put: camp.entities || {}, del: [] },
+        relationships: { put: camp.relationships || {}, del: [] },
+        logs: { reset: true, from: 0, put: camp.logs || [] },
+        history: { undoStack: camp.undoStack || [], redoStack: camp.redoStack || [] }
+      };
+    });
+    return { currentCampaignId: payload.currentCampaignId, campaignIds: Object.keys(payload.campaigns || {}), campaigns };
+  }
+
+  async function applyChanges(user, changes, opts = {}) {
+    const tx = state.db.transaction(['campaigns', 'entities', 'portraits', 'records', 'meta', 'checkpoints'], 'readwrite');
+    const done = transactionDone(tx);
+    // A failed request aborts the transaction; the caller sees that error instead.
+    done.catch(() => {});
+    const campaignStore = tx.objectStore('campaigns');
+    const entityStore = tx.objectStore('entities');
+    const portraitStore = tx.objectStore('portraits');
+    const recordStore = tx.objectStore('records');
+    const metaStore = tx.objectStore('meta');
+    // Portrait cache changes apply only once the transaction commits.
+    const portraitUpdates = [];
+    const dropPortrait = (campaignId, id) => {
+      portraitStore.delete([user, campaignId, id]);
+      portraitUpdates.push([portraitKey(user, campaignId, id), null]);
+    };
+    if (Array.isArray(changes.campaignIds)) {
+      const storedIds = (await request(campaignStore.getAllKeys(prefixRange([user])))).map((key) => key[1]);
+      storedIds.filter((id) => !changes.campaignIds.includes(id)).forEach((id) => {
+        campaignStore.delete([user, id]);
+        entityStore.delete(prefixRange([user, id]));
+        portraitStore.delete(prefixRange([user, id]));
+        recordStore.delete(prefixRange([user, id]));
+        tx.objectStore('checkpoints').delete(prefixRange([user, id]));
+        metaStore.delete([user, `replica:${id}`]);
+      });
+    }
+    for (const [campaignId, change] of Object.entries(changes.campaigns || {})) {
+      if (change.full) {
+        const storedEntityIds = (await request(entityStore.getAllKeys(prefixRange([user, campaignId])))).map((key) => key[2]);
+        storedEntityIds.filter((id) => !change.entities.put[id]).forEach((id) => {
+          entityStore.delete([user, campaignId, id]);
+          dropPortrait(campaignId, id);
+        });
+        recordStore.delete(prefixRange([user, campaignId]));
+      }
+      if (change.fields) {
+        campaignStore.put({ user, id: campaignId, data: change.fields, entityOrder: change.entityOrder, updatedAt: new Date().toISOString() });
+      }
+      Object.entries(change.entities.put).forEach(([id, ent]) => {
+        const key = portraitKey(user, campaignId, id);
+        if (isDataUrl(ent.image)) {
+          if (state.portraits.get(key) !== ent.image) {
+            portraitStore.put({ user, campaignId, id, blob: dataUrlToBlob(ent.image) });
+            portraitUpdates.push([key, ent.image]);
+          }
+          entityStore.put({ user, campaignId, id, data: Object.assign({}, ent, { image: '' }) });
+        } else {
+          // Always clear: this session may never have read the stored blob.
+          dropPortrait(campaignId, id);
+          entityStore.put({ user, campaignId, id, data: ent });
+        }
+      });
+      change.entities.del.forEach((id) => {
+        entityStore.delete([user, campaignId, id]);
+        dropPortrait(campaignId, id);
+      });
+      const base = { user, campaignId };
+      Object.entries(change.relationships.put).forEach(([id, rel]) => {
+        recordStore.put(Object.assign({ kind: 'relationship', id, data: rel }, base));
+      });
+      change.relationships.del.forEach((id) => recordStore.delete([user, campaignId, 'relationship', id]));
+      if (change.logs.reset && !change.full) recordStore.delete(prefixRange([user, campaignId, 'log']));
+      change.logs.put.forEach((entry, i) => {
+        recordStore.put(Object.assign({ kind: 'log', id: change.logs.from + i, data: entry }, base));
+      });
+      if (change.history) {
+        HISTORY_KEYS.forEach((key) => recordStore.put(Object.assign({ kind: 'history', id: key, data: change.history[key] }, base)));
+      }
+    }
+    metaStore.put({ user, key: 'current', value: changes.currentCampaignId || null });
+    const backupAt = changes.backup ? (opts.backupAt || new Date().toISOString()) : '';
+    if (backupAt) {
+      metaStore.put({ user, key: 'backup', at: backupAt, payload: changes.backup });
+      metaStore.put({ user, key: 'backupAt', value: backupAt });
+    }
+    await done;
+    portraitUpdates.forEach(([key, value]) => {
+      if (value) state.portraits.set(key, value);
+      else state.portraits.delete(key);
+    });
+    if (backupAt) state.lastBackupAt[user] = backupAt;
+  }
+
+  function readFallbackCheckpoints(user) {
+    const raw = global.localStorage.getItem(legacyKey(FALLBACK_CHECKPOINTS_KEY, user));
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  function writeToLocalStorage(user, payload) {
+    const serialized = JSON.stringify(payload);
+    global.localStorage.setItem(legacyKey(LEGACY_KEY, user), serialized);
+    // Drop checkpoints and replica stamps of deleted campaigns.
+    [[FALLBACK_CHECKPOINTS_KEY, readFallbackCheckpoints], [FALLBACK_REPLICAS_KEY, readFallbackReplicas]].forEach(([base, read]) => {
+      const byCampaign = read(user);
+      const orphaned = Object.keys(byCampaign).filter((id) => !(payload.campaigns || {})[id]);
+      if (!orphaned.length) return;
+      orphaned.forEach((id) => { delete byCampaign[id]; });
+      global.localStorage.setItem(legacyKey(base, user), JSON.stringify(byCampaign));
+    });
+    const now = Date.now();
+    const last = Date.parse(state.lastBackupAt[user] || global.localStorage.getItem(legacyKey(LEGACY_BACKUP_TS_KEY, user)) || '') || 0;
+    if (now - last >= BACKUP_INTERVAL_MS) {
+      const at = new Date(now).toISOString();
+      global.localStorage.setItem(legacyKey(LEGACY_BACKUP_KEY, user), serialized);
+      global.localStorage.setItem(legacyKey(LEGACY_BACKUP_TS_KEY, user), at);
+      state.lastBackupAt[user] = at;
+    }
+  }
+
+  /**
+   * Load every campaign stored for `user`. The first IndexedDB load moves
+   * data saved under the old localStorage keys into the database and then
+   * frees those keys. Resolves { campaigns, currentCampaignId, migrated }
+   * or null when nothing is stored.
+   */
+  function load(user) {
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') {
+        const legacy = readLegacy(user);
+        state.lastBackupAt[user] = global.localStorage.getItem(legacyKey(LEGACY_BACKUP_TS_KEY, user)) || '';
+        return legacy ? Object.assign({ campaigns: {}, currentCampaignId: null }, legacy, { migrated: false }) : null;
+      }
+      const stored = await loadFromDb(user);
+      if (stored) return Object.assign(stored, { migrated: false });
+      const legacy = readLegacy(user);
+      if (!legacy) return null;
+      const backupRaw = global.localStorage.getItem(legacyKey(LEGACY_BACKUP_KEY, user));
+      const backupAt = global.localStorage.getItem(legacyKey(LEGACY_BACKUP_TS_KEY, user));
+      const changes = fullChanges(legacy);
+      changes.backup = backupRaw ? JSON.parse(backupRaw) : legacy;
+      await applyChanges(user, changes, { backupAt: backupAt || new Date().toISOString() });
+      [LEGACY_KEY, LEGACY_BACKUP_KEY, LEGACY_BACKUP_TS_KEY].forEach((base) => global.localStorage.removeItem(legacyKey(base, user)));
+      return Object.assign({ campaigns: {}, currentCampaignId: null }, legacy, { migrated: true });
+    });
+  }
+
+  /** True when the recovery snapshot for `user` is old enough to refresh. */
+  function backupDue(user) {
+    const last = Date.parse(state.lastBackupAt[user] || '') || 0;
+    return Date.now() - last >= BACKUP_INTERVAL_MS;
+  }
+
+  /**
+   * Save `payload` ({ campaigns, currentCampaignId }) for `user`, replacing
+   * everything stored. The payload is copied before this returns, so
+   * callers may keep editing. Entities whose portrait hasn't changed don't
+   * rewrite the blob.
+   */
+  function save(user, payload) {
+    const snapshot = JSON.parse(JSON.stringify(payload || {}));
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') {
+        writeToLocalStorage(user, snapshot);
+        return;
+      }
+      const changes = fullChanges(snapshot);
+      if (backupDue(user)) changes.backup = snapshot;
+      await applyChanges(user, changes);
+    });
+  }
+
+  /**
+   * Write only what changed: `changes` is { currentCampaignId, campaignIds,
+   * campaigns: { [id]: campaignChangeSet(...) }, backup? }. Stored
+   * campaigns missing from campaignIds are deleted. IndexedDB only; with
+   * the localStorage fallback call save() with the full payload instead.
+   */
+  function saveChanges(user, changes) {
+    const snapshot = JSON.parse(JSON.stringify(changes || {}));
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode !== 'indexeddb') throw new Error('Incremental saves need IndexedDB.');
+      await applyChanges(user, snapshot);
+    });
+  }
+
+  /** The latest recovery snapshot for `user`: { at, payload } or null. */
+  function loadBackup(user) {
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') {
+        const raw = global.localStorage.getItem(legacyKey(LEGACY_BACKUP_KEY, user));
+        if (!raw) return null;
+        return { at: global.localStorage.getItem(legacyKey(LEGACY_BACKUP_TS_KEY, user)) || '', payload: JSON.parse(raw) };
+      }
+      const tx = state.db.transaction('meta', 'readonly');
+      const backup = await request(tx.objectStore('meta').get([user, 'backup']));
+      return backup ? { at: backup.at, payload: backup.payload } : null;
+    });
+  }
+
+  /** Version history checkpoints of one campaign, oldest first. */
+  function listCheckpoints(user, campaignId) {
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') return readFallbackCheckpoints(user)[campaignId] || [];
+      const tx = state.db.transaction('checkpoints', 'readonly');
+      const rows = await request(tx.objectStore('checkpoints').getAll(prefixRange([user, campaignId])));
+      return rows.map((row) => row.data);
+    });
+  }
+
+  /**
+   * Store and drop checkpoints of one campaign: `changes` is { put:
+   * [checkpoint], del: [id] } (see pruneCheckpoints in rules-engine.js).
+   */
+  function writeCheckpoints(user, campaignId, changes) {
+    const snapshot = JSON.parse(JSON.stringify(changes || {}));
+    const put = snapshot.put || [];
+    const del = snapshot.del || [];
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') {
+        const all = readFallbackCheckpoints(user);
+        const byId = {};
+        (all[campaignId] || []).forEach((cp) => { byId[cp.id] = cp; });
+        del.forEach((id) => { delete byId[id]; });
+        put.forEach((cp) => { byId[cp.id] = cp; });
+        all[campaignId] = Object.values(byId).sort((a, b) => a.id - b.id);
+        global.localStorage.setItem(legacyKey(FALLBACK_CHECKPOINTS_KEY, user), JSON.stringify(all));
+        return;
+      }
+      const tx = state.db.transaction('checkpoints', 'readwrite');
+      const done = transactionDone(tx);
+      const store = tx.objectStore('checkpoints');
+      del.forEach((id) => store.delete([user, campaignId, id]));
+      put.forEach((cp) => store.put({ user, campaignId, id: cp.id, data: cp }));
+      await done;
+    });
+  }
+
+  function readFallbackReplicas(user) {
+    const raw = global.localStorage.getItem(legacyKey(FALLBACK_REPLICAS_KEY, user));
+    return raw ? JSON.parse(raw) : {};
+  }
+
+  /** The replica state saved for one campaign (see crdtPersistedState), or null. */
+  function loadReplica(user, campaignId) {
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') return readFallbackReplicas(user)[campaignId] || null;
+      const tx = state.db.transaction('meta', 'readonly');
+      const row = await request(tx.objectStore('meta').get([user, `replica:${campaignId}`]));
+      return row ? row.value : null;
+    });
+  }
+
+  function saveReplica(user, campaignId, replicaState) {
+    const snapshot = JSON.parse(JSON.stringify(replicaState || null));
+    return enqueue(async () => {
+      const mode = await open();
+      if (mode === 'localstorage') {
+        const all = readFallbackReplicas(user);
+        all[campaignId] = snapshot;
+        global.localStorage.setItem(legacyKey(FALLBACK_REPLICAS_KEY, user), JSON.stringify(all));
+        return;
+      }
+      const tx = state.db.transaction('meta', 'readwrite');
+      const done = transactionDone(tx);
+      tx.objectStore('meta').put({ user, key: `replica:${campaignId}`, value: snapshot });
+      await done;
+    });
+  }
+
+  /** When the latest recovery snapshot was taken for `user`, if known. */
+  function lastBackupAt(user) {
+    return state.lastBackupAt[user] || '';
+  }
+
+  /**
+   * Storage use for this origin: { backend, usage, quota, persisted } in
+   * bytes. usage and quota are null where the browser can't tell.
+   */
+  async function estimate() {
+    const mode = await open();
+    const out = { backend: mode, usage: null, quota: null, persisted: false };
+    const storage = global.navigator && global.navigator.storage;
+    if (storage && storage.estimate) {
+      try {
+        const est = await storage.estimate();
+        out.usage = typeof est.usage === 'number' ? est.usage : null;
+        out.quota = typeof est.quota === 'number' ? est.quota : null;
+      } catch (_) {}
+    }
+    if (storage && storage.persisted) {
+      try {
+        out.persisted = !!(await storage.persisted());
+      } catch (_) {}
+    }
+    if (out.usage == null && mode === 'localstorage') {
+      // Rough figure: localStorage keeps UTF-16 strings, about 5MB per origin.
+      let chars = 0;
+      for (let i = 0; i < global.localStorage.length; i++) {
+        const key = global.localStorage.key(i);
+        chars += key.length + (global.localStorage.getItem(key) || '').length;
+      }
+      out.usage = chars * 2;
+      out.quota = 5 * 1024 * 1024;
+    }
+    return out;
+  }
+
+  /** Ask the browser not to evict this origin's storage under pressure. */
+  async function requestPersistence() {
+    const storage = global.navigator && global.navigator.storage;
+    if (!storage || !storage.persist) return false;
+    try {
+      return !!(await storage.persist());
+    } catch (_) {
+      return false;
+    }
+  }
+
+  global.SpireCampaignStore = {
+    open,
+    backend,
+    load,
+    save,
+    saveChanges,
+    backupDue,
+    loadBackup,
+    lastBackupAt,
+    listCheckpoints,
+    writeCheckpoints,
+    loadReplica,
+    saveReplica,
+    estimate,
+    requestPersistence
+  };
+})(typeof window !== 'undefined' ? window : globalThis);
@@ -128,16 +128,22 @@
     return data;
   }
 
+  // Players get campaigns.data as a server-side projection without GM
+  // material (see list_my_campaigns / player_campaign_data).
   async function listMyCampaigns() {
     const sb = client();
-    const { data, error } = await sb
-      .from('campaign_members')
-      .select('role,campaigns!inner(id,name,owner_user_id,data,created_at,updated_at)')
-      .order('joined_at', { ascending: true });
+    const { data, error } = await sb.rpc('list_my_campaigns');
     if (error) throw error;
     return (data || []).map(row => ({
       role: row.role,
-      campaign: row.campaigns
+      campaign: {
+        id: row.id,
+        name: row.name,
+        owner_user_id: row.owner_user_id,
+        data: row.data,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      }
     }));
   }
 
@@ -153,6 +159,101 @@
     return data;
   }
 
+  // Campaign records live one per row in these tables (row shapes come from
+  // campaignCloudRows in rules-engine.js); row-level security decides which
+  // rows a member can read or write.
+  const RECORD_TABLES = {
+    entities: { table: 'campaign_entities', key: 'id' },
+    relationships: { table: 'campaign_relationships', key: 'id' },
+    logs: { table: 'campaign_logs', key: 'id' },
+    messages: { table: 'campaign_messages', key: 'id' },
+    gmNotes: { table: 'campaign_gm_notes', key: 'id' }
+  };
+  // PostgREST caps rows per response; long lists of keys would overflow URLs.
+  const PAGE_SIZE = 1000;
+  const KEY_CHUNK = 200;
+
+  function chunk(list, size = KEY_CHUNK) {
+    const out = [];
+    for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+    return out;
+  }
+
+  async function selectAll(build) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const { data, error } = await build().range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  /** { kind: { key: updated_at } } for every record row this user can read. */
+  async function listCampaignRecordStamps(campaignId) {
+    const sb = client();
+    const out = {};
+    await Promise.all(Object.entries(RECORD_TABLES).map(async ([kind, spec]) => {
+      const rows = await selectAll(() => sb
+        .from(spec.table)
+        .select(`${spec.key},updated_at`)
+        .eq('campaign_id', campaignId)
+        .order(spec.key));
+      out[kind] = {};
+      rows.forEach((row) => { out[kind][String(row[spec.key])] = row.updated_at; });
+    }));
+    return out;
+  }
+
+  /** Record rows of one kind keyed like listCampaignRecordStamps; all of them, or only `keys`. */
+  async function loadCampaignRecords(campaignId, kind, keys = null) {
+    const sb = client();
+    const spec = RECORD_TABLES[kind];
+    if (!spec) throw new Error(`Unknown record kind: ${kind}`);
+    const fetch = subset => selectAll(() => {
+      let query = sb.from(spec.table).select('*').eq('campaign_id', campaignId);
+      if (subset) query = query.in(spec.key, subset);
+      return query.order(spec.key);
+    });
+    const parts = keys ? await Promise.all(chunk(keys).map(fetch)) : [await fetch(null)];
+    const out = {};
+    parts.forEach(rows => rows.forEach((row) => { out[String(row[spec.key])] = row; }));
+    return out;
+  }
+
+  /**
+   * Write a cloudRowChanges result through save_campaign_records, which
+   * applies campaigns.data (when `fields` is set), the deletes and the
+   * upserts in one transaction: a failed save changes nothing.
+   */
+  async function saveCampaignRecords(campaignId, changes) {
+    const sb = client();
+    const { error } = await sb.rpc('save_campaign_records', {
+      p_campaign_id: campaignId,
+      p_fields: changes.fields || null,
+      p_put: changes.put || {},
+      p_del: changes.del || {}
+    });
+    if (error) throw error;
+  }
+
+  /**
+   * Save a player's own records through save_player_records, which checks
+   * each row server-side. Resolves to { saved, refused: [ids] }.
+   */
+  async function savePlayerRecords(campaignId, entities, messages, logs) {
+    const sb = client();
+    const { data, error } = await sb.rpc('save_player_records', {
+      p_campaign_id: campaignId,
+      p_entities: entities || [],
+      p_messages: messages || [],
+      p_logs: logs || []
+    });
+    if (error) throw error;
+    const result = normalizeRpcScalar(data, ['save_player_records']) || {};
+    return { saved: result.saved || 0, refused: Array.isArray(result.refused) ? result.refused : [] };
+  }
+
   global.SpireOnlineClient = {
     init,
     signUp,
@@ -164,6 +265,10 @@
     joinCampaignWithCode,
     revokeInviteCode,
     listMyCampaigns,
-    saveCampaignData
+    saveCampaignData,
+    listCampaignRecordStamps,
+    loadCampaignRecords,
+    saveCampaignRecords,
+    savePlayerRecords
   };
 })(typeof window !== 'undefined' ? window : globalThis);
@@ -1,4 +1,126 @@
 (() => {
+  const SEVERITIES = ['Minor', 'Moderate', 'Severe'];
+
+  // Declarative rules profile. Core and Quickstart always use the defaults
+  // below; Custom campaigns may override any of it via camp.customRulesProfile.
+  // `armour` marks the track that worn armour protects.
+  const DEFAULT_RULES_PROFILE = {
+    version: 1,
+    falloutThresholds: { moderate: 5, severe: 9 },
+    stressClear: { Minor: 3, Moderate: 5, Severe: 7 },
+    tracks: [
+      { key: 'blood', label: 'Blood', cap: 10, armour: true },
+      { key: 'mind', label: 'Mind', cap: 10, armour: false },
+      { key: 'silver', label: 'Silver', cap: 10, armour: false },
+      { key: 'shadow', label: 'Shadow', cap: 10, armour: false },
+      { key: 'reputation', label: 'Reputation', cap: 10, armour: false }
+    ]
+  };
+  const RULES_PROFILE_LIMITS = { threshold: 50, clear: 50, cap: 20, tracks: 12 };
+
+  function defaultRulesProfile() {
+    return JSON.parse(JSON.stringify(DEFAULT_RULES_PROFILE));
+  }
+
+  function readInt(value, min, max) {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min || n > max) return null;
+    return n;
+  }
+
+  // Validates a raw (possibly user-edited or imported) profile. Always returns
+  // a usable profile: invalid fields fall back to the core value and are
+  // reported in `errors`.
+  function validateRulesProfile(raw) {
+    const profile = defaultRulesProfile();
+    const errors = [];
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      return { profile, errors: ['Rules profile must be a JSON object.'] };
+    }
+
+    const thresholds = raw.falloutThresholds || {};
+    ['moderate', 'severe'].forEach((key) => {
+      if (thresholds[key] === undefined) return;
+      const n = readInt(thresholds[key], 1, RULES_PROFILE_LIMITS.threshold);
+      if (n === null) errors.push(`Fallout threshold "${key}" must be a whole number from 1 to ${RULES_PROFILE_LIMITS.threshold}.`);
+      else profile.falloutThresholds[key] = n;
+    });
+    if (profile.falloutThresholds.moderate >= profile.falloutThresholds.severe) {
+      errors.push('Moderate fallout threshold must be lower than the Severe threshold.');
+      profile.falloutThresholds = Object.assign({}, DEFAULT_RULES_PROFILE.falloutThresholds);
+    }
+
+    const clear = raw.stressClear || {};
+    SEVERITIES.forEach((sev) => {
+      if (clear[sev] === undefined) return;
+      const n = readInt(clear[sev], 0, RULES_PROFILE_LIMITS.clear);
+      if (n === null) errors.push(`Stress cleared on ${sev} fallout must be a whole number from 0 to ${RULES_PROFILE_LIMITS.clear}.`);
+      else profile.stressClear[sev] = n;
+    });
+
+    if (raw.tracks !== undefined) {
+      if (!Array.isArray(raw.tracks) || !raw.tracks.length) {
+        errors.push('Tracks must be a non-empty list.');
+      } else if (raw.tracks.length > RULES_PROFILE_LIMITS.tracks) {
+        errors.push(`No more than ${RULES_PROFILE_LIMITS.tracks} stress tracks are supported.`);
+      } else {
+        const tracks = [];
+        raw.tracks.forEach((t, i) => {
+          const src = (typeof t === 'string') ? { label: t } : (t || {});
+          const label = String(src.label || src.key || '').trim();
+          const key = String(src.key || label).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+          if (!key) {
+            errors.push(`Track ${i + 1} needs a name.`);
+            return;
+          }
+          if (tracks.some(existing => existing.key === key)) {
+            errors.push(`Track "${key}" is listed more than once.`);
+            return;
+          }
+          let cap = 10;
+          if (src.cap !== undefined) {
+            const n = readInt(src.cap, 1, RULES_PROFILE_LIMITS.cap);
+            if (n === null) errors.push(`Cap for track "${key}" must be a whole number from 1 to ${RULES_PROFILE_LIMITS.cap}.`);
+            else cap = n;
+          }
+          const core = DEFAULT_RULES_PROFILE.tracks.find(c => c.key === key);
+          tracks.push({
+            key,
+            label: label || (key.charAt(0).toUpperCase() + key.slice(1)),
+            cap,
+            armour: (src.armour === undefined) ? !!(core && core.armour) : src.armour === true
+          });
+        });
+        if (tracks.length) profile.tracks = tracks;
+      }
+    }
+    return { profile, errors };
+  }
+
+  function getRulesProfile(camp) {
+    if (!camp || camp.rulesProfile !== 'Custom' || !camp.customRulesProfile) return defaultRulesProfile();
+    return validateRulesProfile(camp.customRulesProfile).profile;
+  }
+
+  function rulesProfileTracks(profile) {
+    return ((profile && Array.isArray(profile.tracks) && profile.tracks.length) ? profile : DEFAULT_RULES_PROFILE).tracks;
+  }
+
+  function trackRule(profile, track) {
+    const key = String(track || '').toLowerCase();
+    return rulesProfileTracks(profile).find(t => t.key === key) || null;
+  }
+
+  // The track a fallout entry counts against, by its `track` key. Fallout
+  // saved before the key was stored only has the label in `type`.
+  function falloutTrackRule(profile, fallout) {
+    if (!fallout) return null;
+    const label = String(fallout.type || '').toLowerCase();
+    return trackRule(profile, fallout.track)
+      || rulesProfileTracks(profile).find(t => t.label.toLowerCase() === label)
+      || null;
+  }
+
   function getRulesConfig(camp) {
     const defaults = {
       difficultyDowngrades: true,
@@ -20,9 +142,9 @@
     return defaults;
   }
 
-  function totalStressForFallout(pc) {
-    const tracks = ['blood', 'mind', 'silver', 'shadow', 'reputation'];
-    return tracks.reduce((total, track) => {
+  function totalStressForFallout(pc, profile) {
+    return rulesProfileTracks(profile).reduce((total, rule) => {
+      const track = rule.key;
       const filled = (pc.stressFilled && pc.stressFilled[track]) ? pc.stressFilled[track].length : 0;
       let free = 0;
       if (Array.isArray(pc.resistances)) {
@@ -32,33 +154,2315 @@
           free += Math.max(0, parseInt(r.value, 10) || 0);
         });
       }
-      if (track === 'blood' && Array.isArray(pc.inventory)) {
+      if (rule.armour && Array.isArray(pc.inventory)) {
         pc.inventory.forEach((item) => {
           if (!item || item.type !== 'armor') return;
           free += Math.max(0, parseInt(item.resistance, 10) || 0);
         });
       }
-      return total + Math.min(10, Math.max(0, filled - free));
+      free -= activeFalloutEffects(pc.fallout, 'resistance')
+        .filter(e => sameName(e.target, rule.key) || sameName(e.target, rule.label))
+        .reduce((sum, e) => sum + e.amount, 0);
+      return total + Math.min(rule.cap, Math.max(0, filled - Math.max(0, free)));
     }, 0);
   }
 
-  function falloutSeverityForTotalStress(total) {
-    if (total >= 9) return 'Severe';
-    if (total >= 5) return 'Moderate';
+  function falloutSeverityForTotalStress(total, profile) {
+    const thresholds = (profile && profile.falloutThresholds) || DEFAULT_RULES_PROFILE.falloutThresholds;
+    if (total >= thresholds.severe) return 'Severe';
+    if (total >= thresholds.moderate) return 'Moderate';
     return 'Minor';
   }
 
-  function stressClearAmountForSeverity(severity) {
-    if (severity === 'Severe') return 7;
-    if (severity === 'Moderate') return 5;
-    return 3;
+  function stressClearAmountForSeverity(severity, profile) {
+    const clear = (profile && profile.stressClear) || DEFAULT_RULES_PROFILE.stressClear;
+    const key = SEVERITIES.includes(severity) ? severity : 'Minor';
+    return clear[key];
+  }
+
+  // Mechanical fallout effects, stored as { kind, target, amount }. Text is
+  // written the way it is said at the table ("-1 die to Fight", "Blood track
+  // max slots -2", "-1 Blood resistance", "cannot use domain High Society");
+  // the short "<kind> <target> <amount>" form (`slots Mind 2`) also parses.
+  const FALLOUT_EFFECT_KINDS = {
+    difficulty: { target: 'skill', describe: e => `−${e.amount} die to ${e.target}` },
+    resistance: { target: 'track', describe: e => `−${e.amount} ${e.target} resistance` },
+    slots: { target: 'track', describe: e => `${e.target} track max slots −${e.amount}` },
+    'no-skill': { target: 'skill', describe: e => `Cannot use skill ${e.target}` },
+    'no-domain': { target: 'domain', describe: e => `Cannot use domain ${e.target}` }
+  };
+
+  const FALLOUT_EFFECT_PHRASES = [
+    { re: /^[-−]?(\d+)\s+(?:die|dice)\s+(?:to|on)\s+(.+)$/i, kind: 'difficulty', target: 2, amount: 1 },
+    { re: /^(.+?)\s+track\s+max\s+slots\s*[-−]\s*(\d+)$/i, kind: 'slots', target: 1, amount: 2 },
+    { re: /^[-−](\d+)\s+(.+?)\s+resistance$/i, kind: 'resistance', target: 2, amount: 1 },
+    { re: /^(?:cannot|can't|can not)\s+use\s+domain\s+(.+)$/i, kind: 'no-domain', target: 1 },
+    { re: /^(?:cannot|can't|can not)\s+use\s+(?:skill\s+)?(.+)$/i, kind: 'no-skill', target: 1 }
+  ];
+
+  function normalizeFalloutEffect(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const kind = String(raw.kind || '').trim().toLowerCase();
+    const target = String(raw.target || '').trim();
+    const amount = parseInt(raw.amount, 10);
+    if (!FALLOUT_EFFECT_KINDS[kind] || !target) return null;
+    return { kind, target, amount: Number.isFinite(amount) && amount > 0 ? amount : 1 };
+  }
+
+  function parseFalloutEffect(text) {
+    const part = String(text || '').trim();
+    const phrase = FALLOUT_EFFECT_PHRASES.find(p => p.re.test(part));
+    if (phrase) {
+      const m = part.match(phrase.re);
+      return normalizeFalloutEffect({ kind: phrase.kind, target: m[phrase.target], amount: phrase.amount ? m[phrase.amount] : 1 });
+    }
+    const words = part.split(/\s+/);
+    const kind = words.shift();
+    const amount = /^\d+$/.test(words[words.length - 1] || '') ? words.pop() : 1;
+    return normalizeFalloutEffect({ kind, target: words.join(' '), amount });
+  }
+
+  function parseFalloutEffects(text) {
+    const effects = [];
+    const invalid = [];
+    String(text || '').split(/[;,\n]/).map(part => part.trim()).filter(Boolean).forEach((part) => {
+      const effect = parseFalloutEffect(part);
+      if (effect) effects.push(effect);
+      else invalid.push(part);
+    });
+    return { effects, invalid };
+  }
+
+  function describeFalloutEffect(effect) {
+    const e = normalizeFalloutEffect(effect);
+    return e ? FALLOUT_EFFECT_KINDS[e.kind].describe(e) : '';
+  }
+
+  // Table phrasing, which parseFalloutEffects reads back unchanged.
+  function formatFalloutEffects(effects) {
+    return (Array.isArray(effects) ? effects : [])
+      .map(describeFalloutEffect)
+      .filter(Boolean)
+      .join('; ');
+  }
+
+  function sameName(a, b) {
+    return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+  }
+
+  // Enabled compendium entries for one track and severity.
+  function falloutTableFor(entries, track, severity) {
+    return (Array.isArray(entries) ? entries : []).filter(entry =>
+      entry &&
+      entry.enabled !== false &&
+      sameName(entry.track, track) &&
+      sameName(entry.severity, severity)
+    );
+  }
+
+  function rollFalloutTable(entries, opts = {}) {
+    const table = falloutTableFor(entries, opts.track, opts.severity);
+    if (!table.length) return null;
+    const rng = typeof opts.rng === 'function' ? opts.rng : Math.random;
+    return table[rollDie(table.length, rng) - 1];
+  }
+
+  function nextFalloutSeverity(severity) {
+    const idx = SEVERITIES.indexOf(severity);
+    return SEVERITIES[Math.min(SEVERITIES.length - 1, Math.max(0, idx) + 1)];
+  }
+
+  // Minor fallout that recurs on a track with unhealed fallout escalates the
+  // existing entry (Minor → Moderate → Severe) instead of adding another.
+  function planFalloutEscalation(fallouts, track, severity) {
+    if (severity !== 'Minor') return null;
+    const existing = (Array.isArray(fallouts) ? fallouts : []).find(f =>
+      f && !f.resolved && sameName(f.type, track) && f.severity !== 'Severe'
+    );
+    if (!existing) return null;
+    return { fallout: existing, from: existing.severity || 'Minor', to: nextFalloutSeverity(existing.severity || 'Minor') };
+  }
+
+  // Effects of unhealed fallout, optionally narrowed to one kind.
+  function activeFalloutEffects(fallouts, kind) {
+    const out = [];
+    (Array.isArray(fallouts) ? fallouts : []).forEach((f) => {
+      if (!f || f.resolved || !Array.isArray(f.effects)) return;
+      f.effects.forEach((raw) => {
+        const effect = normalizeFalloutEffect(raw);
+        if (!effect || (kind && effect.kind !== kind)) return;
+        out.push(Object.assign({ falloutId: f.id, falloutName: f.name || f.type || 'Fallout' }, effect));
+      });
+    });
+    return out;
+  }
+
+  function falloutEffectTotal(fallouts, kind, target) {
+    return activeFalloutEffects(fallouts, kind)
+      .filter(e => sameName(e.target, target))
+      .reduce((sum, e) => sum + e.amount, 0);
+  }
+
+  function isBlockedByFallout(fallouts, kind, target) {
+    return activeFalloutEffects(fallouts, kind).some(e => sameName(e.target, target));
+  }
+
+  // Outcome bands for a kept D10, lowest first. `stress` is a hint for the
+  // GM: how much of the threatened stress lands on the roller.
+  const OUTCOME_BANDS = [
+    { key: 'critical-failure', label: 'Critical Failure (1)', stress: 'double' },
+    { key: 'failure', label: 'Failure (2-5)', stress: 'full' },
+    { key: 'success-cost', label: 'Success with Cost (6-7)', stress: 'full' },
+    { key: 'success', label: 'Success (8-9)', stress: 'none' },
+    { key: 'critical-success', label: 'Critical Success (10)', stress: 'none' }
+  ];
+
+  function bandAt(index) {
+    const clamped = Math.max(0, Math.min(OUTCOME_BANDS.length - 1, index));
+    return Object.assign({ index: clamped }, OUTCOME_BANDS[clamped]);
+  }
+
+  function d10OutcomeBand(value) {
+    if (value <= 1) return bandAt(0);
+    if (value <= 5) return bandAt(1);
+    if (value <= 7) return bandAt(2);
+    if (value <= 9) return bandAt(3);
+    return bandAt(4);
+  }
+
+  function downgradeOutcomeBand(index, steps) {
+    return bandAt(index - Math.max(0, parseInt(steps, 10) || 0));
+  }
+
+  function stressHintForBand(band) {
+    if (!band) return '';
+    if (band.stress === 'double') return 'Take double stress.';
+    if (band.stress === 'full') return 'Take stress.';
+    return '';
+  }
+
+  // Small deterministic PRNG (mulberry32) so rolls can be replayed in tests
+  // or from a stored seed. Returns a function with the Math.random contract.
+  function createSeededRng(seed) {
+    let t = (parseInt(seed, 10) || 0) >>> 0;
+    return function rng() {
+      t = (t + 0x6D2B79F5) >>> 0;
+      let r = Math.imul(t ^ (t >>> 15), 1 | t);
+      r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function rollDie(sides, rng) {
+    const random = typeof rng === 'function' ? rng : Math.random;
+    const faces = Math.max(1, parseInt(sides, 10) || 10);
+    return Math.min(faces, Math.max(1, Math.ceil(random() * faces)));
+  }
+
+  // Pool = 1 base die (2 when mastered) + domain + assistance + other
+  // bonuses, minus difficulty. A pool below zero is rolled as a single die
+  // and each missing die downgrades the outcome one step (when enabled).
+  function computeDicePool(opts = {}, rules) {
+    const config = rules || getRulesConfig(null);
+    const base = Number.isFinite(opts.base) ? opts.base : (opts.mastered ? 2 : 1);
+    const domain = opts.domain ? 1 : 0;
+    const difficulty = Math.max(0, parseInt(opts.difficulty, 10) || 0);
+    const assistance = Math.max(0, parseInt(opts.assistance, 10) || 0);
+    const bonus = parseInt(opts.bonus, 10) || 0;
+    const pool = base + domain + assistance + bonus - difficulty;
+    return {
+      pool,
+      rollCount: Math.max(1, pool),
+      downgradeSteps: config.difficultyDowngrades ? Math.max(0, -pool) : 0
+    };
+  }
+
+  /**
+   * Resolve one roll: build the pool, roll it, keep the highest die and
+   * (for D10s) map it to an outcome band after any downgrades.
+   * @param {Object} opts { sides, base, mastered, domain, difficulty,
+   *   assistance, bonus, rng, rules }
+   */
+  function resolveRoll(opts = {}) {
+    const sides = Math.max(1, parseInt(opts.sides, 10) || 10);
+    const pool = computeDicePool(opts, opts.rules);
+    const rolls = [];
+    for (let i = 0; i < pool.rollCount; i++) rolls.push(rollDie(sides, opts.rng));
+    const kept = Math.max(...rolls);
+    const result = {
+      sides,
+      pool: pool.pool,
+      rollCount: pool.rollCount,
+      downgradeSteps: pool.downgradeSteps,
+      rolls,
+      kept,
+      rawBand: null,
+      finalBand: null,
+      stressHint: ''
+    };
+    if (sides === 10) {
+      result.rawBand = d10OutcomeBand(kept);
+      result.finalBand = downgradeOutcomeBand(result.rawBand.index, pool.downgradeSteps);
+      result.stressHint = stressHintForBand(result.finalBand);
+    }
+    return result;
+  }
+
+  // Parse weapon/incoming stress text such as '1 stress', 'D6 stress',
+  // '2D3' or '3'. Returns null when nothing usable is found.
+  function parseStressExpression(expr) {
+    const text = String(expr == null ? '' : expr).trim();
+    const dice = /^(\d*)\s*d\s*(\d+)\s*(?:([+-])\s*(\d+))?/i.exec(text);
+    if (dice) {
+      const flat = dice[3] ? (dice[3] === '-' ? -1 : 1) * parseInt(dice[4], 10) : 0;
+      return { count: Math.max(1, parseInt(dice[1], 10) || 1), sides: parseInt(dice[2], 10), flat };
+    }
+    const flat = /^(\d+)/.exec(text);
+    if (flat) return { count: 0, sides: 0, flat: parseInt(flat[1], 10) };
+    return null;
+  }
+
+  function rollStressExpression(expr, rng) {
+    const parsed = parseStressExpression(expr);
+    if (!parsed) return null;
+    const rolls = [];
+    for (let i = 0; i < parsed.count; i++) rolls.push(rollDie(parsed.sides, rng));
+    const total = Math.max(0, rolls.reduce((sum, v) => sum + v, 0) + parsed.flat);
+    return { expression: String(expr).trim(), rolls, total };
+  }
+
+  // How armour tags interact with a hit and with rolls. Piercing weapons
+  // bypass armour unless the armour has a tag with a piercingPenalty.
+  const ARMOR_TAG_RULES = {
+    Implacable: { piercingPenalty: 0, text: 'Still protects against Piercing weapons.' },
+    Heavy: { piercingPenalty: 1, skills: { Sneak: -1, Pursue: -1 }, text: 'Soaks Piercing at -1; -1 die to Sneak and Pursue.' },
+    Assault: { skills: { Fight: 1 }, when: 'charging in', text: '+1 die to Fight when charging in.' },
+    Camouflaged: { skills: { Sneak: 1 }, when: 'hiding in cover', text: '+1 die to Sneak when hiding in cover.' }
+  };
+
+  // Weapon tags the roll composer understands. `dice` rules are offered as
+  // bonuses (auto ones pre-selected); `ammo` rules are tracked per scene on
+  // the item's sceneState; the rest are reminders shown next to the roll.
+  const WEAPON_TAG_RULES = {
+    Accurate: { dice: 1, when: 'aiming', text: '+1 die when you take time to aim.' },
+    'Point-Blank': { dice: 1, when: 'at point-blank range', text: '+1 die at point-blank range.' },
+    Parrying: { dice: 1, when: 'defending in melee', skills: ['Fight'], text: '+1 die when defending in melee.' },
+    Surprising: { dice: 1, when: 'first strike from surprise', text: '+1 die on a first strike from surprise.' },
+    Tiring: { dice: -1, auto: 'afterFirstUse', text: '-1 die after the first use this scene.' },
+    Reload: { ammo: 'reload', text: 'Must be reloaded after each shot.' },
+    'One-Shot': { ammo: 'oneShot', text: 'Can be fired once per scene.' },
+    'Double-Barrelled': { ammo: 'double', text: 'Two shots before it must be reloaded.' },
+    Spread: { text: 'Also deals {die} stress to others close to the target.' },
+    Ongoing: { text: 'Target takes {die} stress each round until dealt with.' },
+    Unreliable: { text: 'Jams on a roll of 1; treat as needing a reload.' },
+    Piercing: { text: 'Ignores armour without Implacable/Heavy.' }
+  };
+
+  // Split parametrised tags such as 'Spread D3' or 'Ongoing Dx' into their
+  // rule name and die, and match rule names case-insensitively.
+  function normalizeTag(tag) {
+    const raw = String(tag || '').trim();
+    const m = /^(.*?)\s+(d\d+|dx)$/i.exec(raw);
+    const base = m ? m[1] : raw;
+    const die = m ? m[2].toUpperCase() : '';
+    const known = Object.keys(WEAPON_TAG_RULES).concat(Object.keys(ARMOR_TAG_RULES))
+      .find((name) => name.toLowerCase() === base.toLowerCase());
+    return { name: known || base, die, raw };
+  }
+
+  function hasTag(item, tag) {
+    const tags = Array.isArray(item && item.tags) ? item.tags : [];
+    return tags.some((t) => String(t).trim().toLowerCase() === tag.toLowerCase());
+  }
+
+  function armourSoakForHit(item, hit = {}) {
+    const value = Math.max(0, parseInt(item && item.resistance, 10) || 0);
+    if (item && item.soak === false) return 0;
+    if (!hit.piercing) return value;
+    let best = null;
+    Object.keys(ARMOR_TAG_RULES).forEach((tag) => {
+      if (!Number.isFinite(ARMOR_TAG_RULES[tag].piercingPenalty)) return;
+      if (!hasTag(item, tag)) return;
+      const soak = Math.max(0, value - ARMOR_TAG_RULES[tag].piercingPenalty);
+      if (best === null || soak > best) best = soak;
+    });
+    return best === null ? 0 : best;
+  }
+
+  /**
+   * Work out where an incoming hit lands on a track. Resistance and worn
+   * armour are free slots filled before counted stress; armour that a hit
+   * bypasses has its unused free slots burned so the stress still counts.
+   * @param {Object} hit { incoming, filled, resistanceFree, armour: [items],
+   *   piercing, cap }
+   */
+  function planStressHit(hit = {}) {
+    const incoming = Math.max(0, parseInt(hit.incoming, 10) || 0);
+    const filled = Math.max(0, parseInt(hit.filled, 10) || 0);
+    const resistanceFree = Math.max(0, parseInt(hit.resistanceFree, 10) || 0);
+    const armour = Array.isArray(hit.armour) ? hit.armour : [];
+    const armourTotal = armour.reduce((sum, item) => sum + Math.max(0, parseInt(item && item.resistance, 10) || 0), 0);
+    const armourSoak = armour.reduce((sum, item) => sum + armourSoakForHit(item, hit), 0);
+    const free = resistanceFree + armourTotal;
+    const freeLeft = Math.max(0, free - filled);
+    const burned = Math.min(freeLeft, armourTotal - armourSoak);
+    const soaked = Math.min(incoming, freeLeft - burned);
+    const cap = Number.isFinite(hit.cap) ? hit.cap : Infinity;
+    const level = Math.min(cap, filled + burned + incoming);
+    return {
+      incoming,
+      soaked,
+      burned,
+      counted: Math.max(0, incoming - soaked),
+      before: filled,
+      level
+    };
+  }
+
+  function weaponSceneState(item) {
+    const st = (item && item.sceneState) || {};
+    return {
+      uses: Math.max(0, parseInt(st.uses, 10) || 0),
+      shotsSinceReload: Math.max(0, parseInt(st.shotsSinceReload, 10) || 0),
+      spent: !!st.spent
+    };
+  }
+
+  function ammoRuleFor(item) {
+    const tags = Array.isArray(item && item.tags) ? item.tags : [];
+    let rule = '';
+    tags.forEach((tag) => {
+      const r = WEAPON_TAG_RULES[normalizeTag(tag).name];
+      if (r && r.ammo && (!rule || r.ammo === 'oneShot')) rule = r.ammo;
+    });
+    return rule;
+  }
+
+  // Whether a weapon can be used right now given its per-scene state.
+  function weaponReadiness(item) {
+    const st = weaponSceneState(item);
+    const ammo = ammoRuleFor(item);
+    if (ammo === 'oneShot' && st.spent) return { ready: false, reason: 'Spent for this scene' };
+    if (ammo === 'reload' && st.shotsSinceReload >= 1) return { ready: false, reason: 'Needs reloading' };
+    if (ammo === 'double' && st.shotsSinceReload >= 2) return { ready: false, reason: 'Needs reloading' };
+    return { ready: true, reason: ammo ? 'Loaded' : '' };
+  }
+
+  // Returns the item's sceneState after one use (pure; caller assigns it).
+  function recordWeaponUse(item, outcome = {}) {
+    const st = weaponSceneState(item);
+    const ammo = ammoRuleFor(item);
+    st.uses += 1;
+    if (ammo) st.shotsSinceReload += 1;
+    if (ammo === 'oneShot') st.spent = true;
+    if (outcome.kept === 1 && hasTag(item, 'Unreliable')) st.shotsSinceReload = Math.max(st.shotsSinceReload, 2);
+    return st;
+  }
+
+  function reloadWeapon(item) {
+    const st = weaponSceneState(item);
+    st.shotsSinceReload = 0;
+    return st;
+  }
+
+  /**
+   * Suggest tag effects for a roll from the PC's weapon (optional) and worn
+   * armour. Each suggestion is { tag, source, dice, auto, text }; `auto`
+   * ones apply unless the player unticks them.
+   */
+  function tagSuggestionsForRoll(opts = {}) {
+    const out = [];
+    const weapon = opts.weapon || null;
+    const skill = String(opts.skill || '');
+    if (weapon) {
+      const st = weaponSceneState(weapon);
+      (weapon.tags || []).forEach((tag) => {
+        const norm = normalizeTag(tag);
+        const rule = WEAPON_TAG_RULES[norm.name];
+        if (!rule) return;
+        if (rule.skills && skill && !rule.skills.includes(skill)) return;
+        const text = String(rule.text || '').replace('{die}', norm.die || 'Dx');
+        let dice = rule.dice || 0;
+        let auto = false;
+        if (rule.auto === 'afterFirstUse') {
+          auto = st.uses > 0;
+          if (!auto) dice = 0;
+        }
+        out.push({ tag: norm.raw, source: weapon.item || 'Weapon', dice, auto, when: rule.when || '', text });
+      });
+    }
+    (opts.armour || []).forEach((item) => {
+      (item.tags || []).forEach((tag) => {
+        const norm = normalizeTag(tag);
+        const rule = ARMOR_TAG_RULES[norm.name];
+        if (!rule || !rule.skills || !Object.prototype.hasOwnProperty.call(rule.skills, skill)) return;
+        const dice = rule.skills[skill];
+        out.push({ tag: norm.raw, source: item.item || 'Armour', dice, auto: dice < 0, when: rule.when || '', text: rule.text || '' });
+      });
+    });
+    return out;
+  }
+
+  // Advances. Class data may list plain names per tier or full objects;
+  // both normalise to { id, name, tier, cost, text, prerequisites, grants }.
+  // A prerequisite is { tier, count } (that many advances of a tier) or
+  // { advance } (a named advance). Grants mirror class/durance effects.
+  const ADVANCE_TIERS = {
+    low: { cost: 1, prerequisites: [] },
+    medium: { cost: 2, prerequisites: [{ tier: 'low', count: 2 }] },
+    high: { cost: 3, prerequisites: [{ tier: 'medium', count: 2 }] }
+  };
+
+  function normalizeAdvance(raw, tier) {
+    const src = (typeof raw === 'string') ? { name: raw } : (raw || {});
+    const name = String(src.name || '').trim();
+    if (!name) return null;
+    const level = ADVANCE_TIERS[src.tier] ? src.tier : (ADVANCE_TIERS[tier] ? tier : 'low');
+    const cost = parseInt(src.cost, 10);
+    const grants = src.grants || {};
+    const list = v => (Array.isArray(v) ? v : []);
+    return {
+      id: String(src.id || name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, ''),
+      name,
+      tier: level,
+      cost: Number.isInteger(cost) && cost >= 0 ? cost : ADVANCE_TIERS[level].cost,
+      text: String(src.text || '').trim(),
+      prerequisites: Array.isArray(src.prerequisites)
+        ? src.prerequisites.filter(p => p && (ADVANCE_TIERS[p.tier] || p.advance))
+        : ADVANCE_TIERS[level].prerequisites.map(p => Object.assign({}, p)),
+      grants: {
+        skills: list(grants.skills).map(String).filter(Boolean),
+        domains: list(grants.domains).map(String).filter(Boolean),
+        resistances: list(grants.resistances)
+          .filter(r => r && r.name)
+          .map(r => ({ name: String(r.name), value: parseInt(r.value, 10) || 0 })),
+        items: list(grants.items).filter(i => i && i.item)
+      }
+    };
+  }
+
+  function advanceCatalog(advancesByTier) {
+    const out = [];
+    Object.keys(ADVANCE_TIERS).forEach((tier) => {
+      ((advancesByTier && advancesByTier[tier]) || []).forEach((raw) => {
+        const adv = normalizeAdvance(raw, tier);
+        if (adv && !out.some(a => a.name === adv.name)) out.push(adv);
+      });
+    });
+    return out;
+  }
+
+  function describePrerequisite(prereq) {
+    if (prereq.advance) return `requires ${prereq.advance}`;
+    const tierName = prereq.tier.charAt(0).toUpperCase() + prereq.tier.slice(1);
+    return `requires ${prereq.count || 1} ${tierName} advance${(prereq.count || 1) === 1 ? '' : 's'}`;
+  }
+
+  // Which prerequisites of `advance` are unmet by the taken advance names.
+  function missingPrerequisites(advance, taken, catalog) {
+    const names = Array.isArray(taken) ? taken : [];
+    return (advance.prerequisites || []).filter((prereq) => {
+      if (prereq.advance) return !names.includes(prereq.advance);
+      const have = (catalog || []).filter(a => a.tier === prereq.tier && names.includes(a.name)).length;
+      return have < (prereq.count || 1);
+    });
+  }
+
+  function canTakeAdvance(advance, opts = {}) {
+    const taken = Array.isArray(opts.taken) ? opts.taken : [];
+    const reasons = [];
+    if (taken.includes(advance.name)) reasons.push('already taken');
+    missingPrerequisites(advance, taken, opts.catalog).forEach(p => reasons.push(describePrerequisite(p)));
+    const points = Math.max(0, parseInt(opts.points, 10) || 0);
+    if (points < advance.cost) reasons.push(`costs ${advance.cost} AP (have ${points})`);
+    return { ok: reasons.length === 0, reasons };
+  }
+
+  // Taken advances whose prerequisites would break if `advance` were removed.
+  function dependentAdvances(advance, taken, catalog) {
+    const remaining = (Array.isArray(taken) ? taken : []).filter(n => n !== advance.name);
+    return (catalog || []).filter(a =>
+      remaining.includes(a.name) && missingPrerequisites(a, remaining, catalog).length > 0
+    );
+  }
+
+  // ---- Refresh --------------------------------------------------------------
+
+  // How fully a refresh condition was met decides the stress-clearing die.
+  const REFRESH_DEGREES = [
+    { key: 'partial', label: 'Partly met', die: 3 },
+    { key: 'met', label: 'Met', die: 6 },
+    { key: 'full', label: 'Met in full, at real cost', die: 8 }
+  ];
+
+  function refreshDegree(key) {
+    return REFRESH_DEGREES.find(d => d.key === key) || REFRESH_DEGREES[1];
+  }
+
+  function refreshesForSession(history, session) {
+    return (Array.isArray(history) ? history : []).filter(r => r && (r.session || 1) === session);
+  }
+
+  // A PC counts as refreshed for a session once a refresh there is approved.
+  function hasRefreshedInSession(history, session) {
+    return refreshesForSession(history, session).some(r => r.status === 'approved');
+  }
+
+  function describeRefresh(entry) {
+    const degree = refreshDegree(entry && entry.degree);
+    const parts = [`${degree.label} (D${degree.die})`];
+    if (entry && entry.evidence) parts.push(entry.evidence);
+    if (entry && entry.applied) {
+      parts.push(`cleared ${entry.applied.removed} ${entry.applied.track} (D${degree.die}=${entry.applied.rolled})`);
+    }
+    if (entry && entry.status === 'pending') parts.push('awaiting GM approval');
+    else if (entry && entry.status === 'rejected') parts.push(`rejected${entry.reviewNote ? `: ${entry.reviewNote}` : ''}`);
+    else if (entry && entry.approvedBy) parts.push(`approved by ${entry.approvedBy}`);
+    return parts.join(' — ');
+  }
+
+  // ---- Bond stress ----------------------------------------------------------
+
+  // Default bond track size by bond level; a bond's own stressSlots wins.
+  const BOND_STRESS_SLOTS = { Individual: 3, Street: 5, Organisation: 7 };
+  const BOND_STATUSES = ['steady', 'strained', 'broken'];
+
+  function bondStressSlots(bond) {
+    const own = parseInt(bond && bond.stressSlots, 10);
+    if (Number.isInteger(own) && own > 0) return own;
+    return BOND_STRESS_SLOTS[bond && bond.level] || BOND_STRESS_SLOTS.Individual;
+  }
+
+  /**
+   * Stress taken to a bond. Anything past the bond's slots overflows and
+   * triggers bond fallout automatically; severity uses the same thresholds
+   * as PC fallout, applied to the bond's stress including the overflow.
+   * With `clearOnFallout` the fallout clears stress from the bond like it
+   * does for PC tracks.
+   */
+  function planBondStress({ stress = 0, slots = 3, amount = 0, profile, clearOnFallout = true } = {}) {
+    const before = Math.max(0, Math.min(slots, parseInt(stress, 10) || 0));
+    const total = before + Math.max(0, parseInt(amount, 10) || 0);
+    const overflow = Math.max(0, total - slots);
+    let level = Math.min(slots, total);
+    let fallout = null;
+    if (overflow > 0) {
+      const severity = falloutSeverityForTotalStress(total, profile);
+      const clear = clearOnFallout ? stressClearAmountForSeverity(severity, profile) : 0;
+      level = Math.max(0, level - clear);
+      fallout = { severity, total, clear };
+    }
+    return { before, level, overflow, fallout };
+  }
+
+  /**
+   * Bond status from its unresolved fallout and stress: broken after Severe
+   * bond fallout, strained after any other bond fallout or once the track is
+   * at least half full, otherwise steady.
+   */
+  function bondStatus(bond, fallouts) {
+    const open = (Array.isArray(fallouts) ? fallouts : [])
+      .filter(f => f && !f.resolved && bond && f.bondId === bond.id);
+    if (open.some(f => f.severity === 'Severe')) return 'broken';
+    if (open.length) return 'strained';
+    const stress = parseInt(bond && bond.stress, 10) || 0;
+    return stress > 0 && stress * 2 >= bondStressSlots(bond) ? 'strained' : 'steady';
+  }
+
+  function worstBondStatus(statuses) {
+    return (statuses || []).reduce((worst, s) =>
+      (BOND_STATUSES.indexOf(s) > BOND_STATUSES.indexOf(worst) ? s : worst), 'steady');
+  }
+
+  // ---- Character creation ---------------------------------------------------
+
+  const CREATION_STEPS = ['identity', 'class', 'durance', 'picks', 'kit', 'bonds', 'review'];
+
+  // Skills and domains granted by a class and durance together. Anything the
+  // durance repeats becomes a replacement pick, as the core rules ask players
+  // to choose something else rather than take the same skill twice.
+  function creationGrants(classEffects, duranceEffects) {
+    const collect = (key) => {
+      const granted = [];
+      const repeats = [];
+      [classEffects, duranceEffects].forEach((eff) => {
+        ((eff && eff[key]) || []).forEach((name) => {
+          if (granted.some(g => sameName(g, name))) repeats.push(name);
+          else granted.push(name);
+        });
+      });
+      return { granted, repeats };
+    };
+    const skills = collect('skills');
+    const domains = collect('domains');
+    return {
+      skills: skills.granted,
+      domains: domains.granted,
+      repeatedSkills: skills.repeats,
+      repeatedDomains: domains.repeats
+    };
+  }
+
+  // Guess what a class bond prompt is about: another PC, a street-level
+  // group, or a single NPC.
+  function bondTargetForPrompt(prompt) {
+    const text = String(prompt || '');
+    if (/\b(another|other)\b[^.]*\b(PCs?|player characters?|characters?)\b|\ba PC\b/i.test(text)) {
+      return { target: 'existing', level: 'Individual' };
+    }
+    if (/street-level|organisation/i.test(text)) return { target: 'new-org', level: 'Street' };
+    return { target: 'new-npc', level: 'Individual' };
+  }
+
+  function validatePicks(picks, options, granted, count, label) {
+    const errors = [];
+    const list = (Array.isArray(picks) ? picks : []).filter(Boolean);
+    if (list.length !== count) {
+      errors.push(`Choose ${count} replacement ${label}${count === 1 ? '' : 's'}`);
+    }
+    list.forEach((name, idx) => {
+      if (!(options || []).some(o => sameName(o, name))) errors.push(`Unknown ${label} "${name}"`);
+      else if (granted.some(g => sameName(g, name))) errors.push(`${name} is already granted`);
+      else if (list.slice(0, idx).some(p => sameName(p, name))) errors.push(`${name} is picked twice`);
+    });
+    return errors;
+  }
+
+  /**
+   * Check a character creation draft against the class and durance data.
+   * Returns a list of { step, message } so the wizard can send the player
+   * back to the step that needs attention. An empty list means the draft
+   * can be turned into a PC.
+   */
+  function validateCharacterDraft(draft, data = {}) {
+    const d = draft || {};
+    const errors = [];
+    const add = (step, message) => errors.push({ step, message });
+    const classes = data.classEffects || {};
+    const durances = data.duranceEffects || {};
+    if (!String(d.firstName || '').trim()) add('identity', 'Name is required');
+    const cls = classes[d.className];
+    if (!cls) add('class', 'Choose a class');
+    const dur = durances[d.durance];
+    if (!dur) add('durance', 'Choose a durance');
+    if (cls && dur) {
+      const grants = creationGrants(cls, dur);
+      const picks = d.picks || {};
+      validatePicks(picks.skills, data.skillOptions, grants.skills, grants.repeatedSkills.length, 'skill')
+        .forEach(msg => add('picks', msg));
+      validatePicks(picks.domains, data.domainOptions, grants.domains, grants.repeatedDomains.length, 'domain')
+        .forEach(msg => add('picks', msg));
+    }
+    if (cls) {
+      const kits = cls.inventoryOptions || [];
+      if (kits.length && !kits.some(k => k.label === d.kit)) add('kit', 'Choose a starting kit');
+      (cls.bondPrompts || []).forEach((prompt, idx) => {
+        const bond = (d.bonds || [])[idx] || {};
+        const n = idx + 1;
+        if (!String(bond.answer || '').trim()) add('bonds', `Answer bond prompt ${n}`);
+        if (bond.target === 'existing') {
+          if (!bond.entityId) add('bonds', `Pick who bond ${n} is with`);
+        } else if (bond.target === 'new-npc' || bond.target === 'new-org') {
+          if (!String(bond.name || '').trim()) add('bonds', `Name the ${bond.target === 'new-org' ? 'group' : 'NPC'} for bond ${n}`);
+        } else {
+          add('bonds', `Choose who bond ${n} is with`);
+        }
+      });
+    }
+    return errors;
+  }
+
+  // ---- Homebrew classes -----------------------------------------------------
+
+  const KIT_ITEM_TYPES = ['weapon', 'armor', 'other'];
+
+  // Kit items are edited one per line as "Item | type | stress or resistance | tags".
+  function parseKitItemLine(line) {
+    const parts = String(line || '').split('|').map(p => p.trim());
+    if (!parts[0]) return null;
+    const type = KIT_ITEM_TYPES.includes((parts[1] || '').toLowerCase()) ? parts[1].toLowerCase() : 'other';
+    const item = { item: parts[0], quantity: 1, type, tags: (parts[3] || '').split(',').map(t => t.trim()).filter(Boolean) };
+    if (type === 'weapon') {
+      const stress = parts[2] || 'D3';
+      item.stress = /stress$/i.test(stress) ? stress : `${stress} stress`;
+    } else if (type === 'armor') {
+      item.resistance = parseInt(parts[2], 10) || 0;
+    }
+    return item;
+  }
+
+  function formatKitItemLine(item) {
+    const it = item || {};
+    const type = it.type || 'other';
+    const third = type === 'weapon' ? (it.stress || '') : (type === 'armor' ? String(it.resistance ?? 0) : '');
+    const parts = [it.item || '', type, third, (it.tags || []).join(', ')];
+    while (parts.length > 1 && !parts[parts.length - 1]) parts.pop();
+    return parts.join(' | ');
+  }
+
+  // Advances are edited one per line as "NAME" or "NAME — rules text".
+  function parseAdvanceLine(line) {
+    const text = String(line || '').trim();
+    if (!text) return null;
+    const match = text.match(/^(.+?)\s+(?:—|–|-)\s+(.+)$/);
+    if (!match) return text;
+    return { name: match[1].trim(), text: match[2].trim() };
+  }
+
+  function formatAdvanceLine(adv) {
+    if (typeof adv === 'string') return adv;
+    if (!adv || !adv.name) return '';
+    return adv.text ? `${adv.name} — ${adv.text}` : adv.name;
+  }
+
+  /**
+   * Check a homebrew class definition before it is stored. Skills and
+   * domains must come from the option lists, resistances from the rules
+   * profile's tracks, and the name must not clash with another class.
+   * Returns [{ field, message }]; an empty list means the class is valid.
+   */
+  function validateClassDefinition(def, data = {}) {
+    const d = def || {};
+    const errors = [];
+    const add = (field, message) => errors.push({ field, message });
+    const name = String(d.name || '').trim();
+    if (!name) add('name', 'Name the class');
+    else if ((data.takenNames || []).some(n => sameName(n, name))) add('name', `A class called "${name}" already exists`);
+    const checkList = (field, label, values, options) => {
+      const list = Array.isArray(values) ? values : [];
+      if (!list.length) add(field, `Pick at least one ${label}`);
+      list.forEach((value, idx) => {
+        if (options && !options.some(o => sameName(o, value))) add(field, `Unknown ${label} "${value}"`);
+        if (list.findIndex(v => sameName(v, value)) !== idx) add(field, `${value} is listed twice`);
+      });
+    };
+    checkList('skills', 'skill', d.skills, data.skillOptions);
+    checkList('domains', 'domain', d.domains, data.domainOptions);
+    (Array.isArray(d.resistances) ? d.resistances : []).forEach((r, idx, all) => {
+      if (data.resistanceOptions && !data.resistanceOptions.some(o => sameName(o, r.name))) add('resistances', `Unknown resistance "${r.name}"`);
+      if (!Number.isInteger(r.value) || r.value < 1 || r.value > 3) add('resistances', `${r.name} resistance must be 1 to 3`);
+      if (all.findIndex(o => sameName(o.name, r.name)) !== idx) add('resistances', `${r.name} is listed twice`);
+    });
+    if (!String(d.refresh || '').trim()) add('refresh', 'Describe the refresh');
+    if (!(d.coreAbilities || []).length) add('coreAbilities', 'Add at least one core ability');
+    (d.inventoryOptions || []).forEach((kit, idx, all) => {
+      const label = String((kit && kit.label) || '').trim();
+      if (!label) add('inventoryOptions', `Kit ${idx + 1} needs a name`);
+      else if (all.findIndex(k => sameName(k && k.label, label)) !== idx) add('inventoryOptions', `Kit "${label}" is listed twice`);
+      if (!((kit && kit.items) || []).length) add('inventoryOptions', `Kit ${label || idx + 1} has no items`);
+    });
+    const seen = [];
+    Object.keys(ADVANCE_TIERS).forEach((tier) => {
+      (((d.advances || {})[tier]) || []).forEach((raw) => {
+        const adv = normalizeAdvance(raw, tier);
+        if (!adv) return;
+        if (seen.some(n => sameName(n, adv.name))) add('advances', `Advance ${adv.name} is listed twice`);
+        seen.push(adv.name);
+      });
+    });
+    return errors;
+  }
+
+  // ---- Schema migrations ----------------------------------------------------
+
+  /**
+   * Upgrade stored data with an ordered list of migrations
+   * ({ version, name, up(data) }, one per schema version after 1). Data with
+   * no schemaVersion counts as version 1; data from a newer schema than
+   * `target` is refused rather than guessed at. Migrations run on a copy, so
+   * a migration that throws leaves the original untouched. Each one that
+   * runs is recorded in data.migrations as { version, name, at }.
+   * Returns { ok, data, from, to, ran, error }.
+   */
+  function runMigrations(data, migrations, target, opts = {}) {
+    const raw = Number(data && data.schemaVersion);
+    const from = Number.isInteger(raw) && raw > 0 ? raw : 1;
+    const fail = error => ({ ok: false, data, from, to: from, ran: [], error });
+    if (from > target) return fail(`Saved with schema v${from}; this version of the app understands up to v${target}.`);
+    const steps = [];
+    for (let v = from + 1; v <= target; v++) {
+      const step = (migrations || []).find(m => m.version === v);
+      if (!step) return fail(`No migration to schema v${v}.`);
+      steps.push(step);
+    }
+    if (!steps.length) {
+      if (data && data.schemaVersion !== target) data.schemaVersion = target;
+      return { ok: true, data, from, to: target, ran: [], error: '' };
+    }
+    const work = JSON.parse(JSON.stringify(data));
+    if (!Array.isArray(work.migrations)) work.migrations = [];
+    const at = opts.now || new Date().toISOString();
+    let current = null;
+    try {
+      steps.forEach((step) => {
+        current = step;
+        step.up(work);
+        work.schemaVersion = step.version;
+        work.migrations.push({ version: step.version, name: step.name, at });
+      });
+    } catch (e) {
+      return fail(`Migration to schema v${current.version} (${current.name}) failed: ${e.message}`);
+    }
+    return { ok: true, data: work, from, to: target, ran: steps.map(s => s.name), error: '' };
+  }
+
+  // ---- Incremental saves ----------------------------------------------------
+
+  // Campaign collections saved record by record. Undo/redo entries never
+  // change once pushed, so history is compared by entry id rather than by
+  // re-serializing every snapshot.
+  const CAMPAIGN_RECORD_KINDS = ['entities', 'relationships'];
+  const CAMPAIGN_HISTORY_KEYS = ['undoStack', 'redoStack'];
+  const CAMPAIGN_SPLIT_KEYS = CAMPAIGN_RECORD_KINDS.concat(['logs'], CAMPAIGN_HISTORY_KEYS);
+
+  /**
+   * Serialize a campaign once, per record: each top-level field, entity,
+   * relationship and log entry, plus entity order and undo/redo ids.
+   * Compare two of these with diffCampaignFingerprints.
+   */
+  function campaignFingerprint(camp) {
+    const fp = { fields: {}, entities: {}, relationships: {}, logs: [], order: '', history: '' };
+    Object.keys(camp || {}).forEach((key) => {
+      if (!CAMPAIGN_SPLIT_KEYS.includes(key)) fp.fields[key] = JSON.stringify(camp[key]);
+    });
+    CAMPAIGN_RECORD_KINDS.forEach((kind) => {
+      Object.entries((camp && camp[kind]) || {}).forEach(([id, rec]) => { fp[kind][id] = JSON.stringify(rec); });
+    });
+    fp.logs = ((camp && camp.logs) || []).map(entry => JSON.stringify(entry));
+    fp.order = Object.keys((camp && camp.entities) || {}).join('\n');
+    fp.history = CAMPAIGN_HISTORY_KEYS.map(key => ((camp && camp[key]) || []).map(e => (e && e.id) || '').join(',')).join('|');
+    return fp;
+  }
+
+  /**
+   * What changed between two campaign fingerprints. With no `prev` the
+   * whole campaign counts as changed (`full`). Logs are append-only in
+   * practice: `logs.from` is the first new index, or `logs.reset` when
+   * earlier entries changed or were removed.
+   */
+  function diffCampaignFingerprints(prev, next) {
+    const keyed = (a, b) => ({
+      put: Object.keys(b).filter(id => !a || a[id] !== b[id]),
+      del: a ? Object.keys(a).filter(id => !(id in b)) : []
+    });
+    const fieldKeys = Object.keys(next.fields).concat(prev ? Object.keys(prev.fields).filter(k => !(k in next.fields)) : []);
+    const oldLogs = prev ? prev.logs : [];
+    const appendOnly = !!prev && oldLogs.length <= next.logs.length && oldLogs.every((s, i) => s === next.logs[i]);
+    return {
+      full: !prev,
+      fields: fieldKeys.filter(k => !prev || prev.fields[k] !== next.fields[k]),
+      order: !prev || prev.order !== next.order,
+      entities: keyed(prev && prev.entities, next.entities),
+      relationships: keyed(prev && prev.relationships, next.relationships),
+      logs: appendOnly ? { reset: false, from: oldLogs.length, count: next.logs.length - oldLogs.length } : { reset: true, from: 0, count: next.logs.length },
+      history: !prev || prev.history !== next.history
+    };
+  }
+
+  /** Number of records a campaign diff touches (0 means nothing to save). */
+  function campaignDiffSize(diff) {
+    if (!diff) return 0;
+    // Clearing the log is one change even though no entries are written.
+    const logs = diff.logs.reset && !diff.full ? Math.max(1, diff.logs.count) : diff.logs.count;
+    return (diff.fields.length || (diff.order ? 1 : 0)) +
+      diff.entities.put.length + diff.entities.del.length +
+      diff.relationships.put.length + diff.relationships.del.length +
+      logs + (diff.history ? 1 : 0);
+  }
+
+  /**
+   * The records a local store needs to apply a campaign diff: the campaign
+   * fields (when any changed), entity and relationship puts and deletes,
+   * new log entries and the undo/redo stacks. Values are the live objects;
+   * the store copies them.
+   */
+  function campaignChangeSet(camp, diff) {
+    const pick = (kind) => {
+      const put = {};
+      diff[kind].put.forEach((id) => { put[id] = camp[kind][id]; });
+      return { put, del: diff[kind].del.slice() };
+    };
+    let fields = null;
+    if (diff.full || diff.fields.length || diff.order) {
+      fields = {};
+      Object.keys(camp).forEach((key) => {
+        if (!CAMPAIGN_SPLIT_KEYS.includes(key)) fields[key] = camp[key];
+      });
+    }
+    return {
+      full: diff.full,
+      fields,
+      entityOrder: Object.keys(camp.entities || {}),
+      entities: pick('entities'),
+      relationships: pick('relationships'),
+      logs: { reset: diff.logs.reset, from: diff.logs.from, put: (camp.logs || []).slice(diff.logs.from) },
+      history: diff.history ? { undoStack: camp.undoStack || [], redoStack: camp.redoStack || [] } : null
+    };
+  }
+
+  /**
+   * A campaign diff as a JSON patch for the cloud copy: { op: 'set', path,
+   * value } and { op: 'remove', path } with path as an array of keys (log
+   * indexes as strings). Returns null for a full diff, which needs the
+   * whole document instead.
+   */
+  function campaignPatchOps(camp, diff) {
+    if (diff.full) return null;
+    const ops = [];
+    diff.fields.forEach((key) => {
+      if (camp[key] === undefined) ops.push({ op: 'remove', path: [key] });
+      else ops.push({ op: 'set', path: [key], value: camp[key] });
+    });
+    CAMPAIGN_RECORD_KINDS.forEach((kind) => {
+      diff[kind].put.forEach((id) => ops.push({ op: 'set', path: [kind, id], value: camp[kind][id] }));
+      diff[kind].del.forEach((id) => ops.push({ op: 'remove', path: [kind, id] }));
+    });
+    const logs = camp.logs || [];
+    if (diff.logs.reset) ops.push({ op: 'set', path: ['logs'], value: logs });
+    else for (let i = diff.logs.from; i < logs.length; i++) ops.push({ op: 'set', path: ['logs', String(i)], value: logs[i] });
+    if (diff.history) {
+      CAMPAIGN_HISTORY_KEYS.forEach(key => ops.push({ op: 'set', path: [key], value: camp[key] || [] }));
+    }
+    return ops;
+  }
+
+  // ---- Cloud records --------------------------------------------------------
+
+  // In the cloud a campaign is split into rows so row-level security can
+  // keep GM material from players: entities (without their GM notes),
+  // relationships, log entries, messages and GM notes each have a table,
+  // and the remaining fields stay in campaigns.data. Undo/redo history
+  // belongs to the device and is not uploaded.
+  const CLOUD_RECORD_KINDS = ['entities', 'relationships', 'logs', 'messages', 'gmNotes'];
+
+  /**
+   * A campaign as cloud rows: { fields, rows: { kind: { key: row } } }.
+   * Entity GM notes become gmNotes rows keyed `entity:<id>`; list items
+   * (log entries, messages, board notes) are keyed by crdtItemKey, with a
+   * count appended to repeats of an identical log entry, and the rest by
+   * record id.
+   */
+  function campaignCloudRows(camp) {
+    const src = camp || {};
+    const fields = {};
+    const rows = {};
+    CLOUD_RECORD_KINDS.forEach((kind) => { rows[kind] = {}; });
+    Object.keys(src).forEach((key) => {
+      if (!CLOUD_RECORD_KINDS.includes(key) && !CAMPAIGN_HISTORY_KEYS.includes(key)) fields[key] = src[key];
+    });
+    Object.entries(src.entities || {}).forEach(([id, ent], i) => {
+      const data = Object.assign({}, ent);
+      delete data.gmNotes;
+      rows.entities[id] = { id, sort_order: i, gm_only: !!ent.gmOnly, data };
+      if (ent.gmNotes) rows.gmNotes[`entity:${id}`] = { id: `entity:${id}`, entity_id: id, sort_order: 0, data: ent.gmNotes };
+    });
+    Object.entries(src.relationships || {}).forEach(([id, rel], i) => {
+      rows.relationships[id] = {
+        id, sort_order: i, source_id: rel.source || '', target_id: rel.target || '', secret: !!rel.secret, data: rel
+      };
+    });
+    (src.logs || []).forEach((entry, i) => {
+      const target = entry && typeof entry.target === 'string' && entry.target ? entry.target : null;
+      const base = crdtItemKey(entry);
+      let id = base;
+      for (let n = 2; rows.logs[id]; n++) id = `${base}~${n}`;
+      rows.logs[id] = { id, sort_order: i, secret: !!(entry && entry.secret), target_id: target, data: entry };
+    });
+    (src.messages || []).forEach((msg, i) => {
+      const id = crdtItemKey(msg);
+      rows.messages[id] = { id, sort_order: i, from_user: msg.fromUser || '', target: msg.target || 'party', data: msg };
+    });
+    (src.gmNotes || []).forEach((note, i) => {
+      const id = crdtItemKey(note);
+      rows.gmNotes[id] = { id, entity_id: null, sort_order: i, data: note };
+    });
+    return { fields, rows };
+  }
+
+  /** Serialize campaignCloudRows output once per row, for cloudRowChanges. */
+  function cloudRowsFingerprint(split) {
+    const fp = { fields: JSON.stringify(split.fields), rows: {} };
+    CLOUD_RECORD_KINDS.forEach((kind) => {
+      fp.rows[kind] = {};
+      Object.entries(split.rows[kind] || {}).forEach(([key, row]) => { fp.rows[kind][key] = JSON.stringify(row); });
+    });
+    return fp;
+  }
+
+  /**
+   * The cloud writes that turn `prev` (a cloudRowsFingerprint of what the
+   * cloud holds; a null `fields` means unknown) into `split`:
+   * { fields, put: { kind: [row] }, del: { kind: [key] }, size }, with
+   * fields null when unchanged. Returns null when nothing changed.
+   */
+  function cloudRowChanges(prev, fp, split) {
+    const changes = { fields: !prev || prev.fields !== fp.fields ? split.fields : null, put: {}, del: {}, size: 0 };
+    if (changes.fields) changes.size += 1;
+    CLOUD_RECORD_KINDS.forEach((kind) => {
+      const before = (prev && prev.rows[kind]) || {};
+      const after = fp.rows[kind];
+      changes.put[kind] = Object.keys(after).filter(key => before[key] !== after[key]).map(key => split.rows[kind][key]);
+      changes.del[kind] = Object.keys(before).filter(key => !(key in after));
+      changes.size += changes.put[kind].length + changes.del[kind].length;
+    });
+    return changes.size ? changes : null;
+  }
+
+  /**
+   * Rebuild a campaign from campaigns.data and the record rows the
+   * database returned ({ kind: rows }, as an array or keyed object).
+   */
+  function campaignFromCloudRows(fields, rows) {
+    const camp = JSON.parse(JSON.stringify(fields || {}));
+    const sorted = (kind, col = 'sort_order') => Object.values((rows && rows[kind]) || {})
+      .slice().sort((a, b) => (Number(a[col]) || 0) - (Number(b[col]) || 0))
+      .map(row => JSON.parse(JSON.stringify(row)));
+    camp.entities = {};
+    sorted('entities').forEach((row) => { camp.entities[row.id] = row.data; });
+    camp.relationships = {};
+    sorted('relationships').forEach((row) => { camp.relationships[row.id] = row.data; });
+    camp.logs = sorted('logs').map(row => row.data);
+    camp.messages = sorted('messages').map(row => row.data);
+    camp.gmNotes = [];
+    sorted('gmNotes').forEach((row) => {
+      if (!row.entity_id) camp.gmNotes.push(row.data);
+      else if (camp.entities[row.entity_id]) camp.entities[row.entity_id].gmNotes = row.data;
+    });
+    return camp;
+  }
+
+  // ---- Version history ------------------------------------------------------
+
+  // Every tenth checkpoint keeps a full snapshot; the rest keep a patch
+  // against the checkpoint before, so rebuilding any version replays at
+  // most nine patches.
+  const CHECKPOINT_BASE_EVERY = 10;
+
+  function isPlainObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  function campaignWithoutHistory(camp) {
+    const out = {};
+    Object.keys(camp || {}).forEach((key) => {
+      if (!CAMPAIGN_HISTORY_KEYS.includes(key)) out[key] = camp[key];
+    });
+    return out;
+  }
+
+  /**
+   * A campaign as a checkpoint keeps it: a copy without undo/redo history
+   * or portrait data URLs. Portraits live in the campaign store's blobs and
+   * aren't versioned; see keepCurrentPortraits for restoring.
+   */
+  function campaignVersionSnapshot(camp) {
+    const snapshot = JSON.parse(JSON.stringify(campaignWithoutHistory(camp)));
+    Object.values(snapshot.entities || {}).forEach((ent) => {
+      if (ent && typeof ent.image === 'string' && ent.image.startsWith('data:')) delete ent.image;
+    });
+    return snapshot;
+  }
+
+  /**
+   * Give entities restored from a checkpoint the portrait they have now in
+   * `camp`, since snapshots leave portraits out. Mutates `restored`.
+   */
+  function keepCurrentPortraits(restored, camp) {
+    const current = (camp && camp.entities) || {};
+    Object.entries((restored && restored.entities) || {}).forEach(([id, ent]) => {
+      if (ent && !ent.image && current[id] && current[id].image) ent.image = current[id].image;
+    });
+    return restored;
+  }
+
+  /**
+   * Patch ops (the campaignPatchOps shape) turning JSON value `a` into `b`.
+   * Objects are compared key by key; an array that only grew gets its new
+   * items set by index, any other array change replaces it whole.
+   */
+  function diffJson(a, b, path = [], ops = []) {
+    if (isPlainObject(a) && isPlainObject(b)) {
+      Object.keys(a).forEach((key) => {
+        if (!(key in b)) ops.push({ op: 'remove', path: path.concat([key]) });
+      });
+      Object.keys(b).forEach((key) => {
+        if (!(key in a)) ops.push({ op: 'set', path: path.concat([key]), value: b[key] });
+        else diffJson(a[key], b[key], path.concat([key]), ops);
+      });
+      return ops;
+    }
+    if (Array.isArray(a) && Array.isArray(b) && a.length < b.length &&
+        a.every((item, i) => JSON.stringify(item) === JSON.stringify(b[i]))) {
+      for (let i = a.length; i < b.length; i++) ops.push({ op: 'set', path: path.concat([String(i)]), value: b[i] });
+      return ops;
+    }
+    if (JSON.stringify(a) !== JSON.stringify(b)) ops.push({ op: 'set', path, value: b });
+    return ops;
+  }
+
+  /** Apply diffJson ops to a copy of `doc`; missing parents are created. */
+  function applyJsonPatch(doc, ops) {
+    let out = JSON.parse(JSON.stringify(doc === undefined ? null : doc));
+    (ops || []).forEach(({ op, path, value }) => {
+      if (!path.length) {
+        out = op === 'remove' ? null : JSON.parse(JSON.stringify(value));
+        return;
+      }
+      let parent = out;
+      for (const key of path.slice(0, -1)) {
+        if (!parent[key] || typeof parent[key] !== 'object') parent[key] = {};
+        parent = parent[key];
+      }
+      const last = path[path.length - 1];
+      if (op === 'remove') {
+        if (Array.isArray(parent)) parent.splice(Number(last), 1);
+        else delete parent[last];
+      } else {
+        parent[Array.isArray(parent) ? Number(last) : last] = JSON.parse(JSON.stringify(value));
+      }
+    });
+    return out;
+  }
+
+  /**
+   * What changed between two campaign snapshots, for a version timeline:
+   * changed top-level fields, entities added/removed/changed (with the
+   * entity fields that changed), relationship counts and new log entries.
+   * A null `a` counts everything in `b` as added.
+   */
+  function summarizeVersionChanges(a, b) {
+    const before = a || {};
+    const after = b || {};
+    const same = (x, y) => JSON.stringify(x) === JSON.stringify(y);
+    const named = (ent, id) => ({ id, name: (ent && ent.name) || id });
+    const oldEnts = before.entities || {};
+    const newEnts = after.entities || {};
+    const entities = { added: [], removed: [], changed: [] };
+    Object.keys(newEnts).forEach((id) => {
+      if (!oldEnts[id]) {
+        entities.added.push(named(newEnts[id], id));
+        return;
+      }
+      if (same(oldEnts[id], newEnts[id])) return;
+      const keys = Object.keys(Object.assign({}, oldEnts[id], newEnts[id])).filter(k => !same(oldEnts[id][k], newEnts[id][k]));
+      entities.changed.push(Object.assign(named(newEnts[id], id), { keys }));
+    });
+    Object.keys(oldEnts).forEach((id) => {
+      if (!newEnts[id]) entities.removed.push(named(oldEnts[id], id));
+    });
+    const oldRels = before.relationships || {};
+    const newRels = after.relationships || {};
+    const relationships = {
+      added: Object.keys(newRels).filter(id => !oldRels[id]).length,
+      removed: Object.keys(oldRels).filter(id => !newRels[id]).length,
+      changed: Object.keys(newRels).filter(id => oldRels[id] && !same(oldRels[id], newRels[id])).length
+    };
+    const skip = ['entities', 'relationships', 'logs'];
+    const fields = Object.keys(Object.assign({}, before, after))
+      .filter(key => !skip.includes(key) && !CAMPAIGN_HISTORY_KEYS.includes(key) && !same(before[key], after[key]));
+    const logs = Math.max(0, (after.logs || []).length - (before.logs || []).length);
+    return { fields, entities, relationships, logs };
+  }
+
+  /**
+   * Rebuild the campaign snapshot of checkpoint `id` from a list of
+   * checkpoints (oldest first): the nearest full snapshot at or before it,
+   * then each patch up to it. Null when `id` isn't in the list or no full
+   * snapshot precedes it.
+   */
+  function materializeCheckpoint(checkpoints, id) {
+    const end = (checkpoints || []).findIndex(cp => cp.id === id);
+    if (end < 0) return null;
+    let start = end;
+    while (start >= 0 && !checkpoints[start].base) start -= 1;
+    if (start < 0) return null;
+    let doc = JSON.parse(JSON.stringify(checkpoints[start].base));
+    for (let i = start + 1; i <= end; i++) doc = applyJsonPatch(doc, checkpoints[i].ops);
+    return doc;
+  }
+
+  /**
+   * The next checkpoint after `checkpoints` (oldest first) for a campaign
+   * snapshot (campaignVersionSnapshot): { id, at, reason, label, summary }
+   * plus either `base` or `ops`. Returns null when the snapshot matches the
+   * latest checkpoint, unless `meta.force` is set.
+   */
+  function createCheckpoint(checkpoints, snapshot, meta = {}) {
+    const list = checkpoints || [];
+    const last = list[list.length - 1] || null;
+    const prev = last ? materializeCheckpoint(list, last.id) : null;
+    const ops = prev ? diffJson(prev, snapshot) : null;
+    if (ops && !ops.length && !meta.force) return null;
+    let sinceBase = 0;
+    for (let i = list.length - 1; i >= 0 && !list[i].base; i--) sinceBase += 1;
+    const cp = {
+      id: last ? last.id + 1 : 1,
+      at: meta.at || new Date().toISOString(),
+      reason: meta.reason || 'auto',
+      label: meta.label || '',
+      summary: summarizeVersionChanges(prev, snapshot)
+    };
+    if (!prev || sinceBase + 1 >= CHECKPOINT_BASE_EVERY) cp.base = snapshot;
+    else cp.ops = ops;
+    return cp;
+  }
+
+  /**
+   * Drop the oldest checkpoints beyond `keep`. When the new oldest one is a
+   * patch it's rewritten as a full snapshot. Returns { checkpoints, put,
+   * del } with `put` the rewritten records and `del` the dropped ids.
+   */
+  function pruneCheckpoints(checkpoints, keep) {
+    const list = checkpoints || [];
+    if (list.length <= keep) return { checkpoints: list.slice(), put: [], del: [] };
+    const kept = list.slice(list.length - keep);
+    const del = list.slice(0, list.length - keep).map(cp => cp.id);
+    const put = [];
+    if (kept.length && !kept[0].base) {
+      const rebased = Object.assign({}, kept[0], { base: materializeCheckpoint(list, kept[0].id) });
+      delete rebased.ops;
+      kept[0] = rebased;
+      put.push(rebased);
+    }
+    return { checkpoints: kept, put, del };
+  }
+
+  // ---- Three-way merge ------------------------------------------------------
+
+  function sameJson(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Rebuild a campaign (without undo/redo history) from a
+   * campaignFingerprint, to use as the common base of a merge.
+   */
+  function campaignFromFingerprint(fp) {
+    if (!fp) return null;
+    const camp = {};
+    Object.entries(fp.fields).forEach(([key, json]) => {
+      if (json !== undefined) camp[key] = JSON.parse(json);
+    });
+    CAMPAIGN_RECORD_KINDS.forEach((kind) => {
+      camp[kind] = {};
+      Object.entries(fp[kind]).forEach(([id, json]) => { camp[kind][id] = JSON.parse(json); });
+    });
+    camp.logs = fp.logs.map(json => JSON.parse(json));
+    return camp;
+  }
+
+  // Merge one record field by field. Fields changed on only one side are
+  // taken from that side; fields changed differently on both are conflicts
+  // and keep the local value until resolved.
+  function mergeRecordFields(base, local, remote, path, meta, out) {
+    const merged = {};
+    const keys = Object.keys(Object.assign({}, local, remote, base));
+    keys.forEach((key) => {
+      const b = base ? base[key] : undefined;
+      const l = local[key];
+      const r = remote[key];
+      let value = l;
+      if (!sameJson(l, r)) {
+        if (sameJson(l, b)) {
+          value = r;
+          out.remoteChanges += 1;
+        } else if (!sameJson(r, b)) {
+          out.conflicts.push(Object.assign({ key, path: path.concat([key]), base: b, local: l, remote: r }, meta));
+        }
+      }
+      if (value !== undefined) merged[key] = value;
+    });
+    return merged;
+  }
+
+  // Merge a map of records (entities, relationships, positions) by id.
+  function mergeRecordMap(base, local, remote, mapKey, kind, out) {
+    const merged = {};
+    const ids = Object.keys(local).concat(Object.keys(remote).filter(id => !(id in local)));
+    ids.forEach((id) => {
+      const b = base[id];
+      const l = local[id];
+      const r = remote[id];
+      const name = ((l || r || b) && (l || r || b).name) || id;
+      const meta = { kind, id, name };
+      if (l !== undefined && r !== undefined) {
+        merged[id] = sameJson(l, r) ? l : mergeRecordFields(b, l, r, [mapKey, id], meta, out);
+        return;
+      }
+      const only = l !== undefined ? l : r;
+      if (b === undefined) {
+        // Added on one side only.
+        merged[id] = only;
+        if (l === undefined) out.remoteChanges += 1;
+        return;
+      }
+      if (sameJson(only, b)) {
+        // Deleted on the other side and untouched here.
+        if (r === undefined) out.remoteChanges += 1;
+        return;
+      }
+      out.conflicts.push(Object.assign({ key: null, path: [mapKey, id], base: b, local: l, remote: r }, meta));
+      if (l !== undefined) merged[id] = l;
+    });
+    return merged;
+  }
+
+  // Logs only ever grow in practice: keep the shared entries, then both
+  // sides' new entries in time order. A side that rewrote earlier entries
+  // (pruned or cleared the log) wins, plus the other side's new entries.
+  function mergeLogs(base, local, remote, out) {
+    const grew = list => base.length <= list.length && base.every((entry, i) => sameJson(entry, list[i]));
+    const localNew = grew(local) ? local.slice(base.length) : null;
+    const remoteNew = grew(remote) ? remote.slice(base.length) : null;
+    if (localNew && remoteNew) {
+      const fresh = remoteNew.filter(entry => !localNew.some(mine => sameJson(mine, entry)));
+      out.remoteChanges += fresh.length;
+      const added = localNew.concat(fresh)
+        .map((entry, i) => ({ entry, i }))
+        .sort((a, b) => String((a.entry && a.entry.time) || '').localeCompare(String((b.entry && b.entry.time) || '')) || a.i - b.i)
+        .map(row => row.entry);
+      return base.concat(added);
+    }
+    if (remoteNew) {
+      out.remoteChanges += remoteNew.length;
+      return local.concat(remoteNew);
+    }
+    if (localNew) {
+      out.remoteChanges += 1;
+      return remote.concat(localNew);
+    }
+    // Both sides rewrote earlier entries: keep one log whole, by choice.
+    if (!sameJson(local, remote)) {
+      out.conflicts.push({ kind: 'log', id: 'logs', name: 'Campaign log', key: 'logs', path: ['logs'], base, local, remote });
+    }
+    return local;
+  }
+
+  function dropDanglingRelationships(camp) {
+    Object.keys(camp.relationships || {}).forEach((id) => {
+      const rel = camp.relationships[id];
+      if (!camp.entities[rel.source] || !camp.entities[rel.target]) delete camp.relationships[id];
+    });
+    return camp;
+  }
+
+  /**
+   * Three-way merge of one campaign: `base` is the version both sides
+   * started from (null when unknown), `local` this tab's copy and `remote`
+   * the newer stored copy. Entities and relationships merge field by field,
+   * graph positions per entity, log entries by appending both sides' (the
+   * whole log is a conflict when both rewrote earlier entries), other
+   * campaign fields as whole values; undo/redo history stays local.
+   * Returns { merged, conflicts, remoteChanges }: each conflict is { kind:
+   * 'field' | 'entity' | 'relationship' | 'log', id, name, key, path, base,
+   * local, remote } (key null when one side deleted a record the other edited) and
+   * `merged` holds the local value for it until resolveMergeConflicts.
+   */
+  function mergeCampaigns(base, local, remote) {
+    const b = base || {};
+    const out = { conflicts: [], remoteChanges: 0 };
+    const merged = {};
+    const recordKeys = CAMPAIGN_RECORD_KINDS.concat(['positions']);
+    const skip = recordKeys.concat(['logs'], CAMPAIGN_HISTORY_KEYS);
+    const keys = Object.keys(local).concat(Object.keys(remote).filter(key => !(key in local)));
+    keys.filter(key => !skip.includes(key)).forEach((key) => {
+      const l = local[key];
+      const r = remote[key];
+      let value = l;
+      if (!sameJson(l, r)) {
+        if (sameJson(l, b[key])) {
+          value = r;
+          out.remoteChanges += 1;
+        } else if (!sameJson(r, b[key])) {
+          out.conflicts.push({ kind: 'field', id: key, name: key, key, path: [key], base: b[key], local: l, remote: r });
+        }
+      }
+      if (value !== undefined) merged[key] = value;
+    });
+    merged.entities = mergeRecordMap(b.entities || {}, local.entities || {}, remote.entities || {}, 'entities', 'entity', out);
+    merged.relationships = mergeRecordMap(b.relationships || {}, local.relationships || {}, remote.relationships || {}, 'relationships', 'relationship', out);
+    // A node dragged in both tabs isn't worth asking about: this tab's spot wins.
+    const positions = { conflicts: [], remoteChanges: 0 };
+    merged.positions = mergeRecordMap(b.positions || {}, local.positions || {}, remote.positions || {}, 'positions', 'position', positions);
+    out.remoteChanges += positions.remoteChanges;
+    merged.logs = mergeLogs(b.logs || [], local.logs || [], remote.logs || [], out);
+    CAMPAIGN_HISTORY_KEYS.forEach((key) => {
+      if (local[key] !== undefined) merged[key] = local[key];
+    });
+    dropDanglingRelationships(merged);
+    return { merged, conflicts: out.conflicts, remoteChanges: out.remoteChanges };
+  }
+
+  /**
+   * Apply conflict choices to a mergeCampaigns result: `choices[i]` is
+   * 'local' or 'remote' for conflicts[i] (missing means local). Returns a
+   * new campaign.
+   */
+  function resolveMergeConflicts(merged, conflicts, choices) {
+    const ops = [];
+    (conflicts || []).forEach((conflict, i) => {
+      if ((choices || {})[i] !== 'remote') return;
+      if (conflict.remote === undefined) ops.push({ op: 'remove', path: conflict.path });
+      else ops.push({ op: 'set', path: conflict.path, value: conflict.remote });
+    });
+    return dropDanglingRelationships(applyJsonPatch(merged, ops));
+  }
+
+  /**
+   * Merge whole campaign maps ({ [id]: campaign }) three ways. A campaign
+   * deleted on one side stays deleted unless the other side changed it; a
+   * campaign only one side has and the base doesn't is new and kept.
+   * Returns { campaigns, conflicts, remoteChanges } with each conflict
+   * tagged with its campaignId and campaignName.
+   */
+  function mergeCampaignMaps(base, local, remote) {
+    const b = base || {};
+    const campaigns = {};
+    const conflicts = [];
+    let remoteChanges = 0;
+    const strip = camp => campaignWithoutHistory(camp);
+    const ids = Object.keys(local).concat(Object.keys(remote).filter(id => !(id in local)));
+    ids.forEach((id) => {
+      const l = local[id];
+      const r = remote[id];
+      if (l && r) {
+        const result = mergeCampaigns(b[id] || null, l, r);
+        campaigns[id] = result.merged;
+        remoteChanges += result.remoteChanges;
+        result.conflicts.forEach(c => conflicts.push(Object.assign({ campaignId: id, campaignName: l.name || r.name || id }, c)));
+        return;
+      }
+      // New on one side, or deleted on the other after this side changed it.
+      const keep = !b[id] || !sameJson(strip(l || r), strip(b[id]));
+      if (keep) campaigns[id] = l || r;
+      // Taking the remote side's new campaign or its deletion of ours.
+      if (keep !== !!l) remoteChanges += 1;
+    });
+    return { campaigns, conflicts, remoteChanges };
+  }
+
+  // ---- Replicated campaign document -----------------------------------------
+
+  // Campaign collections kept as a conflict-free replicated document: maps
+  // of records by id, and sequences (arrays) ordered by when each item was
+  // created. Every record field is a last-writer-wins register stamped
+  // [counter, replicaId]; a delete beats edits stamped before it, and only
+  // a newer whole-record write brings the record back. Anything never
+  // stamped counts as written at ZERO_STAMP, so replicas that loaded the
+  // same campaign agree on it without exchanging it.
+  const CRDT_MAPS = ['entities', 'relationships'];
+  const CRDT_SEQUENCES = ['messages', 'logs', 'clocks'];
+  const CRDT_COLLECTIONS = CRDT_MAPS.concat(CRDT_SEQUENCES);
+  const ZERO_STAMP = [0, ''];
+
+  function compareStamps(a, b) {
+    const x = a || ZERO_STAMP;
+    const y = b || ZERO_STAMP;
+    if (x[0] !== y[0]) return x[0] - y[0];
+    if (x[1] === y[1]) return 0;
+    return x[1] < y[1] ? -1 : 1;
+  }
+
+  // FNV-1a, enough to key log entries, which carry no id.
+  function hashString(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(36);
+  }
+
+  /** The key a sequence item is tracked under: its id, else a hash of its content. */
+  function crdtItemKey(item) {
+    return item && typeof item.id === 'string' && item.id ? item.id : `h${hashString(JSON.stringify(item))}`;
+  }
+
+  function crdtRecords(camp, coll) {
+    if (CRDT_MAPS.includes(coll)) return camp[coll] || {};
+    const out = {};
+    (camp[coll] || []).forEach((item) => { out[crdtItemKey(item)] = item; });
+    return out;
+  }
+
+  function crdtAlive(meta) {
+    return !meta || !meta.d || compareStamps(meta.c, meta.d) > 0 || compareStamps(meta.r, meta.d) > 0;
+  }
+
+  /**
+   * Start a replica of a campaign's collections. `saved` is what
+   * crdtPersistedState returned earlier for this campaign, if anything.
+   * The replica is plain JSON: { replica, clock, meta, view }, where meta
+   * holds the stamps ({ c: created, d: deleted, r: shown again, f: {
+   * field: stamp } } per record) and view the last JSON of each record
+   * this replica saw.
+   */
+  function createCrdtReplica(camp, replicaId, saved) {
+    const doc = { replica: replicaId, clock: (saved && saved.clock) || 0, meta: {}, view: {} };
+    CRDT_COLLECTIONS.forEach((coll) => {
+      doc.meta[coll] = (saved && saved.meta && saved.meta[coll]) || {};
+      doc.view[coll] = {};
+      Object.entries(crdtRecords(camp, coll)).forEach(([key, rec]) => { doc.view[coll][key] = JSON.stringify(rec); });
+    });
+    return doc;
+  }
+
+  /** The part of a replica worth keeping across reloads: its counter and stamps. */
+  function crdtPersistedState(doc) {
+    return { clock: doc.clock, meta: doc.meta };
+  }
+
+  /**
+   * Stamp whatever changed in `camp` since the replica last saw it and
+   * return the delta for other replicas, or null when nothing changed.
+   * A delta is { [collection]: { [key]: { c?, d?, r?, a?, f: { [field]: {
+   * s, v } | { s, x: 1 } } } } }: c a (re)created record with every field
+   * (a: 1 marks a complete record), d a delete, r a record players may see
+   * again after the GM hid it (see crdtPlayerSafeDelta), x a removed field.
+   */
+  function crdtLocalChanges(doc, camp) {
+    const delta = {};
+    let stamp = null;
+    const nextStamp = () => {
+      if (!stamp) {
+        doc.clock += 1;
+        stamp = [doc.clock, doc.replica];
+      }
+      return stamp;
+    };
+    CRDT_COLLECTIONS.forEach((coll) => {
+      const view = doc.view[coll];
+      const meta = doc.meta[coll];
+      const current = crdtRecords(camp, coll);
+      const out = {};
+      Object.entries(current).forEach(([key, rec]) => {
+        const json = JSON.stringify(rec);
+        if (view[key] === json) return;
+        const s = nextStamp();
+        const m = meta[key] || (meta[key] = { f: {} });
+        const entry = { f: {} };
+        if (!(key in view)) {
+          m.c = s;
+          entry.c = s;
+          entry.a = 1;
+          Object.keys(rec).forEach((field) => {
+            m.f[field] = s;
+            entry.f[field] = { s, v: rec[field] };
+          });
+        } else {
+          const old = JSON.parse(view[key]);
+          Object.keys(Object.assign({}, old, rec)).forEach((field) => {
+            if (sameJson(old[field], rec[field])) return;
+            m.f[field] = s;
+            entry.f[field] = rec[field] === undefined ? { s, x: 1 } : { s, v: rec[field] };
+          });
+        }
+        view[key] = json;
+        out[key] = entry;
+      });
+      Object.keys(view).forEach((key) => {
+        if (key in current) return;
+        const s = nextStamp();
+        const m = meta[key] || (meta[key] = { f: {} });
+        m.d = s;
+        out[key] = { d: s, f: {} };
+        delete view[key];
+      });
+      if (Object.keys(out).length) delta[coll] = out;
+    });
+    return stamp ? delta : null;
+  }
+
+  /**
+   * Everything this replica has stamped, as one delta, for a replica that
+   * just joined. Unstamped records are left out: the other side loaded
+   * them from the same campaign.
+   */
+  function crdtStateDelta(doc, camp) {
+    const delta = {};
+    CRDT_COLLECTIONS.forEach((coll) => {
+      const current = crdtRecords(camp, coll);
+      const out = {};
+      Object.entries(doc.meta[coll]).forEach(([key, m]) => {
+        const entry = { f: {} };
+        if (m.c) entry.c = m.c;
+        if (m.d) entry.d = m.d;
+        if (m.r) entry.r = m.r;
+        const rec = current[key];
+        if (rec) {
+          entry.a = 1;
+          Object.keys(rec).forEach((field) => { entry.f[field] = { s: m.f[field] || m.c || ZERO_STAMP, v: rec[field] }; });
+        }
+        Object.keys(m.f).forEach((field) => {
+          if (!entry.f[field]) entry.f[field] = { s: m.f[field], x: 1 };
+        });
+        out[key] = entry;
+      });
+      if (Object.keys(out).length) delta[coll] = out;
+    });
+    return delta;
+  }
+
+  function crdtPlaceItem(camp, coll, key, value, meta) {
+    const list = camp[coll] || (camp[coll] = []);
+    const at = list.findIndex(item => crdtItemKey(item) === key);
+    if (at >= 0) {
+      list[at] = value;
+      return;
+    }
+    // New items go in creation order, after everything created before them.
+    const metas = meta;
+    let index = list.length;
+    while (index > 0) {
+      const prev = metas[crdtItemKey(list[index - 1])];
+      if (compareStamps(prev && prev.c, metas[key] && metas[key].c) <= 0) break;
+      index -= 1;
+    }
+    list.splice(index, 0, value);
+  }
+
+  /**
+   * Apply a delta from another replica to the replica and to `camp` in
+   * place. Returns { changed, missing }: `missing` lists collection/key
+   * pairs edited elsewhere that this replica has never seen whole, so the
+   * caller should ask for the other replica's state (crdtStateDelta).
+   */
+  function applyCrdtDelta(doc, camp, delta) {
+    let changed = false;
+    const missing = [];
+    CRDT_COLLECTIONS.forEach((coll) => {
+      const incoming = (delta || {})[coll];
+      if (!incoming) return;
+      const meta = doc.meta[coll];
+      const view = doc.view[coll];
+      const current = crdtRecords(camp, coll);
+      Object.entries(incoming).forEach(([key, rd]) => {
+        [rd.c, rd.d, rd.r].concat(Object.values(rd.f || {}).map(reg => reg.s)).forEach((s) => {
+          if (s && s[0] > doc.clock) doc.clock = s[0];
+        });
+        const rec = current[key];
+        const known = !!rec || !!meta[key];
+        if (!known && !rd.c && !rd.a && !rd.d) {
+          missing.push({ collection: coll, key });
+          return;
+        }
+        const m = meta[key] || (meta[key] = { f: {} });
+        const wasAlive = !!rec;
+        if (rd.c && compareStamps(rd.c, m.c) > 0) m.c = rd.c;
+        if (rd.d && compareStamps(rd.d, m.d) > 0) m.d = rd.d;
+        if (rd.r && compareStamps(rd.r, m.r) > 0) m.r = rd.r;
+        const alive = crdtAlive(m);
+        // A record new to this replica takes every field it was sent.
+        const fresh = !rec && (rd.c || rd.a);
+        const target = rec ? JSON.parse(JSON.stringify(rec)) : (fresh ? {} : null);
+        let touched = false;
+        Object.entries(rd.f || {}).forEach(([field, reg]) => {
+          if (!fresh && compareStamps(reg.s, m.f[field]) <= 0) return;
+          if (compareStamps(reg.s, m.f[field]) > 0) m.f[field] = reg.s;
+          if (!target) return;
+          if (reg.x) delete target[field];
+          else target[field] = JSON.parse(JSON.stringify(reg.v));
+          touched = true;
+        });
+        if (alive && target && (touched || !wasAlive)) {
+          if (CRDT_MAPS.includes(coll)) {
+            if (!camp[coll]) camp[coll] = {};
+            camp[coll][key] = target;
+          } else {
+            crdtPlaceItem(camp, coll, key, target, meta);
+          }
+          view[key] = JSON.stringify(target);
+          changed = true;
+        } else if (!alive && wasAlive) {
+          if (CRDT_MAPS.includes(coll)) delete camp[coll][key];
+          else camp[coll] = camp[coll].filter(item => crdtItemKey(item) !== key);
+          delete view[key];
+          changed = true;
+        }
+      });
+    });
+    return { changed, missing };
+  }
+
+  // Whether a player export (exportCampaign(false) in app.js) leaves a record out.
+  function crdtRecordSecret(camp, coll, rec) {
+    const entities = camp.entities || {};
+    const relationships = camp.relationships || {};
+    const hiddenEntity = id => !entities[id] || !!entities[id].gmOnly;
+    const hiddenRelationship = (rel) => !!rel.secret || hiddenEntity(rel.source) || hiddenEntity(rel.target);
+    if (coll === 'entities') return !!rec.gmOnly;
+    if (coll === 'relationships') return hiddenRelationship(rec);
+    if (coll === 'messages') return (rec.target || 'party') !== 'party';
+    if (coll === 'logs') {
+      if (rec.secret) return true;
+      if (!rec.target) return false;
+      if (entities[rec.target]) return hiddenEntity(rec.target);
+      return !relationships[rec.target] || hiddenRelationship(relationships[rec.target]);
+    }
+    return false;
+  }
+
+  // Fields that decide whether crdtRecordSecret hides a record.
+  const CRDT_VISIBILITY_FIELDS = {
+    entities: ['gmOnly'],
+    relationships: ['secret', 'source', 'target'],
+    messages: ['target'],
+    logs: ['secret', 'target']
+  };
+
+  /**
+   * A delta without what a player export leaves out, for channels players
+   * can read: gmOnly entities, GM notes, secret relationships (or ones
+   * touching a hidden entity), whispers and secret log entries. Deletes
+   * stay; they carry nothing but an id. A record whose visibility changed
+   * (its own, or an entity it hangs off) goes whole, stamped r so players
+   * who dropped it take it back; with `opts.deleteHidden` one that is now
+   * hidden goes as a delete stamped with that change, so players drop
+   * their copy. Returns null when nothing is left.
+   */
+  function crdtPlayerSafeDelta(delta, camp, opts = {}) {
+    const out = {};
+    const put = (coll, key, rd) => { (out[coll] || (out[coll] = {}))[key] = rd; };
+    const visibilityStamp = (coll, rd) => (CRDT_VISIBILITY_FIELDS[coll] || [])
+      .map(field => rd.f && rd.f[field] && rd.f[field].s)
+      .reduce((max, stamp) => (stamp && compareStamps(stamp, max) > 0 ? stamp : max), null);
+    const withoutNotes = (coll, f) => {
+      if (coll !== 'entities' || !f.gmNotes) return f;
+      const rest = Object.assign({}, f);
+      delete rest.gmNotes;
+      return rest;
+    };
+    const share = (coll, key, rd, shown) => {
+      const rec = crdtRecords(camp, coll)[key];
+      if (!rec || crdtRecordSecret(camp, coll, rec)) {
+        if (rd.d) put(coll, key, { d: rd.d, f: {} });
+        else if (shown && opts.deleteHidden) put(coll, key, { d: shown, f: {} });
+        return;
+      }
+      if (shown) {
+        const f = Object.assign({}, rd.f);
+        Object.keys(rec).forEach((field) => { if (!f[field]) f[field] = { s: shown, v: rec[field] }; });
+        put(coll, key, Object.assign({}, rd, { a: 1, r: shown, f: withoutNotes(coll, f) }));
+        return;
+      }
+      const f = withoutNotes(coll, rd.f || {});
+      if (Object.keys(f).length || rd.c || rd.d) put(coll, key, f === rd.f ? rd : Object.assign({}, rd, { f }));
+    };
+    const input = delta || {};
+    Object.entries(input).forEach(([coll, records]) => {
+      Object.entries(records).forEach(([key, rd]) => share(coll, key, rd, visibilityStamp(coll, rd)));
+    });
+    // Relationships and log entries hang off the entity that was shown or hidden.
+    Object.entries(input.entities || {}).forEach(([id, rd]) => {
+      const shown = visibilityStamp('entities', rd);
+      if (!shown) return;
+      const relIds = Object.entries(camp.relationships || {})
+        .filter(([, rel]) => rel.source === id || rel.target === id)
+        .map(([relId]) => relId);
+      relIds.forEach((relId) => {
+        if (!(input.relationships && input.relationships[relId])) share('relationships', relId, { f: {} }, shown);
+      });
+      (camp.logs || []).forEach((entry) => {
+        const key = crdtItemKey(entry);
+        if ((entry.target === id || relIds.includes(entry.target)) && !(input.logs && input.logs[key])) {
+          share('logs', key, { f: {} }, shown);
+        }
+      });
+    });
+    return Object.keys(out).length ? out : null;
+  }
+
+  // Entity fields only the GM sets, whoever sends the edit.
+  const PLAYER_LOCKED_FIELDS = ['id', 'type', 'gmOnly', 'gmNotes', 'pendingApproval', 'submittedBy'];
+
+  /**
+   * The part of another member's delta a player may make: field edits to
+   * PCs they own (`pcIds`, only while `allowPcEditing`), NPCs they submit
+   * for approval, and new messages and log entries of their own. `editor`
+   * is { user, pcIds, allowPcEditing }. Everything else, deletes included,
+   * is dropped. Returns null when nothing is left.
+   */
+  function crdtPlayerEditDelta(delta, camp, editor) {
+    const user = editor.user || '';
+    const out = {};
+    const keep = (coll, key, rd) => { (out[coll] || (out[coll] = {}))[key] = rd; };
+    const sent = (rd) => {
+      const rec = {};
+      Object.entries(rd.f || {}).forEach(([field, reg]) => { if (!reg.x) rec[field] = reg.v; });
+      return rec;
+    };
+    const isNew = (current, key, rd) => !current[key] && !!(rd.c || rd.a) && !rd.d;
+    const entities = crdtRecords(camp, 'entities');
+    Object.entries((delta && delta.entities) || {}).forEach(([key, rd]) => {
+      const rec = entities[key];
+      if (rec) {
+        if (rd.d || rec.type !== 'pc' || !editor.allowPcEditing || !(editor.pcIds || []).includes(key)) return;
+        const f = {};
+        Object.entries(rd.f || {}).forEach(([field, reg]) => {
+          if (!PLAYER_LOCKED_FIELDS.includes(field)) f[field] = reg;
+        });
+        if (Object.keys(f).length) keep('entities', key, { f });
+        return;
+      }
+      const npc = sent(rd);
+      if (isNew(entities, key, rd) && npc.id === key && npc.type === 'npc' && npc.pendingApproval === true &&
+          npc.submittedBy === user && !npc.gmOnly && !npc.gmNotes) {
+        keep('entities', key, rd);
+      }
+    });
+    const messages = crdtRecords(camp, 'messages');
+    Object.entries((delta && delta.messages) || {}).forEach(([key, rd]) => {
+      if (isNew(messages, key, rd) && sent(rd).fromUser === user) keep('messages', key, rd);
+    });
+    const logs = crdtRecords(camp, 'logs');
+    Object.entries((delta && delta.logs) || {}).forEach(([key, rd]) => {
+      const entry = sent(rd);
+      if (isNew(logs, key, rd) && entry.actor === user && entry.actorRole === 'player' && !entry.secret) keep('logs', key, rd);
+    });
+    return Object.keys(out).length ? out : null;
+  }
+
+  // ---- Import validation ----------------------------------------------------
+
+  const stringList = { type: 'array', items: { type: 'string' }, default: [] };
+
+  /**
+   * JSON Schemas (the subset validateSchema understands) for everything a
+   * campaign file or content pack carries. A `default` marks a field whose
+   * invalid value may be replaced rather than rejecting the whole record.
+   */
+  const IMPORT_SCHEMAS = {
+    campaign: {
+      type: 'object',
+      required: ['entities', 'relationships'],
+      properties: {
+        name: { type: 'string', default: 'Imported Campaign' },
+        entities: { type: 'object' },
+        relationships: { type: 'object' },
+        positions: { type: 'object', default: {} },
+        messages: { type: 'array', default: [] },
+        clocks: { type: 'array', default: [] },
+        scenarioPacks: { type: 'array', default: [] }
+      }
+    },
+    entity: {
+      type: 'object',
+      required: ['id', 'type'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        type: { enum: ['pc', 'npc', 'org'] },
+        name: { type: 'string', default: '' },
+        gmOnly: { type: 'boolean', default: false },
+        tags: stringList,
+        notes: { type: 'string', default: '' },
+        gmNotes: { type: 'string', default: '' },
+        skills: { type: 'array', default: [] },
+        domains: { type: 'array', default: [] },
+        resistances: { type: 'array', default: [] },
+        inventory: { type: 'array', default: [] },
+        fallout: { type: 'array', default: [] },
+        bonds: { type: 'array', default: [] },
+        tasks: { type: 'array', default: [] },
+        advances: { type: 'array', default: [] },
+        stressFilled: { type: 'object', additionalProperties: { type: 'array', items: { type: 'integer' } } },
+        advancePoints: { type: 'integer', minimum: 0, default: 0 },
+        bondStressSlots: { type: 'integer', minimum: 1, default: 10 },
+        bondStressFilled: { type: 'array', items: { type: 'integer' }, default: [] },
+        members: stringList,
+        affiliation: { type: 'string', default: '' }
+      }
+    },
+    relationship: {
+      type: 'object',
+      required: ['id', 'source', 'target'],
+      properties: {
+        id: { type: 'string', minLength: 1 },
+        source: { type: 'string', minLength: 1 },
+        target: { type: 'string', minLength: 1 },
+        type: { type: 'string', default: '' },
+        directed: { type: 'boolean', default: true },
+        secret: { type: 'boolean', default: false },
+        sourceKnows: { type: 'boolean', default: true },
+        targetKnows: { type: 'boolean', default: true },
+        notes: { type: 'string', default: '' },
+        falloutLevel: { enum: ['Minor', 'Moderate', 'Severe'], default: 'Minor' }
+      }
+    },
+    message: {
+      type: 'object',
+      required: ['text'],
+      properties: {
+        id: { type: 'string' },
+        time: { type: 'string', default: '' },
+        fromUser: { type: 'string', default: '' },
+        fromRole: { enum: ['gm', 'player'], default: 'player' },
+        target: { type: 'string', minLength: 1, default: 'party' },
+        text: { type: 'string' },
+        readBy: { type: 'object', default: {} }
+      }
+    },
+    clock: {
+      type: 'object',
+      required: ['name', 'size'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        current: { type: 'integer', minimum: 0, default: 0 },
+        size: { type: 'integer', minimum: 1 }
+      }
+    },
+    scenarioPack: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string', minLength: 1 },
+        version: { type: 'string', default: '1.0.0' },
+        sourcebook: { type: 'string' },
+        enabled: { type: 'boolean', default: true },
+        scenePrompts: {
+          type: 'object',
+          properties: { complications: stringList, factionReactions: stringList, twists: stringList }
+        },
+        npcTemplates: { type: 'object', additionalProperties: { type: 'object' } },
+        classEffects: { type: 'object', additionalProperties: { type: 'object' } },
+        duranceEffects: { type: 'object', additionalProperties: { type: 'object' } },
+        advances: { type: 'object', additionalProperties: { type: 'object' } },
+        equipment: { type: 'array', items: { type: 'object', required: ['name'], properties: { name: { type: 'string', minLength: 1 } } } },
+        falloutGuidance: {
+          type: 'object',
+          additionalProperties: { type: 'object', additionalProperties: stringList }
+        }
+      }
+    }
+  };
+
+  function schemaTypeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+  }
+
+  function matchesSchemaType(value, type) {
+    const actual = schemaTypeOf(value);
+    if (type === 'number') return actual === 'integer' || (actual === 'number' && Number.isFinite(value));
+    return actual === type;
+  }
+
+  // Lossless conversions only: "3" -> 3, 3 -> "3", "true" -> true.
+  function coerceSchemaType(value, type) {
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '') {
+      const n = Number(value);
+      if (Number.isFinite(n) && (type === 'number' || Number.isInteger(n))) return { ok: true, value: n };
+    }
+    if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) return { ok: true, value: String(value) };
+    if (type === 'boolean' && (value === 'true' || value === 'false')) return { ok: true, value: value === 'true' };
+    return { ok: false };
+  }
+
+  /**
+   * Validate a value against a JSON Schema subset: type, enum, required,
+   * properties, additionalProperties (as a schema), items, minimum and
+   * minLength. With opts.coerce, mismatched scalars are converted when the
+   * conversion is lossless and other invalid values are replaced by the
+   * field's `default` (missing optional fields are left alone for the
+   * campaign migrations to fill); each change is listed in `coerced`. The input is never
+   * modified. Returns { value, errors: [{ path, message }], coerced:
+   * [{ path, from, to }] }.
+   */
+  function validateSchema(input, schema, opts = {}) {
+    const errors = [];
+    const coerced = [];
+    const clone = v => (v === undefined ? v : JSON.parse(JSON.stringify(v)));
+    const label = path => path || '(root)';
+    const useDefault = (s, path, from) => {
+      if (!opts.coerce || !s || s.default === undefined) return false;
+      coerced.push({ path: label(path), from: JSON.stringify(from), to: JSON.stringify(s.default) });
+      return true;
+    };
+    const walk = (value, s, path) => {
+      if (!s) return value;
+      const types = s.type ? [].concat(s.type) : null;
+      if (types && !types.some(t => matchesSchemaType(value, t))) {
+        const fix = opts.coerce ? types.map(t => coerceSchemaType(value, t)).find(r => r.ok) : null;
+        if (fix) {
+          coerced.push({ path: label(path), from: JSON.stringify(value), to: JSON.stringify(fix.value) });
+          value = fix.value;
+        } else if (useDefault(s, path, value)) {
+          return clone(s.default);
+        } else {
+          errors.push({ path: label(path), message: `should be ${types.join(' or ')}, got ${schemaTypeOf(value)}` });
+          return value;
+        }
+      }
+      if (s.enum && !s.enum.includes(value)) {
+        if (useDefault(s, path, value)) return clone(s.default);
+        errors.push({ path: label(path), message: `should be one of ${s.enum.join(', ')}` });
+        return value;
+      }
+      if (typeof s.minimum === 'number' && typeof value === 'number' && value < s.minimum) {
+        if (useDefault(s, path, value)) return clone(s.default);
+        errors.push({ path: label(path), message: `should be at least ${s.minimum}` });
+      }
+      if (typeof s.minLength === 'number' && typeof value === 'string' && value.trim().length < s.minLength) {
+        if (useDefault(s, path, value)) return clone(s.default);
+        errors.push({ path: label(path), message: 'should not be empty' });
+      }
+      const join = key => (path ? `${path}.${key}` : String(key));
+      if (Array.isArray(value) && s.items) {
+        return value.map((item, i) => walk(item, s.items, join(i)));
+      }
+      if (schemaTypeOf(value) === 'object' && (s.properties || s.additionalProperties || s.required)) {
+        const out = Object.assign({}, value);
+        (s.required || []).forEach((key) => {
+          if (out[key] === undefined) errors.push({ path: join(key), message: 'is required' });
+        });
+        Object.entries(s.properties || {}).forEach(([key, sub]) => {
+          if (out[key] !== undefined) out[key] = walk(out[key], sub, join(key));
+        });
+        if (s.additionalProperties) {
+          Object.keys(out).forEach((key) => {
+            if (!(s.properties || {})[key]) out[key] = walk(out[key], s.additionalProperties, join(key));
+          });
+        }
+        return out;
+      }
+      return value;
+    };
+    const value = walk(clone(input), schema, opts.path || '');
+    return { value, errors, coerced };
+  }
+
+  /**
+   * Validate and coerce one imported record (`kind` is a key of
+   * IMPORT_SCHEMAS). Relationships are also checked against `entityIds`:
+   * an endpoint that isn't there is reported in `missing`.
+   */
+  function validateImportItem(kind, raw, opts = {}) {
+    const res = validateSchema(raw, IMPORT_SCHEMAS[kind], { coerce: true, path: opts.path || '' });
+    const missing = [];
+    if (kind === 'relationship' && !res.errors.length && opts.entityIds) {
+      [res.value.source, res.value.target].forEach((id) => {
+        if (!opts.entityIds.includes(id) && !missing.includes(id)) missing.push(id);
+      });
+    }
+    return Object.assign(res, { missing });
+  }
+
+  /**
+   * Check a whole campaign file before import. Returns a report with
+   * `fatal` errors (the file isn't a campaign at all), per-kind lists of
+   * malformed records, relationships that dangle once malformed entities
+   * are left out, every coerced field, a `subset` holding only the valid
+   * (coerced) records, and a `quarantine` list of { kind, key, name, data,
+   * reasons } for everything left out.
+   */
+  function validateCampaignImport(data) {
+    const report = {
+      fatal: [],
+      counts: {},
+      malformed: { entity: [], relationship: [], message: [], clock: [], scenarioPack: [] },
+      dangling: [],
+      coerced: [],
+      quarantine: [],
+      subset: null
+    };
+    const top = validateSchema(data, IMPORT_SCHEMAS.campaign, { coerce: true });
+    if (top.errors.length) {
+      report.fatal = top.errors.map(e => `${e.path} ${e.message}`);
+      return report;
+    }
+    report.coerced.push(...top.coerced);
+    const subset = Object.assign({}, top.value, { entities: {}, relationships: {}, positions: {}, messages: [], clocks: [], scenarioPacks: [] });
+    const quarantine = (kind, key, raw, reasons) => {
+      const name = (raw && typeof raw === 'object' && (raw.name || raw.text)) || '';
+      report.quarantine.push({ kind, key: String(key), name: String(name).slice(0, 60), data: raw, reasons });
+    };
+    const check = (kind, key, raw, path, opts = {}) => {
+      const res = validateImportItem(kind, raw, Object.assign({ path }, opts));
+      if (res.errors.length) {
+        const reasons = res.errors.map(e => `${e.path} ${e.message}`);
+        report.malformed[kind].push({ key: String(key), name: (raw && raw.name) || '', errors: reasons });
+        quarantine(kind, key, raw, reasons);
+        return null;
+      }
+      if (res.missing.length) {
+        const reasons = res.missing.map(id => `points at missing entity ${id}`);
+        report.dangling.push({ key: String(key), source: res.value.source, target: res.value.target, missing: res.missing });
+        quarantine(kind, key, raw, reasons);
+        return null;
+      }
+      report.coerced.push(...res.coerced);
+      return res.value;
+    };
+
+    const entities = Object.entries(top.value.entities);
+    entities.forEach(([key, raw]) => {
+      const ent = check('entity', key, raw, `entities.${key}`);
+      if (!ent) return;
+      if (ent.id !== key) {
+        report.coerced.push({ path: `entities.${key}.id`, from: JSON.stringify(ent.id), to: JSON.stringify(key) });
+        ent.id = key;
+      }
+      subset.entities[key] = ent;
+    });
+    const entityIds = Object.keys(subset.entities);
+    const relationships = Object.entries(top.value.relationships);
+    relationships.forEach(([key, raw]) => {
+      const rel = check('relationship', key, raw, `relationships.${key}`, { entityIds });
+      if (rel) subset.relationships[key] = rel;
+    });
+    (top.value.messages || []).forEach((raw, i) => {
+      const msg = check('message', i, raw, `messages.${i}`);
+      if (msg) subset.messages.push(msg);
+    });
+    (top.value.clocks || []).forEach((raw, i) => {
+      const clock = check('clock', i, raw, `clocks.${i}`);
+      if (clock) subset.clocks.push(clock);
+    });
+    (top.value.scenarioPacks || []).forEach((raw, i) => {
+      const pack = check('scenarioPack', i, raw, `scenarioPacks.${i}`);
+      if (pack) subset.scenarioPacks.push(pack);
+    });
+    Object.entries(top.value.positions || {}).forEach(([key, pos]) => {
+      if (subset.entities[key]) subset.positions[key] = pos;
+    });
+    report.counts = {
+      entity: entities.length,
+      relationship: relationships.length,
+      message: (top.value.messages || []).length,
+      clock: (top.value.clocks || []).length,
+      scenarioPack: (top.value.scenarioPacks || []).length
+    };
+    report.subset = subset;
+    return report;
+  }
+
+  /**
+   * Compare two dotted content pack versions ("1.2.0" vs "1.10"). Missing
+   * parts count as 0 and non-numeric parts compare as text. Returns -1, 0
+   * or 1.
+   */
+  function compareVersions(a, b) {
+    const pa = String(a || '0').trim().replace(/^v/i, '').split('.');
+    const pb = String(b || '0').trim().replace(/^v/i, '').split('.');
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+      const x = pa[i] || '0';
+      const y = pb[i] || '0';
+      const nx = Number(x);
+      const ny = Number(y);
+      const cmp = Number.isFinite(nx) && Number.isFinite(ny) ? nx - ny : x.localeCompare(y);
+      if (cmp) return cmp < 0 ? -1 : 1;
+    }
+    return 0;
   }
 
   const engine = {
     getRulesConfig,
+    DEFAULT_RULES_PROFILE,
+    defaultRulesProfile,
+    validateRulesProfile,
+    getRulesProfile,
+    trackRule,
+    falloutTrackRule,
     totalStressForFallout,
     falloutSeverityForTotalStress,
-    stressClearAmountForSeverity
+    stressClearAmountForSeverity,
+    FALLOUT_EFFECT_KINDS,
+    normalizeFalloutEffect,
+    parseFalloutEffect,
+    parseFalloutEffects,
+    formatFalloutEffects,
+    describeFalloutEffect,
+    falloutTableFor,
+    rollFalloutTable,
+    nextFalloutSeverity,
+    planFalloutEscalation,
+    activeFalloutEffects,
+    falloutEffectTotal,
+    isBlockedByFallout,
+    OUTCOME_BANDS,
+    d10OutcomeBand,
+    downgradeOutcomeBand,
+    stressHintForBand,
+    createSeededRng,
+    rollDie,
+    computeDicePool,
+    resolveRoll,
+    parseStressExpression,
+    rollStressExpression,
+    ARMOR_TAG_RULES,
+    WEAPON_TAG_RULES,
+    normalizeTag,
+    armourSoakForHit,
+    planStressHit,
+    weaponReadiness,
+    recordWeaponUse,
+    reloadWeapon,
+    tagSuggestionsForRoll,
+    ADVANCE_TIERS,
+    normalizeAdvance,
+    advanceCatalog,
+    describePrerequisite,
+    missingPrerequisites,
+    canTakeAdvance,
+    dependentAdvances,
+    REFRESH_DEGREES,
+    refreshDegree,
+    refreshesForSession,
+    hasRefreshedInSession,
+    describeRefresh,
+    BOND_STRESS_SLOTS,
+    BOND_STATUSES,
+    bondStressSlots,
+    planBondStress,
+    bondStatus,
+    worstBondStatus,
+    CREATION_STEPS,
+    creationGrants,
+    bondTargetForPrompt,
+    validateCharacterDraft,
+    parseKitItemLine,
+    formatKitItemLine,
+    parseAdvanceLine,
+    formatAdvanceLine,
+    validateClassDefinition,
+    runMigrations,
+    IMPORT_SCHEMAS,
+    validateSchema,
+    validateImportItem,
+    validateCampaignImport,
+    campaignFingerprint,
+    diffCampaignFingerprints,
+    campaignDiffSize,
+    campaignChangeSet,
+    campaignPatchOps,
+    campaignCloudRows,
+    cloudRowsFingerprint,
+    cloudRowChanges,
+    campaignFromCloudRows,
+    campaignVersionSnapshot,
+    keepCurrentPortraits,
+    diffJson,
+    applyJsonPatch,
+    summarizeVersionChanges,
+    materializeCheckpoint,
+    createCheckpoint,
+    pruneCheckpoints,
+    campaignFromFingerprint,
+    mergeCampaigns,
+    resolveMergeConflicts,
+    mergeCampaignMaps,
+    crdtItemKey,
+    createCrdtReplica,
+    crdtPersistedState,
+    crdtLocalChanges,
+    crdtStateDelta,
+    applyCrdtDelta,
+    crdtPlayerSafeDelta,
+    crdtPlayerEditDelta,
+    compareVersions
   };
 
   if (typeof window !== 'undefined') {
@@ -88,6 +88,96 @@ create trigger trg_campaign_touch
 before update on public.campaigns
 for each row execute function public.touch_campaign_updated_at();
 
+-- --------------------------------------------
+-- Campaign records
+-- --------------------------------------------
+-- campaigns.data keeps the campaign's own fields; entities, relationships,
+-- log entries, messages and GM notes are one row each so RLS can hide GM
+-- material from players row by row. `data` is the record as the app keeps
+-- it; the other columns copy what the policies need.
+create table if not exists public.campaign_entities (
+  campaign_id uuid not null references public.campaigns(id) on delete cascade,
+  id text not null,
+  sort_order int not null default 0,
+  gm_only boolean not null default false,
+  owner_user text, -- player who owns this PC or submitted this NPC; set by save_player_records
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, id)
+);
+
+create table if not exists public.campaign_relationships (
+  campaign_id uuid not null references public.campaigns(id) on delete cascade,
+  id text not null,
+  sort_order int not null default 0,
+  source_id text not null default '',
+  target_id text not null default '',
+  secret boolean not null default false,
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, id)
+);
+
+-- Log rows are keyed by the entry's id or content hash (crdtItemKey in
+-- rules-engine.js), so members appending at once write different rows.
+create table if not exists public.campaign_logs (
+  campaign_id uuid not null references public.campaigns(id) on delete cascade,
+  id text not null,
+  sort_order int not null default 0,
+  secret boolean not null default false,
+  target_id text,
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, id)
+);
+
+create table if not exists public.campaign_messages (
+  campaign_id uuid not null references public.campaigns(id) on delete cascade,
+  id text not null,
+  sort_order int not null default 0,
+  from_user text not null default '',
+  target text not null default 'party',
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, id)
+);
+
+-- Board notes (entity_id null) and each entity's GM notes ('entity:<id>').
+create table if not exists public.campaign_gm_notes (
+  campaign_id uuid not null references public.campaigns(id) on delete cascade,
+  id text not null,
+  entity_id text,
+  sort_order int not null default 0,
+  data jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, id)
+);
+
+drop trigger if exists trg_campaign_entities_touch on public.campaign_entities;
+create trigger trg_campaign_entities_touch
+before update on public.campaign_entities
+for each row execute function public.touch_campaign_updated_at();
+
+drop trigger if exists trg_campaign_relationships_touch on public.campaign_relationships;
+create trigger trg_campaign_relationships_touch
+before update on public.campaign_relationships
+for each row execute function public.touch_campaign_updated_at();
+
+drop trigger if exists trg_campaign_logs_touch on public.campaign_logs;
+create trigger trg_campaign_logs_touch
+before update on public.campaign_logs
+for each row execute function public.touch_campaign_updated_at();
+
+drop trigger if exists trg_campaign_messages_touch on public.campaign_messages;
+create trigger trg_campaign_messages_touch
+before update on public.campaign_messages
+for each row execute function public.touch_campaign_updated_at();
+
+drop trigger if exists trg_campaign_gm_notes_touch on public.campaign_gm_notes;
+create trigger trg_campaign_gm_notes_touch
+before update on public.campaign_gm_notes
+for each row execute function public.touch_campaign_updated_at();
+
 -- --------------------------------------------
 -- Helper functions / RPCs
 -- --------------------------------------------
@@ -237,6 +327,392 @@ begin
 end;
 $$;
 
+create or replace function public.current_username()
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select p.username
+  from public.profiles p
+  where p.id = auth.uid();
+$$;
+
+-- Shape checks for an entity a player saves: a known size, a string name
+-- and stress tracks as { track: [box numbers] }, the way the app writes them.
+create or replace function public.player_entity_data_ok(p_data jsonb)
+returns boolean
+language plpgsql
+immutable
+as $$
+declare
+  v_track record;
+begin
+  if jsonb_typeof(p_data) is distinct from 'object' or length(p_data::text) > 100000 then
+    return false;
+  end if;
+  if coalesce(p_data->>'type', '') not in ('pc', 'npc') then
+    return false;
+  end if;
+  if jsonb_typeof(coalesce(p_data->'name', '""'::jsonb)) <> 'string' or length(coalesce(p_data->>'name', '')) > 200 then
+    return false;
+  end if;
+  if p_data ? 'stressFilled' then
+    if jsonb_typeof(p_data->'stressFilled') <> 'object' then
+      return false;
+    end if;
+    for v_track in select value from jsonb_each(p_data->'stressFilled') loop
+      if jsonb_typeof(v_track.value) <> 'array' or exists (
+        select 1 from jsonb_array_elements(v_track.value) box where jsonb_typeof(box.value) <> 'number'
+      ) then
+        return false;
+      end if;
+    end loop;
+  end if;
+  if p_data ? 'advancePoints' and (jsonb_typeof(p_data->'advancePoints') <> 'number' or (p_data->>'advancePoints')::numeric < 0) then
+    return false;
+  end if;
+  return true;
+end;
+$$;
+
+-- The only way players write campaign records. Accepts entity rows for the
+-- PC the player owns (or a first PC under a new id, which they then own)
+-- and for NPCs they submit for approval, message rows they sent, and log
+-- rows for their own rolls. Editing an owned PC needs player editing on;
+-- creating a first PC does not. A PC that already exists without this
+-- player as owner is refused. Rows are { id, sort_order, data } as the
+-- client builds them (log rows also carry target_id); entity data must
+-- pass player_entity_data_ok, and fields only the GM sets are dropped.
+-- Roll log rows are written once and never changed. Anything else is
+-- refused row by row and reported back rather than failing the save.
+create or replace function public.save_player_records(p_campaign_id uuid, p_entities jsonb, p_messages jsonb, p_logs jsonb)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user text := public.current_username();
+  v_editing boolean;
+  v_owned text;
+  v_row jsonb;
+  v_data jsonb;
+  v_id text;
+  v_existing public.campaign_entities%rowtype;
+  v_found boolean;
+  v_saved int := 0;
+  v_refused jsonb := '[]'::jsonb;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated';
+  end if;
+
+  if public.user_campaign_role(p_campaign_id) is distinct from 'player' then
+    raise exception 'Only players of this campaign save through save_player_records';
+  end if;
+
+  select coalesce(data->>'allowPlayerEditing', 'true') <> 'false' into v_editing
+  from public.campaigns
+  where id = p_campaign_id;
+
+  select id into v_owned
+  from public.campaign_entities
+  where campaign_id = p_campaign_id
+    and owner_user = v_user
+    and data->>'type' = 'pc'
+  limit 1;
+
+  for v_row in select value from jsonb_array_elements(coalesce(p_entities, '[]'::jsonb)) loop
+    v_id := v_row->>'id';
+    v_data := v_row->'data';
+    if v_id is null or v_id = '' or not public.player_entity_data_ok(v_data)
+        or v_data->>'id' is distinct from v_id or coalesce(v_data->>'gmOnly', 'false') = 'true' then
+      v_refused := v_refused || to_jsonb(v_id);
+      continue;
+    end if;
+    v_data := v_data - array['gmNotes', 'gmOnly'];
+
+    select * into v_existing
+    from public.campaign_entities
+    where campaign_id = p_campaign_id and id = v_id
+    for update;
+    v_found := found;
+
+    if v_data->>'type' = 'pc' then
+      if v_found then
+        -- Only the player's own PC, while editing is on.
+        if v_existing.owner_user is distinct from v_user or v_existing.gm_only
+            or v_existing.data->>'type' is distinct from 'pc' or not v_editing then
+          v_refused := v_refused || to_jsonb(v_id);
+          continue;
+        end if;
+      elsif v_owned is not null then
+        -- A second PC for this player.
+        v_refused := v_refused || to_jsonb(v_id);
+        continue;
+      else
+        v_owned := v_id;
+      end if;
+      v_data := v_data - array['pendingApproval', 'submittedBy'];
+    elsif v_data->>'type' = 'npc' and v_data->>'pendingApproval' = 'true' and v_data->>'submittedBy' = v_user then
+      if v_found and (v_existing.owner_user is distinct from v_user or v_existing.data->>'pendingApproval' is distinct from 'true') then
+        v_refused := v_refused || to_jsonb(v_id);
+        continue;
+      end if;
+    else
+      v_refused := v_refused || to_jsonb(v_id);
+      continue;
+    end if;
+
+    insert into public.campaign_entities (campaign_id, id, sort_order, gm_only, owner_user, data)
+    values (p_campaign_id, v_id, coalesce((v_row->>'sort_order')::int, 0), false, v_user, v_data)
+    on conflict (campaign_id, id) do update
+    set data = excluded.data,
+        owner_user = excluded.owner_user;
+    v_saved := v_saved + 1;
+  end loop;
+
+  for v_row in select value from jsonb_array_elements(coalesce(p_messages, '[]'::jsonb)) loop
+    v_id := v_row->>'id';
+    v_data := v_row->'data';
+    if v_id is null or v_id = '' or jsonb_typeof(v_data) is distinct from 'object'
+        or length(v_data::text) > 20000
+        or jsonb_typeof(v_data->'text') is distinct from 'string'
+        or v_data->>'fromUser' is distinct from v_user
+        or exists (
+          select 1 from public.campaign_messages m
+          where m.campaign_id = p_campaign_id and m.id = v_id and m.from_user is distinct from v_user
+        ) then
+      v_refused := v_refused || to_jsonb(v_id);
+      continue;
+    end if;
+
+    insert into public.campaign_messages (campaign_id, id, sort_order, from_user, target, data)
+    values (p_campaign_id, v_id, coalesce((v_row->>'sort_order')::int, 0), v_user, coalesce(v_data->>'target', 'party'), v_data)
+    on conflict (campaign_id, id) do update
+    set data = excluded.data,
+        target = excluded.target;
+    v_saved := v_saved + 1;
+  end loop;
+
+  for v_row in select value from jsonb_array_elements(coalesce(p_logs, '[]'::jsonb)) loop
+    v_id := v_row->>'id';
+    v_data := v_row->'data';
+    if v_id is null or v_id = '' or jsonb_typeof(v_data) is distinct from 'object'
+        or length(v_data::text) > 20000
+        or v_data->>'type' is distinct from 'roll'
+        or v_data->>'actor' is distinct from v_user
+        or v_data->>'actorRole' is distinct from 'player'
+        or exists (
+          select 1 from public.campaign_logs l
+          where l.campaign_id = p_campaign_id and l.id = v_id and l.data->>'actor' is distinct from v_user
+        ) then
+      v_refused := v_refused || to_jsonb(v_id);
+      continue;
+    end if;
+
+    insert into public.campaign_logs (campaign_id, id, sort_order, secret, target_id, data)
+    values (p_campaign_id, v_id, coalesce((v_row->>'sort_order')::int, 0),
+      coalesce(v_data->>'secret', 'false') = 'true', nullif(v_row->>'target_id', ''), v_data)
+    on conflict (campaign_id, id) do nothing;
+    v_saved := v_saved + 1;
+  end loop;
+
+  return jsonb_build_object('saved', v_saved, 'refused', v_refused);
+end;
+$$;
+
+-- A GM's save of a campaign in one transaction, so a failure leaves the
+-- cloud copy as it was: campaigns.data when p_fields is not null, then
+-- deletes (p_del: { kind: [key] }) and upserts (p_put: { kind: [row] })
+-- per record table, rows as campaignCloudRows in rules-engine.js builds
+-- them. Runs with the caller's rights, so the tables' policies still apply.
+create or replace function public.save_campaign_records(p_campaign_id uuid, p_fields jsonb, p_put jsonb, p_del jsonb)
+returns void
+language plpgsql
+set search_path = public
+as $$
+begin
+  if public.user_campaign_role(p_campaign_id) is distinct from 'gm' then
+    raise exception 'Only GMs of this campaign save through save_campaign_records';
+  end if;
+
+  if p_fields is not null then
+    update public.campaigns set data = p_fields where id = p_campaign_id;
+  end if;
+
+  delete from public.campaign_entities
+  where campaign_id = p_campaign_id
+    and id in (select jsonb_array_elements_text(coalesce(p_del->'entities', '[]'::jsonb)));
+  delete from public.campaign_relationships
+  where campaign_id = p_campaign_id
+    and id in (select jsonb_array_elements_text(coalesce(p_del->'relationships', '[]'::jsonb)));
+  delete from public.campaign_logs
+  where campaign_id = p_campaign_id
+    and id in (select jsonb_array_elements_text(coalesce(p_del->'logs', '[]'::jsonb)));
+  delete from public.campaign_messages
+  where campaign_id = p_campaign_id
+    and id in (select jsonb_array_elements_text(coalesce(p_del->'messages', '[]'::jsonb)));
+  delete from public.campaign_gm_notes
+  where campaign_id = p_campaign_id
+    and id in (select jsonb_array_elements_text(coalesce(p_del->'gmNotes', '[]'::jsonb)));
+
+  -- owner_user is left alone; save_player_records sets it.
+  insert into public.campaign_entities (campaign_id, id, sort_order, gm_only, data)
+  select p_campaign_id, r->>'id', coalesce((r->>'sort_order')::int, 0), coalesce((r->>'gm_only')::boolean, false), r->'data'
+  from jsonb_array_elements(coalesce(p_put->'entities', '[]'::jsonb)) as t(r)
+  on conflict (campaign_id, id) do update
+  set sort_order = excluded.sort_order,
+      gm_only = excluded.gm_only,
+      data = excluded.data;
+
+  insert into public.campaign_relationships (campaign_id, id, sort_order, source_id, target_id, secret, data)
+  select p_campaign_id, r->>'id', coalesce((r->>'sort_order')::int, 0), coalesce(r->>'source_id', ''),
+    coalesce(r->>'target_id', ''), coalesce((r->>'secret')::boolean, false), r->'data'
+  from jsonb_array_elements(coalesce(p_put->'relationships', '[]'::jsonb)) as t(r)
+  on conflict (campaign_id, id) do update
+  set sort_order = excluded.sort_order,
+      source_id = excluded.source_id,
+      target_id = excluded.target_id,
+      secret = excluded.secret,
+      data = excluded.data;
+
+  insert into public.campaign_logs (campaign_id, id, sort_order, secret, target_id, data)
+  select p_campaign_id, r->>'id', coalesce((r->>'sort_order')::int, 0), coalesce((r->>'secret')::boolean, false),
+    r->>'target_id', r->'data'
+  from jsonb_array_elements(coalesce(p_put->'logs', '[]'::jsonb)) as t(r)
+  on conflict (campaign_id, id) do update
+  set sort_order = excluded.sort_order,
+      secret = excluded.secret,
+      target_id = excluded.target_id,
+      data = excluded.data;
+
+  insert into public.campaign_messages (campaign_id, id, sort_order, from_user, target, data)
+  select p_campaign_id, r->>'id', coalesce((r->>'sort_order')::int, 0), coalesce(r->>'from_user', ''),
+    coalesce(r->>'target', 'party'), r->'data'
+  from jsonb_array_elements(coalesce(p_put->'messages', '[]'::jsonb)) as t(r)
+  on conflict (campaign_id, id) do update
+  set sort_order = excluded.sort_order,
+      from_user = excluded.from_user,
+      target = excluded.target,
+      data = excluded.data;
+
+  insert into public.campaign_gm_notes (campaign_id, id, entity_id, sort_order, data)
+  select p_campaign_id, r->>'id', r->>'entity_id', coalesce((r->>'sort_order')::int, 0), r->'data'
+  from jsonb_array_elements(coalesce(p_put->'gmNotes', '[]'::jsonb)) as t(r)
+  on conflict (campaign_id, id) do update
+  set entity_id = excluded.entity_id,
+      sort_order = excluded.sort_order,
+      data = excluded.data;
+end;
+$$;
+
+-- campaigns.data as a player may see it, by the rules of a player export
+-- (exportCampaign(false) in app.js) plus the record policies below: no GM
+-- PIN, GM notes, undo/redo snapshots or import quarantine, and positions
+-- only for entities the player can see. Campaigns saved before records had
+-- their own tables still hold every record in data; those are filtered
+-- here the same way the record tables' policies filter rows.
+create or replace function public.player_campaign_data(p_campaign_id uuid, p_data jsonb)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_user text := public.current_username();
+  v_out jsonb := coalesce(p_data, '{}'::jsonb)
+    - array['gmPin', 'undoStack', 'redoStack', 'relationshipUndo', 'relationshipRedo', 'importQuarantine'];
+  v_entities jsonb;
+  v_relationships jsonb;
+begin
+  if v_out ? 'entities' then
+    select coalesce(jsonb_object_agg(e.key, e.value - 'gmNotes'), '{}'::jsonb) into v_entities
+    from jsonb_each(case when jsonb_typeof(v_out->'entities') = 'object' then v_out->'entities' else '{}'::jsonb end) e
+    where coalesce(e.value->>'gmOnly', 'false') <> 'true';
+
+    select coalesce(jsonb_object_agg(r.key, r.value), '{}'::jsonb) into v_relationships
+    from jsonb_each(case when jsonb_typeof(v_out->'relationships') = 'object' then v_out->'relationships' else '{}'::jsonb end) r
+    where coalesce(r.value->>'secret', 'false') <> 'true'
+      and v_entities ? coalesce(r.value->>'source', '')
+      and v_entities ? coalesce(r.value->>'target', '');
+
+    v_out := v_out || jsonb_build_object(
+      'entities', v_entities,
+      'relationships', v_relationships,
+      'messages', (
+        select coalesce(jsonb_agg(m.value order by m.ordinality), '[]'::jsonb)
+        from jsonb_array_elements(case when jsonb_typeof(v_out->'messages') = 'array' then v_out->'messages' else '[]'::jsonb end)
+          with ordinality as m(value, ordinality)
+        where coalesce(m.value->>'target', 'party') = 'party'
+          or m.value->>'fromUser' = v_user
+          or m.value->>'target' = 'user:' || v_user
+      ),
+      'logs', (
+        select coalesce(jsonb_agg(l.value order by l.ordinality), '[]'::jsonb)
+        from jsonb_array_elements(case when jsonb_typeof(v_out->'logs') = 'array' then v_out->'logs' else '[]'::jsonb end)
+          with ordinality as l(value, ordinality)
+        where coalesce(l.value->>'secret', 'false') <> 'true'
+          and (
+            coalesce(l.value->>'target', '') = ''
+            or v_entities ? (l.value->>'target')
+            or v_relationships ? (l.value->>'target')
+          )
+      )
+    );
+  else
+    select coalesce(jsonb_object_agg(e.id, true), '{}'::jsonb) into v_entities
+    from public.campaign_entities e
+    where e.campaign_id = p_campaign_id
+      and not e.gm_only;
+  end if;
+
+  v_out := v_out || jsonb_build_object(
+    'gmNotes', '[]'::jsonb,
+    'positions', (
+      select coalesce(jsonb_object_agg(pos.key, pos.value), '{}'::jsonb)
+      from jsonb_each(case when jsonb_typeof(v_out->'positions') = 'object' then v_out->'positions' else '{}'::jsonb end) pos
+      where v_entities ? pos.key
+    )
+  );
+  return v_out;
+end;
+$$;
+
+-- The campaigns this user belongs to, with campaigns.data whole for GMs and
+-- as player_campaign_data for players.
+create or replace function public.list_my_campaigns()
+returns table (
+  role text,
+  id uuid,
+  name text,
+  owner_user_id uuid,
+  data jsonb,
+  created_at timestamptz,
+  updated_at timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    cm.role,
+    c.id,
+    c.name,
+    c.owner_user_id,
+    case when cm.role = 'gm' then c.data else public.player_campaign_data(c.id, c.data) end,
+    c.created_at,
+    c.updated_at
+  from public.campaign_members cm
+  join public.campaigns c on c.id = cm.campaign_id
+  where cm.user_id = auth.uid()
+  order by cm.joined_at;
+$$;
+
 -- --------------------------------------------
 -- RLS
 -- --------------------------------------------
@@ -244,6 +720,11 @@ alter table public.profiles enable row level security;
 alter table public.campaigns enable row level security;
 alter table public.campaign_members enable row level security;
 alter table public.invite_codes enable row level security;
+alter table public.campaign_entities enable row level security;
+alter table public.campaign_relationships enable row level security;
+alter table public.campaign_logs enable row level security;
+alter table public.campaign_messages enable row level security;
+alter table public.campaign_gm_notes enable row level security;
 
 -- Profiles: users can read all profiles, edit own profile only.
 drop policy if exists profiles_select_all on public.profiles;
@@ -256,16 +737,13 @@ for update using (auth.uid() = id)
 with check (auth.uid() = id);
 
 -- Campaigns: members can read. GM can insert/update/delete.
+-- Campaigns: GM members read the row itself; players get a projection
+-- through list_my_campaigns so campaigns.data never reaches them whole.
 drop policy if exists campaigns_select_members on public.campaigns;
-create policy campaigns_select_members on public.campaigns
+drop policy if exists campaigns_select_gm on public.campaigns;
+create policy campaigns_select_gm on public.campaigns
 for select
-using (
-  exists (
-    select 1 from public.campaign_members cm
-    where cm.campaign_id = campaigns.id
-      and cm.user_id = auth.uid()
-  )
-);
+using (public.user_campaign_role(id) = 'gm');
 
 drop policy if exists campaigns_insert_gm on public.campaigns;
 create policy campaigns_insert_gm on public.campaigns
@@ -365,8 +843,122 @@ with check (
   )
 );
 
+-- Campaign records: GM reads and writes everything. Players read the rows
+-- a player export keeps: no gmOnly entities, no secret relationships or
+-- relationships touching a hidden entity, no secret log entries or entries
+-- about a hidden record, only party messages and their own whispers, and
+-- no GM notes. Players write only through save_player_records.
+drop policy if exists campaign_entities_select on public.campaign_entities;
+create policy campaign_entities_select on public.campaign_entities
+for select
+using (
+  public.user_campaign_role(campaign_id) = 'gm'
+  or (public.user_campaign_role(campaign_id) = 'player' and not gm_only)
+);
+
+drop policy if exists campaign_entities_manage_gm on public.campaign_entities;
+create policy campaign_entities_manage_gm on public.campaign_entities
+for all
+using (public.user_campaign_role(campaign_id) = 'gm')
+with check (public.user_campaign_role(campaign_id) = 'gm');
+
+drop policy if exists campaign_relationships_select on public.campaign_relationships;
+create policy campaign_relationships_select on public.campaign_relationships
+for select
+using (
+  public.user_campaign_role(campaign_id) = 'gm'
+  or (
+    public.user_campaign_role(campaign_id) = 'player'
+    and not secret
+    and exists (
+      select 1 from public.campaign_entities e
+      where e.campaign_id = campaign_relationships.campaign_id
+        and e.id = campaign_relationships.source_id
+        and not e.gm_only
+    )
+    and exists (
+      select 1 from public.campaign_entities e
+      where e.campaign_id = campaign_relationships.campaign_id
+        and e.id = campaign_relationships.target_id
+        and not e.gm_only
+    )
+  )
+);
+
+drop policy if exists campaign_relationships_manage_gm on public.campaign_relationships;
+create policy campaign_relationships_manage_gm on public.campaign_relationships
+for all
+using (public.user_campaign_role(campaign_id) = 'gm')
+with check (public.user_campaign_role(campaign_id) = 'gm');
+
+-- The relationship lookup runs under that table's own select policy, so a
+-- secret relationship hides its log entries too.
+drop policy if exists campaign_logs_select on public.campaign_logs;
+create policy campaign_logs_select on public.campaign_logs
+for select
+using (
+  public.user_campaign_role(campaign_id) = 'gm'
+  or (
+    public.user_campaign_role(campaign_id) = 'player'
+    and not secret
+    and (
+      target_id is null
+      or exists (
+        select 1 from public.campaign_entities e
+        where e.campaign_id = campaign_logs.campaign_id
+          and e.id = campaign_logs.target_id
+          and not e.gm_only
+      )
+      or exists (
+        select 1 from public.campaign_relationships r
+        where r.campaign_id = campaign_logs.campaign_id
+          and r.id = campaign_logs.target_id
+      )
+    )
+  )
+);
+
+drop policy if exists campaign_logs_manage_gm on public.campaign_logs;
+create policy campaign_logs_manage_gm on public.campaign_logs
+for all
+using (public.user_campaign_role(campaign_id) = 'gm')
+with check (public.user_campaign_role(campaign_id) = 'gm');
+
+drop policy if exists campaign_messages_select on public.campaign_messages;
+create policy campaign_messages_select on public.campaign_messages
+for select
+using (
+  public.user_campaign_role(campaign_id) = 'gm'
+  or (
+    public.user_campaign_role(campaign_id) = 'player'
+    and (
+      target = 'party'
+      or from_user = public.current_username()
+      or target = 'user:' || public.current_username()
+    )
+  )
+);
+
+drop policy if exists campaign_messages_manage_gm on public.campaign_messages;
+create policy campaign_messages_manage_gm on public.campaign_messages
+for all
+using (public.user_campaign_role(campaign_id) = 'gm')
+with check (public.user_campaign_role(campaign_id) = 'gm');
+
+drop policy if exists campaign_gm_notes_manage_gm on public.campaign_gm_notes;
+create policy campaign_gm_notes_manage_gm on public.campaign_gm_notes
+for all
+using (public.user_campaign_role(campaign_id) = 'gm')
+with check (public.user_campaign_role(campaign_id) = 'gm');
+
 -- Grant execute for RPCs to authenticated users.
 grant execute on function public.create_campaign(text) to authenticated;
 grant execute on function public.generate_invite_code(uuid, text, int, int) to authenticated;
 grant execute on function public.join_campaign_with_code(text) to authenticated;
 grant execute on function public.user_campaign_role(uuid) to authenticated;
+grant execute on function public.current_username() to authenticated;
+grant execute on function public.save_player_records(uuid, jsonb, jsonb, jsonb) to authenticated;
+grant execute on function public.save_campaign_records(uuid, jsonb, jsonb, jsonb) to authenticated;
+grant execute on function public.list_my_campaigns() to authenticated;
+-- Only list_my_campaigns projects campaign data; it can't be called on its own.
+revoke execute on function public.player_campaign_data(uuid, jsonb) from public, anon, authenticated;
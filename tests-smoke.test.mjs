@@ -76,6 +76,93 @@ test('rules engine module exports expected helpers', () => {
   assert.equal(typeof engine.totalStressForFallout, 'function');
   assert.equal(typeof engine.falloutSeverityForTotalStress, 'function');
   assert.equal(typeof engine.stressClearAmountForSeverity, 'function');
+  assert.equal(typeof engine.resolveRoll, 'function');
+  assert.equal(typeof engine.createSeededRng, 'function');
+});
+
+test('rules engine resolves rolls deterministically with a seeded rng', () => {
+  const engine = require(RULES_PATH);
+  const a = engine.resolveRoll({ sides: 10, mastered: true, domain: true, rng: engine.createSeededRng(42) });
+  const b = engine.resolveRoll({ sides: 10, mastered: true, domain: true, rng: engine.createSeededRng(42) });
+  assert.deepEqual(plain(a), plain(b));
+  assert.equal(a.rollCount, 3);
+  assert.equal(a.kept, Math.max(...a.rolls));
+
+  const fixed = engine.resolveRoll({ sides: 10, difficulty: 2, rng: () => 0.75 });
+  assert.equal(fixed.pool, -1);
+  assert.equal(fixed.rollCount, 1);
+  assert.equal(fixed.kept, 8);
+  assert.equal(fixed.rawBand.key, 'success');
+  assert.equal(fixed.downgradeSteps, 1);
+  assert.equal(fixed.finalBand.key, 'success-cost');
+  assert.equal(fixed.stressHint, 'Take stress.');
+
+  const noDowngrade = engine.resolveRoll({
+    sides: 10,
+    difficulty: 2,
+    rng: () => 0.75,
+    rules: { difficultyDowngrades: false }
+  });
+  assert.equal(noDowngrade.finalBand.key, 'success');
+  assert.equal(engine.downgradeOutcomeBand(1, 5).key, 'critical-failure');
+});
+
+test('rules engine plans stress hits through resistance and armour tags', () => {
+  const engine = require(RULES_PATH);
+  assert.deepEqual(plain(engine.parseStressExpression('D6 stress')), { count: 1, sides: 6, flat: 0 });
+  assert.deepEqual(plain(engine.parseStressExpression('2d3+1')), { count: 2, sides: 3, flat: 1 });
+  assert.deepEqual(plain(engine.parseStressExpression('1 stress')), { count: 0, sides: 0, flat: 1 });
+  assert.equal(engine.parseStressExpression('lots'), null);
+  assert.equal(engine.rollStressExpression('D6 stress', () => 0.5).total, 3);
+
+  const plate = { resistance: 3, tags: ['Heavy'] };
+  const vest = { resistance: 2, tags: [] };
+  const plain1 = engine.planStressHit({ incoming: 3, filled: 0, resistanceFree: 1, armour: [vest] });
+  assert.equal(plain1.soaked, 3);
+  assert.equal(plain1.counted, 0);
+  assert.equal(plain1.level, 3);
+
+  const pierced = engine.planStressHit({ incoming: 3, filled: 0, resistanceFree: 1, armour: [vest], piercing: true });
+  assert.equal(pierced.burned, 2);
+  assert.equal(pierced.counted, 2);
+  assert.equal(pierced.level, 5);
+
+  assert.equal(engine.armourSoakForHit(plate, { piercing: true }), 2);
+  assert.equal(engine.armourSoakForHit({ resistance: 2, tags: ['Implacable'] }, { piercing: true }), 2);
+  assert.equal(engine.armourSoakForHit(vest, { piercing: true }), 0);
+  assert.equal(engine.planStressHit({ incoming: 9, filled: 5, cap: 10 }).level, 10);
+});
+
+test('rules engine suggests tag bonuses and tracks weapon ammo per scene', () => {
+  const engine = require(RULES_PATH);
+  assert.deepEqual(plain(engine.normalizeTag('Spread D3')), { name: 'Spread', die: 'D3', raw: 'Spread D3' });
+  assert.equal(engine.normalizeTag('one-shot').name, 'One-Shot');
+
+  const rifle = { item: 'Rifle', tags: ['Accurate', 'Reload', 'Tiring', 'Ongoing D3'] };
+  let sugs = plain(engine.tagSuggestionsForRoll({ weapon: rifle, skill: 'Fight' }));
+  const accurate = sugs.find((s) => s.tag === 'Accurate');
+  assert.equal(accurate.dice, 1);
+  assert.equal(accurate.auto, false);
+  assert.equal(sugs.find((s) => s.tag === 'Tiring').dice, 0);
+  assert.equal(sugs.find((s) => s.tag === 'Ongoing D3').text.includes('D3'), true);
+
+  assert.equal(engine.weaponReadiness(rifle).ready, true);
+  rifle.sceneState = engine.recordWeaponUse(rifle, { kept: 6 });
+  assert.equal(engine.weaponReadiness(rifle).ready, false);
+  sugs = plain(engine.tagSuggestionsForRoll({ weapon: rifle, skill: 'Fight' }));
+  assert.equal(sugs.find((s) => s.tag === 'Tiring').auto, true);
+  rifle.sceneState = engine.reloadWeapon(rifle);
+  assert.equal(engine.weaponReadiness(rifle).ready, true);
+
+  const pistol = { item: 'Pistol', tags: ['One-shot'] };
+  pistol.sceneState = engine.recordWeaponUse(pistol, { kept: 9 });
+  assert.equal(engine.weaponReadiness(pistol).reason, 'Spent for this scene');
+
+  const armour = [{ item: 'Plate', tags: ['Heavy'] }];
+  const sneak = plain(engine.tagSuggestionsForRoll({ armour, skill: 'Sneak' }));
+  assert.equal(sneak.length, 1);
+  assert.equal(sneak[0].dice, -1);
+  assert.equal(engine.tagSuggestionsForRoll({ armour, skill: 'Compel' }).length, 0);
 });
 
 test('rules profile mapping behaves as expected', () => {
@@ -125,6 +212,376 @@ test('fallout helper thresholds are correct', () => {
   assert.equal(stressClearAmountForSeverity('Severe'), 7);
 });
 
+test('custom rules profile drives thresholds, clear amounts and tracks', () => {
+  const engine = require(RULES_PATH);
+  const camp = {
+    rulesProfile: 'Custom',
+    customRules: {},
+    customRulesProfile: {
+      falloutThresholds: { moderate: 4, severe: 7 },
+      stressClear: { Minor: 2, Moderate: 4, Severe: 6 },
+      tracks: ['Blood', 'Mind', { label: 'Faith', cap: 6 }]
+    }
+  };
+  const profile = engine.getRulesProfile(camp);
+  assert.deepEqual(profile.tracks.map(t => t.key), ['blood', 'mind', 'faith']);
+  assert.equal(profile.tracks[0].armour, true);
+  assert.equal(engine.falloutSeverityForTotalStress(4, profile), 'Moderate');
+  assert.equal(engine.falloutSeverityForTotalStress(7, profile), 'Severe');
+  assert.equal(engine.stressClearAmountForSeverity('Severe', profile), 6);
+
+  const pc = {
+    stressFilled: { blood: [1, 2], shadow: [1, 2, 3], faith: Array.from({ length: 9 }, (_, i) => i) },
+    inventory: [{ type: 'armor', resistance: 1 }]
+  };
+  assert.equal(engine.totalStressForFallout(pc, profile), 1 + 0 + 6);
+  assert.equal(plain(engine.getRulesProfile({ rulesProfile: 'Core', customRulesProfile: camp.customRulesProfile })).tracks.length, 5);
+
+  // Fallout names its track by key; older fallout is matched by label.
+  const renamed = engine.getRulesProfile({ rulesProfile: 'Custom', customRulesProfile: { tracks: [{ key: 'blood', label: 'Flesh' }] } });
+  assert.equal(engine.falloutTrackRule(renamed, { type: 'Flesh', track: 'blood' }).key, 'blood');
+  assert.equal(engine.falloutTrackRule(renamed, { type: 'Blood', track: 'blood' }).key, 'blood');
+  assert.equal(engine.falloutTrackRule(renamed, { type: 'Flesh' }).key, 'blood');
+  assert.equal(engine.falloutTrackRule(renamed, { type: 'Bond' }), null);
+
+  const bad = engine.validateRulesProfile({
+    falloutThresholds: { moderate: 8, severe: 3 },
+    stressClear: { Minor: -1 },
+    tracks: ['Mind', 'mind']
+  });
+  assert.equal(bad.errors.length, 3);
+  assert.deepEqual(plain(bad.profile.falloutThresholds), { moderate: 5, severe: 9 });
+  assert.equal(engine.validateRulesProfile('nope').errors.length, 1);
+});
+
+test('fallout modifiers parse from table phrasing and reduce track slots while unhealed', () => {
+  const engine = require(RULES_PATH);
+  const parsed = engine.parseFalloutEffects('-1 die to Fight; Blood track max slots -2; cannot use domain High Society; wobble');
+  assert.deepEqual(plain(parsed.effects), [
+    { kind: 'difficulty', target: 'Fight', amount: 1 },
+    { kind: 'slots', target: 'Blood', amount: 2 },
+    { kind: 'no-domain', target: 'High Society', amount: 1 }
+  ]);
+  assert.deepEqual(parsed.invalid, ['wobble']);
+  assert.deepEqual(plain(engine.parseFalloutEffects(engine.formatFalloutEffects(parsed.effects)).effects), plain(parsed.effects));
+
+  const camp = { rulesProfile: 'Core' };
+  const { getTrackTotalSlots } = loadFns([
+    'getRulesProfile', 'stressTrackLabel', 'stressTrackCap', 'isArmourTrack', 'totalArmorResistance',
+    'falloutTrackPenalty', 'getTrackBaseSlots', 'getTrackFreeSlots', 'getTrackTotalSlots'
+  ], { RulesEngine: engine, currentCampaign: () => camp });
+  const fallout = { id: 'f1', name: 'Broken arm', resolved: false, effects: parsed.effects };
+  const pc = {
+    stressSlots: { blood: 10 },
+    resistances: [{ name: 'Blood', value: 1 }],
+    inventory: [],
+    fallout: [fallout]
+  };
+  assert.equal(getTrackTotalSlots(pc, 'blood'), 8 + 1);
+  assert.equal(engine.isBlockedByFallout(pc.fallout, 'no-domain', 'high society'), true);
+  fallout.resolved = true;
+  assert.equal(getTrackTotalSlots(pc, 'blood'), 10 + 1);
+  assert.equal(engine.isBlockedByFallout(pc.fallout, 'no-domain', 'High Society'), false);
+});
+
+test('the skill roller refuses blocked skills and marks blocked domains', () => {
+  const engine = require(RULES_PATH);
+  const toasts = [];
+  const opened = [];
+  const { openDiceRollerForSkill } = loadFns(['openDiceRollerForSkill'], {
+    RulesEngine: engine,
+    showToast: (msg, type) => toasts.push(type),
+    openDiceRoller: (label, pool, options) => opened.push(options)
+  });
+  const pc = {
+    id: 'pc1',
+    name: 'Ana',
+    skills: [{ name: 'Fight' }, { name: 'Sneak' }],
+    domains: [{ name: 'Crowd' }, { name: 'High Society' }],
+    fallout: [{ id: 'f1', resolved: false, effects: [
+      { kind: 'no-skill', target: 'Sneak', amount: 1 },
+      { kind: 'no-domain', target: 'High Society', amount: 1 }
+    ] }]
+  };
+  assert.equal(openDiceRollerForSkill('Sneak', false, pc), false);
+  assert.deepEqual(toasts, ['warn']);
+  assert.equal(opened.length, 0);
+
+  assert.equal(openDiceRollerForSkill('Fight', false, pc), true);
+  assert.deepEqual(plain(opened[0].composer.domains), ['Crowd', 'High Society']);
+  assert.deepEqual(plain(opened[0].composer.blockedDomains), ['High Society']);
+});
+
+test('advances spend and refund points, apply tagged grants and keep history', () => {
+  const engine = require(RULES_PATH);
+  const logs = [];
+  let seq = 0;
+  const { takeAdvance, refundAdvance } = loadFns([
+    'applyAdvanceGrants', 'removeAdvanceGrants', 'recordAdvanceHistory', 'takeAdvance', 'canRefundAdvance', 'refundAdvance'
+  ], {
+    RulesEngine: engine,
+    currentCampaign: () => ({ currentSession: 2 }),
+    appendLog: (msg) => logs.push(msg),
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`
+  });
+  const catalog = engine.advanceCatalog({
+    low: [
+      { name: 'STEADY', grants: { skills: ['Fight'], resistances: [{ name: 'Blood', value: 1 }] } },
+      'QUICK'
+    ],
+    medium: [{ name: 'IRON WILL', cost: 3, grants: { domains: ['Religion'] } }]
+  });
+  const [steady, quick, iron] = catalog;
+  const pc = {
+    class: '',
+    advances: [],
+    advancePoints: 4,
+    skills: [],
+    domains: [],
+    inventory: [],
+    resistances: [{ id: 'r1', name: 'Blood', value: 2, source: 'class:Bound' }]
+  };
+
+  assert.equal(takeAdvance(pc, iron, catalog).ok, false);
+  assert.equal(takeAdvance(pc, steady, catalog).ok, true);
+  assert.equal(takeAdvance(pc, quick, catalog).ok, true);
+  assert.equal(pc.advancePoints, 2);
+  assert.equal(pc.skills[0].source, 'advance:STEADY');
+  assert.equal(pc.resistances[0].value, 3);
+
+  assert.deepEqual(takeAdvance(pc, iron, catalog).reasons, ['costs 3 AP (have 2)']);
+  pc.advancePoints = 3;
+  assert.equal(takeAdvance(pc, iron, catalog).ok, true);
+  assert.equal(refundAdvance(pc, steady, catalog).ok, false);
+
+  assert.equal(refundAdvance(pc, iron, catalog).ok, true);
+  assert.equal(refundAdvance(pc, steady, catalog).ok, true);
+  assert.equal(pc.advancePoints, 4);
+  assert.deepEqual(plain(pc.advances), ['QUICK']);
+  assert.equal(pc.skills.length, 0);
+  assert.equal(pc.domains.length, 0);
+  assert.deepEqual(plain(pc.resistances), [{ id: 'r1', name: 'Blood', value: 2, source: 'class:Bound' }]);
+  assert.deepEqual(plain(pc.advanceHistory.map(h => [h.action, h.advance, h.points, h.session])), [
+    ['take', 'STEADY', -1, 2],
+    ['take', 'QUICK', -1, 2],
+    ['take', 'IRON WILL', -3, 2],
+    ['refund', 'IRON WILL', 3, 2],
+    ['refund', 'STEADY', 1, 2]
+  ]);
+});
+
+test('character creation validates the draft and builds a PC with bonds in one pass', () => {
+  const engine = require(RULES_PATH);
+  let seq = 0;
+  const CLASS_EFFECTS = {
+    Azurite: {
+      resistances: [{ name: 'Silver', value: 2 }],
+      skills: ['Compel', 'Deceive'],
+      domains: ['Commerce'],
+      coreAbilities: ['Sell'],
+      bondPrompts: [
+        'You have an individual-level bond with someone who smuggles things.',
+        'You have a bond with one of the other PCs whom you helped out of debt.'
+      ],
+      inventoryOptions: [{ label: 'Kit A', items: [{ item: 'Ledger', type: 'other' }] }]
+    }
+  };
+  const DURANCE_EFFECTS = { DEALER: { skills: ['Compel'], domains: ['Commerce'] } };
+  const data = {
+    classEffects: CLASS_EFFECTS,
+    duranceEffects: DURANCE_EFFECTS,
+    skillOptions: ['Compel', 'Deceive', 'Fight', 'Sneak'],
+    domainOptions: ['Commerce', 'Crime', 'Occult']
+  };
+  const camp = { entities: { pc0: { id: 'pc0', type: 'pc', name: 'Ava' } }, relationships: {} };
+  const draft = {
+    firstName: 'Nyx', lastName: 'Vane', pronouns: 'they/them', className: 'Azurite', durance: 'DEALER',
+    picks: { skills: ['Compel'], domains: [] }, kit: '',
+    bonds: [
+      { answer: 'Moves silk', target: 'new-npc', name: 'Ilse', level: 'Individual' },
+      { answer: '', target: 'existing', entityId: '', level: 'Individual' }
+    ]
+  };
+
+  assert.equal(engine.bondTargetForPrompt(CLASS_EFFECTS.Azurite.bondPrompts[1]).target, 'existing');
+  assert.equal(engine.bondTargetForPrompt('You have a street-level bond with your fans.').level, 'Street');
+  assert.deepEqual(engine.validateCharacterDraft(draft, data).map(e => e.step), [
+    'picks', 'picks', 'kit', 'bonds', 'bonds'
+  ]);
+  draft.picks = { skills: ['Sneak'], domains: ['Crime'] };
+  draft.kit = 'Kit A';
+  Object.assign(draft.bonds[1], { answer: 'Gambling', entityId: 'pc0' });
+  assert.deepEqual(engine.validateCharacterDraft(draft, data), []);
+
+  const { createCharacterFromDraft } = loadFns([
+    'getRulesProfile', 'newEntity', 'newRelationship', 'consolidateResistances', 'applyDuranceEffects',
+    'applyClassEffects', 'applyClassInventoryKit', 'entityLabel', 'linkBondToEntity', 'createBondEntity',
+    'defaultSourcebooks', 'normalizeSourceLabel', 'isSourceEnabled', 'getActiveScenarioPacks', 'getContentPacks',
+    'normalizeClassDefinition', 'homebrewContentPack', 'classEffectsFor', 'duranceEffectsFor', 'createCharacterFromDraft'
+  ], {
+    RulesEngine: engine,
+    CORE_CONTENT_PACK: { classEffects: CLASS_EFFECTS, duranceEffects: DURANCE_EFFECTS },
+    state: { relTypes: ['Ally'] },
+    currentCampaign: () => camp,
+    appendLog: () => {},
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`
+  });
+  const pc = createCharacterFromDraft(camp, draft);
+  assert.equal(pc.name, 'Nyx Vane');
+  assert.deepEqual(plain(pc.skills.map(s => [s.name, s.source])), [
+    ['Compel', 'class:Azurite'], ['Deceive', 'class:Azurite'], ['Sneak', 'durance:DEALER']
+  ]);
+  assert.deepEqual(plain(pc.domains.map(d => d.name)), ['Commerce', 'Crime']);
+  assert.deepEqual(plain(pc.inventory.map(i => [i.item, i.source])), [['Ledger', 'classInv:Azurite:Kit A']]);
+  assert.deepEqual(plain(pc.classBondResponses), ['Moves silk', 'Gambling']);
+  const npc = Object.values(camp.entities).find(e => e.name === 'Ilse');
+  assert.equal(npc.type, 'npc');
+  assert.deepEqual(plain(pc.bonds.map(b => [b.name, b.entityId, camp.relationships[b.relationshipId].target])), [
+    ['Ilse', npc.id, npc.id],
+    ['Ava', 'pc0', 'pc0']
+  ]);
+});
+
+test('bonds link to entities and relationships and stay in sync when either side changes', () => {
+  const engine = require(RULES_PATH);
+  let seq = 0;
+  const camp = {
+    entities: {
+      pc1: { id: 'pc1', type: 'pc', firstName: 'Nyx', name: 'Nyx', bonds: [], classBondResponses: ['Owes me'] },
+      npc1: { id: 'npc1', type: 'npc', name: 'Ilse' }
+    },
+    relationships: {}
+  };
+  const ctx = {
+    RulesEngine: engine,
+    state: { relTypes: ['Ally'], selectedRelId: null },
+    currentCampaign: () => camp,
+    appendLog: () => {},
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`
+  };
+  const fns = loadFns([
+    'getRulesProfile', 'newEntity', 'newRelationship', 'entityLabel', 'findBondsForRelationship',
+    'linkBondToEntity', 'createBondEntity', 'unlinkBond', 'setBondNotes', 'syncBondLinks', 'deleteRelationship'
+  ], ctx);
+  ctx.syncBondLinks = fns.syncBondLinks;
+  ctx.deleteRelationship = fns.deleteRelationship;
+  const pc = camp.entities.pc1;
+  const promptBond = { id: 'b1', level: 'Individual', name: '', notes: 'Owes me', promptIndex: 0 };
+  const streetBond = { id: 'b2', level: 'Street', name: 'Dockers', notes: '' };
+  pc.bonds.push(promptBond, streetBond);
+
+  const rel = fns.linkBondToEntity(camp, pc, promptBond, 'npc1');
+  assert.equal(rel.source, 'pc1');
+  assert.equal(rel.notes, 'Owes me');
+  assert.equal(promptBond.name, 'Ilse');
+  const org = fns.createBondEntity(camp, pc, streetBond, 'org', 'The Dockers');
+  assert.equal(org.type, 'org');
+  assert.equal(camp.relationships[streetBond.relationshipId].target, org.id);
+
+  fns.setBondNotes(camp, pc, promptBond, 'Owes me a favour');
+  assert.equal(rel.notes, 'Owes me a favour');
+  assert.equal(pc.classBondResponses[0], 'Owes me a favour');
+  assert.deepEqual(plain(fns.findBondsForRelationship(camp, rel.id).map(f => f.bond.id)), ['b1']);
+
+  assert.equal(fns.linkBondToEntity(camp, pc, promptBond, org.id).id, rel.id);
+  assert.equal(rel.target, org.id);
+  fns.linkBondToEntity(camp, pc, promptBond, 'npc1');
+
+  camp.entities.npc1.name = 'Ilse Varn';
+  fns.syncBondLinks(camp);
+  assert.equal(promptBond.name, 'Ilse Varn');
+
+  fns.deleteRelationship(rel.id);
+  assert.equal(promptBond.entityId, undefined);
+  assert.equal(promptBond.name, 'Ilse Varn');
+
+  fns.unlinkBond(camp, streetBond);
+  assert.equal(streetBond.relationshipId, undefined);
+  assert.equal(Object.keys(camp.relationships).length, 0);
+});
+
+test('refreshes record evidence and degree, wait for GM approval and show per session', () => {
+  const engine = require(RULES_PATH);
+  let seq = 0;
+  let actor = 'mara';
+  const camp = { currentSession: 4 };
+  const { recordRefresh, reviewRefresh } = loadFns([
+    'rollSingleDie', 'highestStressTrack', 'recordRefresh', 'reviewRefresh'
+  ], {
+    RulesEngine: engine,
+    currentCampaign: () => camp,
+    currentActorLabel: () => actor,
+    getRefreshTextForClass: () => 'Carry out a deal that benefits you.',
+    stressTrackKeys: () => ['blood', 'mind'],
+    setPCStressLevel: (pc, track, level) => { pc.stressFilled[track] = Array.from({ length: level }, (_, i) => i); },
+    appendLog: () => {},
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`
+  });
+  const pc = { class: 'Azurite', refreshed: false, stressFilled: { blood: [0], mind: [0, 1, 2, 3, 4] } };
+
+  const entry = recordRefresh(pc, { evidence: 'Sold fake relics to the Ministry', degree: 'full' });
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.session, 4);
+  assert.equal(entry.submittedBy, 'mara');
+  assert.equal(pc.stressFilled.mind.length, 5);
+  assert.equal(engine.hasRefreshedInSession(pc.refreshHistory, 4), false);
+  assert.match(engine.describeRefresh(entry), /Met in full.*\(D8\).*awaiting GM approval/);
+
+  actor = 'GM';
+  reviewRefresh(pc, entry, true, { rng: () => 0.5 });
+  assert.deepEqual(plain(entry.applied), { track: 'mind', rolled: 4, removed: 4 });
+  assert.equal(entry.approvedBy, 'GM');
+  assert.equal(pc.refreshed, true);
+  assert.equal(pc.stressFilled.mind.length, 1);
+  assert.equal(engine.hasRefreshedInSession(pc.refreshHistory, 4), true);
+
+  const weak = recordRefresh(pc, { evidence: 'Haggled a bit', degree: 'partial', track: 'blood' });
+  reviewRefresh(pc, weak, false, { note: 'No real profit' });
+  assert.equal(weak.applied, null);
+  assert.equal(pc.stressFilled.blood.length, 1);
+  assert.equal(engine.describeRefresh(weak), 'Partly met (D3) — Haggled a bit — rejected: No real profit');
+  assert.equal(engine.refreshesForSession(pc.refreshHistory, 4).length, 2);
+  assert.equal(engine.refreshesForSession(pc.refreshHistory, 3).length, 0);
+});
+
+test('bond stress overflows into bond fallout and drives bond status', () => {
+  const engine = require(RULES_PATH);
+  let seq = 0;
+  const camp = { currentSession: 3 };
+  const { applyBondStress } = loadFns(['applyBondStress'], {
+    RulesEngine: engine,
+    currentCampaign: () => camp,
+    getRulesConfig: () => ({ clearStressOnFallout: true }),
+    appendLog: () => {},
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`
+  });
+  const bond = { id: 'b1', level: 'Individual', name: 'Ilse', relationshipId: 'rel-1' };
+  const pc = { bonds: [bond], fallout: [] };
+
+  assert.equal(engine.bondStressSlots(bond), 3);
+  assert.equal(engine.bondStressSlots({ level: 'Street', stressSlots: 6 }), 6);
+  assert.equal(applyBondStress(pc, bond, 1).fallout, null);
+  assert.equal(engine.bondStatus(bond, pc.fallout), 'steady');
+  applyBondStress(pc, bond, 1);
+  assert.equal(engine.bondStatus(bond, pc.fallout), 'strained');
+
+  const result = applyBondStress(pc, bond, 3);
+  assert.equal(result.overflow, 2);
+  assert.equal(result.fallout.severity, 'Moderate');
+  assert.equal(bond.stress, 0);
+  assert.deepEqual(plain([result.fallout.type, result.fallout.bondId, result.fallout.relationshipId, result.fallout.session]), [
+    'Bond', 'b1', 'rel-1', 3
+  ]);
+  assert.equal(engine.bondStatus(bond, pc.fallout), 'strained');
+
+  bond.stress = 3;
+  applyBondStress(pc, bond, 6);
+  assert.equal(engine.bondStatus(bond, pc.fallout), 'broken');
+  assert.equal(engine.worstBondStatus(['steady', 'broken', 'strained']), 'broken');
+  pc.fallout.forEach(f => { f.resolved = true; });
+  assert.equal(engine.bondStatus(bond, pc.fallout), 'steady');
+});
+
 test('total stress for fallout clamps each track at 10', () => {
   const engine = require(RULES_PATH);
   const { totalStressForFallout } = loadFns(['totalStressForFallout'], { RulesEngine: engine });
@@ -154,6 +611,10 @@ test('maybeTriggerFallout uses injected rng and creates fallout when roll is bel
       'falloutSeverityForTotalStress',
       'stressClearAmountForSeverity',
       'clearStressForFallout',
+      'getActiveScenarioPacks',
+      'packFalloutEntries',
+      'falloutTableEntries',
+      'recordFallout',
       'maybeTriggerFallout'
     ],
     {
@@ -195,6 +656,10 @@ test('maybeTriggerFallout does nothing when roll meets or exceeds total', () =>
       'falloutSeverityForTotalStress',
       'stressClearAmountForSeverity',
       'clearStressForFallout',
+      'getActiveScenarioPacks',
+      'packFalloutEntries',
+      'falloutTableEntries',
+      'recordFallout',
       'maybeTriggerFallout'
     ],
     {
@@ -222,6 +687,125 @@ test('maybeTriggerFallout does nothing when roll meets or exceeds total', () =>
   assert.equal(pc.fallout.length, 0);
 });
 
+test('fallout rolls from the table, escalates recurring Minor and applies effects', () => {
+  const engine = require(RULES_PATH);
+  const logs = [];
+  const camp = {
+    rulesProfile: 'Core',
+    currentSession: 4,
+    sourcebooks: { 'Core Book': true, Sin: false },
+    falloutCompendium: [
+      { id: 'fc-1', name: 'Cracked ribs', track: 'Blood', severity: 'Minor', source: 'Core Book', enabled: true,
+        effects: [{ kind: 'difficulty', target: 'Fight', amount: 1 }, { kind: 'slots', target: 'Blood', amount: 2 }] },
+      { id: 'fc-2', name: 'Cursed wound', track: 'Blood', severity: 'Minor', source: 'Sin', enabled: true },
+      { id: 'fc-3', name: 'Shaken', track: 'Mind', severity: 'Minor', source: 'Core Book', enabled: true }
+    ]
+  };
+  let seq = 0;
+  const { recordFallout } = loadFns([
+    'normalizeSourceLabel', 'isSourceEnabled', 'getActiveScenarioPacks', 'packFalloutEntries', 'falloutTableEntries', 'recordFallout'
+  ], {
+    RulesEngine: engine,
+    currentCampaign: () => camp,
+    appendLog: (msg) => logs.push(msg),
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`
+  });
+
+  const pc = { id: 'pc-9', fallout: [] };
+  const first = recordFallout(pc, { track: 'blood', severity: 'Minor', rng: () => 0.99 });
+  assert.equal(first.escalated, false);
+  assert.equal(first.fallout.name, 'Cracked ribs');
+  assert.equal(first.fallout.track, 'blood');
+  assert.equal(first.fallout.session, 4);
+  assert.equal(engine.falloutEffectTotal(pc.fallout, 'difficulty', 'fight'), 1);
+
+  const again = recordFallout(pc, { track: 'blood', severity: 'Minor' });
+  assert.equal(again.escalated, true);
+  assert.equal(pc.fallout.length, 1);
+  assert.equal(pc.fallout[0].severity, 'Moderate');
+  assert.deepEqual(plain(pc.fallout[0].escalations.map(e => [e.from, e.to, e.session])), [['Minor', 'Moderate', 4]]);
+
+  pc.fallout[0].resolved = true;
+  assert.equal(engine.falloutEffectTotal(pc.fallout, 'slots', 'Blood'), 0);
+  assert.equal(engine.planFalloutEscalation(pc.fallout, 'Blood', 'Minor'), null);
+  assert.equal(engine.rollFalloutTable(camp.falloutCompendium, { track: 'Silver', severity: 'Minor' }), null);
+  assert.equal(logs.some(msg => msg.includes('escalated')), true);
+});
+
+test('appendRollLog stores a structured, replayable roll entry', () => {
+  const engine = require(RULES_PATH);
+  const camp = { currentSession: 4, logs: [], entities: { 'pc-1': { id: 'pc-1', name: 'Vex' } }, relationships: {} };
+  const { appendRollLog, formatRollSummary } = loadFns(
+    ['describeLogTarget', 'currentActorLabel', 'currentActorRole', 'appendRollLog', 'formatRollSummary'],
+    {
+      currentCampaign: () => camp,
+      state: { currentUser: 'sam', gmMode: false },
+      entityLabel: (ent) => ent.name,
+      formatRelationshipLabel: () => '',
+      generateId: (pfx = 'id') => `${pfx}-1`
+    }
+  );
+  const params = { sides: 10, base: 2, domain: true, difficulty: 1 };
+  const roll = Object.assign(engine.resolveRoll(Object.assign({ rng: engine.createSeededRng(7) }, params)), params);
+  const entry = appendRollLog(roll, { label: 'Fight (D10)', pcId: 'pc-1', skill: 'Fight', domain: 'Crime', seed: 7 });
+
+  assert.equal(camp.logs.length, 1);
+  assert.equal(entry.type, 'roll');
+  assert.equal(entry.session, 4);
+  assert.equal(entry.actor, 'sam');
+  assert.equal(entry.targetLabel, 'Vex');
+  assert.equal(entry.roll.skill, 'Fight');
+  assert.equal(entry.roll.difficulty, 1);
+  assert.equal(entry.roll.outcome, roll.finalBand.key);
+
+  const replay = engine.resolveRoll(Object.assign({ rng: engine.createSeededRng(entry.roll.seed) }, params));
+  assert.deepEqual(plain(replay.rolls), plain(entry.roll.rolls));
+  assert.equal(formatRollSummary(entry.roll).startsWith('Fight + Crime: D10 ['), true);
+});
+
+test('handleIncomingCampaignEvent hides secret rolls from players', () => {
+  const toasts = [];
+  const state = { clientId: 'me', gmMode: false, rollFeed: [] };
+  const { handleIncomingCampaignEvent } = loadFns(
+    ['handleIncomingCampaignEvent', 'pushRollFeedEntry'],
+    {
+      state,
+      currentCampaign: () => ({ id: 'camp-1' }),
+      showToast: (msg) => toasts.push(msg),
+      renderRollFeed: () => {},
+      ROLL_FEED_LIMIT: 30
+    }
+  );
+  const entry = (id, secret) => ({ actor: 'gm', action: 'Rolled D10: 7', secret, roll: { id } });
+  handleIncomingCampaignEvent({ type: 'dice_roll', clientId: 'other', campaignId: 'camp-1', entry: entry('r1', false) });
+  handleIncomingCampaignEvent({ type: 'dice_roll', clientId: 'other', campaignId: 'camp-1', entry: entry('r2', true) });
+  handleIncomingCampaignEvent({ type: 'dice_roll', clientId: 'other', campaignId: 'camp-2', entry: entry('r3', false) });
+  handleIncomingCampaignEvent({ type: 'dice_roll', clientId: 'me', campaignId: 'camp-1', entry: entry('r4', false) });
+  assert.deepEqual(state.rollFeed.map((e) => e.roll.id), ['r1']);
+  assert.equal(toasts.length, 1);
+
+  state.gmMode = true;
+  handleIncomingCampaignEvent({ type: 'dice_roll', clientId: 'other', campaignId: 'camp-1', entry: entry('r2', true) });
+  assert.deepEqual(state.rollFeed.map((e) => e.roll.id), ['r1', 'r2']);
+  // The same roll over a second transport is not toasted twice.
+  handleIncomingCampaignEvent({ type: 'dice_roll', clientId: 'other', campaignId: 'camp-1', entry: entry('r2', true) }, true);
+  assert.equal(toasts.length, 2);
+});
+
+test('secret rolls never go out on the shared campaign channel', () => {
+  const broadcast = [];
+  const posted = [];
+  const { shareRollEntry } = loadFns(['shareRollEntry'], {
+    broadcastCampaignEvent: (payload) => broadcast.push(payload),
+    campaignEventMessage: (payload) => Object.assign({ campaignId: 'camp-1' }, payload),
+    postToCampaignTabs: (msg) => posted.push(msg)
+  });
+  shareRollEntry({ actor: 'gm', secret: true, roll: { id: 'r1' } });
+  shareRollEntry({ actor: 'gm', secret: false, roll: { id: 'r2' } });
+  assert.deepEqual(broadcast.map((p) => p.entry.roll.id), ['r2']);
+  assert.deepEqual(posted.map((m) => m.entry.roll.id), ['r1']);
+});
+
 test('getRecentEntityActions returns newest-first actions for one entity', () => {
   const camp = {
     logs: [
@@ -273,7 +857,7 @@ test('deriveAutomationSuggestions produces relationship and clock suggestions fr
 });
 
 test('normalizeScenarioPack keeps valid extensions and rejects empty packs', () => {
-  const { normalizeScenarioPack } = loadFns(['normalizeScenarioPack'], {
+  const { normalizeScenarioPack } = loadFns(['normalizeSourceLabel', 'normalizeClassDefinition', 'normalizeScenarioPack'], {
     generateId: () => 'pack-generated'
   });
   const empty = normalizeScenarioPack({ id: 'x', name: 'Empty' });
@@ -292,7 +876,7 @@ test('normalizeScenarioPack keeps valid extensions and rejects empty packs', ()
 
 test('getEffectiveScenePromptPools merges active pack prompts with defaults', () => {
   const { getActiveScenarioPacks, getEffectiveScenePromptPools } = loadFns(
-    ['getActiveScenarioPacks', 'getEffectiveScenePromptPools'],
+    ['defaultSourcebooks', 'normalizeSourceLabel', 'isSourceEnabled', 'getActiveScenarioPacks', 'getEffectiveScenePromptPools'],
     {
       currentCampaign: () => ({
         scenarioPacks: [
@@ -315,6 +899,128 @@ test('getEffectiveScenePromptPools merges active pack prompts with defaults', ()
   assert.equal(Array.isArray(getActiveScenarioPacks()), true);
 });
 
+test('content packs add classes, durances, advances and fallout gated by sourcebook and version', () => {
+  const engine = require(RULES_PATH);
+  const fns = loadFns([
+    'defaultSourcebooks', 'normalizeSourceLabel', 'isSourceEnabled', 'normalizeClassDefinition', 'normalizeScenarioPack',
+    'getActiveScenarioPacks', 'getContentPacks', 'homebrewContentPack', 'classEffectsFor', 'getClassNames',
+    'duranceEffectsFor', 'packFalloutEntries'
+  ], {
+    generateId: () => 'pack-generated',
+    CORE_CONTENT_PACK: {
+      classEffects: { Azurite: { skills: ['Compel'], coreAbilities: [], bondPrompts: [], advances: { low: ['GOLDEN TONGUE'] } } },
+      duranceEffects: { DEALER: { skills: ['Compel'] } }
+    }
+  });
+  const pack = fns.normalizeScenarioPack({
+    id: 'strata', name: 'Strata', version: '1.2.0', sourcebook: 'Strata',
+    classEffects: {
+      Lamplighter: { skills: ['Sneak', ''], domains: ['Order'], advances: { low: ['KINDLE', { name: 'BEACON', cost: 2 }] } },
+      Empty: { refresh: 'Nothing granted' }
+    },
+    duranceEffects: { LAMPLIGHTER: { domains: ['Order'] }, Bare: {} },
+    advances: { Azurite: { low: ['golden tongue', 'LEDGER'] } },
+    falloutGuidance: { Shadow: { Minor: ['Lamp-blind'], Weird: ['ignored'] } }
+  });
+  assert.equal(pack.version, '1.2.0');
+  assert.deepEqual(Object.keys(pack.classEffects), ['Lamplighter']);
+  assert.deepEqual(plain(pack.classEffects.Lamplighter.skills), ['Sneak']);
+  assert.deepEqual(plain(pack.classEffects.Lamplighter.bondPrompts), []);
+  assert.deepEqual(Object.keys(pack.duranceEffects), ['LAMPLIGHTER']);
+  assert.deepEqual(plain(pack.falloutGuidance), { Shadow: { Minor: ['Lamp-blind'] } });
+  assert.equal(fns.normalizeScenarioPack({ id: 'x', version: '2.0.0', classEffects: { Empty: {} } }), null);
+
+  const camp = { sourcebooks: { 'Core Book': true, Strata: false }, scenarioPacks: [pack] };
+  assert.deepEqual(plain(fns.getClassNames(camp)), ['Azurite']);
+  assert.equal(fns.classEffectsFor('Lamplighter', camp), null);
+  assert.deepEqual(plain(fns.classEffectsFor('Azurite', camp).advances.low), ['GOLDEN TONGUE']);
+
+  camp.sourcebooks.Strata = true;
+  assert.deepEqual(plain(fns.getClassNames(camp)), ['Azurite', 'Lamplighter']);
+  assert.deepEqual(plain(fns.classEffectsFor('Azurite', camp).advances.low), ['GOLDEN TONGUE', 'LEDGER']);
+  assert.deepEqual(plain(fns.duranceEffectsFor('LAMPLIGHTER', camp).domains), ['Order']);
+  assert.deepEqual(plain(fns.packFalloutEntries(camp).map(e => [e.name, e.track, e.severity, e.source])), [
+    ['Lamp-blind', 'Shadow', 'Minor', 'Strata']
+  ]);
+  pack.enabled = false;
+  assert.equal(fns.duranceEffectsFor('LAMPLIGHTER', camp), null);
+  assert.equal(fns.packFalloutEntries(camp).length, 0);
+
+  assert.equal(engine.compareVersions('1.10.0', '1.2.0'), 1);
+  assert.equal(engine.compareVersions('v1.2', '1.2.0'), 0);
+  assert.equal(engine.compareVersions('1.0.0', '1.0.1'), -1);
+});
+
+test('homebrew classes validate against option lists and rename PCs that use them', () => {
+  const engine = require(RULES_PATH);
+  let seq = 0;
+  const fns = loadFns([
+    'defaultSourcebooks', 'normalizeSourceLabel', 'isSourceEnabled', 'normalizeClassDefinition', 'getActiveScenarioPacks',
+    'getContentPacks', 'homebrewContentPack', 'classEffectsFor', 'getClassNames', 'saveHomebrewClass'
+  ], {
+    generateId: (pfx = 'id') => `${pfx}-${++seq}`,
+    CORE_CONTENT_PACK: { classEffects: { Azurite: { skills: ['Compel'] } }, duranceEffects: {} }
+  });
+  const data = {
+    skillOptions: ['Compel', 'Sneak', 'Investigate'],
+    domainOptions: ['Order', 'Low society'],
+    resistanceOptions: ['Blood', 'Shadow'],
+    takenNames: ['Azurite']
+  };
+  const bad = {
+    name: 'azurite',
+    skills: ['Sneak', 'Juggle', 'sneak'],
+    domains: [],
+    resistances: [{ name: 'Luck', value: 2 }, { name: 'Shadow', value: 4 }],
+    refresh: '',
+    coreAbilities: [],
+    inventoryOptions: [{ label: 'Kit', items: [] }],
+    advances: { low: ['KINDLE'], high: [{ name: 'kindle', text: 'again' }] }
+  };
+  assert.deepEqual(engine.validateClassDefinition(bad, data).map(e => e.field), [
+    'name', 'skills', 'skills', 'domains', 'resistances', 'resistances', 'refresh', 'coreAbilities',
+    'inventoryOptions', 'advances'
+  ]);
+  assert.deepEqual(plain(engine.parseKitItemLine('Hooked pole | weapon | D3 | Parrying, Brutal')), {
+    item: 'Hooked pole', quantity: 1, type: 'weapon', tags: ['Parrying', 'Brutal'], stress: 'D3 stress'
+  });
+  assert.equal(engine.formatKitItemLine({ item: 'Oilskin coat', type: 'armor', resistance: 1, tags: [] }), 'Oilskin coat | armor | 1');
+  assert.deepEqual(plain(engine.parseAdvanceLine('BEACON — Light the way')), { name: 'BEACON', text: 'Light the way' });
+  assert.equal(engine.parseAdvanceLine('HEART-SICK'), 'HEART-SICK');
+
+  const def = {
+    name: 'Lamplighter',
+    skills: ['Sneak', 'Investigate'],
+    domains: ['Order'],
+    resistances: [{ name: 'Shadow', value: 2 }],
+    refresh: 'Bring light somewhere dark.',
+    bondPrompts: ['Someone owes you their life.'],
+    coreAbilities: ['KINDLE'],
+    inventoryOptions: [{ label: 'Kit', items: [engine.parseKitItemLine('Hooked pole | weapon | D3')] }],
+    advances: { low: ['SLOW BURN'], medium: [], high: [] }
+  };
+  assert.deepEqual(engine.validateClassDefinition(def, data), []);
+  const pc = {
+    id: 'pc1', type: 'pc', class: 'Lamplighter',
+    skills: [{ name: 'Sneak', source: 'class:Lamplighter' }], domains: [], resistances: [],
+    inventory: [{ item: 'Hooked pole', source: 'classInv:Lamplighter:Kit' }]
+  };
+  const camp = { entities: { pc1: pc }, refreshCompendium: [{ class: 'Lamplighter', refresh: 'x' }] };
+  const entry = fns.saveHomebrewClass(camp, def);
+  assert.equal(entry.id, 'class-1');
+  assert.deepEqual(plain(fns.getClassNames(camp)), ['Azurite', 'Lamplighter']);
+  assert.deepEqual(plain(fns.classEffectsFor('Lamplighter', camp).advances.low), ['SLOW BURN']);
+
+  fns.saveHomebrewClass(camp, Object.assign({}, def, { id: entry.id, name: 'Lantern-Bearer' }));
+  assert.equal(camp.homebrewClasses.length, 1);
+  assert.equal(pc.class, 'Lantern-Bearer');
+  assert.equal(pc.skills[0].source, 'class:Lantern-Bearer');
+  assert.equal(pc.inventory[0].source, 'classInv:Lantern-Bearer:Kit');
+  assert.equal(camp.refreshCompendium[0].class, 'Lantern-Bearer');
+  entry.enabled = false;
+  assert.equal(fns.classEffectsFor('Lantern-Bearer', camp), null);
+});
+
 test('exportCampaign strips gm-only entities, secrets, and non-party messages for player export', () => {
   const camp = {
     entities: {
@@ -355,6 +1061,614 @@ test('exportCampaign strips gm-only entities, secrets, and non-party messages fo
   assert.equal(playerSafe.logs[0].target, 'a');
 });
 
+test('campaign migrations run in order, record history and refuse newer schemas', () => {
+  const engine = require(RULES_PATH);
+  const migrations = [
+    { version: 2, name: 'Add clocks', up: (c) => { if (!Array.isArray(c.clocks)) c.clocks = []; } },
+    { version: 3, name: 'Rename notes', up: (c) => { c.gmNotes = c.notes || []; delete c.notes; } }
+  ];
+  const legacy = { name: 'Old', notes: ['n1'] };
+  const out = engine.runMigrations(legacy, migrations, 3, { now: '2026-01-01T00:00:00.000Z' });
+  assert.equal(out.ok, true);
+  assert.equal(out.from, 1);
+  assert.deepEqual(out.ran, ['Add clocks', 'Rename notes']);
+  assert.deepEqual(plain(out.data), {
+    name: 'Old', clocks: [], gmNotes: ['n1'], schemaVersion: 3,
+    migrations: [
+      { version: 2, name: 'Add clocks', at: '2026-01-01T00:00:00.000Z' },
+      { version: 3, name: 'Rename notes', at: '2026-01-01T00:00:00.000Z' }
+    ]
+  });
+  assert.deepEqual(legacy, { name: 'Old', notes: ['n1'] });
+
+  const current = { schemaVersion: 3 };
+  assert.equal(engine.runMigrations(current, migrations, 3).data, current);
+  assert.match(engine.runMigrations({ schemaVersion: 4 }, migrations, 3).error, /schema v4/);
+  assert.match(engine.runMigrations({ schemaVersion: 1 }, migrations.slice(1), 3).error, /No migration to schema v2/);
+  const broken = [migrations[0], { version: 3, name: 'Explode', up: () => { throw new Error('boom'); } }];
+  const failed = engine.runMigrations(legacy, broken, 3);
+  assert.equal(failed.ok, false);
+  assert.match(failed.error, /v3 \(Explode\) failed: boom/);
+  assert.equal(failed.data, legacy);
+
+  const { migrateCampaignMap } = loadFns(['migrateCampaign', 'migrateCampaignMap'], {
+    RulesEngine: engine, CAMPAIGN_MIGRATIONS: migrations, SCHEMA_VERSION: 3
+  });
+  const map = migrateCampaignMap({ a: { name: 'A' }, b: { name: 'Future', schemaVersion: 9 } });
+  assert.deepEqual(Object.keys(map.campaigns), ['a']);
+  assert.equal(map.refused.b.schemaVersion, 9);
+  assert.equal(map.errors.length, 1);
+});
+
+test('campaign import validation reports malformed and dangling records and quarantines them', () => {
+  const engine = require(RULES_PATH);
+  const file = {
+    name: 'Loose Ends',
+    entities: {
+      a: { id: 'a', type: 'npc', name: 'Ada' },
+      b: { id: 'b', type: 'dragon', name: 'Bad' },
+      c: { id: 'c', type: 'pc', name: 'Cy', advancePoints: '2' }
+    },
+    relationships: {
+      r1: { id: 'r1', source: 'a', target: 'b' },
+      r2: { id: 'r2', source: 'a', target: 'c', directed: 'false' }
+    },
+    messages: [{ text: 'hi' }, { target: 'party' }],
+    clocks: [{ name: 'Doom', size: '6' }, { name: 'Broken', size: 0 }],
+    scenarioPacks: [{ scenePrompts: { twists: ['Lights out'] } }]
+  };
+  const report = engine.validateCampaignImport(file);
+  assert.deepEqual(report.fatal, []);
+  assert.deepEqual(report.quarantine.map(q => `${q.kind}:${q.key}`), [
+    'entity:b', 'relationship:r1', 'message:1', 'clock:1', 'scenarioPack:0'
+  ]);
+  assert.deepEqual(plain(report.dangling), [{ key: 'r1', source: 'a', target: 'b', missing: ['b'] }]);
+  assert.deepEqual(report.coerced.map(c => c.path), ['entities.c.advancePoints', 'relationships.r2.directed', 'clocks.0.size']);
+  assert.deepEqual(Object.keys(report.subset.entities), ['a', 'c']);
+  assert.equal(report.subset.entities.c.advancePoints, 2);
+  assert.equal(report.subset.clocks[0].size, 6);
+  assert.equal(file.clocks[0].size, '6');
+  assert.deepEqual(engine.validateCampaignImport({ entities: [] }).fatal, [
+    'relationships is required', 'entities should be object, got array'
+  ]);
+
+  const fns = loadFns(['importReportSections', 'restoreQuarantinedItem', 'fillEntityDefaults'], {
+    RulesEngine: engine,
+    IMPORT_KIND_LABELS: { entity: 'entities', relationship: 'relationships', message: 'messages', clock: 'clocks', scenarioPack: 'scenario packs' },
+    generateId: (pfx) => `${pfx}-new`
+  });
+  assert.deepEqual(plain(fns.importReportSections(report).map(s => s.title)), [
+    'Malformed entities', 'Malformed messages', 'Malformed clocks', 'Malformed scenario packs', 'Dangling relationships', 'Coerced fields'
+  ]);
+  const camp = { entities: { a: { id: 'a', type: 'npc' } }, relationships: {}, messages: [], clocks: [], importQuarantine: [] };
+  camp.importQuarantine = report.quarantine.map((q, i) => Object.assign({ id: `q${i}` }, q));
+  const [badEnt, danglingRel] = camp.importQuarantine;
+  assert.match(fns.restoreQuarantinedItem(camp, danglingRel).error, /Missing entity b/);
+  assert.match(fns.restoreQuarantinedItem(camp, badEnt).error, /type should be one of/);
+  badEnt.data = Object.assign({}, badEnt.data, { type: 'npc' });
+  assert.equal(fns.restoreQuarantinedItem(camp, badEnt).ok, true);
+  assert.equal(camp.entities.b.bondStressSlots, 10);
+  assert.equal(fns.restoreQuarantinedItem(camp, danglingRel).ok, true);
+  assert.equal(camp.relationships.r1.target, 'b');
+  assert.deepEqual(camp.importQuarantine.map(q => q.id), ['q2', 'q3', 'q4']);
+});
+
+test('campaign storage size splits out portraits and undo history', () => {
+  const { formatBytes, campaignStorageSize } = loadFns(['formatBytes', 'campaignStorageSize']);
+  assert.equal(formatBytes(512), '512 B');
+  assert.equal(formatBytes(1536), '1.5 KB');
+  assert.equal(formatBytes(5 * 1024 * 1024), '5.0 MB');
+  const portrait = 'data:image/png;base64,' + 'A'.repeat(2000);
+  const camp = {
+    entities: { a: { id: 'a', image: portrait }, b: { id: 'b', image: 'https://example.com/b.png' } },
+    undoStack: [{ label: 'x' }],
+    redoStack: []
+  };
+  const size = plain(campaignStorageSize(camp));
+  assert.equal(size.portraits, portrait.length);
+  assert.equal(size.history, JSON.stringify(camp.undoStack).length + 2);
+  assert.equal(size.total, JSON.stringify(camp).length);
+  assert.deepEqual(plain(campaignStorageSize(null)), { total: 0, portraits: 0, history: 0 });
+});
+
+test('campaign fingerprints diff only the records that changed', () => {
+  const engine = require(RULES_PATH);
+  const camp = {
+    name: 'Spire',
+    entities: { a: { id: 'a', name: 'Ana' }, b: { id: 'b', name: 'Bo' } },
+    relationships: { r1: { id: 'r1', source: 'a', target: 'b' } },
+    logs: [{ id: 'l1', text: 'one' }],
+    undoStack: [],
+    redoStack: []
+  };
+  const diffTo = (prev, next) => engine.diffCampaignFingerprints(prev, engine.campaignFingerprint(next));
+  const base = engine.campaignFingerprint(camp);
+  assert.equal(engine.campaignDiffSize(diffTo(base, camp)), 0);
+  assert.equal(diffTo(null, camp).full, true);
+  assert.equal(engine.campaignPatchOps(camp, diffTo(null, camp)), null);
+
+  camp.entities.a.name = 'Ana Vey';
+  let diff = diffTo(base, camp);
+  assert.equal(engine.campaignDiffSize(diff), 1);
+  assert.deepEqual(plain(engine.campaignChangeSet(camp, diff).entities), { put: { a: camp.entities.a }, del: [] });
+  assert.equal(engine.campaignChangeSet(camp, diff).fields, null);
+
+  delete camp.entities.b;
+  delete camp.relationships.r1;
+  camp.logs.push({ id: 'l2', text: 'two' });
+  camp.name = 'Spire II';
+  diff = diffTo(base, camp);
+  assert.deepEqual(plain(diff.entities.del), ['b']);
+  assert.deepEqual(plain(diff.logs), { reset: false, from: 1, count: 1 });
+  assert.deepEqual(plain(engine.campaignPatchOps(camp, diff)), [
+    { op: 'set', path: ['name'], value: 'Spire II' },
+    { op: 'set', path: ['entities', 'a'], value: { id: 'a', name: 'Ana Vey' } },
+    { op: 'remove', path: ['entities', 'b'] },
+    { op: 'remove', path: ['relationships', 'r1'] },
+    { op: 'set', path: ['logs', '1'], value: { id: 'l2', text: 'two' } }
+  ]);
+
+  const cleared = engine.campaignFingerprint(camp);
+  camp.logs = [];
+  diff = diffTo(cleared, camp);
+  assert.equal(diff.logs.reset, true);
+  assert.equal(engine.campaignDiffSize(diff), 1);
+  assert.deepEqual(plain(engine.campaignPatchOps(camp, diff)), [{ op: 'set', path: ['logs'], value: [] }]);
+});
+
+test('campaign checkpoints store patches and rebuild any version', () => {
+  const engine = require(RULES_PATH);
+  const a = { name: 'Spire', entities: { x: { id: 'x', name: 'Xan', stress: 1 } }, relationships: {}, logs: [{ action: 'one' }], undoStack: [{ id: 'u1' }] };
+  const snap = engine.campaignVersionSnapshot(a);
+  assert.equal('undoStack' in snap, false);
+  const pictured = { entities: { p: { id: 'p', image: 'data:image/png;base64,AAAA' }, q: { id: 'q', image: 'https://example.com/q.png' } } };
+  const pictureSnap = engine.campaignVersionSnapshot(pictured);
+  assert.equal('image' in pictureSnap.entities.p, false);
+  assert.equal(pictureSnap.entities.q.image, 'https://example.com/q.png');
+  assert.equal(pictured.entities.p.image, 'data:image/png;base64,AAAA');
+  assert.equal(engine.keepCurrentPortraits(pictureSnap, pictured).entities.p.image, 'data:image/png;base64,AAAA');
+  const b = engine.campaignVersionSnapshot(a);
+  b.entities.x.stress = 3;
+  b.entities.y = { id: 'y', name: 'Yara' };
+  b.logs.push({ action: 'two' });
+  delete b.name;
+  const ops = engine.diffJson(snap, b);
+  assert.deepEqual(plain(ops), [
+    { op: 'remove', path: ['name'] },
+    { op: 'set', path: ['entities', 'x', 'stress'], value: 3 },
+    { op: 'set', path: ['entities', 'y'], value: { id: 'y', name: 'Yara' } },
+    { op: 'set', path: ['logs', '1'], value: { action: 'two' } }
+  ]);
+  assert.deepEqual(plain(engine.applyJsonPatch(snap, ops)), plain(b));
+  assert.equal(snap.entities.x.stress, 1);
+
+  let list = [];
+  const versions = [];
+  for (let i = 0; i < 12; i++) {
+    const v = engine.campaignVersionSnapshot(a);
+    v.entities.x.stress = i;
+    versions.push(v);
+    list.push(engine.createCheckpoint(list, v, { reason: 'auto', at: `2026-01-01T00:${String(i).padStart(2, '0')}:00Z` }));
+  }
+  assert.deepEqual(list.map(cp => (cp.base ? 'base' : 'ops')), ['base', 'ops', 'ops', 'ops', 'ops', 'ops', 'ops', 'ops', 'ops', 'ops', 'base', 'ops']);
+  assert.equal(engine.createCheckpoint(list, versions[11], { reason: 'auto' }), null);
+  assert.equal(engine.createCheckpoint(list, versions[11], { reason: 'session', force: true }).id, 13);
+  assert.deepEqual(plain(engine.materializeCheckpoint(list, 6)), plain(versions[5]));
+  assert.deepEqual(plain(engine.materializeCheckpoint(list, 12)), plain(versions[11]));
+  assert.deepEqual(plain(list[1].summary.entities.changed), [{ id: 'x', name: 'Xan', keys: ['stress'] }]);
+
+  const pruned = engine.pruneCheckpoints(list, 8);
+  assert.deepEqual(pruned.del, [1, 2, 3, 4]);
+  assert.equal(pruned.put.length, 1);
+  assert.deepEqual(plain(pruned.put[0].base), plain(versions[4]));
+  assert.deepEqual(plain(engine.materializeCheckpoint(pruned.checkpoints, 8)), plain(versions[7]));
+
+  const summary = engine.summarizeVersionChanges(snap, b);
+  assert.deepEqual(plain(summary), {
+    fields: ['name'],
+    entities: { added: [{ id: 'y', name: 'Yara' }], removed: [], changed: [{ id: 'x', name: 'Xan', keys: ['stress'] }] },
+    relationships: { added: 0, removed: 0, changed: 0 },
+    logs: 1
+  });
+  const { versionSummaryText, versionChangeLines } = loadFns(['versionSummaryText', 'versionChangeLines']);
+  assert.equal(versionSummaryText(summary), '1 added · 1 changed · 1 log entry · 1 setting');
+  assert.deepEqual(plain(versionChangeLines(summary)), ['Added: Yara', 'Changed Xan: stress', 'Log: 1 new entry', 'Campaign settings: name']);
+  assert.deepEqual(plain(versionChangeLines(engine.summarizeVersionChanges(b, b))), ['No differences.']);
+});
+
+test('three-way campaign merge takes non-overlapping changes and reports true conflicts', () => {
+  const engine = require(RULES_PATH);
+  const base = {
+    name: 'Spire',
+    entities: {
+      a: { id: 'a', name: 'Ana', stress: 1, notes: '' },
+      b: { id: 'b', name: 'Bo', stress: 0 },
+      c: { id: 'c', name: 'Cy', stress: 0 }
+    },
+    relationships: { r1: { id: 'r1', source: 'a', target: 'b', type: 'Ally' } },
+    positions: { a: { x: 0, y: 0 } },
+    logs: [{ time: '2026-01-01T00:00:00Z', action: 'start' }],
+    undoStack: []
+  };
+  const fromFp = engine.campaignFromFingerprint(engine.campaignFingerprint(base));
+  assert.deepEqual(plain(fromFp), plain(Object.assign({}, base, { undoStack: undefined })));
+
+  const local = JSON.parse(JSON.stringify(base));
+  const remote = JSON.parse(JSON.stringify(base));
+  local.entities.a.stress = 2;
+  local.entities.a.notes = 'mine';
+  local.logs.push({ time: '2026-01-01T00:02:00Z', action: 'local' });
+  local.positions.a = { x: 5, y: 5 };
+  delete local.entities.c;
+  local.entities.b.stress = 3;
+  local.undoStack = [{ id: 'u1' }];
+  remote.entities.a.notes = 'theirs';
+  remote.name = 'Spire (renamed)';
+  remote.logs.push({ time: '2026-01-01T00:01:00Z', action: 'remote' });
+  remote.positions.a = { x: 9, y: 9 };
+  delete remote.entities.b;
+
+  const result = engine.mergeCampaigns(fromFp, local, remote);
+  assert.equal(result.merged.name, 'Spire (renamed)');
+  assert.equal(result.merged.entities.a.stress, 2);
+  assert.equal(result.merged.entities.a.notes, 'mine');
+  assert.equal(result.merged.entities.c, undefined);
+  assert.deepEqual(result.merged.logs.map(e => e.action), ['start', 'remote', 'local']);
+  assert.deepEqual(plain(result.merged.positions.a), { x: 5, y: 5 });
+  assert.deepEqual(plain(result.merged.undoStack), [{ id: 'u1' }]);
+  assert.deepEqual(plain(result.conflicts.map(c => [c.kind, c.id, c.key])), [['entity', 'a', 'notes'], ['entity', 'b', null]]);
+  assert.equal(result.merged.entities.b.stress, 3);
+
+  const resolved = engine.resolveMergeConflicts(result.merged, result.conflicts, { 0: 'remote', 1: 'remote' });
+  assert.equal(resolved.entities.a.notes, 'theirs');
+  assert.equal(resolved.entities.b, undefined);
+  assert.deepEqual(plain(resolved.relationships), {});
+  assert.equal(result.merged.entities.a.notes, 'mine');
+
+  const maps = engine.mergeCampaignMaps(
+    { c1: fromFp, gone: { name: 'Old', entities: {} } },
+    { c1: local, fresh: { name: 'New', entities: {} } },
+    { c1: remote, gone: { name: 'Old', entities: {} } }
+  );
+  assert.deepEqual(Object.keys(maps.campaigns), ['c1', 'fresh']);
+  assert.equal(maps.conflicts[0].campaignName, 'Spire');
+
+  const { mergeConflictLabel, mergeValuePreview } = loadFns(['mergeConflictLabel', 'mergeValuePreview']);
+  assert.equal(mergeConflictLabel(maps.conflicts[0], false), 'Ana · notes');
+  assert.equal(mergeConflictLabel(maps.conflicts[1], true), 'Spire · Bo');
+  assert.equal(mergeValuePreview(undefined, true), 'Deleted');
+  assert.equal(mergeValuePreview({ x: 1 }, false), '{"x":1}');
+  assert.equal(mergeValuePreview('x'.repeat(200), false).length, 158);
+
+  // Earlier entries rewritten on both sides: the log is a conflict, not a silent keep.
+  const trimmed = JSON.parse(JSON.stringify(fromFp));
+  trimmed.logs = [{ time: '2026-01-01T00:00:00Z', action: 'start' }, { time: '2026-01-01T00:03:00Z', action: 'mid' }];
+  const mine = Object.assign({}, trimmed, { logs: [{ time: '2026-01-01T00:04:00Z', action: 'mine' }] });
+  const theirs = Object.assign({}, trimmed, { logs: [{ time: '2026-01-01T00:03:00Z', action: 'mid' }] });
+  const logMerge = engine.mergeCampaigns(trimmed, mine, theirs);
+  assert.deepEqual(plain(logMerge.conflicts.map(c => [c.kind, c.key])), [['log', 'logs']]);
+  assert.deepEqual(logMerge.merged.logs.map(e => e.action), ['mine']);
+  assert.deepEqual(engine.resolveMergeConflicts(logMerge.merged, logMerge.conflicts, { 0: 'remote' }).logs.map(e => e.action), ['mid']);
+  assert.equal(mergeConflictLabel(logMerge.conflicts[0], false), 'Campaign log (both tabs removed or changed entries)');
+  assert.equal(mergeValuePreview(logMerge.conflicts[0].remote, false, true), '1 entry, latest: mid');
+  assert.equal(engine.mergeCampaigns(trimmed, mine, mine).conflicts.length, 0);
+});
+
+test('campaign replicas converge on concurrent edits, deletes and log appends', () => {
+  const engine = require(RULES_PATH);
+  const base = {
+    entities: {
+      a: { id: 'a', type: 'pc', name: 'Ana', stress: 1, notes: '' },
+      b: { id: 'b', type: 'npc', name: 'Bo', notes: '' }
+    },
+    relationships: {},
+    logs: [{ time: '2026-01-01T00:00:00Z', action: 'start' }]
+  };
+  const gm = JSON.parse(JSON.stringify(base));
+  const player = JSON.parse(JSON.stringify(base));
+  const gmDoc = engine.createCrdtReplica(gm, 'gm');
+  const playerDoc = engine.createCrdtReplica(player, 'player');
+  assert.equal(engine.crdtLocalChanges(gmDoc, gm), null);
+
+  gm.entities.a.notes = 'gm notes';
+  gm.entities.b.notes = 'gm first';
+  gm.logs.push({ time: '2026-01-01T00:01:00Z', action: 'gm' });
+  const gmDelta = engine.crdtLocalChanges(gmDoc, gm);
+  player.entities.a.stress = 3;
+  player.entities.b.notes = 'player second';
+  player.logs.push({ time: '2026-01-01T00:02:00Z', action: 'player' });
+  engine.crdtLocalChanges(playerDoc, player);
+  player.entities.b.notes = 'player third';
+  const playerDelta = engine.crdtLocalChanges(playerDoc, player);
+  const playerAll = engine.crdtStateDelta(playerDoc, player);
+
+  assert.equal(engine.applyCrdtDelta(gmDoc, gm, playerAll).changed, true);
+  engine.applyCrdtDelta(playerDoc, player, gmDelta);
+  assert.deepEqual(plain(gm.entities), plain(player.entities));
+  assert.deepEqual(plain(gm.logs), plain(player.logs));
+  assert.equal(gm.entities.a.stress, 3);
+  assert.equal(gm.entities.a.notes, 'gm notes');
+  assert.equal(gm.entities.b.notes, 'player third');
+  assert.equal(gm.logs.length, 3);
+  assert.equal(engine.applyCrdtDelta(gmDoc, gm, playerDelta).changed, false);
+
+  delete gm.entities.b;
+  const deleteDelta = engine.crdtLocalChanges(gmDoc, gm);
+  engine.applyCrdtDelta(playerDoc, player, deleteDelta);
+  assert.equal(player.entities.b, undefined);
+  engine.applyCrdtDelta(playerDoc, player, playerDelta);
+  assert.equal(player.entities.b, undefined);
+
+  const stranger = engine.applyCrdtDelta(playerDoc, player, { entities: { z: { f: { notes: { s: [99, 'gm'], v: 'x' } } } } });
+  assert.deepEqual(plain(stranger.missing), [{ collection: 'entities', key: 'z' }]);
+
+  const late = JSON.parse(JSON.stringify(base));
+  const lateDoc = engine.createCrdtReplica(late, 'late', engine.crdtPersistedState({ clock: 0, meta: {} }));
+  engine.applyCrdtDelta(lateDoc, late, engine.crdtStateDelta(gmDoc, gm));
+  assert.deepEqual(plain(late.entities), plain(gm.entities));
+  assert.deepEqual(plain(late.logs), plain(gm.logs));
+});
+
+test('a GM keeps only what the sender of a replica update may edit as a player', () => {
+  const engine = require(RULES_PATH);
+  const base = {
+    allowPlayerEditing: true,
+    entities: {
+      ana: { id: 'ana', type: 'pc', name: 'Ana', stress: 0 },
+      bo: { id: 'bo', type: 'pc', name: 'Bo', stress: 0 },
+      f: { id: 'f', type: 'org', name: 'Ministry' }
+    },
+    relationships: {},
+    messages: [{ id: 'm0', fromUser: 'bo', text: 'old' }],
+    logs: []
+  };
+  const gm = JSON.parse(JSON.stringify(base));
+  const player = JSON.parse(JSON.stringify(base));
+  const gmDoc = engine.createCrdtReplica(gm, 'gm');
+  const playerDoc = engine.createCrdtReplica(player, 'ana-tab');
+  player.entities.ana.stress = 3;
+  player.entities.ana.gmOnly = true;
+  player.entities.bo.stress = 9;
+  player.entities.f.name = 'Hijacked';
+  player.entities.n1 = { id: 'n1', type: 'npc', name: 'Barkeep', pendingApproval: true, submittedBy: 'ana' };
+  player.entities.n2 = { id: 'n2', type: 'npc', name: 'Forged', pendingApproval: true, submittedBy: 'bo' };
+  player.messages[0].text = 'edited';
+  player.messages.push({ id: 'm1', fromUser: 'ana', text: 'hi' }, { id: 'm2', fromUser: 'bo', text: 'fake' });
+  player.logs.push({ action: 'Stress', actor: 'ana', actorRole: 'player' }, { action: 'Forged', actor: 'gm', actorRole: 'gm' });
+  const delta = engine.crdtLocalChanges(playerDoc, player);
+
+  const editor = { user: 'ana', pcIds: ['ana'], allowPcEditing: true };
+  const allowed = engine.crdtPlayerEditDelta(delta, gm, editor);
+  assert.deepEqual(Object.keys(allowed.entities).sort(), ['ana', 'n1']);
+  assert.deepEqual(Object.keys(allowed.entities.ana.f), ['stress']);
+  assert.deepEqual(Object.values(allowed.messages).map(rd => rd.f.id.v), ['m1']);
+  assert.deepEqual(Object.values(allowed.logs).map(rd => rd.f.action.v), ['Stress']);
+  engine.applyCrdtDelta(gmDoc, gm, allowed);
+  assert.equal(gm.entities.ana.stress, 3);
+  assert.equal(gm.entities.ana.gmOnly, undefined);
+  assert.equal(gm.entities.bo.stress, 0);
+  assert.equal(gm.entities.f.name, 'Ministry');
+  assert.equal(gm.messages[0].text, 'old');
+
+  delete player.entities.bo;
+  const locked = engine.crdtPlayerEditDelta(engine.crdtLocalChanges(playerDoc, player), gm, Object.assign({}, editor, { allowPcEditing: false }));
+  assert.equal(locked, null);
+});
+
+test('campaign cloud rows split GM material out and save only what changed', () => {
+  const engine = require(RULES_PATH);
+  const camp = {
+    id: 'c1',
+    name: 'Spire',
+    positions: { a: { x: 1, y: 2 } },
+    entities: {
+      a: { id: 'a', type: 'pc', name: 'Ana', gmNotes: 'owes the Ministry' },
+      s: { id: 's', type: 'npc', name: 'Spy', gmOnly: true }
+    },
+    relationships: { r1: { id: 'r1', source: 'a', target: 's', secret: true } },
+    logs: [{ action: 'start' }, { action: 'hidden', secret: true, target: 's' }],
+    messages: [{ id: 'm1', fromUser: 'ana', target: 'gm', text: 'psst' }],
+    gmNotes: [{ id: 'n1', title: 'Plot' }],
+    undoStack: [{ id: 'u1' }],
+    redoStack: []
+  };
+  const split = engine.campaignCloudRows(camp);
+  assert.deepEqual(Object.keys(split.fields), ['id', 'name', 'positions']);
+  assert.equal(split.rows.entities.a.data.gmNotes, undefined);
+  assert.equal(split.rows.entities.s.gm_only, true);
+  assert.deepEqual(plain(split.rows.gmNotes['entity:a']), { id: 'entity:a', entity_id: 'a', sort_order: 0, data: 'owes the Ministry' });
+  const hiddenKey = engine.crdtItemKey(camp.logs[1]);
+  assert.deepEqual(plain(split.rows.logs[hiddenKey]), { id: hiddenKey, sort_order: 1, secret: true, target_id: 's', data: camp.logs[1] });
+  const repeated = engine.campaignCloudRows({ logs: [{ action: 'x' }, { action: 'x' }] });
+  assert.deepEqual(Object.keys(repeated.rows.logs), [engine.crdtItemKey({ action: 'x' }), `${engine.crdtItemKey({ action: 'x' })}~2`]);
+  assert.equal(split.rows.messages.m1.target, 'gm');
+
+  const rebuilt = engine.campaignFromCloudRows(split.fields, split.rows);
+  const { undoStack, redoStack, ...shared } = camp;
+  assert.deepEqual(plain(rebuilt), plain(Object.assign({}, shared, {
+    entities: { a: { id: 'a', type: 'pc', name: 'Ana', gmNotes: 'owes the Ministry' }, s: camp.entities.s }
+  })));
+
+  const fp = engine.cloudRowsFingerprint(split);
+  assert.equal(engine.cloudRowChanges(fp, fp, split), null);
+  const next = JSON.parse(JSON.stringify(camp));
+  next.entities.a.name = 'Ana V.';
+  delete next.relationships.r1;
+  next.logs.push({ action: 'more' });
+  const nextSplit = engine.campaignCloudRows(next);
+  const changes = engine.cloudRowChanges(fp, engine.cloudRowsFingerprint(nextSplit), nextSplit);
+  assert.equal(changes.fields, null);
+  assert.deepEqual(changes.put.entities.map(row => row.id), ['a']);
+  assert.deepEqual(changes.put.gmNotes, []);
+  assert.deepEqual(changes.del.relationships, ['r1']);
+  assert.deepEqual(changes.put.logs.map(row => row.id), [engine.crdtItemKey({ action: 'more' })]);
+  assert.equal(changes.size, 3);
+
+  const unknown = { fields: null, rows: { messages: { m1: '', gone: '' } } };
+  const full = engine.cloudRowChanges(unknown, engine.cloudRowsFingerprint(nextSplit), nextSplit);
+  assert.deepEqual(Object.keys(full.fields), ['id', 'name', 'positions']);
+  assert.deepEqual(full.del.messages, ['gone']);
+  assert.equal(full.put.entities.length, 2);
+});
+
+test('player cloud pushes carry only their PC, NPC submissions, messages and rolls', () => {
+  const engine = require(RULES_PATH);
+  const state = { currentUser: 'ana', cloudRecords: {} };
+  const { playerCloudChanges, notePlayerClaim } = loadFns(['playerCloudChanges', 'notePlayerClaim', 'cloudEntityRow'], { state });
+  const camp = {
+    cloudCampaignId: 'cloud-1',
+    playerOwnedPcId: 'pc1',
+    entities: {
+      pc1: { id: 'pc1', type: 'pc', name: 'Ana' },
+      pc2: { id: 'pc2', type: 'pc', name: 'Bo' },
+      n1: { id: 'n1', type: 'npc', name: 'Mine', pendingApproval: true, submittedBy: 'ana' },
+      n2: { id: 'n2', type: 'npc', name: 'Theirs', pendingApproval: true, submittedBy: 'bo' }
+    },
+    relationships: {},
+    messages: [{ id: 'm1', fromUser: 'ana', text: 'hi' }, { id: 'm2', fromUser: 'bo', text: 'yo' }],
+    logs: [
+      { time: 1, action: 'Fight', actor: 'ana', actorRole: 'player', type: 'roll' },
+      { time: 2, action: 'Sneak', actor: 'bo', actorRole: 'player', type: 'roll' },
+      { time: 3, action: 'Stress', actor: 'ana', actorRole: 'player' }
+    ]
+  };
+  const split = engine.campaignCloudRows(camp);
+  const changes = engine.cloudRowChanges(null, engine.cloudRowsFingerprint(split), split);
+  const pushed = playerCloudChanges(camp, split, changes);
+  assert.deepEqual(plain(pushed.entities.map(row => row.id)), ['pc1', 'n1']);
+  assert.deepEqual(plain(pushed.messages.map(row => row.id)), ['m1']);
+  assert.deepEqual(plain(pushed.logs.map(row => row.data.action)), ['Fight']);
+  assert.equal(pushed.size, 4);
+
+  // An unchanged PC goes out whole until the cloud knows it was claimed.
+  const claim = playerCloudChanges(camp, split, null);
+  assert.deepEqual(plain(claim.entities.map(row => row.id)), ['pc1']);
+  notePlayerClaim(camp, split);
+  assert.equal(state.cloudRecords['cloud-1'].rows.entities.pc1.owner_user, 'ana');
+  assert.equal(playerCloudChanges(camp, split, null), null);
+
+  // A PC the cloud already holds without this player as owner is never sent.
+  state.cloudRecords['cloud-1'].rows.entities.pc1.owner_user = null;
+  assert.deepEqual(plain(playerCloudChanges(camp, split, changes).entities.map(row => row.id)), ['n1']);
+  assert.equal(playerCloudChanges(camp, split, null), null);
+
+  // Refused rows go back to the cloud's version so the next push offers them again.
+  const { forgetRefusedCloudRows } = loadFns(['forgetRefusedCloudRows']);
+  const fp = engine.cloudRowsFingerprint(split);
+  const prev = { fields: null, rows: { entities: { pc1: 'old' }, messages: {} } };
+  forgetRefusedCloudRows(fp, prev, ['pc1', 'm1']);
+  assert.equal(fp.rows.entities.pc1, 'old');
+  assert.equal('m1' in fp.rows.messages, false);
+  assert.equal(engine.cloudRowChanges(fp, engine.cloudRowsFingerprint(split), split).put.messages[0].id, 'm1');
+});
+
+test('replica updates sent over the campaign channel leave GM material out', () => {
+  const engine = require(RULES_PATH);
+  const camp = { entities: {}, relationships: {}, messages: [], logs: [] };
+  const doc = engine.createCrdtReplica(camp, 'gm');
+  camp.entities.a = { id: 'a', type: 'pc', name: 'Ana', gmNotes: 'debt' };
+  camp.entities.s = { id: 's', type: 'npc', name: 'Spy', gmOnly: true };
+  camp.relationships.r1 = { id: 'r1', source: 'a', target: 's' };
+  camp.relationships.r2 = { id: 'r2', source: 'a', target: 'a', secret: true };
+  camp.messages.push({ id: 'm1', target: 'party', text: 'hi' }, { id: 'm2', target: 'user:bo', text: 'psst' });
+  camp.logs.push({ action: 'spied', target: 's' }, { action: 'met', target: 'a' }, { action: 'plot', secret: true });
+  const safe = engine.crdtPlayerSafeDelta(engine.crdtLocalChanges(doc, camp), camp);
+  assert.deepEqual(Object.keys(safe.entities), ['a']);
+  assert.equal(safe.entities.a.f.gmNotes, undefined);
+  assert.equal(safe.entities.a.f.name.v, 'Ana');
+  assert.equal(safe.relationships, undefined);
+  assert.deepEqual(Object.values(safe.messages).map(rd => rd.f.id.v), ['m1']);
+  assert.deepEqual(Object.values(safe.logs).map(rd => rd.f.action.v), ['met']);
+
+  camp.entities.a.gmNotes = 'paid';
+  assert.equal(engine.crdtPlayerSafeDelta(engine.crdtLocalChanges(doc, camp), camp), null);
+  delete camp.entities.s;
+  assert.deepEqual(Object.keys(engine.crdtPlayerSafeDelta(engine.crdtLocalChanges(doc, camp), camp).entities), ['s']);
+});
+
+test('local saves only fingerprint campaigns opened for editing since the last write', () => {
+  const engine = require(RULES_PATH);
+  const camps = {
+    a: { id: 'a', name: 'A', entities: {}, relationships: {}, log: [] },
+    b: { id: 'b', name: 'B', entities: {}, relationships: {}, log: [] },
+    c: { id: 'c', name: 'C', entities: {}, relationships: {}, log: [] }
+  };
+  const fingerprinted = [];
+  const state = {
+    campaigns: camps,
+    unsupportedCampaigns: {},
+    currentCampaignId: 'a',
+    savedCurrentCampaignId: 'a',
+    savedFingerprints: { a: engine.campaignFingerprint(camps.a), b: engine.campaignFingerprint(camps.b) },
+    dirtyCampaignIds: {}
+  };
+  const RulesEngine = Object.assign({}, engine, {
+    campaignFingerprint: (camp) => { fingerprinted.push(camp.id); return engine.campaignFingerprint(camp); }
+  });
+  const { collectCampaignChanges, currentCampaign } = loadFns(['collectCampaignChanges', 'currentCampaign'], { state, RulesEngine });
+  let prepared = collectCampaignChanges();
+  assert.deepEqual(fingerprinted, ['a', 'c']);
+  assert.deepEqual(Object.keys(prepared.changes.campaigns), ['c']);
+  assert.equal(prepared.fingerprints.b, state.savedFingerprints.b);
+
+  state.savedFingerprints = prepared.fingerprints;
+  state.currentCampaignId = 'b';
+  currentCampaign().name = 'B renamed';
+  state.currentCampaignId = 'a';
+  fingerprinted.length = 0;
+  prepared = collectCampaignChanges();
+  assert.deepEqual(fingerprinted, ['a', 'b']);
+  assert.deepEqual(Object.keys(prepared.changes.campaigns), ['b']);
+  assert.deepEqual(plain(state.dirtyCampaignIds), {});
+});
+
+test('players drop a record the GM hides and take it back when it is shown again', () => {
+  const engine = require(RULES_PATH);
+  const camp = {
+    entities: {
+      a: { id: 'a', type: 'pc', name: 'Ana' },
+      s: { id: 's', type: 'npc', name: 'Spy', gmNotes: 'double agent' }
+    },
+    relationships: { r1: { id: 'r1', source: 'a', target: 's' } },
+    messages: [],
+    logs: [{ action: 'met', target: 's' }]
+  };
+  const gm = engine.createCrdtReplica(camp, 'gm');
+  const playerCamp = JSON.parse(JSON.stringify(camp));
+  delete playerCamp.entities.s.gmNotes;
+  const player = engine.createCrdtReplica(playerCamp, 'p1');
+
+  camp.entities.s.gmOnly = true;
+  let delta = engine.crdtLocalChanges(gm, camp);
+  assert.equal(engine.crdtPlayerSafeDelta(delta, camp), null);
+  const hidden = engine.crdtPlayerSafeDelta(delta, camp, { deleteHidden: true });
+  assert.deepEqual(Object.keys(hidden).sort(), ['entities', 'logs', 'relationships']);
+  assert.deepEqual(plain(hidden.entities.s), { d: delta.entities.s.f.gmOnly.s, f: {} });
+  const tabs = [];
+  const channel = [];
+  const { shareReplicaUpdate } = loadFns(['shareReplicaUpdate'], {
+    RulesEngine: engine,
+    campaignEventMessage: payload => payload,
+    postToCampaignTabs: msg => tabs.push(msg),
+    sendToCampaignChannel: msg => channel.push(msg)
+  });
+  shareReplicaUpdate('crdt_delta', delta, camp);
+  assert.equal(tabs.length, 0);
+  assert.deepEqual(plain(channel), [{ type: 'crdt_delta', delta: plain(hidden) }]);
+  engine.applyCrdtDelta(player, playerCamp, hidden);
+  assert.deepEqual(Object.keys(playerCamp.entities), ['a']);
+  assert.deepEqual(playerCamp.relationships, {});
+  assert.deepEqual(playerCamp.logs, []);
+
+  camp.entities.s.gmOnly = false;
+  delta = engine.crdtLocalChanges(gm, camp);
+  const shown = engine.crdtPlayerSafeDelta(delta, camp, { deleteHidden: true });
+  engine.applyCrdtDelta(player, playerCamp, shown);
+  assert.deepEqual(plain(playerCamp.entities.s), { id: 's', type: 'npc', name: 'Spy', gmOnly: false });
+  assert.deepEqual(plain(playerCamp.relationships.r1), camp.relationships.r1);
+  assert.deepEqual(plain(playerCamp.logs), [{ action: 'met', target: 's' }]);
+});
+
 test('deriveGmWhisperTargets prioritizes non-GM campaign members', () => {
   const { deriveGmWhisperTargets } = loadFns(['deriveGmWhisperTargets']);
   const camp = {